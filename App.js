@@ -40,6 +40,16 @@ Notifications.setNotificationHandler({
 
 const Stack = createStackNavigator();
 
+// Links from emails: chatzone://login/magic?token=... in the apps, CLIENT_URL/login/magic on web
+const linking = {
+  prefixes: ['chatzone://'],
+  config: {
+    screens: {
+      MagicLink: 'login/magic',
+    },
+  },
+};
+
 // Custom theme
 const theme = {
   ...DefaultTheme,
@@ -89,7 +99,7 @@ function AppContent() {
   }
 
   return (
-    <NavigationContainer theme={currentTheme}>
+    <NavigationContainer theme={currentTheme} linking={linking}>
       <StatusBar style="auto" />
       {user ? (
         <SocketProvider>
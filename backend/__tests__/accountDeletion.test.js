@@ -0,0 +1,105 @@
+jest.mock('../config/database', () => ({
+  pool: {},
+  query: jest.fn(),
+  transaction: jest.fn(),
+  connectDB: jest.fn()
+}));
+jest.mock('../config/redis', () => ({
+  setCache: jest.fn(),
+  getCache: jest.fn(),
+  deleteCache: jest.fn(),
+  deleteAllUserSessions: jest.fn()
+}));
+jest.mock('../middleware/auth', () => {
+  const pass = (req, res, next) => next();
+  return {
+    authenticateToken: (req, res, next) => {
+      req.user = { id: '0d8a3f6e-2b1c-4c5d-9e7f-1a2b3c4d5e6f' };
+      next();
+    },
+    requireVerified: pass,
+    requireCompleteProfile: pass,
+    requirePremium: pass
+  };
+});
+jest.mock('../models/AccountDeletionAudit');
+jest.mock('../models/UserActivity');
+jest.mock('../utils/mediaStorage', () => ({
+  storeUploadedImage: jest.fn(),
+  deleteStoredMedia: jest.fn(),
+  renderBlurredPreview: jest.fn()
+}));
+jest.mock('../utils/socketHandler', () => ({ disconnectSessions: jest.fn(), broadcastPresence: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const { query, transaction } = require('../config/database');
+const User = require('../models/User');
+const AccountDeletionAudit = require('../models/AccountDeletionAudit');
+const PhotoVerification = require('../models/PhotoVerification');
+const { purgeDeletedAccounts } = require('../utils/accountDeletion');
+const userRoutes = require('../routes/users');
+
+describe('purgeDeletedAccounts', () => {
+  let due;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    // 120 accounts past their grace period: more than one batch
+    due = Array.from({ length: 120 }, (_, index) => ({ id: `user-${index}` }));
+
+    query.mockResolvedValue({ rows: [] });
+    transaction.mockImplementation(async callback => callback({ query: async () => ({ rowCount: 0 }) }));
+    AccountDeletionAudit.log.mockResolvedValue({});
+    jest.spyOn(PhotoVerification, 'findSelfiePathsByUser').mockResolvedValue([]);
+    jest.spyOn(User, 'findDueForPurge').mockImplementation(async (limit, { excludeIds }) =>
+      due.filter(user => !excludeIds.includes(user.id)).slice(0, limit)
+    );
+    jest.spyOn(User, 'anonymize').mockImplementation(async id => {
+      if (id === 'user-7') throw new Error('connection reset');
+      due = due.filter(user => user.id !== id);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('works through the whole queue, skipping accounts that fail for the rest of the run', async () => {
+    await expect(purgeDeletedAccounts()).resolves.toEqual({ purged: 119, failed: 1 });
+
+    expect(due).toEqual([{ id: 'user-7' }]);
+    expect(User.findDueForPurge).toHaveBeenCalledTimes(4);
+    expect(User.findDueForPurge).toHaveBeenLastCalledWith(50, { excludeIds: ['user-7'], retryAfterHours: 12 });
+    expect(AccountDeletionAudit.log).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 'user-7',
+      step: 'purge_failed'
+    }));
+  });
+});
+
+describe('GET /api/users/:id', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/users', userRoutes);
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('treats accounts waiting to be purged as missing', async () => {
+    jest.spyOn(User, 'findById').mockResolvedValue({
+      id: '7c9e6679-7425-40de-944b-e07fc1f90ae7',
+      username: 'ana',
+      is_verified: true,
+      deleted_at: new Date()
+    });
+
+    const response = await request(app).get('/api/users/7c9e6679-7425-40de-944b-e07fc1f90ae7');
+
+    expect(response.status).toBe(404);
+    expect(response.body.message).toBe('User not found');
+  });
+});
@@ -0,0 +1,34 @@
+const { calculateAge, isOfAge } = require('../utils/ageGate');
+
+describe('calculateAge', () => {
+  const now = new Date('2024-05-02T10:00:00Z');
+
+  it('counts a birthday from the day itself', () => {
+    expect(calculateAge('2006-05-02', now)).toBe(18);
+    expect(calculateAge('2006-05-03', now)).toBe(17);
+    expect(calculateAge('2006-05-01', now)).toBe(18);
+  });
+
+  it('reads date strings as calendar dates, whatever the server timezone', () => {
+    // Both are the same calendar day; a timezone shift would make one of them 17
+    expect(calculateAge('2006-05-02', new Date('2024-05-02T00:30:00Z'))).toBe(18);
+    expect(calculateAge('2006-05-02', new Date('2024-05-02T23:30:00Z'))).toBe(18);
+    expect(calculateAge('2006-05-02T00:00:00.000Z', now)).toBe(18);
+  });
+
+  it('handles leap-day birthdays', () => {
+    expect(calculateAge('2004-02-29', new Date('2022-02-28T12:00:00Z'))).toBe(17);
+    expect(calculateAge('2004-02-29', new Date('2022-03-01T12:00:00Z'))).toBe(18);
+  });
+
+  it('returns null for missing or invalid dates', () => {
+    expect(calculateAge(null, now)).toBeNull();
+    expect(calculateAge('not a date', now)).toBeNull();
+  });
+
+  it('gates on the minimum age', () => {
+    expect(isOfAge('1990-01-01')).toBe(true);
+    expect(isOfAge(new Date().toISOString().slice(0, 10))).toBe(false);
+    expect(isOfAge(null)).toBe(false);
+  });
+});
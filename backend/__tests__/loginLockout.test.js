@@ -0,0 +1,133 @@
+jest.mock('../config/database', () => ({
+  pool: {},
+  query: jest.fn(),
+  transaction: jest.fn(),
+  connectDB: jest.fn()
+}));
+jest.mock('../config/redis', () => ({
+  setCache: jest.fn(),
+  getCache: jest.fn(),
+  deleteCache: jest.fn(),
+  consumeCache: jest.fn(),
+  incrementCounter: jest.fn(),
+  decrementCounter: jest.fn(),
+  getCacheTTL: jest.fn(),
+  setUserSession: jest.fn(),
+  getUserSession: jest.fn(),
+  deleteUserSession: jest.fn(),
+  deleteAllUserSessions: jest.fn()
+}));
+jest.mock('../models/UserSession');
+jest.mock('../models/UserActivity');
+jest.mock('../utils/mailer', () => ({ sendMail: jest.fn() }));
+jest.mock('../utils/socketHandler', () => ({ disconnectSessions: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const redis = require('../config/redis');
+const { sendMail } = require('../utils/mailer');
+const authRoutes = require('../routes/auth');
+
+const USER_ID = '0d8a3f6e-2b1c-4c5d-9e7f-1a2b3c4d5e6f';
+const EMAIL = 'ana@example.com';
+
+describe('POST /api/auth/login lockouts', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+
+  const counters = new Map();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    counters.clear();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    redis.getCacheTTL.mockResolvedValue(0);
+    redis.incrementCounter.mockImplementation(async key => {
+      counters.set(key, (counters.get(key) || 0) + 1);
+      return counters.get(key);
+    });
+
+    jest.spyOn(User, 'findByEmail').mockResolvedValue({
+      id: USER_ID,
+      email: EMAIL,
+      first_name: 'Ana',
+      password_hash: 'hash',
+      two_factor_enabled: false,
+      login_attempts: 0,
+      locked_until: null
+    });
+    jest.spyOn(User, 'verifyPassword').mockResolvedValue(false);
+    jest.spyOn(User, 'recordFailedLogin').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const login = (email = EMAIL) => request(app)
+    .post('/api/auth/login')
+    .send({ email, password: 'wrong-password' });
+
+  it('rejects wrong passwords below the limit without locking', async () => {
+    const response = await login();
+
+    expect(response.status).toBe(401);
+    expect(response.body.code).toBe('INVALID_CREDENTIALS');
+    expect(redis.setCache).not.toHaveBeenCalled();
+  });
+
+  it('locks the account on the fifth failure and emails an unlock link', async () => {
+    counters.set(`login_fail:account:${EMAIL}`, 4);
+
+    const response = await login();
+
+    expect(response.status).toBe(423);
+    expect(response.body).toMatchObject({ code: 'ACCOUNT_LOCKED', retryAfter: 5 * 60 });
+    expect(redis.setCache).toHaveBeenCalledWith(`login_lock:account:${EMAIL}`, true, 5 * 60);
+    expect(User.recordFailedLogin).toHaveBeenCalledWith(USER_ID, expect.any(Date));
+    expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({ to: EMAIL }));
+  });
+
+  it('doubles the lock with each further failure, up to a day', async () => {
+    counters.set(`login_fail:account:${EMAIL}`, 6);
+    expect((await login()).body.retryAfter).toBe(20 * 60);
+
+    counters.set(`login_fail:account:${EMAIL}`, 40);
+    expect((await login()).body.retryAfter).toBe(24 * 60 * 60);
+  });
+
+  it('rejects even the right password while the account is locked', async () => {
+    redis.getCacheTTL.mockImplementation(async key => (key === `login_lock:account:${EMAIL}` ? 120 : 0));
+    User.verifyPassword.mockResolvedValue(true);
+
+    const response = await login();
+
+    expect(response.status).toBe(423);
+    expect(response.body.retryAfter).toBe(120);
+    expect(User.verifyPassword).not.toHaveBeenCalled();
+  });
+
+  it('counts failures for unknown emails the same way', async () => {
+    User.findByEmail.mockResolvedValue(null);
+    counters.set('login_fail:account:nobody@example.com', 4);
+
+    const response = await login('nobody@example.com');
+
+    expect(response.status).toBe(423);
+    expect(User.verifyPassword).toHaveBeenCalledWith('wrong-password', undefined);
+    expect(User.recordFailedLogin).not.toHaveBeenCalled();
+  });
+
+  it('blocks an IP after 20 failures across any accounts', async () => {
+    // Nineteen failures from this IP already, whatever address supertest connects from
+    redis.incrementCounter.mockImplementation(async key => (key.startsWith('login_fail:ip:') ? 20 : 1));
+
+    const response = await login('someone@example.com');
+
+    expect(response.status).toBe(429);
+    expect(response.body).toMatchObject({ code: 'LOGIN_RATE_LIMITED', retryAfter: 15 * 60 });
+  });
+});
@@ -0,0 +1,57 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { sendMail, getTransport, setTransport, createFileTransport } = require('../utils/mailer');
+
+describe('mailer', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    setTransport(null);
+  });
+
+  it('writes messages as JSON with the file transport', async () => {
+    const outboxDir = await fs.mkdtemp(path.join(os.tmpdir(), 'outbox-'));
+    setTransport(createFileTransport(outboxDir));
+
+    const result = await sendMail({ to: 'ana@example.com', subject: 'Hello', text: 'Hi Ana' });
+    const message = JSON.parse(await fs.readFile(result.filePath, 'utf8'));
+
+    expect(message).toMatchObject({ to: 'ana@example.com', subject: 'Hello', text: 'Hi Ana' });
+    expect(message.from).toContain('<');
+    await fs.rm(outboxDir, { recursive: true, force: true });
+  });
+
+  it('requires a recipient and subject', async () => {
+    await expect(sendMail({ to: 'ana@example.com' })).rejects.toThrow('Recipient and subject are required');
+  });
+
+  it('falls back to the console transport outside production', () => {
+    process.env.NODE_ENV = 'development';
+    delete process.env.EMAIL_PROVIDER;
+
+    expect(getTransport().name).toBe('console');
+  });
+
+  it('refuses to run production without a real provider', () => {
+    process.env.NODE_ENV = 'production';
+    delete process.env.EMAIL_PROVIDER;
+    expect(() => getTransport()).toThrow('EMAIL_PROVIDER must be "smtp" in production');
+
+    process.env.EMAIL_PROVIDER = 'console';
+    expect(() => getTransport()).toThrow('EMAIL_PROVIDER must be "smtp" in production');
+
+    process.env.EMAIL_PROVIDER = 'smtp';
+    delete process.env.SMTP_HOST;
+    expect(() => getTransport()).toThrow('SMTP_HOST is required');
+  });
+
+  it('uses smtp in production once it is configured', () => {
+    process.env.NODE_ENV = 'production';
+    process.env.EMAIL_PROVIDER = 'smtp';
+    process.env.SMTP_HOST = 'smtp.example.com';
+
+    expect(getTransport().name).toBe('smtp');
+  });
+});
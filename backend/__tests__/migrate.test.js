@@ -0,0 +1,54 @@
+jest.mock('../config/database', () => ({ pool: {} }));
+
+const fs = require('fs');
+const path = require('path');
+const { splitStatements } = require('../utils/migrate');
+
+describe('splitStatements', () => {
+  const split = sql => splitStatements(sql).map(stmt => stmt.trim()).filter(Boolean);
+
+  it('splits on semicolons between statements', () => {
+    expect(split('SELECT 1; SELECT 2;\nSELECT 3')).toEqual(['SELECT 1', 'SELECT 2', 'SELECT 3']);
+  });
+
+  it('keeps function bodies in one statement', () => {
+    const fn = `CREATE FUNCTION touch() RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ language 'plpgsql'`;
+
+    expect(split(`${fn};\nCREATE TRIGGER t BEFORE UPDATE ON users FOR EACH ROW EXECUTE FUNCTION touch();`))
+      .toEqual([fn, 'CREATE TRIGGER t BEFORE UPDATE ON users FOR EACH ROW EXECUTE FUNCTION touch()']);
+    expect(split('DO $body$ BEGIN PERFORM 1; END $body$; SELECT 2')).toEqual([
+      'DO $body$ BEGIN PERFORM 1; END $body$',
+      'SELECT 2'
+    ]);
+  });
+
+  it('ignores semicolons and dollar signs inside string literals', () => {
+    expect(split("INSERT INTO t VALUES ('a;b', '$2a$10$hash'); SELECT 'it''s;'")).toEqual([
+      "INSERT INTO t VALUES ('a;b', '$2a$10$hash')",
+      "SELECT 'it''s;'"
+    ]);
+  });
+
+  it('drops line comments, but not -- inside strings or identifiers', () => {
+    expect(split(`-- the user's settings; kept for later
+-- DROP TABLE users;
+INSERT INTO t (note) VALUES ('a -- b'); -- trailing
+SELECT "odd--name" FROM t`)).toEqual([
+      "INSERT INTO t (note) VALUES ('a -- b')",
+      'SELECT "odd--name" FROM t'
+    ]);
+  });
+
+  it('splits the schema into statements that all start with SQL', () => {
+    const schema = fs.readFileSync(path.join(__dirname, '../../database/schema.sql'), 'utf8');
+
+    for (const statement of split(schema)) {
+      expect(statement).toMatch(/^(CREATE|ALTER|DROP|INSERT|UPDATE|DELETE|COMMENT)\b/);
+    }
+  });
+});
@@ -0,0 +1,41 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { storeSelfie } = require('../utils/photoVerification');
+
+describe('storeSelfie', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'selfies-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('re-encodes real photos as JPEG and removes the upload', async () => {
+    const upload = path.join(directory, 'upload');
+    await sharp({ create: { width: 40, height: 30, channels: 3, background: '#336699' } })
+      .png()
+      .toFile(upload);
+
+    const stored = await storeSelfie(upload);
+
+    expect(stored).toBe(`${upload}.jpg`);
+    expect((await sharp(stored).metadata()).format).toBe('jpeg');
+    expect(fs.existsSync(upload)).toBe(false);
+  });
+
+  it('rejects HTML and SVG uploads, whatever they claim to be', async () => {
+    const html = path.join(directory, 'html');
+    fs.writeFileSync(html, '<html><script>alert(1)</script></html>');
+    const svg = path.join(directory, 'svg');
+    fs.writeFileSync(svg, '<svg xmlns="http://www.w3.org/2000/svg" width="10" height="10"><script>alert(1)</script></svg>');
+
+    await expect(storeSelfie(html)).resolves.toBeNull();
+    await expect(storeSelfie(svg)).resolves.toBeNull();
+    expect(fs.readdirSync(directory)).toEqual([]);
+  });
+});
@@ -0,0 +1,114 @@
+jest.mock('../config/database', () => ({ pool: {}, query: jest.fn() }));
+
+const { query } = require('../config/database');
+const {
+  pickPrivacySettings,
+  getVisibleDistance,
+  isIncognito,
+  isPresenceVisible,
+  getVisiblePresence,
+  shouldSendReadReceipts,
+  canViewProfile
+} = require('../utils/privacy');
+
+describe('privacy', () => {
+  describe('pickPrivacySettings', () => {
+    it('keeps known toggles and visibility values and drops everything else', () => {
+      expect(pickPrivacySettings({
+        show_distance: false,
+        read_receipts: 'no',
+        profile_visibility: 'matches',
+        is_admin: true
+      })).toEqual({ show_distance: false, profile_visibility: 'matches' });
+      expect(pickPrivacySettings({ profile_visibility: 'friends' })).toEqual({});
+      expect(pickPrivacySettings(null)).toEqual({});
+    });
+  });
+
+  describe('getVisibleDistance', () => {
+    it('shows a bucket, never the exact distance', () => {
+      expect(getVisibleDistance(3.2, null)).toBe('< 5 km');
+      expect(getVisibleDistance(0.4, { show_distance: true })).toBe('< 1 km');
+      expect(getVisibleDistance(240, {})).toBe('100+ km');
+    });
+
+    it('hides the distance when the owner turned it off', () => {
+      expect(getVisibleDistance(3.2, { show_distance: false })).toBeNull();
+    });
+  });
+
+  describe('isIncognito', () => {
+    it('only counts while the user has premium', () => {
+      expect(isIncognito({ incognito_mode: true, is_premium: true })).toBe(true);
+      expect(isIncognito({ incognito_mode: true, is_premium: false })).toBe(false);
+      expect(isIncognito({ incognito_mode: false, is_premium: true })).toBe(false);
+    });
+  });
+
+  describe('isPresenceVisible', () => {
+    it('is visible by default', () => {
+      expect(isPresenceVisible(null, 'online')).toBe(true);
+    });
+
+    it('is hidden by the online status toggle or by going invisible', () => {
+      expect(isPresenceVisible({ show_online_status: false }, 'online')).toBe(false);
+      expect(isPresenceVisible({}, 'invisible')).toBe(false);
+    });
+
+    it('is hidden while browsing incognito', () => {
+      expect(isPresenceVisible({}, 'online', true)).toBe(false);
+    });
+  });
+
+  describe('getVisiblePresence', () => {
+    const lastSeen = new Date('2024-06-15T10:00:00Z');
+
+    it('reads as offline when presence is hidden, and drops last seen when that is hidden', () => {
+      expect(getVisiblePresence({
+        is_online: true,
+        last_seen: lastSeen,
+        presence_status: 'invisible',
+        privacy_settings: { show_last_seen: false }
+      })).toEqual({ isOnline: false, lastSeen: null });
+    });
+
+    it('reads as offline for premium users browsing incognito, but not once premium lapses', () => {
+      const incognito = { is_online: true, last_seen: lastSeen, presence_status: 'online', incognito_mode: true };
+
+      expect(getVisiblePresence({ ...incognito, is_premium: true }).isOnline).toBe(false);
+      expect(getVisiblePresence({ ...incognito, is_premium: false }).isOnline).toBe(true);
+    });
+
+    it('passes both through when allowed', () => {
+      expect(getVisiblePresence({ is_online: true, last_seen: lastSeen, presence_status: 'online' }))
+        .toEqual({ isOnline: true, lastSeen });
+    });
+  });
+
+  describe('shouldSendReadReceipts', () => {
+    it('follows the reader\'s setting, on by default', () => {
+      expect(shouldSendReadReceipts(null)).toBe(true);
+      expect(shouldSendReadReceipts({ read_receipts: false })).toBe(false);
+    });
+  });
+
+  describe('canViewProfile', () => {
+    beforeEach(() => {
+      query.mockReset().mockResolvedValue({ rows: [{ other_user_id: 'match' }] });
+    });
+
+    it('lets owners see their own profile whatever its visibility', async () => {
+      await expect(canViewProfile('owner', { id: 'owner', privacy_settings: { profile_visibility: 'hidden' } }))
+        .resolves.toBe(true);
+    });
+
+    it('shows matches-only profiles to matches alone, and hidden ones to nobody', async () => {
+      const matchesOnly = { id: 'owner', privacy_settings: { profile_visibility: 'matches' } };
+
+      await expect(canViewProfile('match', matchesOnly)).resolves.toBe(true);
+      await expect(canViewProfile('stranger', matchesOnly)).resolves.toBe(false);
+      await expect(canViewProfile('match', { id: 'owner', privacy_settings: { profile_visibility: 'hidden' } }))
+        .resolves.toBe(false);
+    });
+  });
+});
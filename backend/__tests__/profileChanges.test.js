@@ -0,0 +1,104 @@
+jest.mock('../config/database', () => ({
+  pool: {},
+  query: jest.fn(),
+  transaction: jest.fn(),
+  connectDB: jest.fn()
+}));
+jest.mock('../config/redis', () => ({
+  setCache: jest.fn(),
+  getCache: jest.fn(),
+  deleteCache: jest.fn(),
+  deleteAllUserSessions: jest.fn()
+}));
+jest.mock('../middleware/auth', () => {
+  const pass = (req, res, next) => next();
+  return {
+    authenticateToken: (req, res, next) => {
+      req.user = { id: '0d8a3f6e-2b1c-4c5d-9e7f-1a2b3c4d5e6f' };
+      next();
+    },
+    requireVerified: pass,
+    requireCompleteProfile: pass,
+    requirePremium: pass
+  };
+});
+jest.mock('../models/UserActivity');
+jest.mock('../utils/socketHandler', () => ({ disconnectSessions: jest.fn(), broadcastPresence: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const UserPhoto = require('../models/UserPhoto');
+const userRoutes = require('../routes/users');
+const { PROFILE_CHANGE_COOLDOWNS, getProfileChanges, getCooldownEnd } = require('../utils/profileChanges');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe('getProfileChanges', () => {
+  const user = { username: 'ana', first_name: 'Ana', last_name: 'Silva', bio: null };
+
+  it('lists only the tracked fields an update changes', () => {
+    expect(getProfileChanges(user, { username: 'ana', firstName: 'Anna', bio: 'Hello', city: 'Porto' })).toEqual([
+      { field: 'first_name', oldValue: 'Ana', newValue: 'Anna' },
+      { field: 'bio', oldValue: null, newValue: 'Hello' }
+    ]);
+  });
+
+  it('does not treat clearing an empty bio as a change', () => {
+    expect(getProfileChanges(user, { bio: '' })).toEqual([]);
+  });
+});
+
+describe('getCooldownEnd', () => {
+  const [usernameCooldown] = PROFILE_CHANGE_COOLDOWNS;
+
+  it('is open when the fields have never changed', () => {
+    expect(getCooldownEnd(usernameCooldown, null)).toBeNull();
+  });
+
+  it('ends the cooldown length after the last change', () => {
+    const lastChangedAt = new Date(Date.now() - 10 * DAY);
+
+    expect(getCooldownEnd(usernameCooldown, lastChangedAt))
+      .toEqual(new Date(lastChangedAt.getTime() + usernameCooldown.days * DAY));
+  });
+
+  it('is open once the cooldown has passed', () => {
+    expect(getCooldownEnd(usernameCooldown, new Date(Date.now() - 31 * DAY))).toBeNull();
+  });
+});
+
+describe('PUT /api/users/photos/order', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/users', userRoutes);
+
+  const photoIds = ['7c9e6679-7425-40de-944b-e07fc1f90ae7', '9b2d5c1e-3f4a-4b6c-8d7e-0f1a2b3c4d5e'];
+
+  beforeEach(() => {
+    jest.spyOn(UserPhoto, 'reorder').mockResolvedValue([]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('keeps the gallery order while the account is under review', async () => {
+    jest.spyOn(User, 'findById').mockResolvedValue({ id: 'user', under_review_at: new Date() });
+
+    const response = await request(app).put('/api/users/photos/order').send({ photoIds });
+
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe('ACCOUNT_UNDER_REVIEW');
+    expect(UserPhoto.reorder).not.toHaveBeenCalled();
+  });
+
+  it('reorders the gallery otherwise', async () => {
+    jest.spyOn(User, 'findById').mockResolvedValue({ id: 'user', under_review_at: null });
+
+    const response = await request(app).put('/api/users/photos/order').send({ photoIds });
+
+    expect(response.status).toBe(200);
+    expect(UserPhoto.reorder).toHaveBeenCalledWith('0d8a3f6e-2b1c-4c5d-9e7f-1a2b3c4d5e6f', photoIds);
+  });
+});
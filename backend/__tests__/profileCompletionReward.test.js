@@ -0,0 +1,117 @@
+jest.mock('../config/database', () => ({
+  pool: {},
+  query: jest.fn(),
+  transaction: jest.fn(),
+  connectDB: jest.fn()
+}));
+jest.mock('../config/redis', () => ({
+  setCache: jest.fn(),
+  getCache: jest.fn(),
+  deleteCache: jest.fn(),
+  deleteAllUserSessions: jest.fn()
+}));
+jest.mock('../middleware/auth', () => {
+  const pass = (req, res, next) => next();
+  return {
+    authenticateToken: (req, res, next) => {
+      req.user = { id: '0d8a3f6e-2b1c-4c5d-9e7f-1a2b3c4d5e6f' };
+      next();
+    },
+    requireVerified: pass,
+    requireCompleteProfile: pass,
+    requirePremium: pass
+  };
+});
+jest.mock('../models/UserActivity');
+jest.mock('../utils/socketHandler', () => ({ disconnectSessions: jest.fn(), broadcastPresence: jest.fn() }));
+
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const { transaction } = require('../config/database');
+const User = require('../models/User');
+const UserPhoto = require('../models/UserPhoto');
+const { PROFILE_COMPLETION_REWARD } = require('../utils/profileCompleteness');
+const userRoutes = require('../routes/users');
+
+// The coin_transactions columns and allowed types, as schema.sql creates them
+const schema = fs.readFileSync(path.join(__dirname, '../../database/schema.sql'), 'utf8');
+const coinTable = schema.match(/CREATE TABLE coin_transactions \(([\s\S]*?)\n\);/)[1];
+const coinColumns = coinTable.split('\n').map(line => line.trim().split(' ')[0]).filter(Boolean);
+const coinTypes = coinTable.match(/CHECK \(type IN \(([^)]*)\)\)/)[1].split(',').map(type => type.trim().slice(1, -1));
+
+describe('POST /api/users/profile/completion-reward', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/users', userRoutes);
+
+  let balance;
+  let ledger;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    balance = 20;
+    ledger = [];
+
+    // A client that applies the two statements updateCoins runs and enforces the table's
+    // columns and type CHECK
+    transaction.mockImplementation(async callback => callback({
+      query: async (sql, params) => {
+        if (sql.startsWith('UPDATE users SET coins')) {
+          balance += params[1];
+          return { rows: [{ coins: balance }] };
+        }
+
+        const [, columns] = sql.match(/INSERT INTO coin_transactions \(([^)]*)\)/);
+        const row = Object.fromEntries(columns.split(',').map((column, index) => [column.trim(), params[index]]));
+        for (const column of Object.keys(row)) {
+          if (!coinColumns.includes(column)) throw new Error(`column "${column}" does not exist`);
+        }
+        if (!coinTypes.includes(row.type)) throw new Error('violates check constraint "coin_transactions_type_check"');
+        ledger.push(row);
+        return { rows: [] };
+      }
+    }));
+
+    jest.spyOn(User, 'findById').mockResolvedValue({
+      id: '0d8a3f6e-2b1c-4c5d-9e7f-1a2b3c4d5e6f',
+      bio: 'Weekend hiker and amateur baker',
+      location_city: 'Lisbon',
+      date_of_birth: '1995-04-12',
+      language_preference: 'pt',
+      profile_picture: '/uploads/photo.jpg'
+    });
+    jest.spyOn(User, 'getUserInterests').mockResolvedValue([{ id: 1 }, { id: 2 }, { id: 3 }]);
+    jest.spyOn(UserPhoto, 'countByUser').mockResolvedValue(2);
+    jest.spyOn(User, 'markProfileCompletionRewarded').mockResolvedValue(true);
+    jest.spyOn(User, 'clearProfileCompletionReward').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('credits the reward and records it in the coin ledger', async () => {
+    const response = await request(app).post('/api/users/profile/completion-reward');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ reward: PROFILE_COMPLETION_REWARD, coins: 20 + PROFILE_COMPLETION_REWARD });
+    expect(ledger).toEqual([expect.objectContaining({
+      type: 'profile_completion',
+      amount: PROFILE_COMPLETION_REWARD
+    })]);
+    expect(User.clearProfileCompletionReward).not.toHaveBeenCalled();
+  });
+
+  it('does not pay out twice', async () => {
+    User.markProfileCompletionRewarded.mockResolvedValue(false);
+
+    const response = await request(app).post('/api/users/profile/completion-reward');
+
+    expect(response.status).toBe(409);
+    expect(response.body.code).toBe('REWARD_ALREADY_CLAIMED');
+    expect(ledger).toEqual([]);
+  });
+});
@@ -0,0 +1,99 @@
+jest.mock('../config/database', () => ({ pool: {}, query: jest.fn() }));
+jest.mock('../config/redis', () => ({
+  getCache: jest.fn(),
+  setCache: jest.fn(),
+  deleteCache: jest.fn()
+}));
+jest.mock('../models/AppSetting', () => ({ get: jest.fn(async (key, fallback) => fallback) }));
+
+const AppSetting = require('../models/AppSetting');
+const { SCORING_SIGNALS, scoreCandidate, buildDeck, getSignalWeights } = require('../utils/recommendations');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const viewer = {
+  id: 'viewer',
+  gender: 'female',
+  date_of_birth: '1995-04-12',
+  language_preference: 'en',
+  desirability_score: 1000
+};
+const context = { replyStats: {}, maxDistance: 50 };
+const weights = Object.fromEntries(SCORING_SIGNALS.map(signal => [signal.name, signal.weight]));
+
+// An established profile (old enough and swiped on enough to be ranked normally)
+const candidate = (id, overrides = {}) => ({
+  id,
+  shared_interests: 0,
+  language_preference: 'fr',
+  last_active: null,
+  matching_preferences: { preferred_gender: 'male' },
+  desirability_score: 1800,
+  distance_km: 50,
+  created_at: new Date(Date.now() - 365 * DAY),
+  swipes_received: 500,
+  ...overrides
+});
+
+describe('recommendations', () => {
+  describe('scoreCandidate', () => {
+    it('sums each signal weighted, and explains every contribution', () => {
+      const { score, signals } = scoreCandidate(candidate('c', {
+        shared_interests: 3,
+        language_preference: 'en',
+        matching_preferences: { preferred_gender: 'female', min_age: 18, max_age: 99 },
+        desirability_score: 1000,
+        distance_km: 0,
+        last_active: new Date()
+      }), viewer, { ...context, replyStats: { c: { received: 8, replied: 8 } } }, weights);
+
+      expect(signals.sharedInterests).toEqual({ value: 1, weight: 0.25, contribution: 0.25 });
+      expect(signals.replyRate.value).toBe(0.9);
+      expect(score).toBeCloseTo(1 - 0.15 * 0.1, 2);
+    });
+
+    it('scores a poor fit near zero', () => {
+      const { score, signals } = scoreCandidate(candidate('c'), viewer, context, weights);
+
+      expect(signals.preferenceFit.value).toBe(0.5);
+      expect(signals.desirability.value).toBe(0);
+      expect(score).toBeCloseTo(0.5 * 0.15 + 0.5 * 0.15, 3);
+    });
+  });
+
+  describe('getSignalWeights', () => {
+    it('applies numeric overrides from app_settings and ignores anything else', async () => {
+      AppSetting.get.mockResolvedValueOnce({ distance: 0.4, replyRate: 'high' });
+
+      const tuned = await getSignalWeights();
+
+      expect(tuned.distance).toBe(0.4);
+      expect(tuned.replyRate).toBe(0.15);
+    });
+  });
+
+  describe('buildDeck', () => {
+    const ranked = Array.from({ length: 12 }, (_, index) =>
+      candidate(`ranked-${index}`, { shared_interests: 3 - index * 0.25 })
+    );
+    const fresh = ['new-a', 'new-b'].map(id => candidate(id, { created_at: new Date(), swipes_received: 0 }));
+
+    it('ranks by score, best first', () => {
+      const deck = buildDeck([...ranked].reverse(), viewer, context, weights);
+
+      expect(deck.map(entry => entry.candidate.id)).toEqual(ranked.map(entry => entry.id));
+      expect(deck.every(entry => !entry.exploration)).toBe(true);
+    });
+
+    it('gives every fifth card to a new profile, each shown once', () => {
+      const deck = buildDeck([...ranked, ...fresh], viewer, context, weights);
+      const ids = deck.map(entry => entry.candidate.id);
+
+      expect(deck).toHaveLength(14);
+      expect(new Set(ids).size).toBe(14);
+      expect(deck.map(entry => entry.exploration))
+        .toEqual(deck.map((entry, index) => index === 4 || index === 9));
+      expect([ids[4], ids[9]].sort()).toEqual(['new-a', 'new-b']);
+    });
+  });
+});
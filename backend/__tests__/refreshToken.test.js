@@ -0,0 +1,136 @@
+jest.mock('../config/database', () => ({
+  pool: {},
+  query: jest.fn(),
+  transaction: jest.fn(),
+  connectDB: jest.fn()
+}));
+jest.mock('../config/redis', () => ({
+  setCache: jest.fn(),
+  getCache: jest.fn(),
+  deleteCache: jest.fn(),
+  consumeCache: jest.fn(),
+  incrementCounter: jest.fn(),
+  decrementCounter: jest.fn(),
+  getCacheTTL: jest.fn(),
+  setUserSession: jest.fn(),
+  getUserSession: jest.fn(),
+  deleteUserSession: jest.fn(),
+  deleteAllUserSessions: jest.fn()
+}));
+jest.mock('../models/UserSession');
+jest.mock('../utils/socketHandler', () => ({ disconnectSessions: jest.fn() }));
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const User = require('../models/User');
+const UserSession = require('../models/UserSession');
+const { deleteUserSession, setUserSession } = require('../config/redis');
+const { disconnectSessions } = require('../utils/socketHandler');
+const { hashToken } = require('../utils/tokens');
+const authRoutes = require('../routes/auth');
+
+const USER_ID = '0d8a3f6e-2b1c-4c5d-9e7f-1a2b3c4d5e6f';
+const SESSION_ID = '7e6d5c4b-3a2f-4e1d-8c9b-0a1f2e3d4c5b';
+
+describe('POST /api/auth/refresh', () => {
+  const io = { name: 'io' };
+  const app = express();
+  app.use(express.json());
+  app.set('io', io);
+  app.use('/api/auth', authRoutes);
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = 'test-secret';
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('revokes the whole session when a rotated-out token is replayed', async () => {
+    UserSession.findByTokenHash.mockResolvedValue(null);
+    UserSession.findByRotatedTokenHash.mockResolvedValue({ id: SESSION_ID, user_id: USER_ID, is_active: true });
+
+    const response = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: 'stolen-old-token' });
+
+    expect(response.status).toBe(401);
+    expect(response.body.code).toBe('REFRESH_TOKEN_REUSED');
+    expect(UserSession.findByRotatedTokenHash).toHaveBeenCalledWith(hashToken('stolen-old-token'));
+    expect(UserSession.revoke).toHaveBeenCalledWith(SESSION_ID, 'token_reuse');
+    expect(deleteUserSession).toHaveBeenCalledWith(USER_ID, SESSION_ID);
+    expect(disconnectSessions).toHaveBeenCalledWith(io, [SESSION_ID], 'token_reuse');
+    expect(UserSession.rotate).not.toHaveBeenCalled();
+  });
+
+  it('rejects unknown tokens without revoking anything', async () => {
+    UserSession.findByTokenHash.mockResolvedValue(null);
+    UserSession.findByRotatedTokenHash.mockResolvedValue(null);
+
+    const response = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: 'made-up-token' });
+
+    expect(response.status).toBe(401);
+    expect(response.body.code).toBe('INVALID_REFRESH_TOKEN');
+    expect(UserSession.revoke).not.toHaveBeenCalled();
+  });
+
+  it('rotates the current token into a new pair', async () => {
+    UserSession.findByTokenHash.mockResolvedValue({
+      id: SESSION_ID,
+      user_id: USER_ID,
+      device_type: 'ios',
+      is_active: true,
+      expires_at: new Date(Date.now() + 60 * 60 * 1000)
+    });
+    UserSession.rotate.mockResolvedValue({ id: SESSION_ID });
+    jest.spyOn(User, 'findById').mockResolvedValue({
+      id: USER_ID,
+      email: 'ana@example.com',
+      username: 'ana',
+      token_version: 2
+    });
+
+    const response = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: 'current-token' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.refreshToken).toEqual(expect.any(String));
+    expect(response.body.refreshToken).not.toBe('current-token');
+    expect(UserSession.rotate).toHaveBeenCalledWith(
+      SESSION_ID,
+      hashToken('current-token'),
+      hashToken(response.body.refreshToken),
+      expect.any(Date),
+      expect.anything()
+    );
+    expect(jwt.verify(response.body.token, 'test-secret')).toMatchObject({ id: USER_ID, sid: SESSION_ID, tv: 2 });
+    expect(setUserSession).toHaveBeenCalled();
+  });
+
+  it('refuses tokens of a revoked session', async () => {
+    UserSession.findByTokenHash.mockResolvedValue({
+      id: SESSION_ID,
+      user_id: USER_ID,
+      is_active: false,
+      expires_at: new Date(Date.now() + 60 * 60 * 1000)
+    });
+
+    const response = await request(app)
+      .post('/api/auth/refresh')
+      .send({ refreshToken: 'current-token' });
+
+    expect(response.status).toBe(401);
+    expect(response.body.code).toBe('SESSION_EXPIRED');
+    expect(UserSession.rotate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,166 @@
+jest.mock('../config/database', () => ({
+  pool: {},
+  query: jest.fn(),
+  transaction: jest.fn(),
+  connectDB: jest.fn()
+}));
+jest.mock('../config/redis', () => ({
+  getCache: jest.fn(),
+  setCache: jest.fn(),
+  deleteCache: jest.fn()
+}));
+let mockCurrentUser;
+jest.mock('../middleware/auth', () => {
+  const pass = (req, res, next) => next();
+  return {
+    authenticateToken: (req, res, next) => {
+      req.user = { ...mockCurrentUser };
+      next();
+    },
+    requireVerified: pass,
+    requireCompleteProfile: pass,
+    checkCoins: () => pass
+  };
+});
+jest.mock('../models/AppSetting', () => ({ get: jest.fn(async (key, fallback) => fallback) }));
+jest.mock('../models/SwipeHistory');
+jest.mock('../utils/swipeQuota', () => ({
+  consumeSwipeQuota: jest.fn(),
+  releaseSwipeQuota: jest.fn(),
+  swipeLimitResponse: jest.fn()
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { transaction } = require('../config/database');
+const User = require('../models/User');
+const AppSetting = require('../models/AppSetting');
+const SwipeHistory = require('../models/SwipeHistory');
+const { releaseSwipeQuota } = require('../utils/swipeQuota');
+const matchRoutes = require('../routes/matches');
+
+const USER_ID = '0d8a3f6e-2b1c-4c5d-9e7f-1a2b3c4d5e6f';
+const TARGET_ID = '7c9e6679-7425-40de-944b-e07fc1f90ae7';
+
+describe('POST /api/matches/rewind', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/matches', matchRoutes);
+
+  let statements;
+  let coins;
+  let alreadyMatched;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    statements = [];
+    coins = 12;
+    alreadyMatched = false;
+    mockCurrentUser = { id: USER_ID, isPremium: false, coins };
+
+    transaction.mockImplementation(async callback => callback({
+      query: async (sql, params) => {
+        statements.push({ sql: sql.trim(), params });
+        if (sql.includes('FROM conversations')) {
+          return { rows: alreadyMatched ? [{ '?column?': 1 }] : [] };
+        }
+        if (sql.startsWith('UPDATE users SET coins')) {
+          if (coins < params[1]) return { rows: [] };
+          coins -= params[1];
+          return { rows: [{ coins }] };
+        }
+        return { rows: [], rowCount: 1 };
+      }
+    }));
+    jest.spyOn(User, 'revertDesirability').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const lastSwipe = (overrides = {}) => SwipeHistory.findLatestForUpdate.mockResolvedValue({
+    id: 'swipe-1',
+    target_id: TARGET_ID,
+    action: 'like',
+    previous_action: null,
+    desirability_change: 12.5,
+    created_at: new Date(Date.now() - 60 * 1000),
+    ...overrides
+  });
+  const rewind = () => request(app).post('/api/matches/rewind');
+  const ran = (text) => statements.some(({ sql }) => sql.includes(text));
+
+  it('charges the coin cost without premium, undoes the like and gives back the quota', async () => {
+    lastSwipe();
+
+    const response = await rewind();
+
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ action: 'like', userId: TARGET_ID, coinsSpent: 5, coinsRemaining: 7 });
+    expect(ran("VALUES ($1, $2, 'rewind', 'Rewind', $3, NOW())")).toBe(true);
+    expect(ran('DELETE FROM matches')).toBe(true);
+    expect(User.revertDesirability).toHaveBeenCalledWith(TARGET_ID, 12.5, expect.anything());
+    expect(SwipeHistory.markRewound).toHaveBeenCalledWith('swipe-1', expect.anything());
+    expect(releaseSwipeQuota).toHaveBeenCalledWith(expect.objectContaining({ id: USER_ID }), 'likes', expect.any(Date));
+  });
+
+  it('is free with premium', async () => {
+    mockCurrentUser.isPremium = true;
+    lastSwipe({ action: 'pass' });
+
+    const response = await rewind();
+
+    expect(response.status).toBe(200);
+    expect(response.body.coinsSpent).toBe(0);
+    expect(ran('UPDATE users SET coins')).toBe(false);
+    expect(releaseSwipeQuota).not.toHaveBeenCalled();
+  });
+
+  it('puts back the swipe a pass replaced', async () => {
+    lastSwipe({ action: 'pass', previous_action: 'super_like' });
+
+    await rewind();
+
+    expect(statements.find(({ sql }) => sql.startsWith('UPDATE matches')).params)
+      .toEqual([USER_ID, TARGET_ID, true, true]);
+  });
+
+  it('refuses swipes older than the window, using the app setting', async () => {
+    AppSetting.get.mockResolvedValueOnce({ window_minutes: 10 });
+    lastSwipe({ created_at: new Date(Date.now() - 11 * 60 * 1000) });
+
+    const response = await rewind();
+
+    expect(response.status).toBe(410);
+    expect(response.body).toMatchObject({ code: 'REWIND_EXPIRED', message: expect.stringContaining('10 minutes') });
+    expect(SwipeHistory.markRewound).not.toHaveBeenCalled();
+  });
+
+  it('refuses likes that already became a match', async () => {
+    alreadyMatched = true;
+    lastSwipe();
+
+    const response = await rewind();
+
+    expect(response.status).toBe(409);
+    expect(response.body.code).toBe('ALREADY_MATCHED');
+    expect(ran('UPDATE users SET coins')).toBe(false);
+  });
+
+  it('needs enough coins', async () => {
+    coins = 3;
+    lastSwipe();
+
+    const response = await rewind();
+
+    expect(response.status).toBe(402);
+    expect(response.body).toMatchObject({ code: 'INSUFFICIENT_COINS', required: 5 });
+  });
+
+  it('has nothing to rewind without a swipe', async () => {
+    SwipeHistory.findLatestForUpdate.mockResolvedValue(null);
+
+    expect((await rewind()).status).toBe(404);
+  });
+});
@@ -0,0 +1,178 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const {
+  verifyGoogleIdToken,
+  verifyFacebookAccessToken,
+  setJwksFetcher,
+  setGraphFetcher
+} = require('../utils/socialAuth');
+
+describe('socialAuth', () => {
+  const originalEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...originalEnv };
+    setJwksFetcher(null);
+    setGraphFetcher(null);
+  });
+
+  describe('verifyGoogleIdToken', () => {
+    // A local issuer standing in for Google's signing keys
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const jwk = { ...publicKey.export({ format: 'jwk' }), kid: 'test-key', alg: 'RS256', use: 'sig' };
+
+    const signIdToken = (claims, options = {}) => jwt.sign(
+      {
+        sub: '1234567890',
+        email: 'Ana@Example.com',
+        email_verified: true,
+        given_name: 'Ana',
+        family_name: 'Lima',
+        ...claims
+      },
+      privateKey,
+      {
+        algorithm: 'RS256',
+        keyid: 'test-key',
+        audience: 'web-client',
+        issuer: 'https://accounts.google.com',
+        expiresIn: '5m',
+        ...options
+      }
+    );
+
+    beforeEach(() => {
+      process.env.GOOGLE_CLIENT_IDS = 'ios-client, web-client';
+      setJwksFetcher(async () => ({ keys: [jwk], maxAge: 3600 }));
+    });
+
+    it('returns the profile from a token signed by the issuer', async () => {
+      await expect(verifyGoogleIdToken(signIdToken())).resolves.toEqual({
+        provider: 'google',
+        providerId: '1234567890',
+        email: 'ana@example.com',
+        emailVerified: true,
+        firstName: 'Ana',
+        lastName: 'Lima',
+        profilePicture: null
+      });
+    });
+
+    it('rejects tokens issued to another client', async () => {
+      await expect(verifyGoogleIdToken(signIdToken({}, { audience: 'someone-else' })))
+        .rejects.toMatchObject({ code: 'INVALID_SOCIAL_TOKEN' });
+    });
+
+    it('rejects tokens from another issuer', async () => {
+      await expect(verifyGoogleIdToken(signIdToken({}, { issuer: 'https://evil.example.com' })))
+        .rejects.toMatchObject({ code: 'INVALID_SOCIAL_TOKEN' });
+    });
+
+    it('rejects expired tokens', async () => {
+      const token = signIdToken({ iat: Math.floor(Date.now() / 1000) - 600 }, { expiresIn: '5m' });
+      await expect(verifyGoogleIdToken(token)).rejects.toMatchObject({ code: 'INVALID_SOCIAL_TOKEN' });
+    });
+
+    it('rejects tokens signed with a key the issuer does not publish', async () => {
+      const { privateKey: otherKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+      const token = jwt.sign({ sub: '1' }, otherKey, {
+        algorithm: 'RS256',
+        keyid: 'test-key',
+        audience: 'web-client',
+        issuer: 'accounts.google.com'
+      });
+
+      await expect(verifyGoogleIdToken(token)).rejects.toThrow('Google ID token rejected');
+    });
+
+    it('rejects unknown key IDs and HS256 tokens', async () => {
+      await expect(verifyGoogleIdToken(signIdToken({}, { keyid: 'rotated-away' })))
+        .rejects.toThrow('unknown key');
+
+      const hmacToken = jwt.sign({ sub: '1' }, 'secret', { keyid: 'test-key' });
+      await expect(verifyGoogleIdToken(hmacToken)).rejects.toThrow('Malformed Google ID token');
+    });
+
+    it('refuses to run without a configured client ID', async () => {
+      delete process.env.GOOGLE_CLIENT_IDS;
+      delete process.env.GOOGLE_CLIENT_ID;
+
+      await expect(verifyGoogleIdToken(signIdToken())).rejects.toThrow('not configured');
+    });
+  });
+
+  describe('verifyFacebookAccessToken', () => {
+    const graph = ({ debug, profile }) => async (graphPath, params) => {
+      if (graphPath === '/debug_token') return debug(params);
+      if (graphPath === '/me') return profile(params);
+      throw new Error(`Unexpected Graph call ${graphPath}`);
+    };
+
+    beforeEach(() => {
+      process.env.FACEBOOK_APP_ID = '42';
+      process.env.FACEBOOK_APP_SECRET = 'app-secret';
+    });
+
+    it('returns the profile for a valid token issued to our app', async () => {
+      const calls = [];
+      setGraphFetcher(graph({
+        debug: params => {
+          calls.push(params);
+          return { data: { is_valid: true, app_id: '42', user_id: '777' } };
+        },
+        profile: params => {
+          calls.push(params);
+          return {
+            id: '777',
+            email: 'Ben@Example.com',
+            first_name: 'Ben',
+            last_name: 'Okafor',
+            picture: { data: { url: 'https://graph.example.com/777.jpg' } }
+          };
+        }
+      }));
+
+      await expect(verifyFacebookAccessToken('user-token')).resolves.toEqual({
+        provider: 'facebook',
+        providerId: '777',
+        email: 'ben@example.com',
+        emailVerified: true,
+        firstName: 'Ben',
+        lastName: 'Okafor',
+        profilePicture: 'https://graph.example.com/777.jpg'
+      });
+      expect(calls[0]).toEqual({ input_token: 'user-token', access_token: '42|app-secret' });
+      expect(calls[1].appsecret_proof).toBe(
+        crypto.createHmac('sha256', 'app-secret').update('user-token').digest('hex')
+      );
+    });
+
+    it('rejects tokens issued to another app', async () => {
+      setGraphFetcher(graph({
+        debug: () => ({ data: { is_valid: true, app_id: '99', user_id: '777' } }),
+        profile: () => ({ id: '777' })
+      }));
+
+      await expect(verifyFacebookAccessToken('user-token'))
+        .rejects.toMatchObject({ code: 'INVALID_SOCIAL_TOKEN' });
+    });
+
+    it('rejects invalid tokens', async () => {
+      setGraphFetcher(graph({
+        debug: () => ({ data: { is_valid: false, app_id: '42' } }),
+        profile: () => ({ id: '777' })
+      }));
+
+      await expect(verifyFacebookAccessToken('user-token')).rejects.toThrow('Facebook access token rejected');
+    });
+
+    it('rejects a profile that does not belong to the token', async () => {
+      setGraphFetcher(graph({
+        debug: () => ({ data: { is_valid: true, app_id: '42', user_id: '777' } }),
+        profile: () => ({ id: '888' })
+      }));
+
+      await expect(verifyFacebookAccessToken('user-token')).rejects.toThrow('Facebook profile lookup failed');
+    });
+  });
+});
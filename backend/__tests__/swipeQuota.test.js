@@ -0,0 +1,141 @@
+jest.mock('../models/AppSetting', () => ({ get: jest.fn(async (key, fallback) => fallback) }));
+jest.mock('../config/redis', () => ({
+  getCache: jest.fn(),
+  setCache: jest.fn(),
+  incrementCounter: jest.fn(),
+  decrementCounter: jest.fn()
+}));
+
+const redis = require('../config/redis');
+const {
+  getQuotaWindow,
+  getCurrentQuotaDay,
+  consumeSwipeQuota,
+  releaseSwipeQuota,
+  isValidTimezone
+} = require('../utils/swipeQuota');
+
+describe('getQuotaWindow', () => {
+  it('resets at midnight UTC by default', () => {
+    const window = getQuotaWindow(null, new Date('2024-06-15T18:30:00Z'));
+
+    expect(window.day).toBe('2024-06-15');
+    expect(window.resetAt.toISOString()).toBe('2024-06-16T00:00:00.000Z');
+  });
+
+  it('falls back to UTC for unknown timezones', () => {
+    expect(isValidTimezone('Mars/Olympus_Mons')).toBe(false);
+    expect(getQuotaWindow('Mars/Olympus_Mons', new Date('2024-06-15T23:30:00Z')).day).toBe('2024-06-15');
+  });
+
+  it('uses the local date, not the UTC one', () => {
+    // 01:30 UTC on the 15th is still the evening of the 14th in New York
+    const window = getQuotaWindow('America/New_York', new Date('2024-06-15T01:30:00Z'));
+
+    expect(window.day).toBe('2024-06-14');
+    expect(window.resetAt.toISOString()).toBe('2024-06-15T04:00:00.000Z');
+  });
+
+  it('resets at local midnight across the spring-forward change', () => {
+    // Evening before clocks go forward: midnight is still on EST
+    const before = getQuotaWindow('America/New_York', new Date('2024-03-10T03:00:00Z'));
+    expect(before.day).toBe('2024-03-09');
+    expect(before.resetAt.toISOString()).toBe('2024-03-10T05:00:00.000Z');
+
+    // The 23-hour day itself ends at midnight EDT
+    const during = getQuotaWindow('America/New_York', new Date('2024-03-10T12:00:00Z'));
+    expect(during.day).toBe('2024-03-10');
+    expect(during.resetAt.toISOString()).toBe('2024-03-11T04:00:00.000Z');
+  });
+
+  it('resets at local midnight across the fall-back change', () => {
+    const before = getQuotaWindow('America/New_York', new Date('2024-11-03T03:00:00Z'));
+    expect(before.day).toBe('2024-11-02');
+    expect(before.resetAt.toISOString()).toBe('2024-11-03T04:00:00.000Z');
+
+    // The 25-hour day ends at midnight EST
+    const during = getQuotaWindow('America/New_York', new Date('2024-11-03T12:00:00Z'));
+    expect(during.day).toBe('2024-11-03');
+    expect(during.resetAt.toISOString()).toBe('2024-11-04T05:00:00.000Z');
+  });
+
+  it('handles zones east of UTC across a DST change', () => {
+    // Europe/Berlin springs forward on 2024-03-31
+    const window = getQuotaWindow('Europe/Berlin', new Date('2024-03-30T23:30:00Z'));
+
+    expect(window.day).toBe('2024-03-31');
+    expect(window.resetAt.toISOString()).toBe('2024-03-31T22:00:00.000Z');
+  });
+});
+
+describe('getCurrentQuotaDay', () => {
+  const store = new Map();
+
+  beforeEach(() => {
+    store.clear();
+    redis.getCache.mockImplementation(async key => (store.has(key) ? JSON.parse(store.get(key)) : null));
+    redis.setCache.mockImplementation(async (key, value) => store.set(key, JSON.stringify(value)));
+    redis.decrementCounter.mockClear();
+  });
+
+  it('keeps the day it started in when the timezone changes', async () => {
+    const tokyo = await getCurrentQuotaDay({ id: 'u1', timezone: 'Asia/Tokyo' }, new Date('2024-06-15T10:00:00Z'));
+    expect(tokyo.day).toBe('2024-06-15');
+
+    const honolulu = await getCurrentQuotaDay(
+      { id: 'u1', timezone: 'Pacific/Honolulu' },
+      new Date('2024-06-15T11:00:00Z')
+    );
+    expect(honolulu.day).toBe('2024-06-15');
+    expect(honolulu.resetAt).toEqual(tokyo.resetAt);
+  });
+
+  it('never goes back to a day already used', async () => {
+    const user = { id: 'u1', timezone: 'Pacific/Kiritimati' };
+    await getCurrentQuotaDay(user, new Date('2024-06-15T09:00:00Z'));
+
+    // Kiritimati's day ended; it's still the 15th in Honolulu
+    user.timezone = 'Pacific/Honolulu';
+    const next = await getCurrentQuotaDay(user, new Date('2024-06-15T10:30:00Z'));
+
+    expect(next.day).toBe('2024-06-16');
+    expect(next.resetAt.toISOString()).toBe('2024-06-17T10:00:00.000Z');
+  });
+
+  it('only gives back swipes made on the current day', async () => {
+    const user = { id: 'u1', timezone: 'UTC' };
+    await getCurrentQuotaDay(user, new Date(Date.now() - 60 * 1000));
+
+    await releaseSwipeQuota(user, 'likes', new Date());
+    expect(redis.decrementCounter).toHaveBeenCalledTimes(1);
+
+    await releaseSwipeQuota(user, 'likes', new Date(Date.now() - 60 * 60 * 1000));
+    expect(redis.decrementCounter).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('consumeSwipeQuota', () => {
+  const user = { id: 'u1', isPremium: false, timezone: 'UTC' };
+
+  beforeEach(() => {
+    redis.getCache.mockResolvedValue(null);
+    redis.setCache.mockResolvedValue();
+    redis.decrementCounter.mockClear();
+  });
+
+  it('allows likes until the limit, then refuses and undoes the extra count', async () => {
+    redis.incrementCounter.mockResolvedValueOnce(50).mockResolvedValueOnce(51);
+
+    await expect(consumeSwipeQuota(user, 'likes')).resolves.toMatchObject({ allowed: true, remaining: 0 });
+    await expect(consumeSwipeQuota(user, 'likes')).resolves.toMatchObject({ allowed: false, limit: 50 });
+    expect(redis.decrementCounter).toHaveBeenCalledTimes(1);
+  });
+
+  it('refuses swipes it could not count', async () => {
+    // incrementCounter reports a Redis failure as 0
+    redis.incrementCounter.mockResolvedValueOnce(0);
+
+    await expect(consumeSwipeQuota(user, 'likes')).rejects.toMatchObject({ code: 'SWIPE_QUOTA_UNAVAILABLE' });
+    expect(redis.decrementCounter).not.toHaveBeenCalled();
+  });
+});
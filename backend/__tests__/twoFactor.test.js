@@ -0,0 +1,74 @@
+const {
+  generateTotpSecret,
+  generateTotp,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+} = require('../utils/twoFactor');
+
+// RFC 6238 appendix B secret ("12345678901234567890") in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('twoFactor', () => {
+  it('matches the RFC 6238 SHA-1 test vectors', () => {
+    expect(generateTotp(RFC_SECRET, Math.floor(59 / 30))).toBe('287082');
+    expect(generateTotp(RFC_SECRET, Math.floor(1111111109 / 30))).toBe('081804');
+    expect(generateTotp(RFC_SECRET, Math.floor(1234567890 / 30))).toBe('005924');
+    expect(generateTotp(RFC_SECRET, Math.floor(2000000000 / 30))).toBe('279037');
+  });
+
+  it('returns the matching time step for a valid code', () => {
+    const now = 1234567890 * 1000;
+    expect(verifyTotp(RFC_SECRET, '005924', { now })).toBe(Math.floor(1234567890 / 30));
+    expect(verifyTotp(RFC_SECRET, '005 924', { now })).toBe(Math.floor(1234567890 / 30));
+  });
+
+  it('accepts codes one step either side for clock drift, but no further', () => {
+    const step = Math.floor(1234567890 / 30);
+    const now = 1234567890 * 1000;
+
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step - 1), { now })).toBe(step - 1);
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step + 1), { now })).toBe(step + 1);
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step - 2), { now })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, step + 2), { now, window: 0 })).toBeNull();
+  });
+
+  it('rejects malformed codes', () => {
+    const now = 1234567890 * 1000;
+    expect(verifyTotp(RFC_SECRET, '', { now })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, '00592', { now })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, '0059245', { now })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, 'abcdef', { now })).toBeNull();
+  });
+
+  it('generates base32 secrets that round-trip through code generation', () => {
+    const secret = generateTotpSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+
+    const now = Date.now();
+    const code = generateTotp(secret, Math.floor(now / 1000 / 30));
+    expect(verifyTotp(secret.toLowerCase(), code, { now })).not.toBeNull();
+  });
+
+  it('builds an otpauth URI for authenticator apps', () => {
+    const uri = new URL(buildOtpauthUri({ secret: RFC_SECRET, accountName: 'ana@example.com' }));
+
+    expect(uri.protocol).toBe('otpauth:');
+    expect(uri.host).toBe('totp');
+    expect(decodeURIComponent(uri.pathname)).toBe('/ChatzOne:ana@example.com');
+    expect(uri.searchParams.get('secret')).toBe(RFC_SECRET);
+    expect(uri.searchParams.get('issuer')).toBe('ChatzOne');
+    expect(uri.searchParams.get('digits')).toBe('6');
+    expect(uri.searchParams.get('period')).toBe('30');
+  });
+
+  it('generates distinct recovery codes and normalises typed ones', () => {
+    const codes = generateRecoveryCodes(10);
+
+    expect(codes).toHaveLength(10);
+    expect(new Set(codes).size).toBe(10);
+    codes.forEach(code => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+    expect(normalizeRecoveryCode(' A1B2C-3D4E5 ')).toBe('a1b2c3d4e5');
+  });
+});
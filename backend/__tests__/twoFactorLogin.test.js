@@ -0,0 +1,125 @@
+jest.mock('../config/database', () => ({
+  pool: {},
+  query: jest.fn(),
+  transaction: jest.fn(),
+  connectDB: jest.fn()
+}));
+jest.mock('../config/redis', () => ({
+  setCache: jest.fn(),
+  getCache: jest.fn(),
+  deleteCache: jest.fn(),
+  consumeCache: jest.fn(),
+  incrementCounter: jest.fn(),
+  decrementCounter: jest.fn(),
+  getCacheTTL: jest.fn(),
+  setUserSession: jest.fn(),
+  getUserSession: jest.fn(),
+  deleteUserSession: jest.fn(),
+  deleteAllUserSessions: jest.fn()
+}));
+jest.mock('../models/UserSession');
+jest.mock('../models/UserActivity');
+jest.mock('../utils/mailer', () => ({ sendMail: jest.fn() }));
+jest.mock('../utils/socketHandler', () => ({ disconnectSessions: jest.fn() }));
+
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const redis = require('../config/redis');
+const authRoutes = require('../routes/auth');
+
+const USER_ID = '0d8a3f6e-2b1c-4c5d-9e7f-1a2b3c4d5e6f';
+const EMAIL = 'ana@example.com';
+
+describe('two-factor sign-in lockouts', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+
+  const counters = new Map();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    counters.clear();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    redis.getCacheTTL.mockResolvedValue(0);
+    redis.getCache.mockImplementation(async key =>
+      key.startsWith('2fa_challenge:') ? { userId: USER_ID, provider: null } : null
+    );
+    redis.incrementCounter.mockImplementation(async key => {
+      counters.set(key, (counters.get(key) || 0) + 1);
+      return counters.get(key);
+    });
+
+    jest.spyOn(User, 'findById').mockResolvedValue({
+      id: USER_ID,
+      email: EMAIL,
+      two_factor_enabled: true,
+      login_attempts: 0,
+      locked_until: null
+    });
+    jest.spyOn(User, 'getTwoFactor').mockResolvedValue({ two_factor_enabled: false });
+    jest.spyOn(User, 'recordFailedLogin').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const verify = () => request(app)
+    .post('/api/auth/2fa/verify')
+    .send({ challengeToken: 'challenge', code: '123456' });
+
+  it('counts wrong codes as failed logins for the account', async () => {
+    const response = await verify();
+
+    expect(response.status).toBe(401);
+    expect(response.body.code).toBe('INVALID_TWO_FACTOR_CODE');
+    expect(counters.get(`login_fail:account:${EMAIL}`)).toBe(1);
+    expect(User.recordFailedLogin).toHaveBeenCalledWith(USER_ID, null);
+  });
+
+  it('locks the account once wrong codes reach the limit, across fresh challenges', async () => {
+    // Four wrong passwords or codes already, spread over earlier challenges
+    counters.set(`login_fail:account:${EMAIL}`, 4);
+
+    const response = await verify();
+
+    expect(response.status).toBe(423);
+    expect(response.body.code).toBe('ACCOUNT_LOCKED');
+    expect(redis.setCache).toHaveBeenCalledWith(`login_lock:account:${EMAIL}`, true, 5 * 60);
+    expect(redis.deleteCache).toHaveBeenCalledWith(expect.stringMatching(/^2fa_challenge:/));
+  });
+
+  it('rejects codes while the account is locked without checking them', async () => {
+    redis.getCacheTTL.mockImplementation(async key => (key === `login_lock:account:${EMAIL}` ? 240 : 0));
+
+    const response = await verify();
+
+    expect(response.status).toBe(423);
+    expect(User.getTwoFactor).not.toHaveBeenCalled();
+  });
+
+  it('keeps failures counted when the password is right but the code is still to come', async () => {
+    jest.spyOn(User, 'findByEmail').mockResolvedValue({
+      id: USER_ID,
+      email: EMAIL,
+      password_hash: 'hash',
+      two_factor_enabled: true,
+      login_attempts: 3,
+      locked_until: null
+    });
+    jest.spyOn(User, 'verifyPassword').mockResolvedValue(true);
+    jest.spyOn(User, 'clearLoginLock').mockResolvedValue();
+
+    const response = await request(app)
+      .post('/api/auth/login')
+      .send({ email: EMAIL, password: 'correct-password' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.requiresTwoFactor).toBe(true);
+    expect(redis.deleteCache).not.toHaveBeenCalledWith(`login_fail:account:${EMAIL}`);
+    expect(User.clearLoginLock).not.toHaveBeenCalled();
+  });
+});
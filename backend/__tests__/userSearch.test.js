@@ -0,0 +1,70 @@
+jest.mock('../config/database', () => ({
+  pool: {},
+  query: jest.fn(),
+  transaction: jest.fn(),
+  connectDB: jest.fn()
+}));
+
+const { query } = require('../config/database');
+const User = require('../models/User');
+const { buildPrefixQuery, encodeCursor, decodeCursor } = require('../utils/userSearch');
+
+const ID = '3f2b8c1e-9d4a-4e6b-8f21-7c5d0a9e1b34';
+
+describe('userSearch', () => {
+  describe('decodeCursor', () => {
+    it('reads back a cursor made by encodeCursor', () => {
+      expect(decodeCursor(encodeCursor({ rank: '0.6079271', id: ID }))).toEqual({ rank: '0.6079271', id: ID });
+      expect(decodeCursor(encodeCursor({ rank: 1, id: ID }))).toEqual({ rank: '1', id: ID });
+    });
+
+    it('returns null for anything that is not a valid cursor', () => {
+      const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+      expect(decodeCursor('not-a-cursor')).toBeNull();
+      expect(decodeCursor(Buffer.from('{"rank":').toString('base64url'))).toBeNull();
+      expect(decodeCursor(encode({ rank: '0.5' }))).toBeNull();
+      expect(decodeCursor(encode({ rank: '0.5', id: 'not-a-uuid' }))).toBeNull();
+      expect(decodeCursor(encode({ rank: '0.5); DROP TABLE users', id: ID }))).toBeNull();
+      expect(decodeCursor(encode({ rank: '-1', id: ID }))).toBeNull();
+    });
+  });
+
+  describe('buildPrefixQuery', () => {
+    it('turns each word into a prefix term', () => {
+      expect(buildPrefixQuery('Jo Sm')).toBe('jo:* & sm:*');
+    });
+
+    it('drops tsquery operators and punctuation', () => {
+      expect(buildPrefixQuery("o'brien & !x | (y)")).toBe('o:* & brien:* & x:* & y:*');
+      expect(buildPrefixQuery('&|!')).toBeNull();
+    });
+  });
+
+  describe('User.searchUsers', () => {
+    beforeEach(() => {
+      query.mockReset().mockResolvedValue({ rows: [] });
+      jest.spyOn(User, 'findById').mockResolvedValue({ id: ID, latitude: 38.72, longitude: -9.14 });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    const searchSql = () => query.mock.calls[0][0];
+
+    it('leaves people who hide their distance out of distance-filtered searches', async () => {
+      await User.searchUsers(ID, 'ana', { maxDistance: 2 });
+
+      expect(searchSql()).toContain("(u.privacy_settings->>'show_distance')::boolean");
+      expect(searchSql()).toContain('ST_DWithin');
+    });
+
+    it('still finds them when no distance filter is set', async () => {
+      await User.searchUsers(ID, 'ana', {});
+
+      expect(searchSql()).not.toContain('show_distance');
+      expect(searchSql()).not.toContain('ST_DWithin');
+    });
+  });
+});
@@ -0,0 +1,69 @@
+const zlib = require('zlib');
+const { createZip } = require('../utils/zip');
+
+// Minimal reader: walks the central directory like an unzip tool would
+function readZip(buffer) {
+  const endOffset = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  const count = buffer.readUInt16LE(endOffset + 10);
+  let cursor = buffer.readUInt32LE(endOffset + 16);
+  const files = [];
+
+  for (let i = 0; i < count; i++) {
+    expect(buffer.readUInt32LE(cursor)).toBe(0x02014b50);
+    const method = buffer.readUInt16LE(cursor + 10);
+    const checksum = buffer.readUInt32LE(cursor + 16);
+    const compressedSize = buffer.readUInt32LE(cursor + 20);
+    const size = buffer.readUInt32LE(cursor + 24);
+    const nameLength = buffer.readUInt16LE(cursor + 28);
+    const localOffset = buffer.readUInt32LE(cursor + 42);
+    const name = buffer.toString('utf8', cursor + 46, cursor + 46 + nameLength);
+
+    expect(buffer.readUInt32LE(localOffset)).toBe(0x04034b50);
+    expect(buffer.readUInt32LE(localOffset + 14)).toBe(checksum);
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26);
+    const data = zlib.inflateRawSync(buffer.subarray(dataStart, dataStart + compressedSize));
+
+    files.push({ name, method, checksum, size, data });
+    cursor += 46 + nameLength;
+  }
+
+  return files;
+}
+
+describe('createZip', () => {
+  it('writes entries an unzip tool can read back', () => {
+    const image = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x00, 0xff, 0x10]);
+    const zip = createZip([
+      { name: 'profile.json', data: JSON.stringify({ name: 'Ana' }) },
+      { name: 'photos/1.png', data: image }
+    ]);
+
+    const files = readZip(zip);
+
+    expect(files.map(file => file.name)).toEqual(['profile.json', 'photos/1.png']);
+    expect(files[0].method).toBe(8);
+    expect(JSON.parse(files[0].data.toString('utf8'))).toEqual({ name: 'Ana' });
+    expect(files[1].data.equals(image)).toBe(true);
+    expect(files[1].size).toBe(image.length);
+  });
+
+  it('stores the standard CRC-32 of each file', () => {
+    const [file] = readZip(createZip([{ name: 'check.txt', data: '123456789' }]));
+
+    // The CRC-32 check value for "123456789"
+    expect(file.checksum).toBe(0xcbf43926);
+  });
+
+  it('keeps UTF-8 file names', () => {
+    const [file] = readZip(createZip([{ name: 'messages/café ☕.json', data: '[]' }]));
+
+    expect(file.name).toBe('messages/café ☕.json');
+  });
+
+  it('writes a valid empty archive', () => {
+    const zip = createZip([]);
+
+    expect(zip).toHaveLength(22);
+    expect(readZip(zip)).toEqual([]);
+  });
+});
@@ -1,4 +1,8 @@
-const { Pool } = require('pg');
+const { Pool, types } = require('pg');
+
+// Return DATE columns as 'YYYY-MM-DD' strings. The default parses them as local midnight,
+// which shifts the day (e.g. a date of birth) whenever the server isn't on UTC.
+types.setTypeParser(types.builtins.DATE, value => value);
 
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL || 'postgresql://localhost:5432/chatzone_db',
@@ -72,19 +72,92 @@ const deleteCache = async (key) => {
   }
 };
 
-const setUserSession = async (userId, sessionData, expireInSeconds = 86400) => {
-  const key = `session:${userId}`;
+// Read and delete in one step, so single-use values can only be redeemed once
+const consumeCache = async (key) => {
+  try {
+    const value = await redisClient.getDel(key);
+    return value ? JSON.parse(value) : null;
+  } catch (error) {
+    console.error('Redis GETDEL error:', error);
+    return null;
+  }
+};
+
+// Atomic counter helpers (throttling, quotas)
+const incrementCounter = async (key, expireInSeconds) => {
+  try {
+    const count = await redisClient.incr(key);
+    if (count === 1 && expireInSeconds) {
+      await redisClient.expire(key, expireInSeconds);
+    }
+    return count;
+  } catch (error) {
+    console.error('Redis INCR error:', error);
+    return 0;
+  }
+};
+
+// Undo an increment; counters never go below zero
+const decrementCounter = async (key) => {
+  try {
+    const count = await redisClient.decr(key);
+    if (count <= 0) {
+      await redisClient.del(key);
+    }
+    return Math.max(count, 0);
+  } catch (error) {
+    console.error('Redis DECR error:', error);
+    return 0;
+  }
+};
+
+const getCacheTTL = async (key) => {
+  try {
+    const ttl = await redisClient.ttl(key);
+    return ttl > 0 ? ttl : 0;
+  } catch (error) {
+    console.error('Redis TTL error:', error);
+    return 0;
+  }
+};
+
+// Per-device sessions: session:<userId>:<sessionId>, indexed by the set sessions:<userId>
+const setUserSession = async (userId, sessionId, sessionData, expireInSeconds = 86400) => {
+  const key = `session:${userId}:${sessionId}`;
   await setCache(key, sessionData, expireInSeconds);
+  try {
+    await redisClient.sAdd(`sessions:${userId}`, sessionId);
+  } catch (error) {
+    console.error('Redis SADD error:', error);
+  }
 };
 
-const getUserSession = async (userId) => {
-  const key = `session:${userId}`;
+const getUserSession = async (userId, sessionId) => {
+  if (!sessionId) return null;
+  const key = `session:${userId}:${sessionId}`;
   return await getCache(key);
 };
 
-const deleteUserSession = async (userId) => {
-  const key = `session:${userId}`;
+const deleteUserSession = async (userId, sessionId) => {
+  const key = `session:${userId}:${sessionId}`;
   await deleteCache(key);
+  try {
+    await redisClient.sRem(`sessions:${userId}`, sessionId);
+  } catch (error) {
+    console.error('Redis SREM error:', error);
+  }
+};
+
+const deleteAllUserSessions = async (userId) => {
+  try {
+    const sessionIds = await redisClient.sMembers(`sessions:${userId}`);
+    for (const sessionId of sessionIds) {
+      await deleteCache(`session:${userId}:${sessionId}`);
+    }
+    await deleteCache(`sessions:${userId}`);
+  } catch (error) {
+    console.error('Redis session cleanup error:', error);
+  }
 };
 
 // Online users tracking
@@ -110,9 +183,14 @@ module.exports = {
   setCache,
   getCache,
   deleteCache,
+  consumeCache,
+  incrementCounter,
+  decrementCounter,
+  getCacheTTL,
   setUserSession,
   getUserSession,
   deleteUserSession,
+  deleteAllUserSessions,
   setUserOnline,
   setUserOffline,
   isUserOnline
@@ -1,5 +1,8 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const UserSession = require('../models/UserSession');
+const AdminUser = require('../models/AdminUser');
+const { MINIMUM_AGE, isOfAge } = require('../utils/ageGate');
 const { getUserSession } = require('../config/redis');
 
 // JWT Authentication middleware
@@ -27,8 +30,23 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    // Check Redis session (optional additional security layer)
-    const session = await getUserSession(decoded.id);
+    // Reject tokens issued before the last password reset
+    if (User.isTokenRevoked(user, decoded)) {
+      return res.status(401).json({ 
+        message: 'Session revoked',
+        code: 'SESSION_REVOKED' 
+      });
+    }
+
+    // Check Redis session; fall back to the database so revoked devices are rejected
+    const session = await getUserSession(decoded.id, decoded.sid);
+    if (!session && decoded.sid && !(await UserSession.isActive(decoded.sid, decoded.id))) {
+      return res.status(401).json({ 
+        message: 'Session revoked',
+        code: 'SESSION_REVOKED' 
+      });
+    }
+
     if (!session && process.env.STRICT_SESSION_CHECK === 'true') {
       return res.status(401).json({ 
         message: 'Session expired',
@@ -48,7 +66,12 @@ const authenticateToken = async (req, res, next) => {
       lastName: user.last_name,
       isVerified: user.is_verified,
       isPremium: user.is_premium,
-      coins: user.coins
+      coins: user.coins,
+      timezone: user.timezone,
+      dateOfBirth: user.date_of_birth,
+      gender: user.gender,
+      missingProfileFields: User.getMissingProfileFields(user),
+      sessionId: decoded.sid || null
     };
 
     next();
@@ -128,6 +151,33 @@ const requireVerified = (req, res, next) => {
   next();
 };
 
+// Require date of birth and gender (and an adult date of birth) before Discover and chat
+const requireCompleteProfile = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ 
+      message: 'Authentication required',
+      code: 'AUTH_REQUIRED' 
+    });
+  }
+
+  if (req.user.missingProfileFields.length > 0) {
+    return res.status(403).json({
+      message: 'Please complete your profile to continue',
+      code: 'PROFILE_INCOMPLETE',
+      missingFields: req.user.missingProfileFields
+    });
+  }
+
+  if (!isOfAge(req.user.dateOfBirth)) {
+    return res.status(403).json({
+      message: `You must be at least ${MINIMUM_AGE} to use ChatzOne`,
+      code: 'UNDERAGE'
+    });
+  }
+
+  next();
+};
+
 // Require premium user
 const requirePremium = (req, res, next) => {
   if (!req.user) {
@@ -147,6 +197,59 @@ const requirePremium = (req, res, next) => {
   next();
 };
 
+// Moderator authentication for /api/admin; admin tokens carry type 'admin' and an adminId
+const authenticateAdmin = async (req, res, next) => {
+  try {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+
+    if (!token) {
+      return res.status(401).json({ 
+        message: 'Access token required',
+        code: 'NO_TOKEN' 
+      });
+    }
+
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (decoded.type !== 'admin') {
+      return res.status(403).json({ 
+        message: 'Admin access required',
+        code: 'ADMIN_REQUIRED' 
+      });
+    }
+
+    const admin = await AdminUser.findById(decoded.adminId);
+    if (!admin || !admin.is_active) {
+      return res.status(401).json({ 
+        message: 'Admin not found',
+        code: 'ADMIN_NOT_FOUND' 
+      });
+    }
+
+    req.admin = {
+      id: admin.id,
+      email: admin.email,
+      name: admin.name,
+      role: admin.role
+    };
+
+    next();
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError') {
+      return res.status(401).json({ 
+        message: 'Invalid token',
+        code: 'INVALID_TOKEN' 
+      });
+    }
+
+    console.error('Admin auth middleware error:', error);
+    return res.status(500).json({ 
+      message: 'Authentication error',
+      code: 'AUTH_ERROR' 
+    });
+  }
+};
+
 // Check if user has enough coins
 const requireCoins = (minCoins) => {
   return (req, res, next) => {
@@ -186,7 +289,16 @@ const authenticateSocket = async (socket, next) => {
       return next(new Error('User not found'));
     }
 
+    if (User.isTokenRevoked(user, decoded)) {
+      return next(new Error('Session revoked'));
+    }
+
+    if (decoded.sid && !(await UserSession.isActive(decoded.sid, user.id))) {
+      return next(new Error('Session revoked'));
+    }
+
     socket.userId = user.id;
+    socket.sessionId = decoded.sid || null;
     socket.user = {
       id: user.id,
       username: user.username,
@@ -208,7 +320,9 @@ module.exports = {
   authenticateToken,
   optionalAuth,
   requireVerified,
+  requireCompleteProfile,
   requirePremium,
+  authenticateAdmin,
   requireCoins,
   checkCoins,
   authenticateSocket
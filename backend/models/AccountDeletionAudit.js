@@ -0,0 +1,30 @@
+const { query } = require('../config/database');
+
+class AccountDeletionAudit {
+  // Record one step of an account deletion
+  static async log({ userId, step, details = null }) {
+    const result = await query(
+      `INSERT INTO account_deletion_audit (user_id, step, details)
+       VALUES ($1, $2, $3)
+       RETURNING id, created_at`,
+      [userId, step, details ? JSON.stringify(details) : null]
+    );
+
+    return result.rows[0];
+  }
+
+  // Full deletion history for a user, oldest first
+  static async findByUser(userId) {
+    const result = await query(
+      `SELECT id, step, details, created_at
+       FROM account_deletion_audit
+       WHERE user_id = $1
+       ORDER BY created_at`,
+      [userId]
+    );
+
+    return result.rows;
+  }
+}
+
+module.exports = AccountDeletionAudit;
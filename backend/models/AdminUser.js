@@ -0,0 +1,44 @@
+const { query } = require('../config/database');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+
+class AdminUser {
+  // Includes the password hash, for sign-in only
+  static async findByEmail(email) {
+    const result = await query(
+      `SELECT id, email, password_hash, name, role, is_active
+       FROM admin_users WHERE email = $1`,
+      [email]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  static async findById(id) {
+    const result = await query(
+      'SELECT id, email, name, role, is_active FROM admin_users WHERE id = $1',
+      [id]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  static async updateLastLogin(id) {
+    await query('UPDATE admin_users SET last_login = NOW() WHERE id = $1', [id]);
+  }
+
+  static async verifyPassword(plainPassword, hashedPassword) {
+    return await bcrypt.compare(plainPassword, hashedPassword);
+  }
+
+  // Admin tokens are rejected by authenticateToken (no user id) and vice versa (no type)
+  static generateToken(admin) {
+    return jwt.sign(
+      { adminId: admin.id, role: admin.role, type: 'admin' },
+      process.env.JWT_SECRET,
+      { expiresIn: process.env.ADMIN_JWT_EXPIRES_IN || '8h' }
+    );
+  }
+}
+
+module.exports = AdminUser;
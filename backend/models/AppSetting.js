@@ -0,0 +1,27 @@
+const { query } = require('../config/database');
+const { getCache, setCache } = require('../config/redis');
+
+const SETTING_CACHE_TTL = 300; // 5 minutes
+
+class AppSetting {
+  // Read a setting from app_settings, falling back to defaultValue when it isn't set
+  static async get(key, defaultValue = null) {
+    const cacheKey = `app_setting:${key}`;
+    const cached = await getCache(cacheKey);
+    if (cached !== null) {
+      return cached.value;
+    }
+
+    const result = await query(
+      'SELECT setting_value FROM app_settings WHERE setting_key = $1',
+      [key]
+    );
+    const value = result.rows.length > 0 ? result.rows[0].setting_value : defaultValue;
+
+    // Wrapped so a stored null/false isn't mistaken for a cache miss
+    await setCache(cacheKey, { value }, SETTING_CACHE_TTL);
+    return value;
+  }
+}
+
+module.exports = AppSetting;
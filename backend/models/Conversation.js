@@ -216,6 +216,37 @@ class Conversation {
     return result.rows[0] || null;
   }
 
+  // For each user, how many recent conversations the other person wrote in, and how many
+  // of those the user wrote back in
+  static async getReplyStats(userIds, days = 90) {
+    const result = await query(
+      `SELECT participant.user_id,
+              COUNT(*) FILTER (WHERE participant.received) as received,
+              COUNT(*) FILTER (WHERE participant.received AND participant.replied) as replied
+       FROM (
+         SELECT u.user_id,
+                EXISTS (
+                  SELECT 1 FROM messages m
+                  WHERE m.conversation_id = c.id AND m.sender_id != u.user_id AND m.is_deleted = false
+                ) as received,
+                EXISTS (
+                  SELECT 1 FROM messages m
+                  WHERE m.conversation_id = c.id AND m.sender_id = u.user_id AND m.is_deleted = false
+                ) as replied
+         FROM unnest($1::uuid[]) as u(user_id)
+         JOIN conversations c ON c.participant1_id = u.user_id OR c.participant2_id = u.user_id
+         WHERE c.created_at > CURRENT_TIMESTAMP - make_interval(days => $2)
+       ) participant
+       GROUP BY participant.user_id`,
+      [userIds, days]
+    );
+
+    return Object.fromEntries(result.rows.map(row => [
+      row.user_id,
+      { received: parseInt(row.received), replied: parseInt(row.replied) }
+    ]));
+  }
+
   // Archive conversation (soft delete)
   static async archive(conversationId, userId) {
     // Note: This would require adding an archived field to the conversations table
@@ -0,0 +1,124 @@
+const { query } = require('../config/database');
+
+const EXPORT_FIELDS = `id, user_id, status, file_path, file_size, error, completed_at, expires_at,
+                       downloaded_at, created_at, updated_at`;
+
+class DataExport {
+  // Queue a new export job
+  static async create(userId) {
+    const result = await query(
+      `INSERT INTO data_exports (user_id) VALUES ($1) RETURNING ${EXPORT_FIELDS}`,
+      [userId]
+    );
+
+    return result.rows[0];
+  }
+
+  // Find an export (optionally only if it belongs to userId)
+  static async findById(id, userId = null) {
+    const result = await query(
+      `SELECT ${EXPORT_FIELDS} FROM data_exports
+       WHERE id = $1 AND ($2::uuid IS NULL OR user_id = $2::uuid)`,
+      [id, userId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // The export still being built for a user, if any
+  static async findInProgress(userId) {
+    const result = await query(
+      `SELECT ${EXPORT_FIELDS} FROM data_exports
+       WHERE user_id = $1 AND status IN ('pending', 'processing')
+       ORDER BY created_at DESC LIMIT 1`,
+      [userId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Most recent exports for a user
+  static async findByUser(userId, limit = 5) {
+    const result = await query(
+      `SELECT ${EXPORT_FIELDS} FROM data_exports
+       WHERE user_id = $1
+       ORDER BY created_at DESC LIMIT $2`,
+      [userId, limit]
+    );
+
+    return result.rows;
+  }
+
+  // Claim a pending job so it is only built once
+  static async markProcessing(id) {
+    const result = await query(
+      `UPDATE data_exports SET status = 'processing'
+       WHERE id = $1 AND status = 'pending'
+       RETURNING ${EXPORT_FIELDS}`,
+      [id]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  static async markReady(id, { filePath, fileSize, expiresAt }) {
+    const result = await query(
+      `UPDATE data_exports
+       SET status = 'ready', file_path = $2, file_size = $3, expires_at = $4,
+           completed_at = CURRENT_TIMESTAMP, error = NULL
+       WHERE id = $1
+       RETURNING ${EXPORT_FIELDS}`,
+      [id, filePath, fileSize, expiresAt]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  static async markFailed(id, errorMessage) {
+    await query(
+      `UPDATE data_exports SET status = 'failed', error = $2, completed_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [id, errorMessage]
+    );
+  }
+
+  static async markDownloaded(id) {
+    await query(
+      'UPDATE data_exports SET downloaded_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [id]
+    );
+  }
+
+  // Ready exports whose archive is past its retention period
+  static async findExpired() {
+    const result = await query(
+      `SELECT id, user_id, file_path FROM data_exports
+       WHERE status = 'ready' AND expires_at <= CURRENT_TIMESTAMP`
+    );
+
+    return result.rows;
+  }
+
+  static async markExpired(id) {
+    await query(
+      `UPDATE data_exports SET status = 'expired', file_path = NULL WHERE id = $1`,
+      [id]
+    );
+  }
+
+  // Jobs left unfinished by a restart never complete on their own
+  static async failStale(olderThanMinutes) {
+    const result = await query(
+      `UPDATE data_exports
+       SET status = 'failed', error = 'Export timed out', completed_at = CURRENT_TIMESTAMP
+       WHERE status IN ('pending', 'processing')
+         AND created_at < CURRENT_TIMESTAMP - make_interval(mins => $1)
+       RETURNING id`,
+      [olderThanMinutes]
+    );
+
+    return result.rows.map(row => row.id);
+  }
+}
+
+module.exports = DataExport;
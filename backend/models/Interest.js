@@ -0,0 +1,81 @@
+const { query } = require('../config/database');
+
+const INTEREST_FIELDS = `i.id, i.name, i.category_id, c.name as category, c.icon as category_icon`;
+
+class Interest {
+  // Search the catalogue by name and/or category
+  static async findAll({ search = null, categoryId = null, limit = 200 } = {}) {
+    const result = await query(
+      `SELECT ${INTEREST_FIELDS}
+       FROM interests i
+       LEFT JOIN interest_categories c ON c.id = i.category_id
+       WHERE i.is_active = true
+         AND ($1::text IS NULL OR LOWER(i.name) LIKE '%' || LOWER($1) || '%')
+         AND ($2::int IS NULL OR i.category_id = $2)
+       ORDER BY c.sort_order NULLS LAST, i.name
+       LIMIT $3`,
+      [search, categoryId, limit]
+    );
+
+    return result.rows;
+  }
+
+  static async findById(id) {
+    const result = await query(
+      `SELECT ${INTEREST_FIELDS}, i.is_active
+       FROM interests i
+       LEFT JOIN interest_categories c ON c.id = i.category_id
+       WHERE i.id = $1`,
+      [id]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Of the given IDs, the ones that exist and can still be picked
+  static async findActiveIds(ids) {
+    if (ids.length === 0) return [];
+
+    const result = await query(
+      'SELECT id FROM interests WHERE id = ANY($1::int[]) AND is_active = true',
+      [ids]
+    );
+
+    return result.rows.map(row => row.id);
+  }
+
+  // Categories in display order, with how many interests each holds
+  static async findCategories() {
+    const result = await query(
+      `SELECT c.id, c.name, c.icon, COUNT(i.id) as interest_count
+       FROM interest_categories c
+       LEFT JOIN interests i ON i.category_id = c.id AND i.is_active = true
+       GROUP BY c.id
+       ORDER BY c.sort_order, c.name`
+    );
+
+    return result.rows.map(row => ({ ...row, interest_count: parseInt(row.interest_count) }));
+  }
+
+  // Interests added to the most profiles recently
+  static async findTrending({ days = 7, limit = 10 } = {}) {
+    const result = await query(
+      `SELECT ${INTEREST_FIELDS}, COUNT(ui.id) as recent_adds
+       FROM user_interests ui
+       JOIN interests i ON i.id = ui.interest_id
+       JOIN users u ON u.id = ui.user_id
+       LEFT JOIN interest_categories c ON c.id = i.category_id
+       WHERE ui.created_at > NOW() - ($1 || ' days')::INTERVAL
+         AND i.is_active = true
+         AND u.deleted_at IS NULL
+       GROUP BY i.id, c.id
+       ORDER BY recent_adds DESC, i.name
+       LIMIT $2`,
+      [days, limit]
+    );
+
+    return result.rows.map(row => ({ ...row, recent_adds: parseInt(row.recent_adds) }));
+  }
+}
+
+module.exports = Interest;
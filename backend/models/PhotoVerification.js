@@ -0,0 +1,106 @@
+const { query, transaction } = require('../config/database');
+
+const VERIFICATION_FIELDS =
+  'id, user_id, pose, selfie_path, status, rejection_reason, reviewed_by, reviewed_at, created_at';
+
+class PhotoVerification {
+  // Queue a selfie for review; returns null if the user already has one waiting
+  static async create({ userId, pose, selfiePath }) {
+    const result = await query(
+      `INSERT INTO photo_verifications (user_id, pose, selfie_path)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (user_id) WHERE status = 'pending' DO NOTHING
+       RETURNING ${VERIFICATION_FIELDS}`,
+      [userId, pose, selfiePath]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  static async findById(id) {
+    const result = await query(
+      `SELECT ${VERIFICATION_FIELDS} FROM photo_verifications WHERE id = $1`,
+      [id]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // The user's most recent request, whatever its status
+  static async findLatestByUser(userId) {
+    const result = await query(
+      `SELECT ${VERIFICATION_FIELDS} FROM photo_verifications
+       WHERE user_id = $1
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [userId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Review queue, oldest first, with the profile photos the selfie is compared against
+  static async findByStatus(status, limit = 20, offset = 0) {
+    const result = await query(
+      `SELECT v.id, v.user_id, v.pose, v.status, v.rejection_reason, v.reviewed_by,
+              v.reviewed_at, v.created_at,
+              u.first_name, u.last_name, u.profile_picture,
+              COALESCE((
+                SELECT json_agg(p.photo_url ORDER BY p.order_index, p.created_at)
+                FROM user_photos p WHERE p.user_id = u.id
+              ), '[]') as photos
+       FROM photo_verifications v
+       JOIN users u ON u.id = v.user_id
+       WHERE v.status = $1 AND u.deleted_at IS NULL
+       ORDER BY v.created_at
+       LIMIT $2 OFFSET $3`,
+      [status, limit, offset]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Approve or reject a pending request. Approval sets the user's photo_verified badge.
+   * Returns null if the request was already reviewed.
+   */
+  static async review({ id, adminId, approved, reason = null }) {
+    return await transaction(async (client) => {
+      const result = await client.query(
+        `UPDATE photo_verifications
+         SET status = $2, rejection_reason = $3, reviewed_by = $4, reviewed_at = NOW()
+         WHERE id = $1 AND status = 'pending'
+         RETURNING ${VERIFICATION_FIELDS}`,
+        [id, approved ? 'approved' : 'rejected', approved ? null : reason, adminId]
+      );
+
+      const verification = result.rows[0];
+      if (!verification) {
+        return null;
+      }
+
+      if (approved) {
+        await client.query(
+          `UPDATE users
+           SET photo_verified = true, photo_verified_at = NOW(), updated_at = CURRENT_TIMESTAMP
+           WHERE id = $1`,
+          [verification.user_id]
+        );
+      }
+
+      return verification;
+    });
+  }
+
+  // Selfie files for a user, so they can be removed from disk
+  static async findSelfiePathsByUser(userId) {
+    const result = await query(
+      'SELECT selfie_path FROM photo_verifications WHERE user_id = $1',
+      [userId]
+    );
+
+    return result.rows.map(row => row.selfie_path);
+  }
+}
+
+module.exports = PhotoVerification;
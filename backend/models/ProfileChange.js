@@ -0,0 +1,98 @@
+const { query } = require('../config/database');
+
+const CHANGE_FIELDS =
+  'id, user_id, field, old_value, new_value, moderation_status, moderation_reasons, reviewed_by, reviewed_at, created_at';
+
+class ProfileChange {
+  // Record one field change (pass a transaction client to record it alongside the update)
+  static async record({
+    userId,
+    field,
+    oldValue = null,
+    newValue = null,
+    moderationStatus = 'approved',
+    moderationReasons = null
+  }, client = null) {
+    const run = client ? client.query.bind(client) : query;
+    const result = await run(
+      `INSERT INTO profile_change_history
+         (user_id, field, old_value, new_value, moderation_status, moderation_reasons)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING ${CHANGE_FIELDS}`,
+      [userId, field, oldValue, newValue, moderationStatus,
+       moderationReasons ? JSON.stringify(moderationReasons) : null]
+    );
+
+    return result.rows[0];
+  }
+
+  // When any of the given fields last changed, for cooldowns
+  static async findLastChangedAt(userId, fields, client = null) {
+    const run = client ? client.query.bind(client) : query;
+    const result = await run(
+      `SELECT MAX(created_at) as last_changed_at FROM profile_change_history
+       WHERE user_id = $1 AND field = ANY($2)`,
+      [userId, fields]
+    );
+
+    return result.rows[0].last_changed_at;
+  }
+
+  static async findById(id) {
+    const result = await query(
+      `SELECT ${CHANGE_FIELDS} FROM profile_change_history WHERE id = $1`,
+      [id]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // A user's history, newest first
+  static async findByUser(userId, limit = 50, offset = 0) {
+    const result = await query(
+      `SELECT ${CHANGE_FIELDS} FROM profile_change_history
+       WHERE user_id = $1
+       ORDER BY created_at DESC
+       LIMIT $2 OFFSET $3`,
+      [userId, limit, offset]
+    );
+
+    return result.rows;
+  }
+
+  // Review queue (new photos wait here), oldest first
+  static async findByStatus(status, limit = 20, offset = 0) {
+    const result = await query(
+      `SELECT c.id, c.user_id, c.field, c.old_value, c.new_value, c.moderation_status,
+              c.moderation_reasons, c.reviewed_by, c.reviewed_at, c.created_at,
+              u.username, u.first_name, u.last_name, u.under_review_at
+       FROM profile_change_history c
+       JOIN users u ON u.id = c.user_id
+       WHERE c.moderation_status = $1 AND u.deleted_at IS NULL
+       ORDER BY c.created_at
+       LIMIT $2 OFFSET $3`,
+      [status, limit, offset]
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Approve or reject a change waiting for review.
+   * Returns null if it was already reviewed.
+   */
+  static async review({ id, adminId, approved, reason = null }) {
+    const result = await query(
+      `UPDATE profile_change_history
+       SET moderation_status = $2, moderation_reasons = COALESCE($3, moderation_reasons),
+           reviewed_by = $4, reviewed_at = NOW()
+       WHERE id = $1 AND moderation_status = 'pending'
+       RETURNING ${CHANGE_FIELDS}`,
+      [id, approved ? 'approved' : 'rejected', reason ? JSON.stringify([reason]) : null, adminId]
+    );
+
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = ProfileChange;
@@ -0,0 +1,192 @@
+const { query, transaction } = require('../config/database');
+
+const ANSWER_FIELDS = `a.id, a.prompt_id, p.question, a.answer, a.position, a.created_at, a.updated_at`;
+
+class ProfilePrompt {
+  // Questions users can answer, in display order
+  static async findAll() {
+    const result = await query(
+      `SELECT id, question FROM profile_prompts
+       WHERE is_active = true
+       ORDER BY sort_order, id`
+    );
+
+    return result.rows;
+  }
+
+  // Of the given prompt IDs, the ones that can still be answered
+  static async findActiveIds(ids) {
+    if (ids.length === 0) return [];
+
+    const result = await query(
+      'SELECT id FROM profile_prompts WHERE id = ANY($1::int[]) AND is_active = true',
+      [ids]
+    );
+
+    return result.rows.map(row => row.id);
+  }
+
+  static async findAnswersByUser(userId) {
+    const result = await query(
+      `SELECT ${ANSWER_FIELDS}
+       FROM profile_prompt_answers a
+       JOIN profile_prompts p ON p.id = a.prompt_id
+       WHERE a.user_id = $1
+       ORDER BY a.position`,
+      [userId]
+    );
+
+    return result.rows;
+  }
+
+  static async findAnswerById(answerId) {
+    const result = await query(
+      `SELECT ${ANSWER_FIELDS}, a.user_id
+       FROM profile_prompt_answers a
+       JOIN profile_prompts p ON p.id = a.prompt_id
+       WHERE a.id = $1`,
+      [answerId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Replace all of a user's answers; answers are [{ promptId, answer }] in display order
+  static async replaceAnswers(userId, answers) {
+    return await transaction(async (client) => {
+      // Answers whose prompt and text are unchanged keep their ID, so likes on them survive
+      const existing = await client.query(
+        'SELECT id, prompt_id, answer FROM profile_prompt_answers WHERE user_id = $1',
+        [userId]
+      );
+      const kept = existing.rows.filter(row =>
+        answers.some(answer => answer.promptId === row.prompt_id && answer.answer === row.answer)
+      );
+
+      await client.query(
+        'DELETE FROM profile_prompt_answers WHERE user_id = $1 AND NOT (id = ANY($2::uuid[]))',
+        [userId, kept.map(row => row.id)]
+      );
+
+      // UNIQUE(user_id, position) is deferred, so positions can be shuffled here
+      for (const [position, { promptId, answer }] of answers.entries()) {
+        const keptAnswer = kept.find(row => row.prompt_id === promptId);
+        if (keptAnswer) {
+          await client.query(
+            'UPDATE profile_prompt_answers SET position = $2 WHERE id = $1',
+            [keptAnswer.id, position]
+          );
+        } else {
+          await client.query(
+            `INSERT INTO profile_prompt_answers (user_id, prompt_id, answer, position)
+             VALUES ($1, $2, $3, $4)`,
+            [userId, promptId, answer, position]
+          );
+        }
+      }
+
+      const result = await client.query(
+        `SELECT ${ANSWER_FIELDS}
+         FROM profile_prompt_answers a
+         JOIN profile_prompts p ON p.id = a.prompt_id
+         WHERE a.user_id = $1
+         ORDER BY a.position`,
+        [userId]
+      );
+
+      return result.rows;
+    });
+  }
+
+  /**
+   * Like or comment on an answer. Opens (or reuses) the conversation between the two users
+   * and posts a message quoting the answer.
+   * Returns null if this user already reacted to the answer.
+   */
+  static async react({ answer, userId, type, comment = null }) {
+    return await transaction(async (client) => {
+      const reaction = await client.query(
+        `INSERT INTO prompt_answer_reactions (answer_id, user_id, type, comment)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (answer_id, user_id) DO NOTHING
+         RETURNING id, type, comment, created_at`,
+        [answer.id, userId, type, comment]
+      );
+
+      if (reaction.rows.length === 0) {
+        return null;
+      }
+
+      const existingConversation = await client.query(
+        `SELECT id FROM conversations
+         WHERE participants @> ARRAY[$1, $2]::uuid[]
+           AND array_length(participants, 1) = 2`,
+        [userId, answer.user_id]
+      );
+
+      let conversationId;
+      let conversationCreated = false;
+      if (existingConversation.rows.length > 0) {
+        conversationId = existingConversation.rows[0].id;
+      } else {
+        const conversation = await client.query(
+          `INSERT INTO conversations (participants, created_at, updated_at)
+           VALUES ($1, NOW(), NOW())
+           RETURNING id`,
+          [[userId, answer.user_id]]
+        );
+        conversationId = conversation.rows[0].id;
+        conversationCreated = true;
+      }
+
+      const quote = {
+        answerId: answer.id,
+        promptId: answer.prompt_id,
+        question: answer.question,
+        answer: answer.answer,
+        reaction: type
+      };
+
+      const message = await client.query(
+        `INSERT INTO messages (conversation_id, sender_id, content, type, quote, created_at)
+         VALUES ($1, $2, $3, 'text', $4, NOW())
+         RETURNING id, conversation_id, content, type, quote, sender_id, created_at`,
+        [conversationId, userId, comment, JSON.stringify(quote)]
+      );
+
+      await client.query('UPDATE conversations SET updated_at = NOW() WHERE id = $1', [conversationId]);
+      await client.query(
+        'UPDATE prompt_answer_reactions SET conversation_id = $2 WHERE id = $1',
+        [reaction.rows[0].id, conversationId]
+      );
+
+      return {
+        reaction: reaction.rows[0],
+        conversationId,
+        conversationCreated,
+        message: message.rows[0]
+      };
+    });
+  }
+
+  // How many likes and comments each of a user's answers has received
+  static async getReactionCounts(userId) {
+    const result = await query(
+      `SELECT r.answer_id,
+              COUNT(*) FILTER (WHERE r.type = 'like') as likes,
+              COUNT(*) FILTER (WHERE r.type = 'comment') as comments
+       FROM prompt_answer_reactions r
+       JOIN profile_prompt_answers a ON a.id = r.answer_id
+       WHERE a.user_id = $1
+       GROUP BY r.answer_id`,
+      [userId]
+    );
+
+    return result.rows.reduce((counts, row) => {
+      counts[row.answer_id] = { likes: parseInt(row.likes), comments: parseInt(row.comments) };
+      return counts;
+    }, {});
+  }
+}
+
+module.exports = ProfilePrompt;
@@ -0,0 +1,36 @@
+const { query } = require('../config/database');
+
+class Report {
+  // Reports against user profiles, oldest first, with the reported account's current identity
+  static async findUserReports(status, limit = 20, offset = 0) {
+    const result = await query(
+      `SELECT r.id, r.reporter_id, r.reported_content_id as reported_user_id, r.reason,
+              r.description, r.status, r.admin_notes, r.created_at,
+              u.username, u.first_name, u.last_name, u.bio, u.profile_picture, u.under_review_at,
+              u.created_at as user_created_at
+       FROM reports r
+       JOIN users u ON u.id = r.reported_content_id
+       WHERE r.reported_content_type = 'user' AND r.status = $1
+       ORDER BY r.created_at
+       LIMIT $2 OFFSET $3`,
+      [status, limit, offset]
+    );
+
+    return result.rows;
+  }
+
+  // Every report made against one user, newest first
+  static async findByReportedUser(userId) {
+    const result = await query(
+      `SELECT id, reporter_id, reason, description, status, admin_notes, created_at
+       FROM reports
+       WHERE reported_content_type = 'user' AND reported_content_id = $1
+       ORDER BY created_at DESC`,
+      [userId]
+    );
+
+    return result.rows;
+  }
+}
+
+module.exports = Report;
@@ -0,0 +1,49 @@
+const { query } = require('../config/database');
+
+const SWIPE_FIELDS =
+  'id, swiper_id, target_id, action, previous_action, desirability_change, rewound_at, created_at';
+
+class SwipeHistory {
+  // Record a like, super like or pass (pass a transaction client to record it alongside the swipe)
+  static async record({
+    swiperId,
+    targetId,
+    action,
+    previousAction = null,
+    desirabilityChange = 0
+  }, client = null) {
+    const run = client ? client.query.bind(client) : query;
+    const result = await run(
+      `INSERT INTO swipe_history (swiper_id, target_id, action, previous_action, desirability_change)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING ${SWIPE_FIELDS}`,
+      [swiperId, targetId, action, previousAction, desirabilityChange]
+    );
+
+    return result.rows[0];
+  }
+
+  // The user's most recent swipe that hasn't been rewound, locked for the rewind
+  static async findLatestForUpdate(swiperId, client) {
+    const result = await client.query(
+      `SELECT ${SWIPE_FIELDS} FROM swipe_history
+       WHERE swiper_id = $1 AND rewound_at IS NULL
+       ORDER BY created_at DESC
+       LIMIT 1
+       FOR UPDATE`,
+      [swiperId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  static async markRewound(id, client = null) {
+    const run = client ? client.query.bind(client) : query;
+    await run(
+      'UPDATE swipe_history SET rewound_at = NOW() WHERE id = $1',
+      [id]
+    );
+  }
+}
+
+module.exports = SwipeHistory;
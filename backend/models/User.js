@@ -1,6 +1,29 @@
 const { query, transaction } = require('../config/database');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const ProfileChange = require('./ProfileChange');
+const {
+  DISCOVERABLE_CONDITION,
+  INCOGNITO_CONDITION,
+  PRESENCE_VISIBLE_CONDITION,
+  DISTANCE_VISIBLE_CONDITION,
+  VISIBLE_TO_VIEWER_CONDITION
+} = require('../utils/privacy');
+const { buildPrefixQuery } = require('../utils/userSearch');
+const { matchLocationSql, getMatchLocation } = require('../utils/geo');
+const {
+  PROFILE_CHANGE_COOLDOWNS,
+  getProfileChanges,
+  getCooldownEnd,
+  accountUnderReviewError,
+  changeCooldownError
+} = require('../utils/profileChanges');
+
+// Checked against when there's no password to check, so a failed login takes as long either way
+let dummyPasswordHash = null;
+
+// Must match the expression of idx_users_full_name_trgm in schema.sql so search can use it
+const FULL_NAME_SQL = `(COALESCE(u.first_name, '') || ' ' || COALESCE(u.last_name, ''))`;
 
 class User {
   // Create a new user
@@ -14,16 +37,21 @@ class User {
       dateOfBirth,
       gender,
       googleId,
-      facebookId
+      facebookId,
+      profilePicture = null,
+      isVerified = false
     } = userData;
 
     const hashedPassword = password ? await bcrypt.hash(password, 12) : null;
 
     const result = await query(
-      `INSERT INTO users (email, username, password_hash, first_name, last_name, date_of_birth, gender, google_id, facebook_id)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-       RETURNING id, email, username, first_name, last_name, date_of_birth, gender, coins, is_verified, created_at`,
-      [email, username, hashedPassword, firstName, lastName, dateOfBirth, gender, googleId, facebookId]
+      `INSERT INTO users (email, username, password_hash, first_name, last_name, date_of_birth, gender, google_id, facebook_id,
+                          profile_picture, is_verified)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+       RETURNING id, email, username, first_name, last_name, date_of_birth, gender, coins, is_verified, token_version,
+                 created_at`,
+      [email, username, hashedPassword, firstName, lastName, dateOfBirth, gender, googleId, facebookId,
+        profilePicture, isVerified]
     );
 
     return result.rows[0];
@@ -34,7 +62,12 @@ class User {
     const result = await query(
       `SELECT id, email, username, first_name, last_name, date_of_birth, gender, bio, profile_picture,
               location_city, location_country, latitude, longitude, language_preference, coins,
-              is_verified, is_premium, last_active, privacy_settings, matching_preferences, created_at
+              is_verified, is_premium, incognito_mode, photo_verified, last_active, privacy_settings,
+              matching_preferences, desirability_score, travel_latitude, travel_longitude,
+              travel_location_name, travel_started_at, timezone,
+              password_changed_at, token_version, two_factor_enabled, two_factor_enabled_at, deleted_at,
+              deletion_scheduled_for, profile_completion_rewarded_at, under_review_at, login_attempts,
+              locked_until, created_at
        FROM users WHERE id = $1`,
       [id]
     );
@@ -46,7 +79,9 @@ class User {
   static async findByEmail(email) {
     const result = await query(
       `SELECT id, email, username, password_hash, first_name, last_name, date_of_birth, gender,
-              bio, profile_picture, coins, is_verified, is_premium, google_id, facebook_id, created_at
+              bio, profile_picture, coins, is_verified, is_premium, google_id, facebook_id,
+              login_attempts, locked_until, two_factor_enabled, token_version, last_active, deleted_at,
+              deletion_scheduled_for, created_at
        FROM users WHERE email = $1`,
       [email]
     );
@@ -87,9 +122,28 @@ class User {
     return result.rows[0] || null;
   }
 
-  // Update user profile
+  // Link a Google/Facebook identity to an existing account
+  static async linkSocialAccount(id, provider, providerId) {
+    const column = { google: 'google_id', facebook: 'facebook_id' }[provider];
+    if (!column) {
+      throw new Error(`Unknown social provider: ${provider}`);
+    }
+
+    const result = await query(
+      `UPDATE users SET ${column} = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND ${column} IS NULL
+       RETURNING id`,
+      [id, providerId]
+    );
+
+    return result.rows.length > 0;
+  }
+
+  // Update user profile. Changes to tracked fields are recorded in profile_change_history;
+  // throws ACCOUNT_UNDER_REVIEW or PROFILE_CHANGE_COOLDOWN errors (see utils/profileChanges)
   static async updateProfile(id, updateData) {
     const {
+      username,
       firstName,
       lastName,
       bio,
@@ -101,31 +155,67 @@ class User {
       longitude,
       languagePreference,
       privacySettings,
-      matchingPreferences
+      matchingPreferences,
+      timezone
     } = updateData;
 
-    const result = await query(
-      `UPDATE users 
-       SET first_name = COALESCE($2, first_name),
-           last_name = COALESCE($3, last_name),
-           bio = COALESCE($4, bio),
-           date_of_birth = COALESCE($5, date_of_birth),
-           gender = COALESCE($6, gender),
-           location_city = COALESCE($7, location_city),
-           location_country = COALESCE($8, location_country),
-           latitude = COALESCE($9, latitude),
-           longitude = COALESCE($10, longitude),
-           language_preference = COALESCE($11, language_preference),
-           privacy_settings = COALESCE($12, privacy_settings),
-           matching_preferences = COALESCE($13, matching_preferences),
-           updated_at = CURRENT_TIMESTAMP
-       WHERE id = $1
-       RETURNING id, email, username, first_name, last_name, bio, profile_picture, updated_at`,
-      [id, firstName, lastName, bio, dateOfBirth, gender, locationCity, locationCountry, 
-       latitude, longitude, languagePreference, privacySettings, matchingPreferences]
-    );
+    return await transaction(async (client) => {
+      const current = await client.query(
+        `SELECT id, username, first_name, last_name, bio, under_review_at
+         FROM users WHERE id = $1 FOR UPDATE`,
+        [id]
+      );
 
-    return result.rows[0] || null;
+      const user = current.rows[0];
+      if (!user) {
+        return null;
+      }
+
+      if (user.under_review_at) {
+        throw accountUnderReviewError();
+      }
+
+      const changes = getProfileChanges(user, updateData);
+      for (const cooldown of PROFILE_CHANGE_COOLDOWNS) {
+        if (!changes.some(change => cooldown.fields.includes(change.field))) continue;
+
+        const lastChangedAt = await ProfileChange.findLastChangedAt(id, cooldown.fields, client);
+        const availableAt = getCooldownEnd(cooldown, lastChangedAt);
+        if (availableAt) {
+          throw changeCooldownError(cooldown.name, availableAt);
+        }
+      }
+
+      const result = await client.query(
+        `UPDATE users 
+         SET first_name = COALESCE($2, first_name),
+             last_name = COALESCE($3, last_name),
+             bio = COALESCE($4, bio),
+             date_of_birth = COALESCE($5, date_of_birth),
+             gender = COALESCE($6, gender),
+             location_city = COALESCE($7, location_city),
+             location_country = COALESCE($8, location_country),
+             latitude = COALESCE($9, latitude),
+             longitude = COALESCE($10, longitude),
+             language_preference = COALESCE($11, language_preference),
+             privacy_settings = COALESCE(COALESCE(privacy_settings, '{}'::jsonb) || $12::jsonb, privacy_settings),
+             matching_preferences = COALESCE($13, matching_preferences),
+             username = COALESCE($14, username),
+             timezone = COALESCE($15, timezone),
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING id, email, username, first_name, last_name, bio, profile_picture, privacy_settings, updated_at`,
+        [id, firstName, lastName, bio, dateOfBirth, gender, locationCity, locationCountry, 
+         latitude, longitude, languagePreference, privacySettings, matchingPreferences, username,
+         timezone]
+      );
+
+      for (const change of changes) {
+        await ProfileChange.record({ userId: id, ...change }, client);
+      }
+
+      return result.rows[0];
+    });
   }
 
   // Update profile picture
@@ -140,6 +230,53 @@ class User {
     return result.rows[0] || null;
   }
 
+  // Turn incognito browsing on or off
+  static async setIncognitoMode(id, enabled) {
+    const result = await query(
+      `UPDATE users SET incognito_mode = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING id, incognito_mode, is_premium`,
+      [id, enabled]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Travel mode: match from another location until it is turned off
+  static async setTravelLocation(id, { latitude, longitude, locationName = null }) {
+    const result = await query(
+      `UPDATE users
+       SET travel_latitude = $2, travel_longitude = $3, travel_location_name = $4,
+           travel_started_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING id, travel_latitude, travel_longitude, travel_location_name, travel_started_at, is_premium`,
+      [id, latitude, longitude, locationName]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  static async clearTravelLocation(id) {
+    const result = await query(
+      `UPDATE users
+       SET travel_latitude = NULL, travel_longitude = NULL, travel_location_name = NULL,
+           travel_started_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING id`,
+      [id]
+    );
+
+    return result.rows.length > 0;
+  }
+
+  // Store the device push token (Expo) used for push notifications
+  static async updatePushToken(id, pushToken) {
+    await query(
+      `UPDATE users SET push_token = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+      [id, pushToken]
+    );
+  }
+
   // Update last active timestamp
   static async updateLastActive(id) {
     await query(
@@ -148,31 +285,230 @@ class User {
     );
   }
 
-  // Verify password
+  // Store a hashed email verification token, replacing any previous one
+  static async setVerificationToken(id, tokenHash, expiresAt) {
+    await query(
+      `UPDATE users SET verification_token = $2, verification_token_expires = $3
+       WHERE id = $1`,
+      [id, tokenHash, expiresAt]
+    );
+  }
+
+  // Consume a verification token and mark the user verified (single use)
+  static async consumeVerificationToken(tokenHash) {
+    const result = await query(
+      `UPDATE users
+       SET is_verified = true, verification_token = NULL, verification_token_expires = NULL,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE verification_token = $1 AND verification_token_expires > CURRENT_TIMESTAMP
+       RETURNING id, email, username, is_verified`,
+      [tokenHash]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Store a hashed password reset code, replacing any previous one
+  static async setPasswordResetToken(id, tokenHash, expiresAt) {
+    await query(
+      `UPDATE users SET password_reset_token = $2, password_reset_expires = $3
+       WHERE id = $1`,
+      [id, tokenHash, expiresAt]
+    );
+  }
+
+  // Invalidate any outstanding password reset code
+  static async clearPasswordResetToken(id) {
+    await query(
+      `UPDATE users SET password_reset_token = NULL, password_reset_expires = NULL
+       WHERE id = $1`,
+      [id]
+    );
+  }
+
+  // Set a new password if the reset code is valid (single use)
+  static async resetPasswordWithToken(id, tokenHash, newPassword) {
+    const hashedPassword = await bcrypt.hash(newPassword, 12);
+
+    const result = await query(
+      `UPDATE users
+       SET password_hash = $3, password_reset_token = NULL, password_reset_expires = NULL,
+           password_changed_at = CURRENT_TIMESTAMP, token_version = token_version + 1,
+           login_attempts = 0, locked_until = NULL,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND password_reset_token = $2 AND password_reset_expires > CURRENT_TIMESTAMP
+       RETURNING id, email, username`,
+      [id, tokenHash, hashedPassword]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Record a failed login, optionally locking the account until lockedUntil
+  static async recordFailedLogin(id, lockedUntil = null) {
+    const result = await query(
+      `UPDATE users
+       SET login_attempts = login_attempts + 1, locked_until = COALESCE($2, locked_until)
+       WHERE id = $1
+       RETURNING login_attempts, locked_until`,
+      [id, lockedUntil]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Clear failed login state after a successful login or an unlock
+  static async clearLoginLock(id) {
+    await query(
+      `UPDATE users SET login_attempts = 0, locked_until = NULL
+       WHERE id = $1 AND (login_attempts > 0 OR locked_until IS NOT NULL)`,
+      [id]
+    );
+  }
+
+  // Get the (encrypted) TOTP secret and 2FA state
+  static async getTwoFactor(id) {
+    const result = await query(
+      `SELECT two_factor_enabled, two_factor_secret, two_factor_last_step
+       FROM users WHERE id = $1`,
+      [id]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Store a pending TOTP secret during enrolment (2FA stays off until confirmed)
+  static async setPendingTwoFactorSecret(id, encryptedSecret) {
+    await query(
+      `UPDATE users SET two_factor_secret = $2, two_factor_last_step = NULL
+       WHERE id = $1 AND two_factor_enabled = false`,
+      [id, encryptedSecret]
+    );
+  }
+
+  // Turn 2FA on and replace the recovery codes
+  static async enableTwoFactor(id, step, recoveryCodeHashes) {
+    return await transaction(async (client) => {
+      const result = await client.query(
+        `UPDATE users
+         SET two_factor_enabled = true, two_factor_enabled_at = CURRENT_TIMESTAMP, two_factor_last_step = $2
+         WHERE id = $1 AND two_factor_enabled = false AND two_factor_secret IS NOT NULL
+         RETURNING id`,
+        [id, step]
+      );
+
+      if (result.rows.length === 0) {
+        return false;
+      }
+
+      await client.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [id]);
+      for (const codeHash of recoveryCodeHashes) {
+        await client.query(
+          'INSERT INTO two_factor_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+          [id, codeHash]
+        );
+      }
+
+      return true;
+    });
+  }
+
+  // Turn 2FA off and drop the secret and recovery codes
+  static async disableTwoFactor(id) {
+    await transaction(async (client) => {
+      await client.query(
+        `UPDATE users
+         SET two_factor_enabled = false, two_factor_secret = NULL, two_factor_enabled_at = NULL,
+             two_factor_last_step = NULL
+         WHERE id = $1`,
+        [id]
+      );
+      await client.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [id]);
+    });
+  }
+
+  // Record an accepted TOTP step; false if it (or a later one) was already used
+  static async useTwoFactorStep(id, step) {
+    const result = await query(
+      `UPDATE users SET two_factor_last_step = $2
+       WHERE id = $1 AND (two_factor_last_step IS NULL OR two_factor_last_step < $2)
+       RETURNING id`,
+      [id, step]
+    );
+
+    return result.rows.length > 0;
+  }
+
+  // Use up a recovery code; false if it doesn't exist or was already used
+  static async consumeRecoveryCode(id, codeHash) {
+    const result = await query(
+      `UPDATE two_factor_recovery_codes SET used_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+       RETURNING id`,
+      [id, codeHash]
+    );
+
+    return result.rows.length > 0;
+  }
+
+  static async countRecoveryCodes(id) {
+    const result = await query(
+      'SELECT COUNT(*) FROM two_factor_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+      [id]
+    );
+
+    return parseInt(result.rows[0].count);
+  }
+
+  // Profile fields that must be set before Discover and chat
+  static getMissingProfileFields(user) {
+    const missing = [];
+    if (!user.date_of_birth) missing.push('dateOfBirth');
+    if (!user.gender) missing.push('gender');
+    return missing;
+  }
+
+  // Check whether a JWT was issued before the user's last password change (which bumps token_version)
+  static isTokenRevoked(user, decodedToken) {
+    return (decodedToken.tv || 0) !== (user.token_version || 0);
+  }
+
+  // Verify password; without a hash (unknown email, social-only account) it still runs bcrypt
+  // and returns false, so the response time doesn't reveal whether the account exists
   static async verifyPassword(plainPassword, hashedPassword) {
+    if (!hashedPassword) {
+      dummyPasswordHash = dummyPasswordHash || bcrypt.hash('no-password-set', 12);
+      await bcrypt.compare(String(plainPassword || ''), await dummyPasswordHash);
+      return false;
+    }
+
     return await bcrypt.compare(plainPassword, hashedPassword);
   }
 
-  // Generate JWT token
-  static generateToken(user) {
+  // Generate short-lived JWT access token bound to a device session
+  static generateToken(user, sessionId = null) {
     return jwt.sign(
       { 
         id: user.id, 
         email: user.email,
-        username: user.username 
+        username: user.username,
+        tv: user.token_version || 0,
+        ...(sessionId && { sid: sessionId })
       },
       process.env.JWT_SECRET,
-      { expiresIn: '7d' }
+      { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
     );
   }
 
   // Get user's interests
   static async getUserInterests(userId) {
     const result = await query(
-      `SELECT i.id, i.name, i.category
+      `SELECT i.id, i.name, c.name as category
        FROM interests i
        JOIN user_interests ui ON i.id = ui.interest_id
-       WHERE ui.user_id = $1`,
+       LEFT JOIN interest_categories c ON c.id = i.category_id
+       WHERE ui.user_id = $1
+       ORDER BY c.sort_order NULLS LAST, i.name`,
       [userId]
     );
 
@@ -182,8 +518,11 @@ class User {
   // Update user interests
   static async updateUserInterests(userId, interestIds) {
     return await transaction(async (client) => {
-      // Remove existing interests
-      await client.query('DELETE FROM user_interests WHERE user_id = $1', [userId]);
+      // Remove interests that were deselected; kept ones retain their created_at for trending
+      await client.query(
+        'DELETE FROM user_interests WHERE user_id = $1 AND NOT (interest_id = ANY($2::int[]))',
+        [userId, interestIds || []]
+      );
 
       // Add new interests
       if (interestIds && interestIds.length > 0) {
@@ -192,7 +531,8 @@ class User {
         ).join(', ');
 
         await client.query(
-          `INSERT INTO user_interests (user_id, interest_id) VALUES ${values}`,
+          `INSERT INTO user_interests (user_id, interest_id) VALUES ${values}
+           ON CONFLICT (user_id, interest_id) DO NOTHING`,
           [userId, ...interestIds]
         );
       }
@@ -216,7 +556,7 @@ class User {
 
       // Record transaction
       await client.query(
-        `INSERT INTO coin_transactions (user_id, transaction_type, amount, description, reference_id)
+        `INSERT INTO coin_transactions (user_id, type, amount, description, reference_id)
          VALUES ($1, $2, $3, $4, $5)`,
         [userId, transactionType, amount, description, referenceId]
       );
@@ -225,6 +565,25 @@ class User {
     });
   }
 
+  // Mark the profile completion reward as granted; false if it already was
+  static async markProfileCompletionRewarded(userId) {
+    const result = await query(
+      `UPDATE users SET profile_completion_rewarded_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND profile_completion_rewarded_at IS NULL
+       RETURNING id`,
+      [userId]
+    );
+
+    return result.rows.length > 0;
+  }
+
+  static async clearProfileCompletionReward(userId) {
+    await query(
+      'UPDATE users SET profile_completion_rewarded_at = NULL WHERE id = $1',
+      [userId]
+    );
+  }
+
   // Get coin transaction history
   static async getCoinTransactions(userId, limit = 50, offset = 0) {
     const result = await query(
@@ -239,8 +598,9 @@ class User {
     return result.rows;
   }
 
-  // Find potential matches for user
-  static async findPotentialMatches(userId, limit = 20) {
+  // Discover candidates that fit the user's preferences, nearest and most recently active first.
+  // Rows include the signals utils/recommendations scores them on.
+  static async findPotentialMatches(userId, limit = 20, { photoVerifiedOnly = false } = {}) {
     const user = await this.findById(userId);
     if (!user) return [];
 
@@ -250,36 +610,60 @@ class User {
     const maxDistance = prefs?.max_distance || 50;
     const preferredGender = prefs?.preferred_gender || 'any';
 
-    let genderCondition = '';
-    let genderParam = [];
-    
-    if (preferredGender !== 'any') {
-      genderCondition = 'AND u.gender = $6';
-      genderParam = [preferredGender];
+    const params = [userId, minAge, maxAge, limit];
+    const addParam = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+
+    // Radius search on the indexed location; people without one can't be placed in a radius,
+    // so they are only shown to others who haven't set a location either
+    let distanceSelect = 'NULL::double precision';
+    let distanceCondition = '';
+    const location = getMatchLocation(user);
+    if (location) {
+      const point = `ST_SetSRID(ST_MakePoint(${addParam(location.longitude)}, ${addParam(location.latitude)}), 4326)::geography`;
+      distanceSelect = `ST_Distance(${matchLocationSql('u')}, ${point}) / 1000`;
+      distanceCondition = `AND ST_DWithin(${matchLocationSql('u')}, ${point}, ${addParam(maxDistance * 1000)})`;
     }
 
+    const genderCondition = preferredGender !== 'any' ? `AND u.gender = ${addParam(preferredGender)}` : '';
+
     const result = await query(
       `SELECT u.id, u.username, u.first_name, u.last_name, u.profile_picture, u.bio,
-              u.location_city, u.location_country, u.latitude, u.longitude,
+              u.location_city, u.location_country, u.privacy_settings, u.photo_verified,
+              u.gender, u.language_preference, u.matching_preferences, u.last_active, u.created_at,
+              u.desirability_score,
               EXTRACT(YEAR FROM AGE(u.date_of_birth)) as age,
-              CASE 
-                WHEN u.latitude IS NOT NULL AND u.longitude IS NOT NULL AND $4 IS NOT NULL AND $5 IS NOT NULL
-                THEN ROUND(
-                  6371 * acos(
-                    cos(radians($4)) * cos(radians(u.latitude)) * 
-                    cos(radians(u.longitude) - radians($5)) + 
-                    sin(radians($4)) * sin(radians(u.latitude))
-                  )
-                )
-                ELSE NULL
-              END as distance_km
+              COALESCE((
+                SELECT json_agg(json_build_object('id', p.id, 'url', p.photo_url, 'isPrimary', p.is_primary)
+                                ORDER BY p.order_index, p.created_at)
+                FROM user_photos p WHERE p.user_id = u.id
+              ), '[]') as photos,
+              COALESCE((
+                SELECT json_agg(json_build_object('id', a.id, 'question', pp.question, 'answer', a.answer)
+                                ORDER BY a.position)
+                FROM profile_prompt_answers a JOIN profile_prompts pp ON pp.id = a.prompt_id
+                WHERE a.user_id = u.id
+              ), '[]') as prompts,
+              (
+                SELECT COUNT(*) FROM user_interests mine
+                JOIN user_interests theirs ON theirs.interest_id = mine.interest_id
+                WHERE mine.user_id = $1 AND theirs.user_id = u.id
+              ) as shared_interests,
+              (SELECT COUNT(*) FROM matches WHERE user2_id = u.id) as swipes_received,
+              ${distanceSelect} as distance_km
        FROM users u
        WHERE u.id != $1
          AND u.is_verified = true
+         AND u.deleted_at IS NULL
          AND EXTRACT(YEAR FROM AGE(u.date_of_birth)) BETWEEN $2 AND $3
+         AND ${DISCOVERABLE_CONDITION}
+         AND (NOT ${INCOGNITO_CONDITION} OR u.id IN (
+           SELECT user1_id FROM matches WHERE user2_id = $1 AND user1_liked = true
+         ))
          AND u.id NOT IN (
-           SELECT CASE WHEN user1_id = $1 THEN user2_id ELSE user1_id END
-           FROM matches WHERE user1_id = $1 OR user2_id = $1
+           SELECT user2_id FROM matches WHERE user1_id = $1
          )
          AND u.id NOT IN (
            SELECT blocked_id FROM user_blocks WHERE blocker_id = $1
@@ -287,16 +671,139 @@ class User {
          AND u.id NOT IN (
            SELECT blocker_id FROM user_blocks WHERE blocked_id = $1
          )
+         ${distanceCondition}
          ${genderCondition}
-       HAVING distance_km IS NULL OR distance_km <= $${genderParam.length ? 7 : 6}
-       ORDER BY 
-         CASE WHEN distance_km IS NOT NULL THEN distance_km ELSE 999999 END,
-         u.last_active DESC
-       LIMIT $${genderParam.length ? 8 : 7}`,
-      [userId, minAge, maxAge, user.latitude, user.longitude, maxDistance, ...genderParam, limit]
+         ${photoVerifiedOnly ? 'AND u.photo_verified = true' : ''}
+       ORDER BY distance_km NULLS LAST, u.last_active DESC
+       LIMIT $4`,
+      params
     );
 
-    return result.rows;
+    return result.rows.map(row => ({
+      ...row,
+      shared_interests: parseInt(row.shared_interests),
+      swipes_received: parseInt(row.swipes_received)
+    }));
+  }
+
+  // Which of the given users can no longer be shown in the user's deck: already swiped
+  // on, blocked either way, or since deleted, hidden from Discover or gone incognito
+  // (see findPotentialMatches)
+  static async findExcludedFromDeck(userId, candidateIds, { photoVerifiedOnly = false } = {}) {
+    const result = await query(
+      `SELECT user2_id as id FROM matches WHERE user1_id = $1 AND user2_id = ANY($2)
+       UNION
+       SELECT blocked_id FROM user_blocks WHERE blocker_id = $1 AND blocked_id = ANY($2)
+       UNION
+       SELECT blocker_id FROM user_blocks WHERE blocked_id = $1 AND blocker_id = ANY($2)
+       UNION
+       SELECT u.id FROM users u
+       WHERE u.id = ANY($2)
+         AND (
+           u.deleted_at IS NOT NULL
+           OR NOT ${DISCOVERABLE_CONDITION}
+           OR (${INCOGNITO_CONDITION} AND u.id NOT IN (
+             SELECT user1_id FROM matches WHERE user2_id = $1 AND user1_liked = true
+           ))
+           OR ($3 AND u.photo_verified IS NOT TRUE)
+         )`,
+      [userId, candidateIds, photoVerifiedOnly]
+    );
+
+    return result.rows.map(row => row.id);
+  }
+
+  // Elo-style update after a swipe: a like moves the target's score up, a pass moves it down,
+  // by more when it is unexpected given the swiper's own score. Returns the change applied.
+  static async updateDesirability(swiperId, targetId, liked, kFactor, client = null) {
+    const run = client ? client.query.bind(client) : query;
+    const result = await run(
+      `WITH outcome AS (
+         SELECT target.id, $3 * (
+           $4 - 1 / (1 + power(10, (swiper.desirability_score - target.desirability_score) / 400))
+         ) as change
+         FROM users target, users swiper
+         WHERE target.id = $2 AND swiper.id = $1
+       )
+       UPDATE users SET desirability_score = desirability_score + outcome.change
+       FROM outcome
+       WHERE users.id = outcome.id
+       RETURNING outcome.change`,
+      [swiperId, targetId, kFactor, liked ? 1 : 0]
+    );
+
+    return result.rows.length > 0 ? Number(result.rows[0].change) : 0;
+  }
+
+  // Take back a change made by updateDesirability, e.g. when the swipe is rewound
+  static async revertDesirability(userId, change, client = null) {
+    const run = client ? client.query.bind(client) : query;
+    await run(
+      'UPDATE users SET desirability_score = desirability_score - $2 WHERE id = $1',
+      [userId, change]
+    );
+  }
+
+  // Discover filtered to people who share an interest, most interests in common first
+  static async findByInterest(userId, interestId, limit = 20, offset = 0, { photoVerifiedOnly = false } = {}) {
+    const result = await query(
+      `SELECT u.id, u.username, u.first_name, u.last_name, u.profile_picture, u.bio,
+              u.location_city, u.location_country, u.photo_verified,
+              EXTRACT(YEAR FROM AGE(u.date_of_birth)) as age,
+              COALESCE((
+                SELECT json_agg(json_build_object('id', p.id, 'url', p.photo_url, 'isPrimary', p.is_primary)
+                                ORDER BY p.order_index, p.created_at)
+                FROM user_photos p WHERE p.user_id = u.id
+              ), '[]') as photos,
+              COALESCE((
+                SELECT json_agg(json_build_object('id', a.id, 'question', pp.question, 'answer', a.answer)
+                                ORDER BY a.position)
+                FROM profile_prompt_answers a JOIN profile_prompts pp ON pp.id = a.prompt_id
+                WHERE a.user_id = u.id
+              ), '[]') as prompts,
+              (
+                SELECT COUNT(*) FROM user_interests mine
+                JOIN user_interests theirs ON theirs.interest_id = mine.interest_id
+                WHERE mine.user_id = $1 AND theirs.user_id = u.id
+              ) as shared_interests
+       FROM users u
+       JOIN user_interests ui ON ui.user_id = u.id AND ui.interest_id = $2
+       WHERE u.id != $1
+         AND u.is_verified = true
+         AND u.deleted_at IS NULL
+         AND u.date_of_birth IS NOT NULL
+         ${photoVerifiedOnly ? 'AND u.photo_verified = true' : ''}
+         AND ${DISCOVERABLE_CONDITION}
+         AND (NOT ${INCOGNITO_CONDITION} OR u.id IN (
+           SELECT user1_id FROM matches WHERE user2_id = $1 AND user1_liked = true
+         ))
+         AND u.id NOT IN (
+           SELECT user2_id FROM matches WHERE user1_id = $1
+         )
+         AND u.id NOT IN (
+           SELECT blocked_id FROM user_blocks WHERE blocker_id = $1
+         )
+         AND u.id NOT IN (
+           SELECT blocker_id FROM user_blocks WHERE blocked_id = $1
+         )
+       ORDER BY shared_interests DESC, u.last_active DESC
+       LIMIT $3 OFFSET $4`,
+      [userId, interestId, limit, offset]
+    );
+
+    return result.rows.map(row => ({ ...row, shared_interests: parseInt(row.shared_interests) }));
+  }
+
+  // Whether either user has blocked the other
+  static async isBlockedBetween(userId, otherUserId) {
+    const result = await query(
+      `SELECT 1 FROM user_blocks
+       WHERE (blocker_id = $1 AND blocked_id = $2) OR (blocker_id = $2 AND blocked_id = $1)
+       LIMIT 1`,
+      [userId, otherUserId]
+    );
+
+    return result.rows.length > 0;
   }
 
   // Block a user
@@ -319,8 +826,8 @@ class User {
   // Report a user
   static async reportUser(reporterId, reportedId, reason, description) {
     const result = await query(
-      `INSERT INTO user_reports (reporter_id, reported_id, reason, description)
-       VALUES ($1, $2, $3, $4)
+      `INSERT INTO reports (reporter_id, reported_content_type, reported_content_id, reason, description)
+       VALUES ($1, 'user', $2, $3, $4)
        RETURNING id, created_at`,
       [reporterId, reportedId, reason, description]
     );
@@ -328,27 +835,233 @@ class User {
     return result.rows[0];
   }
 
+  // Put the account under review once enough different people have open reports against it;
+  // returns the user if this call is the one that did so
+  static async markUnderReviewIfReported(id, threshold) {
+    const result = await query(
+      `UPDATE users SET under_review_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND under_review_at IS NULL
+       AND (
+         SELECT COUNT(DISTINCT reporter_id) FROM reports
+         WHERE reported_content_type = 'user' AND reported_content_id = $1 AND status = 'pending'
+       ) >= $2
+       RETURNING id, under_review_at`,
+      [id, threshold]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // A moderator has looked at the account: lift the review and close its open reports
+  static async clearReview(id, status = 'reviewed', adminNotes = null) {
+    return await transaction(async (client) => {
+      const result = await client.query(
+        `UPDATE users SET under_review_at = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING id`,
+        [id]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      const reports = await client.query(
+        `UPDATE reports SET status = $2, admin_notes = COALESCE($3, admin_notes)
+         WHERE reported_content_type = 'user' AND reported_content_id = $1 AND status = 'pending'`,
+        [id, status, adminNotes]
+      );
+
+      return { reportsClosed: reports.rowCount };
+    });
+  }
+
   // Delete user account
-  static async deleteAccount(id) {
-    await query(`DELETE FROM users WHERE id = $1`, [id]);
+  // Start the deletion grace period (asking again keeps the original schedule)
+  static async scheduleDeletion(id, graceDays) {
+    const result = await query(
+      `UPDATE users
+       SET deleted_at = COALESCE(deleted_at, CURRENT_TIMESTAMP),
+           deletion_scheduled_for = COALESCE(deletion_scheduled_for,
+                                             CURRENT_TIMESTAMP + make_interval(days => $2)),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND anonymized_at IS NULL
+       RETURNING id, deleted_at, deletion_scheduled_for`,
+      [id, graceDays]
+    );
+
+    return result.rows[0] || null;
   }
 
-  // Search users
-  static async searchUsers(query_text, limit = 20, offset = 0) {
+  // Reactivate an account during its grace period
+  static async cancelDeletion(id) {
     const result = await query(
-      `SELECT id, username, first_name, last_name, profile_picture, bio, is_verified
-       FROM users
-       WHERE (username ILIKE $1 OR first_name ILIKE $1 OR last_name ILIKE $1)
-         AND is_verified = true
-       ORDER BY
-         CASE 
-           WHEN username ILIKE $1 THEN 1
-           WHEN first_name ILIKE $1 THEN 2
-           ELSE 3
-         END,
-         last_active DESC
-       LIMIT $2 OFFSET $3`,
-      [`%${query_text}%`, limit, offset]
+      `UPDATE users
+       SET deleted_at = NULL, deletion_scheduled_for = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND deleted_at IS NOT NULL AND anonymized_at IS NULL
+       RETURNING id`,
+      [id]
+    );
+
+    return result.rows.length > 0;
+  }
+
+  // Accounts whose grace period has ended, leaving out excludeIds and any whose purge failed
+  // within the last retryAfterHours
+  static async findDueForPurge(limit = 50, { excludeIds = [], retryAfterHours = 0 } = {}) {
+    const result = await query(
+      `SELECT id, profile_picture, deleted_at, deletion_scheduled_for
+       FROM users u
+       WHERE deleted_at IS NOT NULL AND anonymized_at IS NULL
+         AND deletion_scheduled_for <= CURRENT_TIMESTAMP
+         AND id <> ALL($2::uuid[])
+         AND NOT EXISTS (
+           SELECT 1 FROM account_deletion_audit a
+           WHERE a.user_id = u.id AND a.step = 'purge_failed'
+             AND a.created_at > NOW() - make_interval(hours => $3)
+         )
+       ORDER BY deletion_scheduled_for
+       LIMIT $1`,
+      [limit, excludeIds, retryAfterHours]
+    );
+
+    return result.rows;
+  }
+
+  // Strip personal data but keep the row so counterparts' chats, matches and calls survive
+  // (pass a transaction client to run it alongside the rest of the purge)
+  static async anonymize(id, client = null) {
+    const run = client ? client.query.bind(client) : query;
+    const result = await run(
+      `UPDATE users
+       SET email = 'deleted_' || replace(id::text, '-', '') || '@deleted.invalid',
+           username = 'deleted_' || replace(id::text, '-', ''),
+           password_hash = NULL,
+           first_name = 'Deleted',
+           last_name = 'User',
+           date_of_birth = NULL,
+           gender = NULL,
+           bio = NULL,
+           profile_picture = NULL,
+           location_city = NULL,
+           location_country = NULL,
+           latitude = NULL,
+           longitude = NULL,
+           travel_latitude = NULL,
+           travel_longitude = NULL,
+           travel_location_name = NULL,
+           travel_started_at = NULL,
+           google_id = NULL,
+           facebook_id = NULL,
+           push_token = NULL,
+           two_factor_enabled = false,
+           two_factor_secret = NULL,
+           two_factor_enabled_at = NULL,
+           two_factor_last_step = NULL,
+           is_verified = false,
+           is_premium = false,
+           photo_verified = false,
+           photo_verified_at = NULL,
+           anonymized_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING id`,
+      [id]
+    );
+
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Search people by username, name, interests and bio: prefix full-text matches on the stored
+   * search_document plus trigram similarity for typos. Ranked best first and paged by (rank, id) keyset.
+   * text must contain something buildPrefixQuery can use.
+   * filters: minAge, maxAge, gender, maxDistance (km, needs the viewer's location; skips people
+   * who hide their distance), language, onlineNow, photoVerifiedOnly
+   */
+  static async searchUsers(userId, text, filters = {}, { limit = 20, cursor = null } = {}) {
+    const viewer = await this.findById(userId);
+    if (!viewer) return [];
+
+    const params = [userId, buildPrefixQuery(text), text];
+    const addParam = (value) => {
+      params.push(value);
+      return `$${params.length}`;
+    };
+
+    const conditions = [];
+    let distanceSelect = 'NULL::double precision';
+    const location = getMatchLocation(viewer);
+    if (location) {
+      const point = `ST_SetSRID(ST_MakePoint(${addParam(location.longitude)}, ${addParam(location.latitude)}), 4326)::geography`;
+      distanceSelect = `ST_Distance(${matchLocationSql('u')}, ${point}) / 1000`;
+      // Narrowing the radius would reveal where people who hide their distance are, so the
+      // filter leaves them out rather than matching on it
+      if (filters.maxDistance) {
+        conditions.push(DISTANCE_VISIBLE_CONDITION);
+        conditions.push(`ST_DWithin(${matchLocationSql('u')}, ${point}, ${addParam(filters.maxDistance * 1000)})`);
+      }
+    }
+    if (filters.minAge) {
+      conditions.push(`EXTRACT(YEAR FROM AGE(u.date_of_birth)) >= ${addParam(filters.minAge)}`);
+    }
+    if (filters.maxAge) {
+      conditions.push(`EXTRACT(YEAR FROM AGE(u.date_of_birth)) <= ${addParam(filters.maxAge)}`);
+    }
+    if (filters.gender) {
+      conditions.push(`u.gender = ${addParam(filters.gender)}`);
+    }
+    if (filters.language) {
+      conditions.push(`u.language_preference = ${addParam(filters.language)}`);
+    }
+    if (filters.onlineNow) {
+      conditions.push(`u.is_online = true AND ${PRESENCE_VISIBLE_CONDITION}`);
+    }
+    if (filters.photoVerifiedOnly) {
+      conditions.push('u.photo_verified = true');
+    }
+
+    // The cursor compares the computed rank, so it filters the outer query
+    const outerConditions = [];
+    if (cursor) {
+      const rank = addParam(cursor.rank);
+      outerConditions.push(`(rank < ${rank}::numeric OR (rank = ${rank}::numeric AND id > ${addParam(cursor.id)}::uuid))`);
+    }
+
+    const result = await query(
+      `SELECT * FROM (
+         SELECT u.id, u.username, u.first_name, u.last_name, u.profile_picture, u.bio, u.is_verified,
+                u.photo_verified, u.location_city, u.location_country, u.privacy_settings,
+                u.is_online, u.last_seen, u.presence_status, u.incognito_mode, u.is_premium,
+                EXTRACT(YEAR FROM AGE(u.date_of_birth)) as age,
+                ${distanceSelect} as distance_km,
+                ROUND((
+                  ts_rank(u.search_document, to_tsquery('simple', $2))
+                  + GREATEST(similarity(u.username, $3), similarity(${FULL_NAME_SQL}, $3))
+                )::numeric, 6) as rank
+         FROM users u
+         WHERE u.id != $1
+           AND u.is_verified = true
+           AND u.deleted_at IS NULL
+           AND (
+             u.search_document @@ to_tsquery('simple', $2)
+             OR u.username % $3
+             OR ${FULL_NAME_SQL} % $3
+           )
+           AND ${VISIBLE_TO_VIEWER_CONDITION}
+           AND NOT ${INCOGNITO_CONDITION}
+           AND u.id NOT IN (
+             SELECT blocked_id FROM user_blocks WHERE blocker_id = $1
+           )
+           AND u.id NOT IN (
+             SELECT blocker_id FROM user_blocks WHERE blocked_id = $1
+           )
+           ${conditions.map(condition => `AND ${condition}`).join('\n           ')}
+       ) results
+       ${outerConditions.length ? `WHERE ${outerConditions.join(' AND ')}` : ''}
+       ORDER BY rank DESC, id
+       LIMIT ${addParam(limit)}`,
+      params
     );
 
     return result.rows;
@@ -0,0 +1,31 @@
+const { query } = require('../config/database');
+
+class UserActivity {
+  // Record a security/audit event (userId may be null for unknown accounts)
+  static async log({ userId = null, activityType, activityData = null, ipAddress = null, userAgent = null }) {
+    const result = await query(
+      `INSERT INTO user_activity_log (user_id, activity_type, activity_data, ip_address, user_agent)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id, created_at`,
+      [userId, activityType, activityData ? JSON.stringify(activityData) : null, ipAddress, userAgent]
+    );
+
+    return result.rows[0];
+  }
+
+  // Recent events of one type for a user
+  static async findByUser(userId, activityType = null, limit = 50) {
+    const result = await query(
+      `SELECT id, activity_type, activity_data, ip_address, user_agent, created_at
+       FROM user_activity_log
+       WHERE user_id = $1 AND ($2::varchar IS NULL OR activity_type = $2)
+       ORDER BY created_at DESC
+       LIMIT $3`,
+      [userId, activityType, limit]
+    );
+
+    return result.rows;
+  }
+}
+
+module.exports = UserActivity;
@@ -0,0 +1,204 @@
+const { query, transaction } = require('../config/database');
+
+const PHOTO_FIELDS = 'id, user_id, photo_url, is_primary, order_index, created_at';
+
+// users.profile_picture always mirrors the primary gallery photo
+async function syncProfilePicture(client, userId) {
+  await client.query(
+    `UPDATE users
+     SET profile_picture = (
+           SELECT photo_url FROM user_photos WHERE user_id = $1 AND is_primary = true LIMIT 1
+         ),
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [userId]
+  );
+}
+
+// The verified badge vouches for the photos the selfie was checked against, so any change
+// to the gallery's photos or its primary photo means the user has to verify again
+async function resetPhotoVerification(client, userId) {
+  await client.query(
+    `UPDATE users
+     SET photo_verified = false, photo_verified_at = NULL, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND photo_verified = true`,
+    [userId]
+  );
+}
+
+class UserPhoto {
+  // A user's gallery in display order
+  static async findByUser(userId) {
+    const result = await query(
+      `SELECT ${PHOTO_FIELDS} FROM user_photos
+       WHERE user_id = $1
+       ORDER BY order_index, created_at`,
+      [userId]
+    );
+
+    return result.rows;
+  }
+
+  static async findById(id, userId) {
+    const result = await query(
+      `SELECT ${PHOTO_FIELDS} FROM user_photos WHERE id = $1 AND user_id = $2`,
+      [id, userId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  static async findByUrl(photoUrl, userId) {
+    const result = await query(
+      `SELECT ${PHOTO_FIELDS} FROM user_photos WHERE photo_url = $1 AND user_id = $2`,
+      [photoUrl, userId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  static async countByUser(userId) {
+    const result = await query(
+      'SELECT COUNT(*) FROM user_photos WHERE user_id = $1',
+      [userId]
+    );
+
+    return parseInt(result.rows[0].count);
+  }
+
+  // Append photos to the end of the gallery; the first photo ever added becomes primary
+  static async addMany(userId, photoUrls) {
+    return await transaction(async (client) => {
+      const current = await client.query(
+        `SELECT COALESCE(MAX(order_index), -1) as max_index, BOOL_OR(is_primary) as has_primary
+         FROM user_photos WHERE user_id = $1`,
+        [userId]
+      );
+      let nextIndex = current.rows[0].max_index + 1;
+      let hasPrimary = current.rows[0].has_primary === true;
+
+      const photos = [];
+      for (const photoUrl of photoUrls) {
+        const result = await client.query(
+          `INSERT INTO user_photos (user_id, photo_url, is_primary, order_index)
+           VALUES ($1, $2, $3, $4)
+           RETURNING ${PHOTO_FIELDS}`,
+          [userId, photoUrl, !hasPrimary, nextIndex++]
+        );
+        hasPrimary = true;
+        photos.push(result.rows[0]);
+      }
+
+      await syncProfilePicture(client, userId);
+      await resetPhotoVerification(client, userId);
+
+      return photos;
+    });
+  }
+
+  // Put a new photo at the front of the gallery as the primary photo
+  static async addPrimary(userId, photoUrl) {
+    return await transaction(async (client) => {
+      await client.query(
+        `UPDATE user_photos SET is_primary = false, order_index = order_index + 1
+         WHERE user_id = $1`,
+        [userId]
+      );
+
+      const result = await client.query(
+        `INSERT INTO user_photos (user_id, photo_url, is_primary, order_index)
+         VALUES ($1, $2, true, 0)
+         RETURNING ${PHOTO_FIELDS}`,
+        [userId, photoUrl]
+      );
+
+      await syncProfilePicture(client, userId);
+      await resetPhotoVerification(client, userId);
+
+      return result.rows[0];
+    });
+  }
+
+  // Reorder the gallery; photoIds must list every photo the user has
+  static async reorder(userId, photoIds) {
+    return await transaction(async (client) => {
+      const existing = await client.query(
+        'SELECT id FROM user_photos WHERE user_id = $1',
+        [userId]
+      );
+      const existingIds = existing.rows.map(row => row.id).sort();
+      const requestedIds = [...photoIds].sort();
+
+      if (existingIds.length !== requestedIds.length ||
+          existingIds.some((id, index) => id !== requestedIds[index])) {
+        return null;
+      }
+
+      for (const [index, photoId] of photoIds.entries()) {
+        await client.query(
+          'UPDATE user_photos SET order_index = $3 WHERE id = $1 AND user_id = $2',
+          [photoId, userId, index]
+        );
+      }
+
+      const result = await client.query(
+        `SELECT ${PHOTO_FIELDS} FROM user_photos WHERE user_id = $1 ORDER BY order_index`,
+        [userId]
+      );
+
+      return result.rows;
+    });
+  }
+
+  static async setPrimary(userId, photoId) {
+    return await transaction(async (client) => {
+      const result = await client.query(
+        `UPDATE user_photos SET is_primary = (id = $2)
+         WHERE user_id = $1 AND EXISTS (SELECT 1 FROM user_photos WHERE id = $2 AND user_id = $1)
+         RETURNING id`,
+        [userId, photoId]
+      );
+
+      if (result.rows.length === 0) {
+        return false;
+      }
+
+      await syncProfilePicture(client, userId);
+      await resetPhotoVerification(client, userId);
+      return true;
+    });
+  }
+
+  // Remove a photo; if it was primary, the next photo in order takes over
+  static async delete(userId, photoId) {
+    return await transaction(async (client) => {
+      const result = await client.query(
+        `DELETE FROM user_photos WHERE id = $1 AND user_id = $2
+         RETURNING ${PHOTO_FIELDS}`,
+        [photoId, userId]
+      );
+
+      const deleted = result.rows[0];
+      if (!deleted) {
+        return null;
+      }
+
+      if (deleted.is_primary) {
+        await client.query(
+          `UPDATE user_photos SET is_primary = true
+           WHERE id = (
+             SELECT id FROM user_photos WHERE user_id = $1
+             ORDER BY order_index, created_at LIMIT 1
+           )`,
+          [userId]
+        );
+        await syncProfilePicture(client, userId);
+      }
+      await resetPhotoVerification(client, userId);
+
+      return deleted;
+    });
+  }
+}
+
+module.exports = UserPhoto;
@@ -0,0 +1,157 @@
+const { query, transaction } = require('../config/database');
+
+class UserSession {
+  // Create a session (one refresh token family) for a device; replacedSessionIds lists the
+  // device's earlier sessions it revoked
+  static async create(sessionData) {
+    const {
+      userId,
+      tokenHash,
+      deviceId,
+      deviceType,
+      deviceName,
+      ipAddress,
+      userAgent,
+      expiresAt
+    } = sessionData;
+
+    return await transaction(async (client) => {
+      // Logging in again on the same device replaces its previous session
+      let replacedSessionIds = [];
+      if (deviceId) {
+        const replaced = await client.query(
+          `UPDATE user_sessions
+           SET is_active = false, revoked_at = CURRENT_TIMESTAMP, revoked_reason = 'replaced'
+           WHERE user_id = $1 AND device_id = $2 AND is_active = true
+           RETURNING id`,
+          [userId, deviceId]
+        );
+        replacedSessionIds = replaced.rows.map(row => row.id);
+      }
+
+      const result = await client.query(
+        `INSERT INTO user_sessions (user_id, session_token, device_id, device_type, device_name,
+                                    ip_address, user_agent, expires_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING id, user_id, device_id, device_type, device_name, ip_address, user_agent,
+                   is_active, created_at, expires_at`,
+        [userId, tokenHash, deviceId, deviceType, deviceName, ipAddress, userAgent, expiresAt]
+      );
+
+      return { ...result.rows[0], replacedSessionIds };
+    });
+  }
+
+  // Find session by ID
+  static async findById(id) {
+    const result = await query(
+      `SELECT id, user_id, device_id, device_type, device_name, ip_address, user_agent,
+              is_active, revoked_at, revoked_reason, created_at, updated_at, expires_at
+       FROM user_sessions WHERE id = $1`,
+      [id]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Find session by its current refresh token hash
+  static async findByTokenHash(tokenHash) {
+    const result = await query(
+      `SELECT id, user_id, device_id, device_type, device_name, is_active, expires_at
+       FROM user_sessions WHERE session_token = $1`,
+      [tokenHash]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Find the session a rotated-out refresh token belonged to
+  static async findByRotatedTokenHash(tokenHash) {
+    const result = await query(
+      `SELECT s.id, s.user_id, s.is_active
+       FROM refresh_token_history h
+       JOIN user_sessions s ON s.id = h.session_id
+       WHERE h.token_hash = $1`,
+      [tokenHash]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Swap the refresh token for a new one, keeping the old hash for reuse detection
+  static async rotate(sessionId, oldTokenHash, newTokenHash, expiresAt, ipAddress) {
+    return await transaction(async (client) => {
+      const result = await client.query(
+        `UPDATE user_sessions
+         SET session_token = $3, expires_at = $4, ip_address = COALESCE($5, ip_address)
+         WHERE id = $1 AND session_token = $2 AND is_active = true
+         RETURNING id, user_id, device_id, device_type, device_name, expires_at`,
+        [sessionId, oldTokenHash, newTokenHash, expiresAt, ipAddress]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      await client.query(
+        `INSERT INTO refresh_token_history (session_id, token_hash) VALUES ($1, $2)`,
+        [sessionId, oldTokenHash]
+      );
+
+      return result.rows[0];
+    });
+  }
+
+  // List a user's signed-in devices
+  static async findActiveByUser(userId) {
+    const result = await query(
+      `SELECT id, device_id, device_type, device_name, ip_address, user_agent,
+              created_at, updated_at, expires_at
+       FROM user_sessions
+       WHERE user_id = $1 AND is_active = true AND expires_at > CURRENT_TIMESTAMP
+       ORDER BY updated_at DESC`,
+      [userId]
+    );
+
+    return result.rows;
+  }
+
+  // Check that a session is still usable
+  static async isActive(sessionId, userId) {
+    const result = await query(
+      `SELECT 1 FROM user_sessions
+       WHERE id = $1 AND user_id = $2 AND is_active = true AND expires_at > CURRENT_TIMESTAMP`,
+      [sessionId, userId]
+    );
+
+    return result.rows.length > 0;
+  }
+
+  // Revoke a single session (optionally only if it belongs to userId)
+  static async revoke(sessionId, reason = 'logout', userId = null) {
+    const result = await query(
+      `UPDATE user_sessions
+       SET is_active = false, revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+       WHERE id = $1 AND is_active = true AND ($3::uuid IS NULL OR user_id = $3::uuid)
+       RETURNING id, user_id`,
+      [sessionId, reason, userId]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  // Revoke every active session for a user, optionally keeping one
+  static async revokeAllForUser(userId, reason = 'logout_all', exceptSessionId = null) {
+    const result = await query(
+      `UPDATE user_sessions
+       SET is_active = false, revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+       WHERE user_id = $1 AND is_active = true AND ($3::uuid IS NULL OR id != $3::uuid)
+       RETURNING id`,
+      [userId, reason, exceptSessionId]
+    );
+
+    return result.rows.map(row => row.id);
+  }
+}
+
+module.exports = UserSession;
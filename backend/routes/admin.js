@@ -0,0 +1,493 @@
+const express = require('express');
+const path = require('path');
+const { body, param, query: queryParam, validationResult } = require('express-validator');
+const AdminUser = require('../models/AdminUser');
+const PhotoVerification = require('../models/PhotoVerification');
+const ProfileChange = require('../models/ProfileChange');
+const Report = require('../models/Report');
+const User = require('../models/User');
+const UserActivity = require('../models/UserActivity');
+const UserPhoto = require('../models/UserPhoto');
+const { authenticateAdmin } = require('../middleware/auth');
+const { sendPushNotification } = require('../utils/pushNotifications');
+const { findPose } = require('../utils/photoVerification');
+const { deleteStoredMedia } = require('../utils/mediaStorage');
+
+const router = express.Router();
+
+// Moderator sign-in
+router.post('/auth/login', [
+  body('email').isEmail().normalizeEmail(),
+  body('password').notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const admin = await AdminUser.findByEmail(req.body.email);
+    if (!admin || !admin.is_active ||
+        !(await AdminUser.verifyPassword(req.body.password, admin.password_hash))) {
+      return res.status(401).json({ message: 'Invalid email or password', code: 'INVALID_CREDENTIALS' });
+    }
+
+    await AdminUser.updateLastLogin(admin.id);
+
+    res.json({
+      token: AdminUser.generateToken(admin),
+      admin: { id: admin.id, email: admin.email, name: admin.name, role: admin.role }
+    });
+  } catch (error) {
+    console.error('Admin login error:', error);
+    res.status(500).json({ message: 'Login failed' });
+  }
+});
+
+// Selfie verification review queue, oldest first
+router.get('/photo-verifications', [
+  authenticateAdmin,
+  queryParam('status').optional().isIn(['pending', 'approved', 'rejected'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const status = req.query.status || 'pending';
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const verifications = await PhotoVerification.findByStatus(status, limit, offset);
+
+    res.json({
+      verifications: verifications.map(verification => ({
+        id: verification.id,
+        status: verification.status,
+        pose: findPose(verification.pose)?.instruction || verification.pose,
+        selfieUrl: `/api/admin/photo-verifications/${verification.id}/selfie`,
+        rejectionReason: verification.rejection_reason,
+        submittedAt: verification.created_at,
+        reviewedAt: verification.reviewed_at,
+        user: {
+          id: verification.user_id,
+          firstName: verification.first_name,
+          lastName: verification.last_name,
+          profilePicture: verification.profile_picture,
+          photos: verification.photos
+        }
+      })),
+      pagination: { limit, offset, hasMore: verifications.length === limit }
+    });
+  } catch (error) {
+    console.error('Get photo verification queue error:', error);
+    res.status(500).json({ message: 'Failed to get photo verifications' });
+  }
+});
+
+// The selfie itself; it is only ever served to moderators
+router.get('/photo-verifications/:id/selfie', [
+  authenticateAdmin,
+  param('id').isUUID().withMessage('Invalid verification ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const verification = await PhotoVerification.findById(req.params.id);
+    if (!verification) {
+      return res.status(404).json({ message: 'Verification not found', code: 'VERIFICATION_NOT_FOUND' });
+    }
+
+    // Selfies are stored as re-encoded JPEGs; the explicit type also covers any stored before
+    // that, whatever their file extension says
+    res.sendFile(path.resolve(verification.selfie_path), {
+      headers: { 'Content-Type': 'image/jpeg', 'X-Content-Type-Options': 'nosniff' }
+    }, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({ message: 'Selfie not found' });
+      }
+    });
+  } catch (error) {
+    console.error('Get verification selfie error:', error);
+    res.status(500).json({ message: 'Failed to get selfie' });
+  }
+});
+
+// Approve a selfie: the user gets the photo_verified badge
+router.post('/photo-verifications/:id/approve', [
+  authenticateAdmin,
+  param('id').isUUID().withMessage('Invalid verification ID')
+], async (req, res) => {
+  await reviewVerification(req, res, true);
+});
+
+// Reject a selfie with a reason the user will see
+router.post('/photo-verifications/:id/reject', [
+  authenticateAdmin,
+  param('id').isUUID().withMessage('Invalid verification ID'),
+  body('reason').isString().trim().isLength({ min: 1, max: 255 })
+    .withMessage('A rejection reason is required')
+], async (req, res) => {
+  await reviewVerification(req, res, false);
+});
+
+async function reviewVerification(req, res, approved) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const existing = await PhotoVerification.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ message: 'Verification not found', code: 'VERIFICATION_NOT_FOUND' });
+    }
+
+    const verification = await PhotoVerification.review({
+      id: existing.id,
+      adminId: req.admin.id,
+      approved,
+      reason: req.body.reason
+    });
+    if (!verification) {
+      return res.status(409).json({
+        message: 'This verification has already been reviewed',
+        code: 'ALREADY_REVIEWED'
+      });
+    }
+
+    await UserActivity.log({
+      userId: verification.user_id,
+      activityType: approved ? 'photo_verification_approved' : 'photo_verification_rejected',
+      activityData: { verificationId: verification.id, adminId: req.admin.id },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    const result = {
+      verificationId: verification.id,
+      status: verification.status,
+      rejectionReason: verification.rejection_reason
+    };
+    req.io?.to(`user_${verification.user_id}`).emit('photo_verification_result', result);
+
+    await sendPushNotification(verification.user_id, {
+      title: approved ? 'You’re photo verified!' : 'Photo verification unsuccessful',
+      body: approved
+        ? 'Your profile now shows the verified badge'
+        : verification.rejection_reason,
+      data: { type: 'photo_verification_result', ...result }
+    });
+
+    res.json({ message: approved ? 'Verification approved' : 'Verification rejected', verification: result });
+  } catch (error) {
+    console.error('Review photo verification error:', error);
+    res.status(500).json({ message: 'Failed to review verification' });
+  }
+}
+
+// Open reports against user profiles, each with the reported user's recent profile changes
+router.get('/reports', [
+  authenticateAdmin,
+  queryParam('status').optional().isIn(['pending', 'reviewed', 'resolved', 'dismissed'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const status = req.query.status || 'pending';
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const reports = await Report.findUserReports(status, limit, offset);
+
+    const historyByUser = {};
+    for (const userId of new Set(reports.map(report => report.reported_user_id))) {
+      historyByUser[userId] = await ProfileChange.findByUser(userId, 20);
+    }
+
+    res.json({
+      reports: reports.map(report => ({
+        id: report.id,
+        reporterId: report.reporter_id,
+        reason: report.reason,
+        description: report.description,
+        status: report.status,
+        adminNotes: report.admin_notes,
+        createdAt: report.created_at,
+        reportedUser: {
+          id: report.reported_user_id,
+          username: report.username,
+          firstName: report.first_name,
+          lastName: report.last_name,
+          bio: report.bio,
+          profilePicture: report.profile_picture,
+          underReviewAt: report.under_review_at,
+          createdAt: report.user_created_at,
+          profileHistory: historyByUser[report.reported_user_id].map(formatProfileChange)
+        }
+      })),
+      pagination: { limit, offset, hasMore: reports.length === limit }
+    });
+  } catch (error) {
+    console.error('Get reports error:', error);
+    res.status(500).json({ message: 'Failed to get reports' });
+  }
+});
+
+// Full profile change history and every report against one user
+router.get('/users/:id/profile-history', [
+  authenticateAdmin,
+  param('id').isUUID().withMessage('Invalid user ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const history = await ProfileChange.findByUser(user.id, limit, offset);
+    const reports = await Report.findByReportedUser(user.id);
+
+    res.json({
+      user: {
+        id: user.id,
+        username: user.username,
+        firstName: user.first_name,
+        lastName: user.last_name,
+        underReviewAt: user.under_review_at,
+        createdAt: user.created_at
+      },
+      history: history.map(formatProfileChange),
+      reports: reports.map(report => ({
+        id: report.id,
+        reporterId: report.reporter_id,
+        reason: report.reason,
+        description: report.description,
+        status: report.status,
+        adminNotes: report.admin_notes,
+        createdAt: report.created_at
+      })),
+      pagination: { limit, offset, hasMore: history.length === limit }
+    });
+  } catch (error) {
+    console.error('Get profile history error:', error);
+    res.status(500).json({ message: 'Failed to get profile history' });
+  }
+});
+
+// Lift a review: the user can edit their profile again and their open reports are closed
+router.post('/users/:id/review/clear', [
+  authenticateAdmin,
+  param('id').isUUID().withMessage('Invalid user ID'),
+  body('status').optional().isIn(['reviewed', 'resolved', 'dismissed']),
+  body('notes').optional().isString().trim().isLength({ max: 1000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const result = await User.clearReview(req.params.id, req.body.status || 'reviewed', req.body.notes);
+    if (!result) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await UserActivity.log({
+      userId: req.params.id,
+      activityType: 'account_review_cleared',
+      activityData: { adminId: req.admin.id, reportsClosed: result.reportsClosed },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({ message: 'Review cleared', reportsClosed: result.reportsClosed });
+  } catch (error) {
+    console.error('Clear account review error:', error);
+    res.status(500).json({ message: 'Failed to clear review' });
+  }
+});
+
+// Profile changes waiting for a moderator (new photos), oldest first
+router.get('/profile-changes', [
+  authenticateAdmin,
+  queryParam('status').optional().isIn(['pending', 'approved', 'rejected'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const status = req.query.status || 'pending';
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const changes = await ProfileChange.findByStatus(status, limit, offset);
+
+    res.json({
+      changes: changes.map(change => ({
+        ...formatProfileChange(change),
+        user: {
+          id: change.user_id,
+          username: change.username,
+          firstName: change.first_name,
+          lastName: change.last_name,
+          underReviewAt: change.under_review_at
+        }
+      })),
+      pagination: { limit, offset, hasMore: changes.length === limit }
+    });
+  } catch (error) {
+    console.error('Get profile change queue error:', error);
+    res.status(500).json({ message: 'Failed to get profile changes' });
+  }
+});
+
+// Approve a pending profile change
+router.post('/profile-changes/:id/approve', [
+  authenticateAdmin,
+  param('id').isUUID().withMessage('Invalid change ID')
+], async (req, res) => {
+  await reviewProfileChange(req, res, true);
+});
+
+// Reject a pending profile change; a rejected photo is taken off the profile
+router.post('/profile-changes/:id/reject', [
+  authenticateAdmin,
+  param('id').isUUID().withMessage('Invalid change ID'),
+  body('reason').isString().trim().isLength({ min: 1, max: 255 })
+    .withMessage('A rejection reason is required')
+], async (req, res) => {
+  await reviewProfileChange(req, res, false);
+});
+
+async function reviewProfileChange(req, res, approved) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const existing = await ProfileChange.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ message: 'Profile change not found', code: 'PROFILE_CHANGE_NOT_FOUND' });
+    }
+
+    const change = await ProfileChange.review({
+      id: existing.id,
+      adminId: req.admin.id,
+      approved,
+      reason: req.body.reason
+    });
+    if (!change) {
+      return res.status(409).json({
+        message: 'This change has already been reviewed',
+        code: 'ALREADY_REVIEWED'
+      });
+    }
+
+    if (!approved && change.field === 'photo') {
+      await removeRejectedPhoto(change.user_id, change.new_value);
+
+      await sendPushNotification(change.user_id, {
+        title: 'A photo was removed from your profile',
+        body: req.body.reason,
+        data: { type: 'profile_photo_rejected', changeId: change.id }
+      });
+    }
+
+    await UserActivity.log({
+      userId: change.user_id,
+      activityType: approved ? 'profile_change_approved' : 'profile_change_rejected',
+      activityData: { changeId: change.id, field: change.field, adminId: req.admin.id },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      message: approved ? 'Change approved' : 'Change rejected',
+      change: formatProfileChange(change)
+    });
+  } catch (error) {
+    console.error('Review profile change error:', error);
+    res.status(500).json({ message: 'Failed to review profile change' });
+  }
+}
+
+// The photo may be in the gallery or only set through the older single-picture upload
+async function removeRejectedPhoto(userId, photoUrl) {
+  const photo = await UserPhoto.findByUrl(photoUrl, userId);
+  if (photo) {
+    await UserPhoto.delete(userId, photo.id);
+  } else {
+    const user = await User.findById(userId);
+    if (user && user.profile_picture === photoUrl) {
+      await User.updateProfilePicture(userId, null);
+    }
+  }
+
+  // The row is gone either way; a leftover file is only logged
+  try {
+    await deleteStoredMedia(photoUrl);
+  } catch (mediaError) {
+    console.error('Delete rejected photo file error:', mediaError);
+  }
+}
+
+function formatProfileChange(change) {
+  return {
+    id: change.id,
+    field: change.field,
+    oldValue: change.old_value,
+    newValue: change.new_value,
+    moderationStatus: change.moderation_status,
+    moderationReasons: change.moderation_reasons,
+    reviewedAt: change.reviewed_at,
+    changedAt: change.created_at
+  };
+}
+
+module.exports = router;
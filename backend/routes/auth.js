@@ -1,11 +1,91 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, validationResult } = require('express-validator');
 const User = require('../models/User');
+const UserSession = require('../models/UserSession');
+const UserActivity = require('../models/UserActivity');
+const AccountDeletionAudit = require('../models/AccountDeletionAudit');
+const UserPhoto = require('../models/UserPhoto');
 const { authenticateToken } = require('../middleware/auth');
-const { setUserSession, deleteUserSession } = require('../config/redis');
+const {
+  setUserSession,
+  getUserSession,
+  deleteUserSession,
+  deleteAllUserSessions,
+  getCache,
+  setCache,
+  incrementCounter,
+  getCacheTTL,
+  deleteCache,
+  consumeCache
+} = require('../config/redis');
+const { sendMail } = require('../utils/mailer');
+const { MINIMUM_AGE, calculateAge, isOfAge } = require('../utils/ageGate');
+const { calculateProfileCompleteness } = require('../utils/profileCompleteness');
+const { getPrivacySettings, isIncognito } = require('../utils/privacy');
+const { getTravelMode } = require('../utils/geo');
+const { getSwipeQuotas } = require('../utils/swipeQuota');
+const {
+  publicUrl,
+  verificationEmail,
+  clientUrl,
+  passwordResetEmail,
+  accountLockedEmail,
+  passwordlessLoginEmail
+} = require('../utils/emailTemplates');
+const {
+  generateSecureToken,
+  generateNumericCode,
+  hashToken,
+  encryptSecret,
+  decryptSecret
+} = require('../utils/tokens');
+const {
+  generateTotpSecret,
+  verifyTotp,
+  buildOtpauthUri,
+  generateRecoveryCodes,
+  normalizeRecoveryCode
+} = require('../utils/twoFactor');
+const { disconnectSessions } = require('../utils/socketHandler');
+const { verifyGoogleIdToken, verifyFacebookAccessToken } = require('../utils/socialAuth');
 
 const router = express.Router();
 
+// Refresh token lifetime in days (e.g. REFRESH_TOKEN_EXPIRES_IN=30d)
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_IN) || 30;
+
+// Email verification settings
+const VERIFICATION_TOKEN_TTL_HOURS = parseInt(process.env.VERIFICATION_TOKEN_TTL_HOURS) || 24;
+const VERIFICATION_RESEND_COOLDOWN = 60; // seconds between verification emails
+const VERIFICATION_DAILY_LIMIT = 5; // verification emails per user per day
+
+// Password reset settings
+const PASSWORD_RESET_TTL_MINUTES = 15;
+const PASSWORD_RESET_COOLDOWN = 60; // seconds between reset emails
+const PASSWORD_RESET_MAX_ATTEMPTS = 5; // wrong codes before the code is invalidated
+
+// Login brute-force protection; lock time doubles with each failure past the threshold
+const LOGIN_ACCOUNT_MAX_FAILURES = 5; // failures per account before it is locked
+const LOGIN_ACCOUNT_FAILURE_WINDOW = 24 * 60 * 60; // seconds account failures are remembered
+const LOGIN_ACCOUNT_BASE_LOCK_MINUTES = 5;
+const LOGIN_IP_MAX_FAILURES = 20; // failures per IP (any account) before it is blocked
+const LOGIN_IP_FAILURE_WINDOW = 60 * 60;
+const LOGIN_IP_BASE_LOCK_MINUTES = 15;
+const LOGIN_MAX_LOCK_MINUTES = 24 * 60;
+const UNLOCK_TOKEN_TTL_HOURS = 24;
+
+// Passwordless (email code / magic link) login settings
+const PASSWORDLESS_TTL_MINUTES = 10;
+const PASSWORDLESS_COOLDOWN = 60; // seconds between sign-in emails to one address
+const PASSWORDLESS_HOURLY_LIMIT = 5; // sign-in emails per address per hour
+const PASSWORDLESS_IP_HOURLY_LIMIT = 20; // sign-in requests per IP per hour
+const PASSWORDLESS_MAX_ATTEMPTS = 5; // wrong codes before the code is invalidated
+
+// Two-factor authentication settings
+const TWO_FACTOR_CHALLENGE_TTL = 5 * 60; // seconds to enter the code after the password
+const TWO_FACTOR_MAX_ATTEMPTS = 5; // wrong codes before the challenge is discarded
+const TWO_FACTOR_RECOVERY_CODE_COUNT = 10;
+
 // Validation middleware
 const validateRegistration = [
   body('email').isEmail().normalizeEmail(),
@@ -13,7 +93,7 @@ const validateRegistration = [
   body('password').isLength({ min: 8 }),
   body('firstName').isLength({ min: 1, max: 100 }).trim(),
   body('lastName').optional().isLength({ max: 100 }).trim(),
-  body('dateOfBirth').optional().isISO8601().toDate(),
+  body('dateOfBirth').isISO8601().toDate().withMessage('A valid date of birth is required'),
   body('gender').optional().isIn(['male', 'female', 'other'])
 ];
 
@@ -22,6 +102,53 @@ const validateLogin = [
   body('password').isLength({ min: 1 })
 ];
 
+// Social sign-in; password is only needed to link to an existing password account
+const validateGoogleLogin = [
+  body('idToken').isString().isLength({ min: 1 }),
+  body('password').optional().isString(),
+  // Only used when the sign-in creates a new account
+  body('dateOfBirth').optional().isISO8601().toDate(),
+  body('gender').optional().isIn(['male', 'female', 'other'])
+];
+
+const validateFacebookLogin = [
+  body('accessToken').isString().isLength({ min: 1 }),
+  body('password').optional().isString(),
+  // Only used when the sign-in creates a new account
+  body('dateOfBirth').optional().isISO8601().toDate(),
+  body('gender').optional().isIn(['male', 'female', 'other'])
+];
+
+const validatePasswordlessRequest = [
+  body('email').isEmail().normalizeEmail()
+];
+
+// Either the emailed code (with the email) or the magic link token
+const validatePasswordlessVerify = [
+  body('token').optional().matches(/^[a-f0-9]{64}$/),
+  body('email').if(body('token').not().exists()).isEmail().normalizeEmail(),
+  body('code').if(body('token').not().exists()).matches(/^\d{6}$/)
+    .withMessage('Sign-in code must be 6 digits')
+];
+
+// 2FA steps accept either an authenticator code or a recovery code
+const validateTwoFactorCode = [
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString(),
+  body().custom(value => Boolean(value.code || value.recoveryCode))
+    .withMessage('code or recoveryCode is required')
+];
+
+const validatePasswordResetRequest = [
+  body('email').isEmail().normalizeEmail()
+];
+
+const validatePasswordReset = [
+  body('email').isEmail().normalizeEmail(),
+  body('code').matches(/^\d{6}$/).withMessage('Reset code must be 6 digits'),
+  body('newPassword').isLength({ min: 8 }).withMessage('Password must be at least 8 characters')
+];
+
 // Register new user
 router.post('/register', validateRegistration, async (req, res) => {
   try {
@@ -35,6 +162,10 @@ router.post('/register', validateRegistration, async (req, res) => {
 
     const { email, username, password, firstName, lastName, dateOfBirth, gender } = req.body;
 
+    if (!isOfAge(dateOfBirth)) {
+      return await rejectUnderage(req, res, { email, source: 'register', dateOfBirth });
+    }
+
     // Check if user already exists
     const existingUser = await User.findByEmail(email);
     if (existingUser) {
@@ -63,23 +194,25 @@ router.post('/register', validateRegistration, async (req, res) => {
       gender
     });
 
-    // Generate JWT token
-    const token = User.generateToken(newUser);
-
-    // Create session in Redis
-    await setUserSession(newUser.id, {
-      userId: newUser.id,
-      email: newUser.email,
-      username: newUser.username,
-      loginTime: new Date().toISOString()
-    });
+    // Start a device session and issue access + refresh tokens
+    const { token, refreshToken } = await createAuthSession(req, newUser);
 
     // Add daily signup bonus coins
-    await User.updateCoins(newUser.id, 50, 'earn', 'Welcome bonus');
+    await User.updateCoins(newUser.id, 50, 'welcome_bonus', 'Welcome bonus');
+
+    // Send verification email (registration still succeeds if delivery fails)
+    let verificationEmailSent = false;
+    try {
+      await sendVerificationEmail(newUser);
+      verificationEmailSent = true;
+    } catch (mailError) {
+      console.error('Verification email error:', mailError);
+    }
 
     res.status(201).json({
       message: 'User registered successfully',
       token,
+      refreshToken,
       user: {
         id: newUser.id,
         email: newUser.email,
@@ -88,8 +221,10 @@ router.post('/register', validateRegistration, async (req, res) => {
         lastName: newUser.last_name,
         coins: newUser.coins + 50,
         isVerified: newUser.is_verified,
+        missingProfileFields: User.getMissingProfileFields(newUser),
         createdAt: newUser.created_at
-      }
+      },
+      verificationEmailSent
     });
   } catch (error) {
     console.error('Registration error:', error);
@@ -113,61 +248,44 @@ router.post('/login', validateLogin, async (req, res) => {
 
     const { email, password } = req.body;
 
+    // Blocked IPs are rejected before touching the database
+    const ipLock = await getIpLoginLock(req.ip);
+    if (ipLock) {
+      return sendLoginLocked(res, ipLock);
+    }
+
     // Find user by email
     const user = await User.findByEmail(email);
-    if (!user) {
-      return res.status(401).json({
-        message: 'Invalid email or password',
-        code: 'INVALID_CREDENTIALS'
-      });
+
+    const accountLock = await getAccountLoginLock(email, user);
+    if (accountLock) {
+      return sendLoginLocked(res, accountLock);
     }
 
-    // Verify password
-    const isValidPassword = await User.verifyPassword(password, user.password_hash);
+    // Unknown emails count as failures too (and still run bcrypt), so neither lockouts
+    // nor response times reveal which accounts exist
+    const isValidPassword = await User.verifyPassword(password, user?.password_hash);
+
     if (!isValidPassword) {
+      const lock = await recordLoginFailure(req, email, user);
+      if (lock) {
+        return sendLoginLocked(res, lock);
+      }
+
       return res.status(401).json({
         message: 'Invalid email or password',
         code: 'INVALID_CREDENTIALS'
       });
     }
 
-    // Generate JWT token
-    const token = User.generateToken(user);
-
-    // Create session in Redis
-    await setUserSession(user.id, {
-      userId: user.id,
-      email: user.email,
-      username: user.username,
-      loginTime: new Date().toISOString()
-    });
-
-    // Check for daily login bonus (simplified)
-    const today = new Date().toDateString();
-    const lastActive = new Date(user.last_active).toDateString();
-    
-    let bonusCoins = 0;
-    if (today !== lastActive) {
-      bonusCoins = 10; // Daily login bonus
-      await User.updateCoins(user.id, bonusCoins, 'earn', 'Daily login bonus');
+    // With 2FA on, the password only earns a short-lived challenge for the code step, and
+    // failures stay counted until the code is right too
+    if (user.two_factor_enabled) {
+      return res.json(await createTwoFactorChallenge(user));
     }
 
-    res.json({
-      message: 'Login successful',
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        username: user.username,
-        firstName: user.first_name,
-        lastName: user.last_name,
-        profilePicture: user.profile_picture,
-        coins: user.coins + bonusCoins,
-        isVerified: user.is_verified,
-        isPremium: user.is_premium
-      },
-      ...(bonusCoins > 0 && { bonusCoins })
-    });
+    await clearLoginFailures(email, user.login_attempts > 0 ? user.id : null);
+    await sendLoginSuccess(req, res, user);
   } catch (error) {
     console.error('Login error:', error);
     res.status(500).json({
@@ -177,70 +295,29 @@ router.post('/login', validateLogin, async (req, res) => {
   }
 });
 
-// Google OAuth login/register
-router.post('/google', async (req, res) => {
+// Google sign-in: the client sends the ID token it got from Google Sign-In
+router.post('/google', validateGoogleLogin, async (req, res) => {
   try {
-    const { googleId, email, firstName, lastName, profilePicture } = req.body;
-
-    if (!googleId || !email) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
-        message: 'Google ID and email are required'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    // Check if user exists with Google ID
-    let user = await User.findByGoogleId(googleId);
-    
-    if (!user) {
-      // Check if user exists with email
-      user = await User.findByEmail(email);
-      
-      if (user) {
-        // Link Google account to existing user
-        await User.updateProfile(user.id, { googleId });
-      } else {
-        // Create new user
-        const username = `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-        user = await User.create({
-          email,
-          username,
-          firstName,
-          lastName,
-          googleId
-        });
-
-        // Welcome bonus
-        await User.updateCoins(user.id, 50, 'earn', 'Welcome bonus');
-      }
+    let profile;
+    try {
+      profile = await verifyGoogleIdToken(req.body.idToken);
+    } catch (error) {
+      if (error.code !== 'INVALID_SOCIAL_TOKEN') throw error;
+      return res.status(401).json({
+        message: 'Invalid Google token',
+        code: 'INVALID_SOCIAL_TOKEN'
+      });
     }
 
-    // Generate JWT token
-    const token = User.generateToken(user);
-
-    // Create session
-    await setUserSession(user.id, {
-      userId: user.id,
-      email: user.email,
-      username: user.username,
-      loginTime: new Date().toISOString(),
-      provider: 'google'
-    });
-
-    res.json({
-      message: 'Google authentication successful',
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        username: user.username,
-        firstName: user.first_name,
-        lastName: user.last_name,
-        profilePicture: user.profile_picture || profilePicture,
-        coins: user.coins,
-        isVerified: user.is_verified,
-        isPremium: user.is_premium
-      }
-    });
+    await completeSocialLogin(req, res, profile);
   } catch (error) {
     console.error('Google auth error:', error);
     res.status(500).json({
@@ -250,72 +327,29 @@ router.post('/google', async (req, res) => {
   }
 });
 
-// Facebook OAuth login/register
-router.post('/facebook', async (req, res) => {
+// Facebook sign-in: the client sends the user access token from Facebook Login
+router.post('/facebook', validateFacebookLogin, async (req, res) => {
   try {
-    const { facebookId, email, firstName, lastName, profilePicture } = req.body;
-
-    if (!facebookId) {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
-        message: 'Facebook ID is required'
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    // Check if user exists with Facebook ID
-    let user = await User.findByFacebookId(facebookId);
-    
-    if (!user && email) {
-      // Check if user exists with email
-      user = await User.findByEmail(email);
-      
-      if (user) {
-        // Link Facebook account to existing user
-        await User.updateProfile(user.id, { facebookId });
-      }
-    }
-    
-    if (!user) {
-      // Create new user
-      const username = `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      user = await User.create({
-        email: email || `${facebookId}@facebook.local`,
-        username,
-        firstName,
-        lastName,
-        facebookId
+    let profile;
+    try {
+      profile = await verifyFacebookAccessToken(req.body.accessToken);
+    } catch (error) {
+      if (error.code !== 'INVALID_SOCIAL_TOKEN') throw error;
+      return res.status(401).json({
+        message: 'Invalid Facebook token',
+        code: 'INVALID_SOCIAL_TOKEN'
       });
-
-      // Welcome bonus
-      await User.updateCoins(user.id, 50, 'earn', 'Welcome bonus');
     }
 
-    // Generate JWT token
-    const token = User.generateToken(user);
-
-    // Create session
-    await setUserSession(user.id, {
-      userId: user.id,
-      email: user.email,
-      username: user.username,
-      loginTime: new Date().toISOString(),
-      provider: 'facebook'
-    });
-
-    res.json({
-      message: 'Facebook authentication successful',
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        username: user.username,
-        firstName: user.first_name,
-        lastName: user.last_name,
-        profilePicture: user.profile_picture || profilePicture,
-        coins: user.coins,
-        isVerified: user.is_verified,
-        isPremium: user.is_premium
-      }
-    });
+    await completeSocialLogin(req, res, profile);
   } catch (error) {
     console.error('Facebook auth error:', error);
     res.status(500).json({
@@ -325,91 +359,1398 @@ router.post('/facebook', async (req, res) => {
   }
 });
 
-// Logout user
-router.post('/logout', authenticateToken, async (req, res) => {
+// Passwordless login: email a one-time code and magic link
+router.post('/passwordless/request', validatePasswordlessRequest, async (req, res) => {
   try {
-    // Delete session from Redis
-    await deleteUserSession(req.user.id);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+
+    // Throttle per IP and per email address, whether or not an account exists
+    const ipKey = `passwordless:ip:${req.ip}`;
+    if (await incrementCounter(ipKey, 60 * 60) > PASSWORDLESS_IP_HOURLY_LIMIT) {
+      return res.status(429).json({
+        message: 'Too many sign-in requests. Please try again later',
+        code: 'PASSWORDLESS_THROTTLED',
+        retryAfter: await getCacheTTL(ipKey)
+      });
+    }
+
+    const cooldownKey = `passwordless:cooldown:${email}`;
+    if (await getCache(cooldownKey)) {
+      return res.status(429).json({
+        message: 'Please wait before requesting another sign-in code',
+        code: 'PASSWORDLESS_THROTTLED',
+        retryAfter: await getCacheTTL(cooldownKey)
+      });
+    }
+
+    const hourlyKey = `passwordless:hourly:${email}`;
+    if (await incrementCounter(hourlyKey, 60 * 60) > PASSWORDLESS_HOURLY_LIMIT) {
+      return res.status(429).json({
+        message: 'Too many sign-in codes requested. Please try again later',
+        code: 'PASSWORDLESS_THROTTLED',
+        retryAfter: await getCacheTTL(hourlyKey)
+      });
+    }
+    await setCache(cooldownKey, true, PASSWORDLESS_COOLDOWN);
+
+    const user = await User.findByEmail(email);
+    if (user) {
+      const code = generateNumericCode(6);
+      const { token, hash } = generateSecureToken();
+      const ttl = PASSWORDLESS_TTL_MINUTES * 60;
+
+      // One outstanding code + link per user; requesting again replaces both
+      await setCache(`passwordless:${user.id}`, {
+        codeHash: hashToken(`${user.id}:${code}`),
+        linkHash: hash
+      }, ttl);
+      await setCache(`passwordless:link:${hash}`, user.id, ttl);
+      await deleteCache(`passwordless:attempts:${user.id}`);
+
+      const loginEmail = passwordlessLoginEmail({
+        firstName: user.first_name,
+        code,
+        link: clientUrl(`/login/magic?token=${token}`),
+        expiresInMinutes: PASSWORDLESS_TTL_MINUTES
+      });
+      await sendMail({ to: user.email, ...loginEmail });
+    }
 
+    // Same response either way so the endpoint cannot be used to probe for accounts
     res.json({
-      message: 'Logout successful'
+      message: 'If an account exists for this email, a sign-in code has been sent',
+      expiresInMinutes: PASSWORDLESS_TTL_MINUTES
     });
   } catch (error) {
-    console.error('Logout error:', error);
+    console.error('Passwordless request error:', error);
     res.status(500).json({
-      message: 'Logout failed',
+      message: 'Failed to send sign-in code',
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
 });
 
-// Get current user profile
-router.get('/me', authenticateToken, async (req, res) => {
+// Exchange an emailed code (or magic link token) for the same tokens /login issues
+router.post('/passwordless/verify', validatePasswordlessVerify, async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
-    if (!user) {
-      return res.status(404).json({
-        message: 'User not found'
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    const interests = await User.getUserInterests(req.user.id);
+    let userId = null;
 
-    res.json({
-      user: {
-        id: user.id,
-        email: user.email,
-        username: user.username,
-        firstName: user.first_name,
-        lastName: user.last_name,
-        dateOfBirth: user.date_of_birth,
-        gender: user.gender,
-        bio: user.bio,
-        profilePicture: user.profile_picture,
-        locationCity: user.location_city,
-        locationCountry: user.location_country,
-        languagePreference: user.language_preference,
-        coins: user.coins,
-        isVerified: user.is_verified,
-        isPremium: user.is_premium,
-        privacySettings: user.privacy_settings,
-        matchingPreferences: user.matching_preferences,
-        interests,
-        createdAt: user.created_at
+    if (req.body.token) {
+      const linkHash = hashToken(req.body.token);
+      const linkUserId = await consumeCache(`passwordless:link:${linkHash}`);
+      const pending = linkUserId ? await getCache(`passwordless:${linkUserId}`) : null;
+
+      // Only the latest link works, and redeeming it also burns the code
+      if (pending && pending.linkHash === linkHash && await consumeCache(`passwordless:${linkUserId}`)) {
+        userId = linkUserId;
+      }
+
+      if (!userId) {
+        return res.status(400).json({
+          message: 'Invalid or expired sign-in link',
+          code: 'INVALID_PASSWORDLESS_TOKEN'
+        });
+      }
+    } else {
+      const { email, code } = req.body;
+      const candidate = await User.findByEmail(email);
+      const pendingKey = candidate ? `passwordless:${candidate.id}` : null;
+      const pending = pendingKey ? await getCache(pendingKey) : null;
+
+      if (!pending) {
+        return res.status(400).json({
+          message: 'Invalid or expired sign-in code',
+          code: 'INVALID_PASSWORDLESS_CODE'
+        });
+      }
+
+      const attemptsKey = `passwordless:attempts:${candidate.id}`;
+      const attempts = await incrementCounter(attemptsKey, PASSWORDLESS_TTL_MINUTES * 60);
+      if (attempts > PASSWORDLESS_MAX_ATTEMPTS) {
+        await deleteCache(pendingKey);
+        return res.status(429).json({
+          message: 'Too many incorrect codes. Please request a new one',
+          code: 'PASSWORDLESS_ATTEMPTS_EXCEEDED'
+        });
+      }
+
+      if (pending.codeHash !== hashToken(`${candidate.id}:${code}`)) {
+        return res.status(400).json({
+          message: 'Invalid or expired sign-in code',
+          code: 'INVALID_PASSWORDLESS_CODE',
+          attemptsRemaining: Math.max(PASSWORDLESS_MAX_ATTEMPTS - attempts, 0)
+        });
       }
+
+      // A concurrent request may have redeemed the same code first
+      if (!(await consumeCache(pendingKey))) {
+        return res.status(400).json({
+          message: 'Invalid or expired sign-in code',
+          code: 'INVALID_PASSWORDLESS_CODE'
+        });
+      }
+
+      await deleteCache(`passwordless:link:${pending.linkHash}`);
+      await deleteCache(attemptsKey);
+      userId = candidate.id;
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return res.status(401).json({
+        message: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    const { ipAddress, userAgent } = getDeviceInfo(req);
+    await UserActivity.log({
+      userId: user.id,
+      activityType: 'passwordless_login',
+      activityData: { method: req.body.token ? 'magic_link' : 'email_code' },
+      ipAddress,
+      userAgent
     });
+
+    if (user.two_factor_enabled) {
+      return res.json(await createTwoFactorChallenge(user));
+    }
+
+    // Proving access to the mailbox also clears a password lockout
+    await clearLoginFailures(user.email, user.id);
+    await sendLoginSuccess(req, res, user);
   } catch (error) {
-    console.error('Get profile error:', error);
+    console.error('Passwordless verify error:', error);
     res.status(500).json({
-      message: 'Failed to get profile',
+      message: 'Passwordless sign-in failed',
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
 });
 
-// Refresh token
-router.post('/refresh', authenticateToken, async (req, res) => {
+// Second login step: exchange the challenge token and a 2FA code for the token pair
+router.post('/2fa/verify', [
+  body('challengeToken').isString().isLength({ min: 1 }),
+  ...validateTwoFactorCode
+], async (req, res) => {
   try {
-    const user = await User.findById(req.user.id);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const challengeHash = hashToken(req.body.challengeToken);
+    const challengeKey = `2fa_challenge:${challengeHash}`;
+    const attemptsKey = `2fa_challenge_attempts:${challengeHash}`;
+
+    const challenge = await getCache(challengeKey);
+    if (!challenge) {
+      return res.status(401).json({
+        message: 'Sign-in expired. Please sign in again',
+        code: 'INVALID_TWO_FACTOR_CHALLENGE'
+      });
+    }
+
+    const user = await User.findById(challenge.userId);
     if (!user) {
-      return res.status(404).json({
-        message: 'User not found'
+      return res.status(401).json({
+        message: 'User not found',
+        code: 'USER_NOT_FOUND'
       });
     }
 
-    const newToken = User.generateToken(user);
+    // Wrong codes count towards the same lockouts as wrong passwords, so signing in
+    // again for a fresh challenge doesn't buy more guesses
+    const lock = (await getIpLoginLock(req.ip)) || (await getAccountLoginLock(user.email, user));
+    if (lock) {
+      await deleteCache(challengeKey);
+      return sendLoginLocked(res, lock);
+    }
 
-    res.json({
-      message: 'Token refreshed',
-      token: newToken
-    });
+    const attempts = await incrementCounter(attemptsKey, TWO_FACTOR_CHALLENGE_TTL);
+    if (attempts > TWO_FACTOR_MAX_ATTEMPTS) {
+      await deleteCache(challengeKey);
+      return res.status(429).json({
+        message: 'Too many incorrect codes. Please sign in again',
+        code: 'TWO_FACTOR_ATTEMPTS_EXCEEDED'
+      });
+    }
+
+    const { ipAddress, userAgent } = getDeviceInfo(req);
+    const method = await verifyTwoFactorCode(challenge.userId, req.body);
+
+    if (!method) {
+      await UserActivity.log({
+        userId: challenge.userId,
+        activityType: 'two_factor_failed',
+        activityData: { attempts },
+        ipAddress,
+        userAgent
+      });
+
+      const failureLock = await recordLoginFailure(req, user.email, user);
+      if (failureLock) {
+        await deleteCache(challengeKey);
+        return sendLoginLocked(res, failureLock);
+      }
+
+      return res.status(401).json({
+        message: 'Invalid authentication code',
+        code: 'INVALID_TWO_FACTOR_CODE',
+        attemptsRemaining: Math.max(TWO_FACTOR_MAX_ATTEMPTS - attempts, 0)
+      });
+    }
+
+    await deleteCache(challengeKey);
+    await deleteCache(attemptsKey);
+    await clearLoginFailures(user.email, user.login_attempts > 0 ? user.id : null);
+
+    if (method === 'recovery_code') {
+      await UserActivity.log({
+        userId: user.id,
+        activityType: 'two_factor_recovery_code_used',
+        activityData: { remaining: await User.countRecoveryCodes(user.id) },
+        ipAddress,
+        userAgent
+      });
+    }
+
+    await sendLoginSuccess(req, res, user, { provider: challenge.provider });
   } catch (error) {
-    console.error('Token refresh error:', error);
+    console.error('Two-factor verify error:', error);
     res.status(500).json({
-      message: 'Token refresh failed',
+      message: 'Two-factor verification failed',
       error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
     });
   }
 });
 
+// Start 2FA enrolment: returns a new secret and the otpauth URI for the QR code
+router.post('/2fa/enroll', authenticateToken, async (req, res) => {
+  try {
+    const twoFactor = await User.getTwoFactor(req.user.id);
+    if (twoFactor && twoFactor.two_factor_enabled) {
+      return res.status(400).json({
+        message: 'Two-factor authentication is already enabled',
+        code: 'TWO_FACTOR_ALREADY_ENABLED'
+      });
+    }
+
+    const secret = generateTotpSecret();
+    await User.setPendingTwoFactorSecret(req.user.id, encryptSecret(secret));
+
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      secret,
+      otpauthUri: buildOtpauthUri({ secret, accountName: req.user.email })
+    });
+  } catch (error) {
+    console.error('Two-factor enroll error:', error);
+    res.status(500).json({
+      message: 'Failed to start two-factor enrolment',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Finish enrolment with a code from the app; returns the recovery codes (shown once)
+router.post('/2fa/confirm', authenticateToken, [
+  body('code').isString().isLength({ min: 6, max: 6 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const twoFactor = await User.getTwoFactor(req.user.id);
+    if (twoFactor && twoFactor.two_factor_enabled) {
+      return res.status(400).json({
+        message: 'Two-factor authentication is already enabled',
+        code: 'TWO_FACTOR_ALREADY_ENABLED'
+      });
+    }
+
+    if (!twoFactor || !twoFactor.two_factor_secret) {
+      return res.status(400).json({
+        message: 'Start two-factor enrolment first',
+        code: 'TWO_FACTOR_NOT_ENROLLED'
+      });
+    }
+
+    const step = verifyTotp(decryptSecret(twoFactor.two_factor_secret), req.body.code);
+    if (step === null) {
+      return res.status(400).json({
+        message: 'Invalid authentication code',
+        code: 'INVALID_TWO_FACTOR_CODE'
+      });
+    }
+
+    const recoveryCodes = generateRecoveryCodes(TWO_FACTOR_RECOVERY_CODE_COUNT);
+    const enabled = await User.enableTwoFactor(
+      req.user.id,
+      step,
+      recoveryCodes.map(code => hashToken(`${req.user.id}:${normalizeRecoveryCode(code)}`))
+    );
+
+    if (!enabled) {
+      return res.status(409).json({
+        message: 'Two-factor enrolment changed, please start again',
+        code: 'TWO_FACTOR_NOT_ENROLLED'
+      });
+    }
+
+    const { ipAddress, userAgent } = getDeviceInfo(req);
+    await UserActivity.log({
+      userId: req.user.id,
+      activityType: 'two_factor_enabled',
+      ipAddress,
+      userAgent
+    });
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Two-factor confirm error:', error);
+    res.status(500).json({
+      message: 'Failed to enable two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Turn 2FA off; needs the password (if the account has one) plus a 2FA code
+router.post('/2fa/disable', authenticateToken, [
+  body('password').optional().isString(),
+  ...validateTwoFactorCode
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findByEmail(req.user.email);
+    if (!user || !user.two_factor_enabled) {
+      return res.status(400).json({
+        message: 'Two-factor authentication is not enabled',
+        code: 'TWO_FACTOR_NOT_ENABLED'
+      });
+    }
+
+    // Guessing here counts towards the same lockouts as signing in
+    const lock = (await getIpLoginLock(req.ip)) || (await getAccountLoginLock(user.email, user));
+    if (lock) {
+      return sendLoginLocked(res, lock);
+    }
+
+    // The code is only checked (and used up) once the password is right, but a wrong
+    // password and a wrong code get the same answer so the password can't be probed alone
+    const isValidPassword = user.password_hash
+      ? await User.verifyPassword(req.body.password || '', user.password_hash)
+      : true;
+    const method = isValidPassword ? await verifyTwoFactorCode(user.id, req.body) : null;
+
+    if (!method) {
+      const failureLock = await recordLoginFailure(req, user.email, user);
+      if (failureLock) {
+        return sendLoginLocked(res, failureLock);
+      }
+
+      return res.status(401).json({
+        message: 'Invalid password or authentication code',
+        code: 'INVALID_CREDENTIALS'
+      });
+    }
+
+    await clearLoginFailures(user.email, user.login_attempts > 0 ? user.id : null);
+    await User.disableTwoFactor(user.id);
+
+    const { ipAddress, userAgent } = getDeviceInfo(req);
+    await UserActivity.log({
+      userId: user.id,
+      activityType: 'two_factor_disabled',
+      activityData: { method },
+      ipAddress,
+      userAgent
+    });
+
+    res.json({
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    console.error('Two-factor disable error:', error);
+    res.status(500).json({
+      message: 'Failed to disable two-factor authentication',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Send (or resend) the email verification link
+router.post('/verify/send', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        message: 'User not found'
+      });
+    }
+
+    if (user.is_verified) {
+      return res.status(400).json({
+        message: 'Email is already verified',
+        code: 'ALREADY_VERIFIED'
+      });
+    }
+
+    // Throttle resends: short cooldown plus a daily cap
+    const cooldownKey = `verify:cooldown:${user.id}`;
+    if (await getCache(cooldownKey)) {
+      return res.status(429).json({
+        message: 'Please wait before requesting another verification email',
+        code: 'VERIFICATION_THROTTLED',
+        retryAfter: await getCacheTTL(cooldownKey)
+      });
+    }
+
+    const dailyKey = `verify:daily:${user.id}`;
+    const sentToday = await incrementCounter(dailyKey, 24 * 60 * 60);
+    if (sentToday > VERIFICATION_DAILY_LIMIT) {
+      return res.status(429).json({
+        message: 'Too many verification emails requested today',
+        code: 'VERIFICATION_THROTTLED',
+        retryAfter: await getCacheTTL(dailyKey)
+      });
+    }
+
+    await sendVerificationEmail(user);
+    await setCache(cooldownKey, true, VERIFICATION_RESEND_COOLDOWN);
+
+    res.json({
+      message: 'Verification email sent',
+      expiresInHours: VERIFICATION_TOKEN_TTL_HOURS
+    });
+  } catch (error) {
+    console.error('Send verification error:', error);
+    res.status(500).json({
+      message: 'Failed to send verification email',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Confirm email address from the emailed link
+router.get('/verify/:token', async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    if (!/^[a-f0-9]{64}$/.test(token)) {
+      return res.status(400).json({
+        message: 'Invalid or expired verification link',
+        code: 'INVALID_VERIFICATION_TOKEN'
+      });
+    }
+
+    const user = await User.consumeVerificationToken(hashToken(token));
+    if (!user) {
+      return res.status(400).json({
+        message: 'Invalid or expired verification link',
+        code: 'INVALID_VERIFICATION_TOKEN'
+      });
+    }
+
+    res.json({
+      message: 'Email verified successfully',
+      user: {
+        id: user.id,
+        email: user.email,
+        username: user.username,
+        isVerified: user.is_verified
+      }
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      message: 'Email verification failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Unlock an account from the link in the lockout email
+router.get('/unlock/:token', async (req, res) => {
+  try {
+    const { token } = req.params;
+
+    const unlock = /^[a-f0-9]{64}$/.test(token)
+      ? await getCache(`unlock:${hashToken(token)}`)
+      : null;
+
+    if (!unlock) {
+      return res.status(400).json({
+        message: 'Invalid or expired unlock link',
+        code: 'INVALID_UNLOCK_TOKEN'
+      });
+    }
+
+    await deleteCache(`unlock:${hashToken(token)}`);
+    await clearLoginFailures(unlock.email, unlock.userId);
+
+    const { ipAddress, userAgent } = getDeviceInfo(req);
+    await UserActivity.log({
+      userId: unlock.userId,
+      activityType: 'account_unlocked',
+      activityData: { method: 'email_link' },
+      ipAddress,
+      userAgent
+    });
+
+    res.json({
+      message: 'Account unlocked. You can sign in again'
+    });
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({
+      message: 'Account unlock failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Request a password reset code by email
+router.post('/password/forgot', validatePasswordResetRequest, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email } = req.body;
+
+    // Throttle per email address, whether or not an account exists
+    const cooldownKey = `reset:cooldown:${email}`;
+    if (await getCache(cooldownKey)) {
+      return res.status(429).json({
+        message: 'Please wait before requesting another reset code',
+        code: 'RESET_THROTTLED',
+        retryAfter: await getCacheTTL(cooldownKey)
+      });
+    }
+    await setCache(cooldownKey, true, PASSWORD_RESET_COOLDOWN);
+
+    const user = await User.findByEmail(email);
+    if (user) {
+      const code = generateNumericCode(6);
+      const expiresAt = new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+
+      await User.setPasswordResetToken(user.id, hashToken(`${user.id}:${code}`), expiresAt);
+      await deleteCache(`reset:attempts:${user.id}`);
+
+      const resetEmail = passwordResetEmail({
+        firstName: user.first_name,
+        code,
+        expiresInMinutes: PASSWORD_RESET_TTL_MINUTES
+      });
+      await sendMail({ to: user.email, ...resetEmail });
+    }
+
+    // Same response either way so the endpoint cannot be used to probe for accounts
+    res.json({
+      message: 'If an account exists for this email, a reset code has been sent',
+      expiresInMinutes: PASSWORD_RESET_TTL_MINUTES
+    });
+  } catch (error) {
+    console.error('Password reset request error:', error);
+    res.status(500).json({
+      message: 'Failed to request password reset',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Confirm a password reset with the emailed code
+router.post('/password/reset', validatePasswordReset, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { email, code, newPassword } = req.body;
+
+    const user = await User.findByEmail(email);
+    if (!user) {
+      return res.status(400).json({
+        message: 'Invalid or expired reset code',
+        code: 'INVALID_RESET_CODE'
+      });
+    }
+
+    // Limit guesses per issued code
+    const attemptsKey = `reset:attempts:${user.id}`;
+    const attempts = await incrementCounter(attemptsKey, PASSWORD_RESET_TTL_MINUTES * 60);
+    if (attempts > PASSWORD_RESET_MAX_ATTEMPTS) {
+      await User.clearPasswordResetToken(user.id);
+      return res.status(429).json({
+        message: 'Too many incorrect codes. Please request a new reset code',
+        code: 'RESET_ATTEMPTS_EXCEEDED'
+      });
+    }
+
+    const updatedUser = await User.resetPasswordWithToken(
+      user.id,
+      hashToken(`${user.id}:${code}`),
+      newPassword
+    );
+
+    if (!updatedUser) {
+      return res.status(400).json({
+        message: 'Invalid or expired reset code',
+        code: 'INVALID_RESET_CODE',
+        attemptsRemaining: Math.max(PASSWORD_RESET_MAX_ATTEMPTS - attempts, 0)
+      });
+    }
+
+    // Sign out everywhere; access tokens issued earlier fail the token_version check
+    await deleteCache(attemptsKey);
+    await clearLoginFailures(user.email);
+    const revokedIds = await UserSession.revokeAllForUser(user.id, 'password_reset');
+    await deleteAllUserSessions(user.id);
+    disconnectSessions(req.app.get('io'), revokedIds, 'password_reset');
+
+    res.json({
+      message: 'Password reset successful. Please sign in with your new password'
+    });
+  } catch (error) {
+    console.error('Password reset error:', error);
+    res.status(500).json({
+      message: 'Password reset failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Logout user
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    // Revoke this device's session (other devices stay signed in)
+    if (req.user.sessionId) {
+      await UserSession.revoke(req.user.sessionId, 'logout');
+      await deleteUserSession(req.user.id, req.user.sessionId);
+      disconnectSessions(req.app.get('io'), [req.user.sessionId], 'logout');
+    }
+
+    res.json({
+      message: 'Logout successful'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      message: 'Logout failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// List devices signed in to this account
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await UserSession.findActiveByUser(req.user.id);
+
+    res.json({
+      sessions: sessions.map(session => ({
+        id: session.id,
+        deviceType: session.device_type,
+        deviceName: session.device_name,
+        ipAddress: session.ip_address,
+        userAgent: session.user_agent,
+        createdAt: session.created_at,
+        lastActiveAt: session.updated_at,
+        expiresAt: session.expires_at,
+        isCurrent: session.id === req.user.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      message: 'Failed to get sessions',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Sign out every device except this one
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const revokedIds = await UserSession.revokeAllForUser(
+      req.user.id,
+      'logout_others',
+      req.user.sessionId
+    );
+
+    for (const sessionId of revokedIds) {
+      await deleteUserSession(req.user.id, sessionId);
+    }
+    disconnectSessions(req.app.get('io'), revokedIds, 'logout_others');
+
+    res.json({
+      message: 'Signed out of all other devices',
+      revokedCount: revokedIds.length
+    });
+  } catch (error) {
+    console.error('Revoke other sessions error:', error);
+    res.status(500).json({
+      message: 'Failed to sign out other devices',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Sign out a single device
+router.delete('/sessions/:id', authenticateToken, [
+  param('id').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    // Scoped to the caller so one user can't revoke another user's session
+    const revoked = await UserSession.revoke(req.params.id, 'remote_logout', req.user.id);
+    if (!revoked) {
+      return res.status(404).json({
+        message: 'Session not found',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    await deleteUserSession(req.user.id, revoked.id);
+    disconnectSessions(req.app.get('io'), [revoked.id], 'remote_logout');
+
+    res.json({
+      message: 'Device signed out',
+      isCurrent: revoked.id === req.user.sessionId
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      message: 'Failed to sign out device',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Get current user profile
+router.get('/me', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        message: 'User not found'
+      });
+    }
+
+    const interests = await User.getUserInterests(req.user.id);
+    const photoCount = await UserPhoto.countByUser(req.user.id);
+    const recoveryCodesRemaining = user.two_factor_enabled
+      ? await User.countRecoveryCodes(req.user.id)
+      : 0;
+    const completeness = calculateProfileCompleteness(user, {
+      photoCount,
+      interestCount: interests.length
+    });
+    const swipeQuota = await getSwipeQuotas({
+      id: user.id,
+      isPremium: user.is_premium,
+      timezone: user.timezone
+    });
+
+    res.json({
+      user: {
+        id: user.id,
+        email: user.email,
+        username: user.username,
+        firstName: user.first_name,
+        lastName: user.last_name,
+        dateOfBirth: user.date_of_birth,
+        gender: user.gender,
+        bio: user.bio,
+        profilePicture: user.profile_picture,
+        locationCity: user.location_city,
+        locationCountry: user.location_country,
+        languagePreference: user.language_preference,
+        timezone: user.timezone,
+        coins: user.coins,
+        isVerified: user.is_verified,
+        isPremium: user.is_premium,
+        incognitoMode: isIncognito(user),
+        travelMode: getTravelMode(user),
+        swipeQuota,
+        photoVerified: Boolean(user.photo_verified),
+        privacySettings: getPrivacySettings(user.privacy_settings),
+        matchingPreferences: user.matching_preferences,
+        interests,
+        missingProfileFields: User.getMissingProfileFields(user),
+        profileCompleteness: {
+          ...completeness,
+          rewardClaimed: Boolean(user.profile_completion_rewarded_at)
+        },
+        twoFactor: {
+          enabled: Boolean(user.two_factor_enabled),
+          enabledAt: user.two_factor_enabled_at,
+          recoveryCodesRemaining
+        },
+        createdAt: user.created_at
+      }
+    });
+  } catch (error) {
+    console.error('Get profile error:', error);
+    res.status(500).json({
+      message: 'Failed to get profile',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Rotate refresh token: exchange it for a new access + refresh token pair
+router.post('/refresh', [
+  body('refreshToken').isString().isLength({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const tokenHash = hashToken(req.body.refreshToken);
+    const session = await UserSession.findByTokenHash(tokenHash);
+
+    if (!session) {
+      // A rotated-out token being replayed means it leaked: revoke the whole family
+      const reusedSession = await UserSession.findByRotatedTokenHash(tokenHash);
+      if (reusedSession) {
+        await UserSession.revoke(reusedSession.id, 'token_reuse');
+        await deleteUserSession(reusedSession.user_id, reusedSession.id);
+        disconnectSessions(req.app.get('io'), [reusedSession.id], 'token_reuse');
+
+        return res.status(401).json({
+          message: 'Refresh token reuse detected. Please sign in again',
+          code: 'REFRESH_TOKEN_REUSED'
+        });
+      }
+
+      return res.status(401).json({
+        message: 'Invalid refresh token',
+        code: 'INVALID_REFRESH_TOKEN'
+      });
+    }
+
+    if (!session.is_active || new Date(session.expires_at) <= new Date()) {
+      return res.status(401).json({
+        message: 'Session expired',
+        code: 'SESSION_EXPIRED'
+      });
+    }
+
+    const user = await User.findById(session.user_id);
+    if (!user) {
+      return res.status(401).json({
+        message: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    const { token: newRefreshToken, hash: newTokenHash } = generateSecureToken(48);
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+    const rotated = await UserSession.rotate(session.id, tokenHash, newTokenHash, expiresAt, req.ip);
+    if (!rotated) {
+      // Lost a race with a concurrent refresh of the same token
+      return res.status(401).json({
+        message: 'Invalid refresh token',
+        code: 'INVALID_REFRESH_TOKEN'
+      });
+    }
+
+    // Keep the Redis session alive for as long as the refresh token
+    const sessionData = await getUserSession(user.id, session.id);
+    await setUserSession(user.id, session.id, sessionData || {
+      userId: user.id,
+      email: user.email,
+      username: user.username,
+      deviceType: session.device_type,
+      loginTime: new Date().toISOString()
+    }, REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60);
+
+    res.json({
+      message: 'Token refreshed',
+      token: User.generateToken(user, session.id),
+      refreshToken: newRefreshToken
+    });
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      message: 'Token refresh failed',
+      error: process.env.NODE_ENV === 'development' ? error.message : 'Internal server error'
+    });
+  }
+});
+
+// Device details the client sends with auth requests
+function getDeviceInfo(req) {
+  const header = (name, maxLength) => {
+    const value = req.get(name);
+    return value ? String(value).slice(0, maxLength) : null;
+  };
+
+  return {
+    deviceId: header('x-device-id', 255),
+    deviceType: header('x-device-type', 50),
+    deviceName: header('x-device-name', 255),
+    ipAddress: req.ip || null,
+    userAgent: header('user-agent', 1000)
+  };
+}
+
+// Start a per-device session: store the refresh token family and issue the token pair
+async function createAuthSession(req, user, sessionExtras = {}) {
+  const { token: refreshToken, hash } = generateSecureToken(48);
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+  const device = getDeviceInfo(req);
+
+  const session = await UserSession.create({
+    userId: user.id,
+    tokenHash: hash,
+    ...device,
+    expiresAt
+  });
+
+  // A new login on the same device ends the session it replaced
+  for (const replacedId of session.replacedSessionIds) {
+    await deleteUserSession(user.id, replacedId);
+  }
+  disconnectSessions(req.app.get('io'), session.replacedSessionIds, 'replaced');
+
+  await setUserSession(user.id, session.id, {
+    userId: user.id,
+    email: user.email,
+    username: user.username,
+    deviceType: device.deviceType,
+    loginTime: new Date().toISOString(),
+    ...sessionExtras
+  }, REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60);
+
+  return {
+    token: User.generateToken(user, session.id),
+    refreshToken,
+    sessionId: session.id
+  };
+}
+
+// Issue a fresh verification token and email the link to the user
+async function sendVerificationEmail(user) {
+  const { token, hash } = generateSecureToken();
+  const expiresAt = new Date(Date.now() + VERIFICATION_TOKEN_TTL_HOURS * 60 * 60 * 1000);
+
+  await User.setVerificationToken(user.id, hash, expiresAt);
+
+  const email = verificationEmail({
+    firstName: user.first_name,
+    link: publicUrl(`/api/auth/verify/${token}`),
+    expiresInHours: VERIFICATION_TOKEN_TTL_HOURS
+  });
+
+  await sendMail({ to: user.email, ...email });
+}
+
+// Sign in (or sign up) with a verified provider profile, linking to an existing
+// account by email only when that is safe
+async function completeSocialLogin(req, res, profile) {
+  const { provider, providerId } = profile;
+  const providerName = provider === 'google' ? 'Google' : 'Facebook';
+
+  let user = provider === 'google'
+    ? await User.findByGoogleId(providerId)
+    : await User.findByFacebookId(providerId);
+
+  if (!user && profile.email) {
+    const existingUser = await User.findByEmail(profile.email);
+
+    if (existingUser) {
+      if (existingUser[`${provider}_id`]) {
+        return res.status(409).json({
+          message: `This account is already linked to a different ${providerName} account`,
+          code: 'SOCIAL_ACCOUNT_CONFLICT'
+        });
+      }
+
+      const { password } = req.body;
+
+      if (password) {
+        // Linking with a password is a login attempt and goes through the same lockout
+        const lock = (await getIpLoginLock(req.ip)) ||
+          (await getAccountLoginLock(existingUser.email, existingUser));
+        if (lock) {
+          return sendLoginLocked(res, lock);
+        }
+
+        const isValidPassword = await User.verifyPassword(password, existingUser.password_hash);
+
+        if (!isValidPassword) {
+          const failureLock = await recordLoginFailure(req, existingUser.email, existingUser);
+          if (failureLock) {
+            return sendLoginLocked(res, failureLock);
+          }
+
+          return res.status(401).json({
+            message: 'Invalid email or password',
+            code: 'INVALID_CREDENTIALS'
+          });
+        }
+
+      } else if (existingUser.password_hash || !profile.emailVerified) {
+        // Don't let a provider account take over a password account (or trust an unverified email)
+        return res.status(409).json({
+          message: existingUser.password_hash
+            ? `An account with this email already exists. Enter your password to link ${providerName}`
+            : 'An account with this email already exists. Sign in with your original method',
+          code: 'ACCOUNT_LINK_REQUIRED',
+          email: existingUser.email,
+          hasPassword: Boolean(existingUser.password_hash)
+        });
+      }
+
+      await User.linkSocialAccount(existingUser.id, provider, providerId);
+
+      const { ipAddress, userAgent } = getDeviceInfo(req);
+      await UserActivity.log({
+        userId: existingUser.id,
+        activityType: 'social_account_linked',
+        activityData: { provider, method: password ? 'password' : 'verified_email' },
+        ipAddress,
+        userAgent
+      });
+
+      user = existingUser;
+    }
+  }
+
+  if (!user) {
+    // New accounts need an adult date of birth, which providers don't share
+    const { dateOfBirth, gender } = req.body;
+    if (!dateOfBirth) {
+      return res.status(400).json({
+        message: 'Date of birth is required to create an account',
+        code: 'DATE_OF_BIRTH_REQUIRED'
+      });
+    }
+
+    if (!isOfAge(dateOfBirth)) {
+      return await rejectUnderage(req, res, { email: profile.email, source: provider, dateOfBirth });
+    }
+
+    const username = `user_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    user = await User.create({
+      email: profile.email || `${providerId}@${provider}.local`,
+      username,
+      firstName: profile.firstName,
+      lastName: profile.lastName,
+      dateOfBirth,
+      gender,
+      profilePicture: profile.profilePicture,
+      isVerified: Boolean(profile.email && profile.emailVerified),
+      ...(provider === 'google' ? { googleId: providerId } : { facebookId: providerId })
+    });
+
+    // Welcome bonus
+    await User.updateCoins(user.id, 50, 'welcome_bonus', 'Welcome bonus');
+  }
+
+  const account = await User.findById(user.id);
+
+  // A linking password only clears failed logins once any second factor has passed too
+  if (account.two_factor_enabled) {
+    return res.json(await createTwoFactorChallenge(account, provider));
+  }
+
+  if (req.body.password) {
+    await clearLoginFailures(account.email, account.login_attempts > 0 ? account.id : null);
+  }
+
+  await sendLoginSuccess(req, res, account, {
+    provider,
+    message: `${providerName} authentication successful`
+  });
+}
+
+// Start a device session and send the token pair (daily bonus applies to password logins)
+async function sendLoginSuccess(req, res, user, { provider = null, message = 'Login successful' } = {}) {
+  // Signing in during the deletion grace period keeps the account
+  let accountReactivated = false;
+  if (user.deleted_at) {
+    accountReactivated = await User.cancelDeletion(user.id);
+    if (accountReactivated) {
+      await AccountDeletionAudit.log({
+        userId: user.id,
+        step: 'deletion_cancelled',
+        details: { method: provider || 'login' }
+      });
+    }
+  }
+
+  const { token, refreshToken } = await createAuthSession(req, user, provider ? { provider } : {});
+
+  // Check for daily login bonus (simplified)
+  let bonusCoins = 0;
+  if (!provider) {
+    const today = new Date().toDateString();
+    const lastActive = new Date(user.last_active).toDateString();
+
+    if (today !== lastActive) {
+      bonusCoins = 10; // Daily login bonus
+      await User.updateCoins(user.id, bonusCoins, 'login_bonus', 'Daily login bonus');
+    }
+  }
+
+  res.json({
+    message,
+    token,
+    refreshToken,
+    user: {
+      id: user.id,
+      email: user.email,
+      username: user.username,
+      firstName: user.first_name,
+      lastName: user.last_name,
+      profilePicture: user.profile_picture,
+      coins: user.coins + bonusCoins,
+      isVerified: user.is_verified,
+      isPremium: user.is_premium,
+      missingProfileFields: User.getMissingProfileFields(user)
+    },
+    ...(bonusCoins > 0 && { bonusCoins }),
+    ...(accountReactivated && { accountReactivated })
+  });
+}
+
+// Log a sign-up blocked by the age gate and refuse it (only the age is kept, not the date)
+async function rejectUnderage(req, res, { email, source, dateOfBirth }) {
+  const { ipAddress, userAgent } = getDeviceInfo(req);
+  await UserActivity.log({
+    userId: null,
+    activityType: 'underage_registration_attempt',
+    activityData: { email: email || null, source, age: calculateAge(dateOfBirth) },
+    ipAddress,
+    userAgent
+  });
+
+  return res.status(403).json({
+    message: `You must be at least ${MINIMUM_AGE} to use ChatzOne`,
+    code: 'UNDERAGE'
+  });
+}
+
+// Park a login that passed the first factor until the 2FA code arrives
+async function createTwoFactorChallenge(user, provider = null) {
+  const { token, hash } = generateSecureToken();
+
+  await setCache(`2fa_challenge:${hash}`, { userId: user.id, provider }, TWO_FACTOR_CHALLENGE_TTL);
+
+  return {
+    message: 'Two-factor authentication required',
+    code: 'TWO_FACTOR_REQUIRED',
+    requiresTwoFactor: true,
+    challengeToken: token,
+    expiresIn: TWO_FACTOR_CHALLENGE_TTL
+  };
+}
+
+// Check an authenticator or recovery code for a user with 2FA on; returns the method used or null
+async function verifyTwoFactorCode(userId, { code, recoveryCode }) {
+  if (recoveryCode) {
+    const codeHash = hashToken(`${userId}:${normalizeRecoveryCode(recoveryCode)}`);
+    return (await User.consumeRecoveryCode(userId, codeHash)) ? 'recovery_code' : null;
+  }
+
+  const twoFactor = await User.getTwoFactor(userId);
+  if (!twoFactor || !twoFactor.two_factor_enabled || !twoFactor.two_factor_secret) {
+    return null;
+  }
+
+  const step = verifyTotp(decryptSecret(twoFactor.two_factor_secret), code);
+  if (step === null) {
+    return null;
+  }
+
+  // Each code works once, even inside its 30 second window
+  return (await User.useTwoFactorStep(userId, step)) ? 'totp' : null;
+}
+
+// Active failed-login locks: { scope, retryAfter } or null
+async function getIpLoginLock(ipAddress) {
+  const retryAfter = await getCacheTTL(`login_lock:ip:${ipAddress}`);
+  return retryAfter ? { scope: 'ip', retryAfter } : null;
+}
+
+async function getAccountLoginLock(email, user) {
+  let retryAfter = await getCacheTTL(`login_lock:account:${email}`);
+  if (user && user.locked_until) {
+    const lockedFor = Math.ceil((new Date(user.locked_until).getTime() - Date.now()) / 1000);
+    retryAfter = Math.max(retryAfter, lockedFor);
+  }
+
+  return retryAfter > 0 ? { scope: 'account', retryAfter } : null;
+}
+
+function sendLoginLocked(res, lock) {
+  const minutes = Math.ceil(lock.retryAfter / 60);
+
+  if (lock.scope === 'ip') {
+    return res.status(429).json({
+      message: `Too many failed login attempts. Please try again in ${minutes} minutes`,
+      code: 'LOGIN_RATE_LIMITED',
+      retryAfter: lock.retryAfter
+    });
+  }
+
+  return res.status(423).json({
+    message: `Account temporarily locked after too many failed login attempts. ` +
+      `Try again in ${minutes} minutes or use the unlock link we emailed you`,
+    code: 'ACCOUNT_LOCKED',
+    retryAfter: lock.retryAfter
+  });
+}
+
+function lockDurationSeconds(failures, threshold, baseMinutes) {
+  const minutes = baseMinutes * Math.pow(2, failures - threshold);
+  return Math.min(minutes, LOGIN_MAX_LOCK_MINUTES) * 60;
+}
+
+// Count a failed login per account and per IP; returns the lock if one was just applied
+async function recordLoginFailure(req, email, user) {
+  const { ipAddress, userAgent } = getDeviceInfo(req);
+
+  const accountFailures = await incrementCounter(
+    `login_fail:account:${email}`,
+    LOGIN_ACCOUNT_FAILURE_WINDOW
+  );
+  const ipFailures = await incrementCounter(`login_fail:ip:${ipAddress}`, LOGIN_IP_FAILURE_WINDOW);
+
+  let lock = null;
+
+  if (ipFailures >= LOGIN_IP_MAX_FAILURES) {
+    const seconds = lockDurationSeconds(ipFailures, LOGIN_IP_MAX_FAILURES, LOGIN_IP_BASE_LOCK_MINUTES);
+    await setCache(`login_lock:ip:${ipAddress}`, true, seconds);
+    lock = { scope: 'ip', retryAfter: seconds };
+  }
+
+  let lockedUntil = null;
+  if (accountFailures >= LOGIN_ACCOUNT_MAX_FAILURES) {
+    const seconds = lockDurationSeconds(
+      accountFailures,
+      LOGIN_ACCOUNT_MAX_FAILURES,
+      LOGIN_ACCOUNT_BASE_LOCK_MINUTES
+    );
+    await setCache(`login_lock:account:${email}`, true, seconds);
+    lockedUntil = new Date(Date.now() + seconds * 1000);
+    lock = { scope: 'account', retryAfter: seconds };
+  }
+
+  if (user) {
+    await User.recordFailedLogin(user.id, lockedUntil);
+  }
+
+  await UserActivity.log({
+    userId: user ? user.id : null,
+    activityType: 'login_failed',
+    activityData: {
+      email,
+      accountFailures,
+      ipFailures,
+      ...(lockedUntil && { lockedUntil })
+    },
+    ipAddress,
+    userAgent
+  });
+
+  if (user && lockedUntil) {
+    try {
+      await sendUnlockEmail(user, lockedUntil);
+    } catch (error) {
+      console.error('Send unlock email error:', error);
+    }
+  }
+
+  return lock;
+}
+
+// Reset the per-account counters and lock (the per-IP ones are left to expire)
+async function clearLoginFailures(email, userId = null) {
+  await deleteCache(`login_fail:account:${email}`);
+  await deleteCache(`login_lock:account:${email}`);
+
+  if (userId) {
+    await User.clearLoginLock(userId);
+  }
+}
+
+async function sendUnlockEmail(user, lockedUntil) {
+  const { token, hash } = generateSecureToken();
+
+  await setCache(
+    `unlock:${hash}`,
+    { userId: user.id, email: user.email },
+    UNLOCK_TOKEN_TTL_HOURS * 60 * 60
+  );
+
+  const email = accountLockedEmail({
+    firstName: user.first_name,
+    link: publicUrl(`/api/auth/unlock/${token}`),
+    lockedMinutes: Math.ceil((lockedUntil.getTime() - Date.now()) / 60000)
+  });
+
+  await sendMail({ to: user.email, ...email });
+}
+
 module.exports = router;
\ No newline at end of file
@@ -3,10 +3,11 @@ const { body, validationResult } = require('express-validator');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
-const { authenticateToken, requireVerified } = require('../middleware/auth');
+const { authenticateToken, requireVerified, requireCompleteProfile } = require('../middleware/auth');
 const { query, transaction } = require('../config/database');
 const { translateText } = require('../utils/translation');
 const { uploadToCloudinary } = require('../utils/cloudinary');
+const { getVisiblePresence } = require('../utils/privacy');
 
 const router = express.Router();
 
@@ -42,7 +43,7 @@ const upload = multer({
 });
 
 // Get chat conversations for a user
-router.get('/conversations', authenticateToken, async (req, res) => {
+router.get('/conversations', [authenticateToken, requireCompleteProfile], async (req, res) => {
   try {
     const userId = req.user.id;
     const page = parseInt(req.query.page) || 1;
@@ -85,7 +86,11 @@ router.get('/conversations', authenticateToken, async (req, res) => {
               'name', u.name,
               'avatar', u.avatar,
               'is_online', u.is_online,
-              'last_seen', u.last_seen
+              'last_seen', u.last_seen,
+              'presence_status', u.presence_status,
+              'privacy_settings', u.privacy_settings,
+              'incognito_mode', u.incognito_mode,
+              'is_premium', u.is_premium
             )
           )
           FROM users u
@@ -97,8 +102,23 @@ router.get('/conversations', authenticateToken, async (req, res) => {
       LIMIT $2 OFFSET $3
     `, [userId, limit, offset]);
 
+    // Online status and last seen are only shown as far as each participant allows
+    const conversations = result.rows.map(conversation => ({
+      ...conversation,
+      other_participants: (conversation.other_participants || []).map(participant => {
+        const { isOnline, lastSeen } = getVisiblePresence(participant);
+        return {
+          id: participant.id,
+          name: participant.name,
+          avatar: participant.avatar,
+          is_online: isOnline,
+          last_seen: lastSeen
+        };
+      })
+    }));
+
     res.json({
-      conversations: result.rows,
+      conversations,
       pagination: {
         page,
         limit,
@@ -112,7 +132,7 @@ router.get('/conversations', authenticateToken, async (req, res) => {
 });
 
 // Get messages for a conversation
-router.get('/:conversationId/messages', authenticateToken, async (req, res) => {
+router.get('/:conversationId/messages', [authenticateToken, requireCompleteProfile], async (req, res) => {
   try {
     const { conversationId } = req.params;
     const userId = req.user.id;
@@ -144,6 +164,7 @@ router.get('/:conversationId/messages', authenticateToken, async (req, res) => {
         m.media_url,
         m.media_type,
         m.translation,
+        m.quote,
         m.sender_id,
         m.created_at,
         m.updated_at,
@@ -189,6 +210,7 @@ router.get('/:conversationId/messages', authenticateToken, async (req, res) => {
 router.post('/:conversationId/messages', [
   authenticateToken,
   requireVerified,
+  requireCompleteProfile,
   body('content').trim().isLength({ min: 1, max: 1000 }).withMessage('Message content required'),
   body('translate_to').optional().isLength({ min: 2, max: 5 }).withMessage('Invalid language code')
 ], async (req, res) => {
@@ -306,6 +328,7 @@ router.post('/:conversationId/messages', [
 router.post('/:conversationId/media', [
   authenticateToken,
   requireVerified,
+  requireCompleteProfile,
   upload.single('media')
 ], async (req, res) => {
   try {
@@ -422,6 +445,7 @@ router.post('/:conversationId/media', [
 router.post('/conversations', [
   authenticateToken,
   requireVerified,
+  requireCompleteProfile,
   body('participantId').isUUID().withMessage('Valid participant ID required')
 ], async (req, res) => {
   try {
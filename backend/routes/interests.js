@@ -0,0 +1,79 @@
+const express = require('express');
+const Interest = require('../models/Interest');
+const { authenticateToken } = require('../middleware/auth');
+const { getCache, setCache } = require('../config/redis');
+
+const router = express.Router();
+
+const TRENDING_CACHE_TTL = 900; // 15 minutes
+
+// List the interest catalogue, optionally searching by name or narrowing to a category
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { q, categoryId } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 200, 200);
+
+    const interests = await Interest.findAll({
+      search: q && q.trim() ? q.trim() : null,
+      categoryId: categoryId ? parseInt(categoryId) || null : null,
+      limit
+    });
+
+    res.json({ interests: interests.map(formatInterest) });
+  } catch (error) {
+    console.error('Get interest catalogue error:', error);
+    res.status(500).json({ message: 'Failed to get interests' });
+  }
+});
+
+// Interest categories
+router.get('/categories', authenticateToken, async (req, res) => {
+  try {
+    const categories = await Interest.findCategories();
+
+    res.json({
+      categories: categories.map(category => ({
+        id: category.id,
+        name: category.name,
+        icon: category.icon,
+        interestCount: category.interest_count
+      }))
+    });
+  } catch (error) {
+    console.error('Get interest categories error:', error);
+    res.status(500).json({ message: 'Failed to get interest categories' });
+  }
+});
+
+// Interests most often added to profiles in the last few days
+router.get('/trending', authenticateToken, async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 7, 1), 30);
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const cacheKey = `interests_trending:${days}:${limit}`;
+
+    let trending = await getCache(cacheKey);
+    if (!trending) {
+      const rows = await Interest.findTrending({ days, limit });
+      trending = rows.map(row => ({ ...formatInterest(row), recentAdds: row.recent_adds }));
+      await setCache(cacheKey, trending, TRENDING_CACHE_TTL);
+    }
+
+    res.json({ interests: trending, days });
+  } catch (error) {
+    console.error('Get trending interests error:', error);
+    res.status(500).json({ message: 'Failed to get trending interests' });
+  }
+});
+
+function formatInterest(interest) {
+  return {
+    id: interest.id,
+    name: interest.name,
+    categoryId: interest.category_id,
+    category: interest.category,
+    categoryIcon: interest.category_icon
+  };
+}
+
+module.exports = router;
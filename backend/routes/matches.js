@@ -1,16 +1,52 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const { authenticateToken, requireVerified, checkCoins } = require('../middleware/auth');
+const { body, param, validationResult } = require('express-validator');
+const {
+  authenticateToken,
+  requireVerified,
+  requireCompleteProfile,
+  checkCoins
+} = require('../middleware/auth');
 const { query, transaction } = require('../config/database');
+const { recordSwipeOutcome } = require('../utils/recommendations');
+const User = require('../models/User');
+const SwipeHistory = require('../models/SwipeHistory');
+const AppSetting = require('../models/AppSetting');
+const { renderBlurredPreview } = require('../utils/mediaStorage');
+const { consumeSwipeQuota, releaseSwipeQuota, swipeLimitResponse } = require('../utils/swipeQuota');
 
 const router = express.Router();
 
+const DEFAULT_REWIND_SETTINGS = { window_minutes: 5, coin_cost: 5 };
+
+const LIKES_RECEIVED_MAX_LIMIT = 50;
+
+// Likes the user hasn't answered yet: no match, no swipe back, and nobody blocked either way
+const PENDING_LIKES_CONDITION = `
+  m.user2_id = $1 AND m.user1_liked = true AND COALESCE(m.matched, false) = false
+  AND u.deleted_at IS NULL
+  AND NOT EXISTS (
+    SELECT 1 FROM matches mine WHERE mine.user1_id = $1 AND mine.user2_id = m.user1_id
+  )
+  AND NOT EXISTS (
+    SELECT 1 FROM user_blocks b
+    WHERE (b.blocker_id = $1 AND b.blocked_id = u.id) OR (b.blocker_id = u.id AND b.blocked_id = $1)
+  )`;
+
+const REWIND_ERROR_STATUS = {
+  NOTHING_TO_REWIND: 404,
+  REWIND_EXPIRED: 410,
+  ALREADY_MATCHED: 409,
+  INSUFFICIENT_COINS: 402
+};
+
 // Record a like
 router.post('/like', [
   authenticateToken,
   requireVerified,
+  requireCompleteProfile,
   body('userId').isUUID().withMessage('Valid user ID is required'),
 ], async (req, res) => {
+  let quotaUsed = false;
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -38,6 +74,12 @@ router.post('/like', [
         return res.status(400).json({ message: 'Already liked this user' });
       }
 
+      const quota = await consumeSwipeQuota(req.user, 'likes');
+      if (!quota.allowed) {
+        return res.status(429).json(swipeLimitResponse('likes', quota));
+      }
+      quotaUsed = true;
+
       // Record the like
       await client.query(`
         INSERT INTO matches (user1_id, user2_id, user1_liked, created_at)
@@ -46,6 +88,14 @@ router.post('/like', [
         DO UPDATE SET user1_liked = true, updated_at = NOW()
       `, [currentUserId, userId]);
 
+      const desirabilityChange = await recordSwipeOutcome(currentUserId, userId, true, client);
+      await SwipeHistory.record({
+        swiperId: currentUserId,
+        targetId: userId,
+        action: 'like',
+        desirabilityChange
+      }, client);
+
       // Check if it's a mutual match
       const mutualMatch = await client.query(`
         SELECT m1.id as match1_id, m2.id as match2_id
@@ -96,10 +146,17 @@ router.post('/like', [
         message: matched ? 'It\'s a match!' : 'Like recorded',
         matched,
         conversationId,
+        likesRemaining: quota.remaining,
       });
     });
 
   } catch (error) {
+    if (quotaUsed) {
+      await releaseSwipeQuota(req.user, 'likes');
+    }
+    if (error.code === 'SWIPE_QUOTA_UNAVAILABLE') {
+      return res.status(503).json({ message: error.message, code: error.code });
+    }
     console.error('Like error:', error);
     res.status(500).json({ message: 'Failed to record like' });
   }
@@ -109,6 +166,7 @@ router.post('/like', [
 router.post('/pass', [
   authenticateToken,
   requireVerified,
+  requireCompleteProfile,
   body('userId').isUUID().withMessage('Valid user ID is required'),
 ], async (req, res) => {
   try {
@@ -127,13 +185,30 @@ router.post('/pass', [
       return res.status(400).json({ message: 'Cannot pass yourself' });
     }
 
-    // Record the pass
-    await query(`
-      INSERT INTO matches (user1_id, user2_id, user1_liked, created_at)
-      VALUES ($1, $2, false, NOW())
-      ON CONFLICT (user1_id, user2_id) 
-      DO UPDATE SET user1_liked = false, updated_at = NOW()
-    `, [currentUserId, userId]);
+    await transaction(async (client) => {
+      // A pass can replace an earlier like; keep it so a rewind can restore it
+      const existingMatch = await client.query(
+        'SELECT user1_liked, is_super_like FROM matches WHERE user1_id = $1 AND user2_id = $2',
+        [currentUserId, userId]
+      );
+
+      // Record the pass
+      await client.query(`
+        INSERT INTO matches (user1_id, user2_id, user1_liked, created_at)
+        VALUES ($1, $2, false, NOW())
+        ON CONFLICT (user1_id, user2_id) 
+        DO UPDATE SET user1_liked = false, updated_at = NOW()
+      `, [currentUserId, userId]);
+
+      const desirabilityChange = await recordSwipeOutcome(currentUserId, userId, false, client);
+      await SwipeHistory.record({
+        swiperId: currentUserId,
+        targetId: userId,
+        action: 'pass',
+        previousAction: getSwipeAction(existingMatch.rows[0]),
+        desirabilityChange
+      }, client);
+    });
 
     res.json({ message: 'Pass recorded' });
 
@@ -189,6 +264,90 @@ router.get('/', authenticateToken, async (req, res) => {
   }
 });
 
+// People who liked the user and are waiting on a response, super likes first.
+// Premium users see who they are and can like back with /like; everyone else gets blurred previews.
+router.get('/likes-received', authenticateToken, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, LIKES_RECEIVED_MAX_LIMIT);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const likes = await query(`
+      SELECT
+        m.id as like_id,
+        m.is_super_like,
+        m.created_at as liked_at,
+        u.id,
+        u.username,
+        u.first_name,
+        u.last_name,
+        u.profile_picture,
+        u.bio,
+        u.is_verified,
+        u.photo_verified,
+        EXTRACT(YEAR FROM AGE(u.date_of_birth)) as age
+      FROM matches m
+      JOIN users u ON u.id = m.user1_id
+      WHERE ${PENDING_LIKES_CONDITION}
+      ORDER BY m.is_super_like DESC NULLS LAST, m.created_at DESC
+      LIMIT $2 OFFSET $3
+    `, [req.user.id, limit, offset]);
+
+    const total = await query(`
+      SELECT COUNT(*) as count
+      FROM matches m
+      JOIN users u ON u.id = m.user1_id
+      WHERE ${PENDING_LIKES_CONDITION}
+    `, [req.user.id]);
+
+    res.json({
+      likes: likes.rows.map(like => formatReceivedLike(like, req.user.isPremium)),
+      total: parseInt(total.rows[0].count),
+      blurred: !req.user.isPremium
+    });
+
+  } catch (error) {
+    console.error('Get likes received error:', error);
+    res.status(500).json({ message: 'Failed to get likes' });
+  }
+});
+
+// Blurred photo of someone who liked the user, for non-premium previews. Served from here so
+// the original photo's URL is never sent.
+router.get('/likes-received/:likeId/preview', [
+  authenticateToken,
+  param('likeId').isUUID().withMessage('Invalid like ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const like = await query(`
+      SELECT u.profile_picture
+      FROM matches m
+      JOIN users u ON u.id = m.user1_id
+      WHERE m.id = $2 AND ${PENDING_LIKES_CONDITION}
+    `, [req.user.id, req.params.likeId]);
+
+    const preview = like.rows.length > 0
+      ? await renderBlurredPreview(like.rows[0].profile_picture)
+      : null;
+    if (!preview) {
+      return res.status(404).json({ message: 'Preview not found', code: 'PREVIEW_NOT_FOUND' });
+    }
+
+    res.set('Cache-Control', 'private, max-age=3600');
+    res.type('image/jpeg').send(preview);
+  } catch (error) {
+    console.error('Get like preview error:', error);
+    res.status(500).json({ message: 'Failed to get preview' });
+  }
+});
+
 // Unmatch a user
 router.delete('/:matchId', [
   authenticateToken,
@@ -238,9 +397,11 @@ router.delete('/:matchId', [
 router.post('/super-like', [
   authenticateToken,
   requireVerified,
+  requireCompleteProfile,
   checkCoins(10), // Super like costs 10 coins
   body('userId').isUUID().withMessage('Valid user ID is required'),
 ], async (req, res) => {
+  let quotaUsed = false;
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -260,7 +421,7 @@ router.post('/super-like', [
     await transaction(async (client) => {
       // Check if already liked/super liked
       const existingMatch = await client.query(
-        'SELECT id, is_super_like FROM matches WHERE user1_id = $1 AND user2_id = $2',
+        'SELECT id, user1_liked, is_super_like FROM matches WHERE user1_id = $1 AND user2_id = $2',
         [currentUserId, userId]
       );
 
@@ -268,6 +429,12 @@ router.post('/super-like', [
         return res.status(400).json({ message: 'Already super liked this user' });
       }
 
+      const quota = await consumeSwipeQuota(req.user, 'super_likes');
+      if (!quota.allowed) {
+        return res.status(429).json(swipeLimitResponse('super_likes', quota));
+      }
+      quotaUsed = true;
+
       // Deduct coins
       await client.query(
         'UPDATE users SET coins = coins - 10 WHERE id = $1',
@@ -288,6 +455,18 @@ router.post('/super-like', [
         DO UPDATE SET user1_liked = true, is_super_like = true, updated_at = NOW()
       `, [currentUserId, userId]);
 
+      // Upgrading an earlier like to a super like was already counted
+      const desirabilityChange = existingMatch.rows.length === 0
+        ? await recordSwipeOutcome(currentUserId, userId, true, client)
+        : 0;
+      await SwipeHistory.record({
+        swiperId: currentUserId,
+        targetId: userId,
+        action: 'super_like',
+        previousAction: getSwipeAction(existingMatch.rows[0]),
+        desirabilityChange
+      }, client);
+
       // Send super like notification
       const io = req.app.get('io');
       if (io) {
@@ -303,16 +482,143 @@ router.post('/super-like', [
 
       res.json({ 
         message: 'Super like sent!',
-        coinsRemaining: req.user.coins - 10 
+        coinsRemaining: req.user.coins - 10,
+        superLikesRemaining: quota.remaining
       });
     });
 
   } catch (error) {
+    if (quotaUsed) {
+      await releaseSwipeQuota(req.user, 'super_likes');
+    }
+    if (error.code === 'SWIPE_QUOTA_UNAVAILABLE') {
+      return res.status(503).json({ message: error.message, code: error.code });
+    }
     console.error('Super like error:', error);
     res.status(500).json({ message: 'Failed to send super like' });
   }
 });
 
+// Undo the most recent like, super like or pass. Free with premium, otherwise it costs coins;
+// coins spent on a super like are not refunded.
+router.post('/rewind', [
+  authenticateToken,
+  requireVerified,
+  requireCompleteProfile,
+], async (req, res) => {
+  try {
+    const currentUserId = req.user.id;
+    const settings = { ...DEFAULT_REWIND_SETTINGS, ...(await AppSetting.get('rewind_settings', {})) };
+    const cost = req.user.isPremium ? 0 : settings.coin_cost;
+
+    const rewound = await transaction(async (client) => {
+      const swipe = await SwipeHistory.findLatestForUpdate(currentUserId, client);
+      if (!swipe) {
+        throw rewindError('There is no swipe to rewind', 'NOTHING_TO_REWIND');
+      }
+
+      const ageMinutes = (Date.now() - new Date(swipe.created_at).getTime()) / (60 * 1000);
+      if (ageMinutes > settings.window_minutes) {
+        throw rewindError(
+          `Swipes can only be rewound within ${settings.window_minutes} minutes`,
+          'REWIND_EXPIRED'
+        );
+      }
+
+      // Once a like has become a match the other person has been told about it
+      if (swipe.action !== 'pass') {
+        const matched = await client.query(`
+          SELECT 1 FROM matches
+          WHERE user1_id = $1 AND user2_id = $2 AND matched = true
+          UNION ALL
+          SELECT 1 FROM conversations
+          WHERE (participant1_id = $1 AND participant2_id = $2) OR
+                (participant1_id = $2 AND participant2_id = $1)
+          LIMIT 1
+        `, [currentUserId, swipe.target_id]);
+
+        if (matched.rows.length > 0) {
+          throw rewindError('This like already became a match and can\'t be rewound', 'ALREADY_MATCHED');
+        }
+      }
+
+      let coinsRemaining = req.user.coins;
+      if (cost > 0) {
+        const charged = await client.query(
+          'UPDATE users SET coins = coins - $2 WHERE id = $1 AND coins >= $2 RETURNING coins',
+          [currentUserId, cost]
+        );
+
+        if (charged.rows.length === 0) {
+          const error = rewindError(`Insufficient coins. Required: ${cost}`, 'INSUFFICIENT_COINS');
+          error.required = cost;
+          throw error;
+        }
+        coinsRemaining = charged.rows[0].coins;
+
+        await client.query(`
+          INSERT INTO coin_transactions (user_id, amount, type, description, reference_id, created_at)
+          VALUES ($1, $2, 'rewind', 'Rewind', $3, NOW())
+        `, [currentUserId, -cost, swipe.id]);
+      }
+
+      // Put back whatever the swipe replaced
+      if (swipe.previous_action) {
+        await client.query(`
+          UPDATE matches SET user1_liked = $3, is_super_like = $4, updated_at = NOW()
+          WHERE user1_id = $1 AND user2_id = $2
+        `, [
+          currentUserId,
+          swipe.target_id,
+          swipe.previous_action !== 'pass',
+          swipe.previous_action === 'super_like'
+        ]);
+      } else {
+        await client.query(
+          'DELETE FROM matches WHERE user1_id = $1 AND user2_id = $2',
+          [currentUserId, swipe.target_id]
+        );
+      }
+
+      if (swipe.desirability_change) {
+        await User.revertDesirability(swipe.target_id, swipe.desirability_change, client);
+      }
+      await SwipeHistory.markRewound(swipe.id, client);
+
+      return { swipe, coinsRemaining };
+    });
+
+    // A rewound like or super like made today doesn't count towards today's limit
+    if (rewound.swipe.action !== 'pass') {
+      await releaseSwipeQuota(
+        req.user,
+        rewound.swipe.action === 'like' ? 'likes' : 'super_likes',
+        rewound.swipe.created_at
+      );
+    }
+
+    res.json({
+      message: 'Swipe rewound',
+      userId: rewound.swipe.target_id,
+      action: rewound.swipe.action,
+      coinsSpent: cost,
+      coinsRemaining: rewound.coinsRemaining
+    });
+
+  } catch (error) {
+    if (REWIND_ERROR_STATUS[error.code]) {
+      return res.status(REWIND_ERROR_STATUS[error.code]).json({
+        message: error.message,
+        code: error.code,
+        ...(error.required && { required: error.required })
+      });
+    }
+
+    console.error('Rewind error:', error);
+    res.status(500).json({ message: 'Failed to rewind swipe' });
+  }
+});
+
 // Get match statistics
 router.get('/stats', authenticateToken, async (req, res) => {
   try {
@@ -345,4 +651,48 @@ router.get('/stats', authenticateToken, async (req, res) => {
   }
 });
 
+// Non-premium previews leave out anything that identifies who sent the like
+function formatReceivedLike(like, isPremium) {
+  const preview = {
+    likeId: like.like_id,
+    isSuperLike: Boolean(like.is_super_like),
+    likedAt: like.liked_at
+  };
+
+  if (!isPremium) {
+    return {
+      ...preview,
+      blurredPicture: like.profile_picture ? `/api/matches/likes-received/${like.like_id}/preview` : null
+    };
+  }
+
+  return {
+    ...preview,
+    user: {
+      id: like.id,
+      username: like.username,
+      first_name: like.first_name,
+      last_name: like.last_name,
+      profile_picture: like.profile_picture,
+      bio: like.bio,
+      age: like.age === null ? null : Number(like.age),
+      is_verified: like.is_verified,
+      photo_verified: like.photo_verified
+    }
+  };
+}
+
+// What a matches row says the user last did, for SwipeHistory.previousAction
+function getSwipeAction(match) {
+  if (!match) return null;
+  if (match.is_super_like) return 'super_like';
+  return match.user1_liked ? 'like' : 'pass';
+}
+
+function rewindError(message, code) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
 module.exports = router;
\ No newline at end of file
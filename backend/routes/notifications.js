@@ -0,0 +1,32 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Register this device's push token
+router.post('/register-token', [
+  authenticateToken,
+  body('token').isString().isLength({ min: 1, max: 255 }).withMessage('Push token is required'),
+  body('platform').optional().isIn(['ios', 'android', 'web'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await User.updatePushToken(req.user.id, req.body.token);
+
+    res.json({ message: 'Push token registered' });
+  } catch (error) {
+    console.error('Register push token error:', error);
+    res.status(500).json({ message: 'Failed to register push token' });
+  }
+});
+
+module.exports = router;
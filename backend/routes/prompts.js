@@ -0,0 +1,130 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const User = require('../models/User');
+const UserActivity = require('../models/UserActivity');
+const ProfilePrompt = require('../models/ProfilePrompt');
+const { authenticateToken, requireVerified, requireCompleteProfile } = require('../middleware/auth');
+const { moderateText } = require('../utils/textModeration');
+const { sendPushNotification } = require('../utils/pushNotifications');
+const { canViewProfile } = require('../utils/privacy');
+
+const router = express.Router();
+
+// List the prompt catalogue
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const prompts = await ProfilePrompt.findAll();
+    res.json({ prompts });
+  } catch (error) {
+    console.error('Get prompts error:', error);
+    res.status(500).json({ message: 'Failed to get prompts' });
+  }
+});
+
+// Like a prompt answer
+router.post('/answers/:id/like', [
+  authenticateToken,
+  requireVerified,
+  requireCompleteProfile,
+  param('id').isUUID().withMessage('Invalid answer ID')
+], async (req, res) => {
+  await reactToAnswer(req, res, 'like');
+});
+
+// Comment on a prompt answer
+router.post('/answers/:id/comment', [
+  authenticateToken,
+  requireVerified,
+  requireCompleteProfile,
+  param('id').isUUID().withMessage('Invalid answer ID'),
+  body('comment').isString().trim().isLength({ min: 1, max: 500 })
+    .withMessage('Comment must be between 1 and 500 characters')
+], async (req, res) => {
+  await reactToAnswer(req, res, 'comment');
+});
+
+// Shared by like and comment: both open a conversation that quotes the answer
+async function reactToAnswer(req, res, type) {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const answer = await ProfilePrompt.findAnswerById(req.params.id);
+    const owner = answer && await User.findById(answer.user_id);
+    // Blocked users and profiles hidden from the viewer get the same response as a missing answer
+    if (!owner || await User.isBlockedBetween(req.user.id, answer.user_id) ||
+        !(await canViewProfile(req.user.id, owner))) {
+      return res.status(404).json({ message: 'Prompt answer not found', code: 'PROMPT_ANSWER_NOT_FOUND' });
+    }
+
+    if (answer.user_id === req.user.id) {
+      return res.status(400).json({ message: 'You cannot react to your own prompt' });
+    }
+
+    const comment = type === 'comment' ? req.body.comment : null;
+    if (comment) {
+      const moderation = moderateText(comment);
+      if (!moderation.approved) {
+        return res.status(400).json({
+          message: 'Your comment breaks our community guidelines',
+          code: 'CONTENT_REJECTED',
+          reasons: moderation.reasons
+        });
+      }
+    }
+
+    const result = await ProfilePrompt.react({ answer, userId: req.user.id, type, comment });
+    if (!result) {
+      return res.status(409).json({
+        message: 'You have already responded to this prompt',
+        code: 'ALREADY_REACTED'
+      });
+    }
+
+    await UserActivity.log({
+      userId: req.user.id,
+      activityType: `prompt_answer_${type}`,
+      activityData: { answerId: answer.id, targetUserId: answer.user_id },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    const message = {
+      ...result.message,
+      sender_name: req.user.firstName,
+      is_read: false
+    };
+
+    req.io?.to(result.conversationId).emit('new_message', message);
+    req.io?.to(`user_${answer.user_id}`).emit('prompt_answer_reaction', {
+      type,
+      answerId: answer.id,
+      conversationId: result.conversationId,
+      fromUser: { id: req.user.id, firstName: req.user.firstName }
+    });
+
+    await sendPushNotification(answer.user_id, {
+      title: type === 'like'
+        ? `${req.user.firstName} liked your answer`
+        : `${req.user.firstName} commented on your answer`,
+      body: comment || answer.question,
+      data: { type: 'prompt_answer_reaction', conversationId: result.conversationId }
+    });
+
+    res.status(201).json({
+      reaction: result.reaction,
+      conversation: { id: result.conversationId, created: result.conversationCreated },
+      message
+    });
+  } catch (error) {
+    console.error('Prompt answer reaction error:', error);
+    res.status(500).json({ message: 'Failed to respond to prompt' });
+  }
+}
+
+module.exports = router;
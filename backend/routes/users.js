@@ -1,12 +1,74 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const { body, param, query: queryParam, validationResult } = require('express-validator');
 const multer = require('multer');
 const path = require('path');
+const fs = require('fs');
 const User = require('../models/User');
-const { authenticateToken, requireVerified } = require('../middleware/auth');
+const UserActivity = require('../models/UserActivity');
+const DataExport = require('../models/DataExport');
+const UserSession = require('../models/UserSession');
+const UserPhoto = require('../models/UserPhoto');
+const AccountDeletionAudit = require('../models/AccountDeletionAudit');
+const Interest = require('../models/Interest');
+const ProfilePrompt = require('../models/ProfilePrompt');
+const AppSetting = require('../models/AppSetting');
+const ProfileChange = require('../models/ProfileChange');
+const {
+  authenticateToken,
+  requireVerified,
+  requireCompleteProfile,
+  requirePremium
+} = require('../middleware/auth');
+const { getCache, deleteAllUserSessions } = require('../config/redis');
+const { MINIMUM_AGE, calculateAge, isOfAge } = require('../utils/ageGate');
+const { hashToken } = require('../utils/tokens');
+const { createDownloadLink, queueDataExport } = require('../utils/dataExport');
+const { ACCOUNT_DELETION_GRACE_DAYS } = require('../utils/accountDeletion');
+const { disconnectSessions, broadcastPresence } = require('../utils/socketHandler');
+const { storeUploadedImage, deleteStoredMedia } = require('../utils/mediaStorage');
+const { moderateText } = require('../utils/textModeration');
+const {
+  PROFILE_VISIBILITY_OPTIONS,
+  getPrivacySettings,
+  pickPrivacySettings,
+  getVisibleDistance,
+  getVisiblePresence,
+  isIncognito,
+  canViewProfile
+} = require('../utils/privacy');
+const {
+  PROFILE_COMPLETION_REWARD,
+  calculateProfileCompleteness
+} = require('../utils/profileCompleteness');
+const {
+  DEFAULT_REVIEW_REPORT_THRESHOLD,
+  getProfileChanges,
+  accountUnderReviewError
+} = require('../utils/profileChanges');
+const { getDiscoverDeck, invalidateDiscoverDeck } = require('../utils/recommendations');
+const { getMatchLocation, getTravelMode } = require('../utils/geo');
+const { isValidTimezone } = require('../utils/swipeQuota');
+const {
+  SEARCH_MIN_QUERY_LENGTH,
+  SEARCH_MAX_LIMIT,
+  buildPrefixQuery,
+  encodeCursor,
+  decodeCursor
+} = require('../utils/userSearch');
 
 const router = express.Router();
 
+const MAX_PROFILE_PHOTOS = 6;
+const MAX_PROMPT_ANSWERS = 3;
+// Used when app_settings has no max_interests_per_user
+const DEFAULT_MAX_INTERESTS = 10;
+const PROFILE_PHOTO_TRANSFORMATIONS = { width: 1080, height: 1350, crop: 'limit' };
+const DISCOVER_RANKING_FIELDS = [
+  'gender', 'language_preference', 'matching_preferences', 'last_active', 'created_at',
+  'desirability_score', 'swipes_received'
+];
+const REPORT_REASONS = ['spam', 'harassment', 'inappropriate', 'fake', 'violence', 'other'];
+
 // Configure multer for file uploads
 const storage = multer.diskStorage({
   destination: (req, file, cb) => {
@@ -56,10 +118,14 @@ router.get('/profile', authenticateToken, async (req, res) => {
         locationCity: user.location_city,
         locationCountry: user.location_country,
         languagePreference: user.language_preference,
+        timezone: user.timezone,
         coins: user.coins,
         isVerified: user.is_verified,
         isPremium: user.is_premium,
-        privacySettings: user.privacy_settings,
+        incognitoMode: isIncognito(user),
+        travelMode: getTravelMode(user),
+        photoVerified: Boolean(user.photo_verified),
+        privacySettings: getPrivacySettings(user.privacy_settings),
         matchingPreferences: user.matching_preferences,
         interests,
         createdAt: user.created_at
@@ -74,6 +140,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
 // Update user profile
 router.put('/profile', [
   authenticateToken,
+  body('username').optional().isLength({ min: 3, max: 30 }).matches(/^[a-zA-Z0-9_]+$/),
   body('firstName').optional().isLength({ min: 1, max: 100 }).trim(),
   body('lastName').optional().isLength({ max: 100 }).trim(),
   body('bio').optional().isLength({ max: 500 }).trim(),
@@ -84,6 +151,17 @@ router.put('/profile', [
   body('latitude').optional().isFloat({ min: -90, max: 90 }),
   body('longitude').optional().isFloat({ min: -180, max: 180 }),
   body('languagePreference').optional().isLength({ min: 2, max: 10 }),
+  body('timezone').optional().isLength({ max: 64 }).custom(isValidTimezone)
+    .withMessage('Timezone must be an IANA name such as Europe/Paris'),
+  body('privacySettings').optional().isObject(),
+  body([
+    'privacySettings.show_distance',
+    'privacySettings.show_location',
+    'privacySettings.show_last_seen',
+    'privacySettings.show_online_status',
+    'privacySettings.read_receipts'
+  ]).optional().isBoolean({ strict: true }),
+  body('privacySettings.profile_visibility').optional().isIn(PROFILE_VISIBILITY_OPTIONS),
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -94,35 +172,135 @@ router.put('/profile', [
       });
     }
 
-    const updatedUser = await User.updateProfile(req.user.id, req.body);
+    // Accounts created before the age gate still have to pass it when adding a date of birth
+    if (req.body.dateOfBirth && !isOfAge(req.body.dateOfBirth)) {
+      await UserActivity.log({
+        userId: req.user.id,
+        activityType: 'underage_registration_attempt',
+        activityData: { source: 'profile', age: calculateAge(req.body.dateOfBirth) },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      return res.status(403).json({
+        message: `You must be at least ${MINIMUM_AGE} to use ChatzOne`,
+        code: 'UNDERAGE'
+      });
+    }
+
+    const currentUser = await User.findById(req.user.id);
+    if (!currentUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const changes = getProfileChanges(currentUser, req.body);
+    if (changes.some(change => change.field === 'username')) {
+      const existingUsername = await User.findByUsername(req.body.username);
+      if (existingUsername && existingUsername.id !== req.user.id) {
+        return res.status(409).json({
+          message: 'Username already taken',
+          code: 'USERNAME_EXISTS'
+        });
+      }
+    }
+
+    // Changed names and bios go through moderation again, even if the old text was approved
+    const rejected = changes
+      .map(change => ({ field: change.field, ...moderateText(change.newValue) }))
+      .filter(result => !result.approved);
+    if (rejected.length > 0) {
+      await UserActivity.log({
+        userId: req.user.id,
+        activityType: 'profile_change_rejected',
+        activityData: { rejected: rejected.map(({ field, reasons }) => ({ field, reasons })) },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      return res.status(400).json({
+        message: 'Some of your changes break our community guidelines',
+        code: 'CONTENT_REJECTED',
+        rejected: rejected.map(({ field, reasons }) => ({ field, reasons }))
+      });
+    }
+
+    // Privacy settings are merged into the stored ones, so clients can send a single toggle
+    const privacySettings = req.body.privacySettings
+      ? pickPrivacySettings(req.body.privacySettings)
+      : null;
+
+    const updatedUser = await User.updateProfile(req.user.id, { ...req.body, privacySettings });
     if (!updatedUser) {
       return res.status(404).json({ message: 'User not found' });
     }
 
-    res.json({ user: updatedUser });
+    // Decks are built from preferences and location, so a change means building a new one
+    if (req.body.matchingPreferences || req.body.latitude !== undefined || req.body.longitude !== undefined) {
+      await invalidateDiscoverDeck(req.user.id);
+    }
+
+    // Matches see the user go online or offline straight away when presence settings change
+    if (privacySettings && 'show_online_status' in privacySettings) {
+      await broadcastPresence(req.app.get('io'), req.user.id);
+    }
+
+    res.json({
+      user: { ...updatedUser, privacy_settings: getPrivacySettings(updatedUser.privacy_settings) }
+    });
   } catch (error) {
+    if (error.code === 'ACCOUNT_UNDER_REVIEW') {
+      return res.status(403).json({ message: error.message, code: error.code });
+    }
+    if (error.code === 'PROFILE_CHANGE_COOLDOWN') {
+      return res.status(429).json({
+        message: error.message,
+        code: error.code,
+        field: error.field,
+        availableAt: error.availableAt
+      });
+    }
+
     console.error('Update profile error:', error);
     res.status(500).json({ message: 'Failed to update profile' });
   }
 });
 
-// Upload profile picture
-router.post('/profile/picture', [authenticateToken, upload.single('profilePicture')], async (req, res) => {
+// Upload profile picture (kept for older clients): adds it to the gallery as the primary photo
+router.post('/profile/picture', [
+  authenticateToken,
+  rejectIfUnderReview,
+  upload.single('profilePicture')
+], async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json({ message: 'No file uploaded' });
     }
 
-    const pictureUrl = `/uploads/profiles/${req.file.filename}`;
-    const updatedUser = await User.updateProfilePicture(req.user.id, pictureUrl);
-
-    if (!updatedUser) {
-      return res.status(404).json({ message: 'User not found' });
+    const existingCount = await UserPhoto.countByUser(req.user.id);
+    if (existingCount >= MAX_PROFILE_PHOTOS) {
+      await fs.promises.unlink(req.file.path).catch(() => {});
+      return res.status(400).json({
+        message: `You can have up to ${MAX_PROFILE_PHOTOS} photos. Remove one first`,
+        code: 'PHOTO_LIMIT_REACHED',
+        maxPhotos: MAX_PROFILE_PHOTOS,
+        remaining: 0
+      });
     }
 
+    const pictureUrl = await storeUploadedImage(req.file, PROFILE_PHOTO_TRANSFORMATIONS);
+    const photo = await UserPhoto.addPrimary(req.user.id, pictureUrl);
+
+    await ProfileChange.record({
+      userId: req.user.id,
+      field: 'photo',
+      newValue: photo.photo_url,
+      moderationStatus: 'pending'
+    });
+
     res.json({
       message: 'Profile picture updated successfully',
-      profilePicture: pictureUrl
+      profilePicture: photo.photo_url,
+      photo: formatPhoto(photo)
     });
   } catch (error) {
     console.error('Upload profile picture error:', error);
@@ -130,11 +308,422 @@ router.post('/profile/picture', [authenticateToken, upload.single('profilePictur
   }
 });
 
+// Claim the one-time coin bonus for completing the profile
+router.post('/profile/completion-reward', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    const interests = await User.getUserInterests(req.user.id);
+    const photoCount = await UserPhoto.countByUser(req.user.id);
+    const completeness = calculateProfileCompleteness(user, {
+      photoCount,
+      interestCount: interests.length
+    });
+
+    if (completeness.score < 100) {
+      return res.status(400).json({
+        message: 'Complete your profile to claim the reward',
+        code: 'PROFILE_NOT_COMPLETE',
+        missing: completeness.missing
+      });
+    }
+
+    // The flag is claimed first so concurrent requests can't pay out twice
+    const claimed = await User.markProfileCompletionRewarded(req.user.id);
+    if (!claimed) {
+      return res.status(409).json({
+        message: 'Profile completion reward already claimed',
+        code: 'REWARD_ALREADY_CLAIMED'
+      });
+    }
+
+    let coins;
+    try {
+      coins = await User.updateCoins(
+        req.user.id,
+        PROFILE_COMPLETION_REWARD,
+        'profile_completion',
+        'Profile completion bonus'
+      );
+    } catch (error) {
+      await User.clearProfileCompletionReward(req.user.id);
+      throw error;
+    }
+
+    await UserActivity.log({
+      userId: req.user.id,
+      activityType: 'profile_completion_reward',
+      activityData: { coins: PROFILE_COMPLETION_REWARD },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.json({
+      message: 'Profile completion reward claimed',
+      reward: PROFILE_COMPLETION_REWARD,
+      coins
+    });
+  } catch (error) {
+    console.error('Profile completion reward error:', error);
+    res.status(500).json({ message: 'Failed to claim profile completion reward' });
+  }
+});
+
+// Turn incognito browsing on or off (premium only)
+router.put('/incognito', [
+  authenticateToken,
+  requirePremium,
+  body('enabled').isBoolean({ strict: true }).withMessage('enabled must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const updatedUser = await User.setIncognitoMode(req.user.id, req.body.enabled);
+    if (!updatedUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await UserActivity.log({
+      userId: req.user.id,
+      activityType: req.body.enabled ? 'incognito_enabled' : 'incognito_disabled',
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    // Matches see the user go offline when incognito starts, and back online when it ends
+    await broadcastPresence(req.app.get('io'), req.user.id);
+
+    res.json({ incognitoMode: isIncognito(updatedUser) });
+  } catch (error) {
+    console.error('Update incognito mode error:', error);
+    res.status(500).json({ message: 'Failed to update incognito mode' });
+  }
+});
+
+// Travel mode: match from another location (premium only)
+router.put('/travel-mode', [
+  authenticateToken,
+  requirePremium,
+  body('latitude').isFloat({ min: -90, max: 90 }).toFloat(),
+  body('longitude').isFloat({ min: -180, max: 180 }).toFloat(),
+  body('locationName').optional().isString().trim().isLength({ max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const updatedUser = await User.setTravelLocation(req.user.id, {
+      latitude: req.body.latitude,
+      longitude: req.body.longitude,
+      locationName: req.body.locationName
+    });
+    if (!updatedUser) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await UserActivity.log({
+      userId: req.user.id,
+      activityType: 'travel_mode_enabled',
+      activityData: { locationName: req.body.locationName || null },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    // The deck was built around the old location
+    await invalidateDiscoverDeck(req.user.id);
+
+    res.json({ travelMode: getTravelMode(updatedUser) });
+  } catch (error) {
+    console.error('Set travel mode error:', error);
+    res.status(500).json({ message: 'Failed to set travel mode' });
+  }
+});
+
+// Turn travel mode off and match from home again
+router.delete('/travel-mode', authenticateToken, async (req, res) => {
+  try {
+    const cleared = await User.clearTravelLocation(req.user.id);
+    if (!cleared) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await UserActivity.log({
+      userId: req.user.id,
+      activityType: 'travel_mode_disabled',
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    await invalidateDiscoverDeck(req.user.id);
+
+    res.json({ travelMode: null });
+  } catch (error) {
+    console.error('Clear travel mode error:', error);
+    res.status(500).json({ message: 'Failed to turn off travel mode' });
+  }
+});
+
+// Get my photo gallery
+router.get('/photos', authenticateToken, async (req, res) => {
+  try {
+    const photos = await UserPhoto.findByUser(req.user.id);
+    res.json({ photos: photos.map(formatPhoto), maxPhotos: MAX_PROFILE_PHOTOS });
+  } catch (error) {
+    console.error('Get photos error:', error);
+    res.status(500).json({ message: 'Failed to get photos' });
+  }
+});
+
+// Add photos to the gallery
+router.post('/photos', [
+  authenticateToken,
+  rejectIfUnderReview,
+  upload.array('photos', MAX_PROFILE_PHOTOS)
+], async (req, res) => {
+  const files = req.files || [];
+
+  try {
+    if (files.length === 0) {
+      return res.status(400).json({ message: 'No photos uploaded' });
+    }
+
+    const existingCount = await UserPhoto.countByUser(req.user.id);
+    if (existingCount + files.length > MAX_PROFILE_PHOTOS) {
+      await Promise.all(files.map(file => fs.promises.unlink(file.path).catch(() => {})));
+      return res.status(400).json({
+        message: `You can have up to ${MAX_PROFILE_PHOTOS} photos`,
+        code: 'PHOTO_LIMIT_REACHED',
+        maxPhotos: MAX_PROFILE_PHOTOS,
+        remaining: Math.max(0, MAX_PROFILE_PHOTOS - existingCount)
+      });
+    }
+
+    const photoUrls = [];
+    for (const file of files) {
+      photoUrls.push(await storeUploadedImage(file, PROFILE_PHOTO_TRANSFORMATIONS));
+    }
+
+    const photos = await UserPhoto.addMany(req.user.id, photoUrls);
+
+    // New photos stay up while they wait for a moderator; rejected ones are taken down
+    for (const photo of photos) {
+      await ProfileChange.record({
+        userId: req.user.id,
+        field: 'photo',
+        newValue: photo.photo_url,
+        moderationStatus: 'pending'
+      });
+    }
+
+    res.status(201).json({
+      message: 'Photos added successfully',
+      photos: photos.map(formatPhoto)
+    });
+  } catch (error) {
+    console.error('Upload photos error:', error);
+    res.status(500).json({ message: 'Failed to upload photos' });
+  }
+});
+
+// Reorder the gallery
+router.put('/photos/order', [
+  authenticateToken,
+  rejectIfUnderReview,
+  body('photoIds').isArray({ min: 1, max: MAX_PROFILE_PHOTOS }).withMessage('photoIds must be a list of photo IDs'),
+  body('photoIds.*').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const photos = await UserPhoto.reorder(req.user.id, req.body.photoIds);
+    if (!photos) {
+      return res.status(400).json({
+        message: 'photoIds must contain each of your photos exactly once',
+        code: 'INVALID_PHOTO_ORDER'
+      });
+    }
+
+    res.json({ photos: photos.map(formatPhoto) });
+  } catch (error) {
+    console.error('Reorder photos error:', error);
+    res.status(500).json({ message: 'Failed to reorder photos' });
+  }
+});
+
+// Make a photo the primary (profile) picture
+router.put('/photos/:id/primary', [
+  authenticateToken,
+  rejectIfUnderReview,
+  param('id').isUUID().withMessage('Valid photo ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const updated = await UserPhoto.setPrimary(req.user.id, req.params.id);
+    if (!updated) {
+      return res.status(404).json({ message: 'Photo not found', code: 'PHOTO_NOT_FOUND' });
+    }
+
+    const photos = await UserPhoto.findByUser(req.user.id);
+    res.json({ photos: photos.map(formatPhoto) });
+  } catch (error) {
+    console.error('Set primary photo error:', error);
+    res.status(500).json({ message: 'Failed to set primary photo' });
+  }
+});
+
+// Delete a photo
+router.delete('/photos/:id', [
+  authenticateToken,
+  rejectIfUnderReview,
+  param('id').isUUID().withMessage('Valid photo ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const deleted = await UserPhoto.delete(req.user.id, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ message: 'Photo not found', code: 'PHOTO_NOT_FOUND' });
+    }
+
+    await ProfileChange.record({ userId: req.user.id, field: 'photo', oldValue: deleted.photo_url });
+
+    // The row is gone either way; a leftover file is only logged
+    try {
+      await deleteStoredMedia(deleted.photo_url);
+    } catch (mediaError) {
+      console.error('Delete photo file error:', mediaError);
+    }
+
+    const photos = await UserPhoto.findByUser(req.user.id);
+    res.json({ message: 'Photo deleted', photos: photos.map(formatPhoto) });
+  } catch (error) {
+    console.error('Delete photo error:', error);
+    res.status(500).json({ message: 'Failed to delete photo' });
+  }
+});
+
+// Get my prompt answers, with how many likes and comments each has had
+router.get('/prompts', authenticateToken, async (req, res) => {
+  try {
+    const answers = await ProfilePrompt.findAnswersByUser(req.user.id);
+    const reactionCounts = await ProfilePrompt.getReactionCounts(req.user.id);
+
+    res.json({
+      prompts: answers.map(answer => ({
+        ...formatPromptAnswer(answer),
+        ...(reactionCounts[answer.id] || { likes: 0, comments: 0 })
+      })),
+      maxPrompts: MAX_PROMPT_ANSWERS
+    });
+  } catch (error) {
+    console.error('Get prompt answers error:', error);
+    res.status(500).json({ message: 'Failed to get prompt answers' });
+  }
+});
+
+// Replace my prompt answers (in display order)
+router.put('/prompts', [
+  authenticateToken,
+  body('answers').isArray({ max: MAX_PROMPT_ANSWERS })
+    .withMessage(`You can answer up to ${MAX_PROMPT_ANSWERS} prompts`),
+  body('answers.*.promptId').isInt({ min: 1 }).toInt().withMessage('Each answer needs a prompt ID'),
+  body('answers.*.answer').isString().trim().isLength({ min: 1, max: 300 })
+    .withMessage('Answers must be between 1 and 300 characters'),
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const answers = req.body.answers.map(({ promptId, answer }) => ({ promptId, answer }));
+    const promptIds = answers.map(answer => answer.promptId);
+
+    if (new Set(promptIds).size !== promptIds.length) {
+      return res.status(400).json({
+        message: 'Each prompt can only be answered once',
+        code: 'DUPLICATE_PROMPT'
+      });
+    }
+
+    const activeIds = await ProfilePrompt.findActiveIds(promptIds);
+    if (activeIds.length !== promptIds.length) {
+      return res.status(400).json({ message: 'Unknown prompt', code: 'INVALID_PROMPT' });
+    }
+
+    const rejected = answers
+      .map((answer, index) => ({ index, promptId: answer.promptId, ...moderateText(answer.answer) }))
+      .filter(result => !result.approved);
+    if (rejected.length > 0) {
+      await UserActivity.log({
+        userId: req.user.id,
+        activityType: 'prompt_answer_rejected',
+        activityData: { rejected: rejected.map(({ promptId, reasons }) => ({ promptId, reasons })) },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      return res.status(400).json({
+        message: 'Some answers break our community guidelines',
+        code: 'CONTENT_REJECTED',
+        rejected: rejected.map(({ index, promptId, reasons }) => ({ index, promptId, reasons }))
+      });
+    }
+
+    const saved = await ProfilePrompt.replaceAnswers(req.user.id, answers);
+
+    res.json({
+      message: 'Prompts updated successfully',
+      prompts: saved.map(formatPromptAnswer)
+    });
+  } catch (error) {
+    console.error('Update prompt answers error:', error);
+    res.status(500).json({ message: 'Failed to update prompt answers' });
+  }
+});
+
 // Get user interests
 router.get('/interests', authenticateToken, async (req, res) => {
   try {
     const interests = await User.getUserInterests(req.user.id);
-    res.json({ interests });
+    const maxInterests = await AppSetting.get('max_interests_per_user', DEFAULT_MAX_INTERESTS);
+    res.json({ interests, maxInterests });
   } catch (error) {
     console.error('Get interests error:', error);
     res.status(500).json({ message: 'Failed to get interests' });
@@ -156,7 +745,27 @@ router.put('/interests', [
       });
     }
 
-    await User.updateUserInterests(req.user.id, req.body.interestIds);
+    const interestIds = [...new Set(req.body.interestIds.map(id => parseInt(id)))];
+
+    const maxInterests = await AppSetting.get('max_interests_per_user', DEFAULT_MAX_INTERESTS);
+    if (interestIds.length > maxInterests) {
+      return res.status(400).json({
+        message: `You can pick up to ${maxInterests} interests`,
+        code: 'TOO_MANY_INTERESTS',
+        maxInterests
+      });
+    }
+
+    const activeIds = await Interest.findActiveIds(interestIds);
+    if (activeIds.length !== interestIds.length) {
+      return res.status(400).json({
+        message: 'Some interests are not in the catalogue',
+        code: 'INVALID_INTERESTS',
+        invalidIds: interestIds.filter(id => !activeIds.includes(id))
+      });
+    }
+
+    await User.updateUserInterests(req.user.id, interestIds);
     const updatedInterests = await User.getUserInterests(req.user.id);
 
     res.json({
@@ -170,43 +779,270 @@ router.put('/interests', [
 });
 
 // Get potential matches
-router.get('/matches/potential', [authenticateToken, requireVerified], async (req, res) => {
+router.get('/matches/potential', [authenticateToken, requireVerified, requireCompleteProfile], async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 20;
-    const matches = await User.findPotentialMatches(req.user.id, limit);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const deck = await getDiscoverDeck(req.user.id, {
+      limit,
+      photoVerifiedOnly: req.query.photoVerified === 'true',
+      refresh: req.query.refresh === 'true'
+    });
 
-    res.json({ matches });
+    // ?explain=true adds how each card was scored, for tuning and debugging. Development
+    // only: the signal values give away exact distances and last-active times.
+    const explain = req.query.explain === 'true' && process.env.NODE_ENV === 'development';
+    res.json({
+      matches: deck.map(entry => ({
+        ...formatDiscoverCandidate(entry.candidate),
+        ...(explain && {
+          score: entry.score,
+          scoreExplanation: { signals: entry.signals, exploration: entry.exploration }
+        })
+      }))
+    });
   } catch (error) {
     console.error('Get potential matches error:', error);
     res.status(500).json({ message: 'Failed to get potential matches' });
   }
 });
 
-// Search users
+// Search people by username, name, interests and bio, with filters and keyset paging
 router.get('/search', [
   authenticateToken,
   requireVerified,
+  queryParam('q').isString().trim().isLength({ min: SEARCH_MIN_QUERY_LENGTH, max: 100 })
+    .withMessage(`Search query must be at least ${SEARCH_MIN_QUERY_LENGTH} characters`),
+  queryParam(['minAge', 'maxAge']).optional().isInt({ min: MINIMUM_AGE, max: 120 }).toInt(),
+  queryParam('gender').optional().isIn(['male', 'female', 'other']),
+  queryParam('maxDistance').optional().isInt({ min: 1, max: 500 }).toInt(),
+  queryParam('language').optional().isLength({ min: 2, max: 10 }),
+  queryParam(['onlineNow', 'photoVerified']).optional().isBoolean().toBoolean(),
+  queryParam('limit').optional().isInt({ min: 1, max: SEARCH_MAX_LIMIT }).toInt(),
+  queryParam('cursor').optional().isString()
 ], async (req, res) => {
   try {
-    const { q, limit = 20, offset = 0 } = req.query;
-    
-    if (!q || q.trim().length < 2) {
-      return res.status(400).json({ message: 'Search query must be at least 2 characters' });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { q, minAge, maxAge, gender, maxDistance, language, onlineNow, photoVerified } = req.query;
+
+    if (!buildPrefixQuery(q)) {
+      return res.status(400).json({
+        message: 'Search query must contain letters or numbers',
+        code: 'INVALID_SEARCH_QUERY'
+      });
     }
 
-    const users = await User.searchUsers(q.trim(), parseInt(limit), parseInt(offset));
-    res.json({ users });
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+    if (req.query.cursor && !cursor) {
+      return res.status(400).json({ message: 'Invalid cursor', code: 'INVALID_CURSOR' });
+    }
+
+    if (maxDistance) {
+      const viewer = await User.findById(req.user.id);
+      if (!getMatchLocation(viewer)) {
+        return res.status(400).json({
+          message: 'Set your location to search by distance',
+          code: 'LOCATION_REQUIRED'
+        });
+      }
+    }
+
+    const limit = req.query.limit || 20;
+    // One extra row tells us whether there is another page
+    const rows = await User.searchUsers(
+      req.user.id,
+      q,
+      { minAge, maxAge, gender, maxDistance, language, onlineNow, photoVerifiedOnly: photoVerified },
+      { limit: limit + 1, cursor }
+    );
+
+    const page = rows.slice(0, limit);
+    res.json({
+      users: page.map(formatSearchResult),
+      nextCursor: rows.length > limit ? encodeCursor(page[page.length - 1]) : null
+    });
   } catch (error) {
     console.error('Search users error:', error);
     res.status(500).json({ message: 'Failed to search users' });
   }
 });
 
+// Discover people who share an interest
+router.get('/by-interest/:id', [
+  authenticateToken,
+  requireVerified,
+  requireCompleteProfile,
+  param('id').isInt({ min: 1 }).withMessage('Invalid interest ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const interest = await Interest.findById(parseInt(req.params.id));
+    if (!interest) {
+      return res.status(404).json({ message: 'Interest not found', code: 'INTEREST_NOT_FOUND' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+    const offset = parseInt(req.query.offset) || 0;
+    const users = await User.findByInterest(req.user.id, interest.id, limit, offset, {
+      photoVerifiedOnly: req.query.photoVerified === 'true'
+    });
+
+    res.json({
+      interest: { id: interest.id, name: interest.name, category: interest.category },
+      users
+    });
+  } catch (error) {
+    console.error('Get users by interest error:', error);
+    res.status(500).json({ message: 'Failed to get users' });
+  }
+});
+
+// Request a copy of all my data (built in the background, notified when ready)
+router.post('/export', authenticateToken, async (req, res) => {
+  try {
+    const inProgress = await DataExport.findInProgress(req.user.id);
+    if (inProgress) {
+      return res.status(409).json({
+        message: 'A data export is already being prepared',
+        code: 'EXPORT_IN_PROGRESS',
+        export: formatExport(inProgress)
+      });
+    }
+
+    const dataExport = await DataExport.create(req.user.id);
+
+    await UserActivity.log({
+      userId: req.user.id,
+      activityType: 'data_export_requested',
+      activityData: { exportId: dataExport.id },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    queueDataExport(req.app.get('io'), dataExport.id);
+
+    res.status(202).json({
+      message: 'Your data export has started. We will notify you when it is ready',
+      export: formatExport(dataExport)
+    });
+  } catch (error) {
+    console.error('Request data export error:', error);
+    res.status(500).json({ message: 'Failed to start data export' });
+  }
+});
+
+// List my recent data exports
+router.get('/export', authenticateToken, async (req, res) => {
+  try {
+    const exports = await DataExport.findByUser(req.user.id);
+    res.json({ exports: exports.map(formatExport) });
+  } catch (error) {
+    console.error('Get data exports error:', error);
+    res.status(500).json({ message: 'Failed to get data exports' });
+  }
+});
+
+// Get an export's status, with a fresh download link once it is ready
+router.get('/export/:id', [
+  authenticateToken,
+  param('id').isUUID().withMessage('Valid export ID is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const dataExport = await DataExport.findById(req.params.id, req.user.id);
+    if (!dataExport) {
+      return res.status(404).json({ message: 'Export not found', code: 'EXPORT_NOT_FOUND' });
+    }
+
+    const response = formatExport(dataExport);
+    if (dataExport.status === 'ready') {
+      const download = await createDownloadLink(dataExport);
+      response.downloadUrl = download.url;
+      response.downloadExpiresAt = download.expiresAt;
+    }
+
+    res.json({ export: response });
+  } catch (error) {
+    console.error('Get data export error:', error);
+    res.status(500).json({ message: 'Failed to get data export' });
+  }
+});
+
+// Download an export archive (the signed link stands in for the auth header)
+router.get('/export/:id/download', [
+  param('id').isUUID()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty() || typeof req.query.token !== 'string') {
+      return res.status(400).json({ message: 'Invalid download link', code: 'INVALID_EXPORT_LINK' });
+    }
+
+    const link = await getCache(`data_export_download:${hashToken(req.query.token)}`);
+    if (!link || link.exportId !== req.params.id) {
+      return res.status(410).json({
+        message: 'This download link has expired. Request a new one from the app',
+        code: 'EXPORT_LINK_EXPIRED'
+      });
+    }
+
+    const dataExport = await DataExport.findById(link.exportId, link.userId);
+    if (!dataExport || dataExport.status !== 'ready' || !fs.existsSync(dataExport.file_path)) {
+      return res.status(410).json({
+        message: 'This export is no longer available. Please request a new one',
+        code: 'EXPORT_EXPIRED'
+      });
+    }
+
+    await DataExport.markDownloaded(dataExport.id);
+
+    const date = new Date(dataExport.completed_at).toISOString().slice(0, 10);
+    res.download(dataExport.file_path, `chatzone-data-${date}.zip`);
+  } catch (error) {
+    console.error('Download data export error:', error);
+    res.status(500).json({ message: 'Failed to download data export' });
+  }
+});
+
 // Get user by ID (public profile)
-router.get('/:id', [authenticateToken, requireVerified], async (req, res) => {
+// Registered after every other single-segment GET route (/profile, /photos, /export, ...)
+router.get('/:id', [
+  authenticateToken,
+  requireVerified,
+  param('id').isUUID().withMessage('Invalid user ID')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const user = await User.findById(req.params.id);
-    if (!user) {
+    // Deleted profiles and ones hidden from the viewer get the same response as a missing one
+    if (!user || user.deleted_at || !(await canViewProfile(req.user.id, user))) {
       return res.status(404).json({ message: 'User not found' });
     }
 
@@ -219,11 +1055,12 @@ router.get('/:id', [authenticateToken, requireVerified], async (req, res) => {
       bio: user.bio,
       profilePicture: user.profile_picture,
       isVerified: user.is_verified,
+      photoVerified: Boolean(user.photo_verified),
       age: user.date_of_birth ? new Date().getFullYear() - new Date(user.date_of_birth).getFullYear() : null,
     };
 
     // Add location if privacy settings allow
-    if (user.privacy_settings?.show_location) {
+    if (getPrivacySettings(user.privacy_settings).show_location) {
       publicProfile.locationCity = user.location_city;
       publicProfile.locationCountry = user.location_country;
     }
@@ -232,6 +1069,12 @@ router.get('/:id', [authenticateToken, requireVerified], async (req, res) => {
     const interests = await User.getUserInterests(req.params.id);
     publicProfile.interests = interests;
 
+    const photos = await UserPhoto.findByUser(req.params.id);
+    publicProfile.photos = photos.map(formatPhoto);
+
+    const prompts = await ProfilePrompt.findAnswersByUser(req.params.id);
+    publicProfile.prompts = prompts.map(formatPromptAnswer);
+
     res.json({ user: publicProfile });
   } catch (error) {
     console.error('Get user error:', error);
@@ -269,7 +1112,7 @@ router.delete('/:id/block', [authenticateToken, requireVerified], async (req, re
 router.post('/:id/report', [
   authenticateToken,
   requireVerified,
-  body('reason').isLength({ min: 1, max: 50 }).trim(),
+  body('reason').isIn(REPORT_REASONS).withMessage('Valid reason required'),
   body('description').optional().isLength({ max: 500 }).trim(),
 ], async (req, res) => {
   try {
@@ -292,6 +1135,19 @@ router.post('/:id/report', [
       req.body.description
     );
 
+    // Enough independent reports freeze the profile, so it can't be rotated before review
+    const threshold = await AppSetting.get('profile_review_report_threshold', DEFAULT_REVIEW_REPORT_THRESHOLD);
+    const flagged = await User.markUnderReviewIfReported(req.params.id, threshold);
+    if (flagged) {
+      await UserActivity.log({
+        userId: req.params.id,
+        activityType: 'account_under_review',
+        activityData: { threshold },
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+    }
+
     res.json({
       message: 'User reported successfully',
       reportId: report.id
@@ -316,15 +1172,120 @@ router.get('/coins/transactions', authenticateToken, async (req, res) => {
   }
 });
 
-// Delete account
+// Delete account (after a grace period; signing in again before then cancels it)
 router.delete('/account', authenticateToken, async (req, res) => {
   try {
-    await User.deleteAccount(req.user.id);
-    res.json({ message: 'Account deleted successfully' });
+    const deletion = await User.scheduleDeletion(req.user.id, ACCOUNT_DELETION_GRACE_DAYS);
+    if (!deletion) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    await AccountDeletionAudit.log({
+      userId: req.user.id,
+      step: 'deletion_requested',
+      details: { scheduledFor: deletion.deletion_scheduled_for }
+    });
+
+    // Sign out everywhere so the account stays dormant until it is purged or reactivated
+    const revokedIds = await UserSession.revokeAllForUser(req.user.id, 'account_deleted');
+    await deleteAllUserSessions(req.user.id);
+    disconnectSessions(req.app.get('io'), revokedIds, 'account_deleted');
+
+    res.json({
+      message: `Your account will be permanently deleted in ${ACCOUNT_DELETION_GRACE_DAYS} days. Sign in before then to keep it`,
+      deletionScheduledFor: deletion.deletion_scheduled_for
+    });
   } catch (error) {
     console.error('Delete account error:', error);
     res.status(500).json({ message: 'Failed to delete account' });
   }
 });
 
+// Accounts under review keep their current profile until a moderator clears them
+async function rejectIfUnderReview(req, res, next) {
+  try {
+    const user = await User.findById(req.user.id);
+    if (user && user.under_review_at) {
+      const error = accountUnderReviewError();
+      return res.status(403).json({ message: error.message, code: error.code });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Account review check error:', error);
+    res.status(500).json({ message: 'Failed to check account status' });
+  }
+}
+
+// Shape a gallery row for API responses
+function formatPhoto(photo) {
+  return {
+    id: photo.id,
+    url: photo.photo_url,
+    isPrimary: photo.is_primary,
+    order: photo.order_index,
+    createdAt: photo.created_at
+  };
+}
+
+// Replace the exact distance with a bucket ("< 5 km"), or hide it, as each profile owner
+// allows; their settings are never sent
+function applyDistancePrivacy({ privacy_settings: privacySettings, distance_km: distanceKm, ...user }) {
+  return { ...user, distance: getVisibleDistance(distanceKm, privacySettings) };
+}
+
+// Search rows carry the owner's privacy and presence columns; only what they allow is sent
+function formatSearchResult(row) {
+  const settings = getPrivacySettings(row.privacy_settings);
+  const { isOnline, lastSeen } = getVisiblePresence(row);
+
+  return {
+    id: row.id,
+    username: row.username,
+    first_name: row.first_name,
+    last_name: row.last_name,
+    profile_picture: row.profile_picture,
+    bio: row.bio,
+    age: row.age === null ? null : parseInt(row.age),
+    is_verified: row.is_verified,
+    photo_verified: row.photo_verified,
+    location_city: settings.show_location ? row.location_city : null,
+    location_country: settings.show_location ? row.location_country : null,
+    distance: getVisibleDistance(row.distance_km, settings),
+    is_online: isOnline,
+    last_seen: lastSeen
+  };
+}
+
+// Discover cards leave out the ranking inputs (preferences, ratings, activity) that come with them
+function formatDiscoverCandidate(candidate) {
+  return Object.fromEntries(
+    Object.entries(applyDistancePrivacy(candidate))
+      .filter(([field]) => !DISCOVER_RANKING_FIELDS.includes(field))
+  );
+}
+
+function formatPromptAnswer(answer) {
+  return {
+    id: answer.id,
+    promptId: answer.prompt_id,
+    question: answer.question,
+    answer: answer.answer,
+    position: answer.position
+  };
+}
+
+// Shape an export row for API responses
+function formatExport(dataExport) {
+  return {
+    id: dataExport.id,
+    status: dataExport.status,
+    fileSize: dataExport.file_size ? parseInt(dataExport.file_size) : null,
+    requestedAt: dataExport.created_at,
+    completedAt: dataExport.completed_at,
+    expiresAt: dataExport.expires_at,
+    downloadedAt: dataExport.downloaded_at
+  };
+}
+
 module.exports = router;
\ No newline at end of file
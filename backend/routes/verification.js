@@ -0,0 +1,185 @@
+const express = require('express');
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const multer = require('multer');
+const User = require('../models/User');
+const UserActivity = require('../models/UserActivity');
+const UserPhoto = require('../models/UserPhoto');
+const PhotoVerification = require('../models/PhotoVerification');
+const { authenticateToken, requireVerified } = require('../middleware/auth');
+const { setCache, consumeCache } = require('../config/redis');
+const {
+  POSE_CHALLENGE_TTL,
+  SELFIE_DIRECTORY,
+  getRandomPose,
+  findPose,
+  storeSelfie
+} = require('../utils/photoVerification');
+
+const router = express.Router();
+
+// Selfies never go to Cloudinary or the public uploads/ folder. The client's file name and
+// type aren't trusted: uploads are stored without an extension until storeSelfie re-encodes them.
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: SELFIE_DIRECTORY,
+    filename: (req, file, cb) => {
+      cb(null, crypto.randomBytes(16).toString('hex'));
+    }
+  }),
+  limits: {
+    fileSize: 5 * 1024 * 1024, // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype.startsWith('image/')) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only image files are allowed!'), false);
+    }
+  }
+});
+
+const challengeKey = (userId) => `photo_verification_pose:${userId}`;
+
+// Current verification state: the badge and the latest request
+router.get('/photo', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const verification = await PhotoVerification.findLatestByUser(req.user.id);
+
+    res.json({
+      photoVerified: Boolean(user.photo_verified),
+      verification: verification ? formatVerification(verification) : null
+    });
+  } catch (error) {
+    console.error('Get photo verification error:', error);
+    res.status(500).json({ message: 'Failed to get photo verification' });
+  }
+});
+
+// Start an attempt: the user is given a random pose to copy in their selfie
+router.post('/photo/challenge', [authenticateToken, requireVerified], async (req, res) => {
+  try {
+    const blocked = await getSubmissionBlock(req.user.id);
+    if (blocked) {
+      return res.status(blocked.status).json(blocked.body);
+    }
+
+    const pose = getRandomPose();
+    await setCache(challengeKey(req.user.id), { poseId: pose.id }, POSE_CHALLENGE_TTL);
+
+    res.json({ pose, expiresIn: POSE_CHALLENGE_TTL });
+  } catch (error) {
+    console.error('Photo verification challenge error:', error);
+    res.status(500).json({ message: 'Failed to start photo verification' });
+  }
+});
+
+// Submit the selfie for review; the pose challenge is single-use
+router.post('/photo', [authenticateToken, requireVerified, upload.single('selfie')], async (req, res) => {
+  let selfiePath = null;
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No selfie uploaded' });
+    }
+
+    const blocked = await getSubmissionBlock(req.user.id);
+    if (blocked) {
+      await fs.unlink(req.file.path).catch(() => {});
+      return res.status(blocked.status).json(blocked.body);
+    }
+
+    selfiePath = await storeSelfie(req.file.path);
+    if (!selfiePath) {
+      return res.status(400).json({
+        message: 'Your selfie must be a JPEG, PNG or WebP photo',
+        code: 'INVALID_IMAGE'
+      });
+    }
+
+    const challenge = await consumeCache(challengeKey(req.user.id));
+    if (!challenge) {
+      await fs.unlink(selfiePath).catch(() => {});
+      return res.status(400).json({
+        message: 'Your pose has expired. Please start again',
+        code: 'POSE_CHALLENGE_EXPIRED'
+      });
+    }
+
+    const verification = await PhotoVerification.create({
+      userId: req.user.id,
+      pose: challenge.poseId,
+      selfiePath
+    });
+    if (!verification) {
+      await fs.unlink(selfiePath).catch(() => {});
+      return res.status(409).json({
+        message: 'Your selfie is already being reviewed',
+        code: 'VERIFICATION_PENDING'
+      });
+    }
+
+    await UserActivity.log({
+      userId: req.user.id,
+      activityType: 'photo_verification_submitted',
+      activityData: { verificationId: verification.id, pose: verification.pose },
+      ipAddress: req.ip,
+      userAgent: req.get('User-Agent')
+    });
+
+    res.status(201).json({
+      message: 'Selfie submitted for review',
+      verification: formatVerification(verification)
+    });
+  } catch (error) {
+    console.error('Submit photo verification error:', error);
+    for (const filePath of [req.file?.path, selfiePath].filter(Boolean)) {
+      await fs.unlink(filePath).catch(() => {});
+    }
+    res.status(500).json({ message: 'Failed to submit photo verification' });
+  }
+});
+
+// Why a user can't start or submit an attempt right now, as a response to send
+async function getSubmissionBlock(userId) {
+  const user = await User.findById(userId);
+  if (user.photo_verified) {
+    return {
+      status: 400,
+      body: { message: 'Your photos are already verified', code: 'ALREADY_PHOTO_VERIFIED' }
+    };
+  }
+
+  const latest = await PhotoVerification.findLatestByUser(userId);
+  if (latest && latest.status === 'pending') {
+    return {
+      status: 409,
+      body: { message: 'Your selfie is already being reviewed', code: 'VERIFICATION_PENDING' }
+    };
+  }
+
+  // Reviewers compare the selfie with the profile photos
+  if (await UserPhoto.countByUser(userId) === 0) {
+    return {
+      status: 400,
+      body: { message: 'Add a profile photo before verifying', code: 'NO_PROFILE_PHOTOS' }
+    };
+  }
+
+  return null;
+}
+
+function formatVerification(verification) {
+  const pose = findPose(verification.pose);
+
+  return {
+    id: verification.id,
+    status: verification.status,
+    pose: pose ? pose.instruction : verification.pose,
+    rejectionReason: verification.rejection_reason,
+    submittedAt: verification.created_at,
+    reviewedAt: verification.reviewed_at
+  };
+}
+
+module.exports = router;
@@ -6,6 +6,7 @@ const helmet = require('helmet');
 const compression = require('compression');
 const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
+const cron = require('node-cron');
 require('dotenv').config();
 
 const authRoutes = require('./routes/auth');
@@ -15,10 +16,18 @@ const matchesRoutes = require('./routes/matches');
 const coinRoutes = require('./routes/coins');
 const mediaRoutes = require('./routes/media');
 const callRoutes = require('./routes/calls');
+const notificationRoutes = require('./routes/notifications');
+const interestRoutes = require('./routes/interests');
+const promptRoutes = require('./routes/prompts');
+const verificationRoutes = require('./routes/verification');
+const adminRoutes = require('./routes/admin');
 
-const socketHandler = require('./utils/socketHandler');
+const { socketHandler } = require('./utils/socketHandler');
 const { connectDB } = require('./config/database');
 const { connectRedis } = require('./config/redis');
+const { purgeExpiredExports } = require('./utils/dataExport');
+const { purgeDeletedAccounts } = require('./utils/accountDeletion');
+const { getTransport } = require('./utils/mailer');
 
 const app = express();
 const server = http.createServer(app);
@@ -59,6 +68,13 @@ app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 // Static files
 app.use('/uploads', express.static('uploads'));
 
+// Middleware to attach io to request for real-time features
+app.set('io', io);
+app.use((req, res, next) => {
+  req.io = io;
+  next();
+});
+
 // API Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
@@ -67,12 +83,11 @@ app.use('/api/matches', matchesRoutes);
 app.use('/api/coins', coinRoutes);
 app.use('/api/media', mediaRoutes);
 app.use('/api/calls', callRoutes);
-
-// Middleware to attach io to request for real-time features
-app.use((req, res, next) => {
-  req.io = io;
-  next();
-});
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/interests', interestRoutes);
+app.use('/api/prompts', promptRoutes);
+app.use('/api/verification', verificationRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -100,9 +115,40 @@ app.use('*', (req, res) => {
   res.status(404).json({ message: 'Route not found' });
 });
 
+// Background maintenance jobs
+function scheduleJobs() {
+  // Hourly: delete data export archives past their retention period
+  cron.schedule('0 * * * *', async () => {
+    try {
+      const { expired, failed } = await purgeExpiredExports();
+      if (expired || failed) {
+        console.log(`🧹 Data exports: ${expired} expired, ${failed} stale jobs failed`);
+      }
+    } catch (error) {
+      console.error('Data export cleanup error:', error);
+    }
+  });
+
+  // Daily at 03:30: purge accounts whose deletion grace period has ended
+  cron.schedule('30 3 * * *', async () => {
+    try {
+      const { purged, failed } = await purgeDeletedAccounts();
+      if (purged || failed) {
+        console.log(`🗑️  Deleted accounts: ${purged} purged, ${failed} failed`);
+      }
+    } catch (error) {
+      console.error('Account purge error:', error);
+    }
+  });
+}
+
 // Initialize database connections and start server
 async function startServer() {
   try {
+    // Fail fast rather than silently logging password reset and login emails to stdout
+    const mailTransport = getTransport();
+    console.log(`✅ Email transport: ${mailTransport.name}`);
+
     // Connect to PostgreSQL
     await connectDB();
     console.log('✅ Connected to PostgreSQL database');
@@ -111,6 +157,8 @@ async function startServer() {
     await connectRedis();
     console.log('✅ Connected to Redis');
 
+    scheduleJobs();
+
     // Start server
     server.listen(PORT, () => {
       console.log(`🚀 ChatzOne server running on port ${PORT}`);
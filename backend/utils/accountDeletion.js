@@ -0,0 +1,168 @@
+const fs = require('fs').promises;
+const User = require('../models/User');
+const AccountDeletionAudit = require('../models/AccountDeletionAudit');
+const PhotoVerification = require('../models/PhotoVerification');
+const { query, transaction } = require('../config/database');
+const { deleteAllUserSessions } = require('../config/redis');
+const { deleteStoredMedia } = require('./mediaStorage');
+
+const ACCOUNT_DELETION_GRACE_DAYS = 30;
+const PURGE_BATCH_SIZE = 50;
+// Accounts whose purge failed wait this long before the next attempt
+const PURGE_RETRY_HOURS = 12;
+
+/**
+ * Permanently remove a deleted user's media and personal data.
+ * Messages, matches and call logs stay so the other person's history is intact,
+ * but they now point at an anonymous "Deleted User".
+ * @param {Object} user - Row from User.findDueForPurge
+ */
+async function purgeAccount(user) {
+  const userId = user.id;
+
+  await AccountDeletionAudit.log({
+    userId,
+    step: 'purge_started',
+    details: { deletedAt: user.deleted_at, scheduledFor: user.deletion_scheduled_for }
+  });
+
+  // Media first: once the rows are gone we can no longer find the files
+  const photos = await query('SELECT photo_url FROM user_photos WHERE user_id = $1', [userId]);
+  const messageMedia = await query(
+    'SELECT media_url FROM messages WHERE sender_id = $1 AND media_url IS NOT NULL',
+    [userId]
+  );
+
+  const mediaUrls = [
+    user.profile_picture,
+    ...photos.rows.map(row => row.photo_url),
+    ...messageMedia.rows.map(row => row.media_url)
+  ].filter(Boolean);
+
+  const mediaResult = { cloudinary: 0, local: 0, skipped: 0, failed: 0 };
+  for (const url of mediaUrls) {
+    try {
+      const location = await deleteStoredMedia(url);
+      mediaResult[location || 'skipped']++;
+    } catch (error) {
+      console.error('Account purge media error:', error.message);
+      mediaResult.failed++;
+    }
+  }
+
+  await AccountDeletionAudit.log({ userId, step: 'media_deleted', details: mediaResult });
+
+  const exportFiles = await query(
+    'SELECT file_path FROM data_exports WHERE user_id = $1 AND file_path IS NOT NULL',
+    [userId]
+  );
+  for (const { file_path: filePath } of exportFiles.rows) {
+    await fs.unlink(filePath).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+
+  const selfiePaths = await PhotoVerification.findSelfiePathsByUser(userId);
+  for (const selfiePath of selfiePaths) {
+    await fs.unlink(selfiePath).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+  }
+
+  const counts = await transaction(async (client) => {
+    // Counterparts keep the conversation text; attachments are gone with the media
+    const messages = await client.query(
+      `UPDATE messages
+       SET media_url = NULL, media_type = NULL, media_metadata = NULL
+       WHERE sender_id = $1 AND media_url IS NOT NULL`,
+      [userId]
+    );
+
+    const photosRemoved = await client.query('DELETE FROM user_photos WHERE user_id = $1', [userId]);
+    await client.query('DELETE FROM user_interests WHERE user_id = $1', [userId]);
+    // Other people's messages quote this user's prompt answers; drop the answer text
+    await client.query(
+      `UPDATE messages SET quote = quote - 'answer'
+       WHERE quote->>'answerId' IN (SELECT id::text FROM profile_prompt_answers WHERE user_id = $1)`,
+      [userId]
+    );
+    await client.query('DELETE FROM profile_prompt_answers WHERE user_id = $1', [userId]);
+    await client.query('DELETE FROM user_sessions WHERE user_id = $1', [userId]);
+    await client.query('DELETE FROM two_factor_recovery_codes WHERE user_id = $1', [userId]);
+    await client.query('DELETE FROM push_notifications WHERE user_id = $1', [userId]);
+    await client.query('DELETE FROM data_exports WHERE user_id = $1', [userId]);
+    await client.query('DELETE FROM photo_verifications WHERE user_id = $1', [userId]);
+    // Old names and bios are personal data too
+    await client.query('DELETE FROM profile_change_history WHERE user_id = $1', [userId]);
+    await client.query('DELETE FROM swipe_history WHERE swiper_id = $1', [userId]);
+    // The activity log holds IP addresses and user agents
+    const activityRemoved = await client.query('DELETE FROM user_activity_log WHERE user_id = $1', [userId]);
+
+    await User.anonymize(userId, client);
+
+    return {
+      messagesAnonymised: messages.rowCount,
+      photosRemoved: photosRemoved.rowCount,
+      activityRemoved: activityRemoved.rowCount
+    };
+  });
+
+  await AccountDeletionAudit.log({
+    userId,
+    step: 'messages_anonymised',
+    details: { messages: counts.messagesAnonymised }
+  });
+  await AccountDeletionAudit.log({
+    userId,
+    step: 'pii_removed',
+    details: { photos: counts.photosRemoved, activityLogEntries: counts.activityRemoved }
+  });
+
+  await deleteAllUserSessions(userId);
+
+  await AccountDeletionAudit.log({ userId, step: 'purge_completed' });
+}
+
+/**
+ * Purge every account whose grace period has ended (run on a schedule). Works through the
+ * queue in batches until it is empty; accounts that fail are retried on a later run.
+ * @returns {Promise<{ purged: number, failed: number }>}
+ */
+async function purgeDeletedAccounts() {
+  // Failed accounts stay due, so they are skipped for the rest of this run
+  const failedIds = [];
+  let purged = 0;
+  let failed = 0;
+
+  let users;
+  do {
+    users = await User.findDueForPurge(PURGE_BATCH_SIZE, {
+      excludeIds: failedIds,
+      retryAfterHours: PURGE_RETRY_HOURS
+    });
+
+    for (const user of users) {
+      try {
+        await purgeAccount(user);
+        purged++;
+      } catch (error) {
+        console.error('Account purge error:', error);
+        failed++;
+        failedIds.push(user.id);
+        await AccountDeletionAudit.log({
+          userId: user.id,
+          step: 'purge_failed',
+          details: { error: error.message }
+        }).catch(() => {});
+      }
+    }
+  } while (users.length > 0);
+
+  return { purged, failed };
+}
+
+module.exports = {
+  ACCOUNT_DELETION_GRACE_DAYS,
+  purgeAccount,
+  purgeDeletedAccounts
+};
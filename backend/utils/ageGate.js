@@ -0,0 +1,55 @@
+// Minimum age to hold an account
+const MINIMUM_AGE = 18;
+
+// Calendar year/month/day of a date. 'YYYY-MM-DD' strings (how DATE columns and request
+// bodies arrive) are read as written, never through a timezone.
+function toDateParts(value) {
+  if (typeof value === 'string') {
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(value);
+    if (match) {
+      return { year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) };
+    }
+  }
+
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+}
+
+/**
+ * Age in whole years on a given day
+ * @param {Date|string} dateOfBirth - Date of birth, ideally 'YYYY-MM-DD'
+ * @param {Date} now - Reference date
+ * @returns {number|null} - Age, or null for a missing/invalid date
+ */
+function calculateAge(dateOfBirth, now = new Date()) {
+  if (!dateOfBirth) return null;
+
+  const dob = toDateParts(dateOfBirth);
+  const today = toDateParts(now);
+  if (!dob || !today) return null;
+
+  let age = today.year - dob.year;
+  const birthdayPassed = today.month > dob.month ||
+    (today.month === dob.month && today.day >= dob.day);
+
+  if (!birthdayPassed) age--;
+  return age;
+}
+
+/**
+ * Check a date of birth against the minimum age
+ * @param {Date|string} dateOfBirth - Date of birth
+ * @returns {boolean} - True when the user is at least MINIMUM_AGE
+ */
+function isOfAge(dateOfBirth) {
+  const age = calculateAge(dateOfBirth);
+  return age !== null && age >= MINIMUM_AGE;
+}
+
+module.exports = {
+  MINIMUM_AGE,
+  calculateAge,
+  isOfAge
+};
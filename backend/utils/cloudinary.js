@@ -183,6 +183,23 @@ async function deleteFromCloudinary(publicId, resourceType = 'image') {
   }
 }
 
+/**
+ * Work out an asset's public ID from the delivery URL returned at upload
+ * @param {string} url - Cloudinary URL
+ * @returns {{ publicId: string, resourceType: string }|null} - null for non-Cloudinary URLs
+ */
+function getPublicIdFromUrl(url) {
+  const match = /^https?:\/\/res\.cloudinary\.com\/[^/]+\/(image|video|raw)\/upload\/(?:[^/]+\/)*?v\d+\/([^?#]+)/
+    .exec(url || '');
+  if (!match) return null;
+
+  const resourceType = match[1];
+  // Raw files keep their extension as part of the public ID
+  const publicId = resourceType === 'raw' ? match[2] : match[2].replace(/\.[^/.]+$/, '');
+
+  return { publicId: decodeURIComponent(publicId), resourceType };
+}
+
 /**
  * Get optimized URL with transformations
  * @param {string} publicId - Cloudinary public ID
@@ -352,6 +369,7 @@ module.exports = {
   uploadAudio,
   uploadAvatar,
   deleteFromCloudinary,
+  getPublicIdFromUrl,
   getOptimizedUrl,
   generateVideoThumbnail,
   getMediaInfo,
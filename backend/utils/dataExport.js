@@ -0,0 +1,287 @@
+const fs = require('fs').promises;
+const path = require('path');
+const User = require('../models/User');
+const ProfilePrompt = require('../models/ProfilePrompt');
+const DataExport = require('../models/DataExport');
+const { query } = require('../config/database');
+const { setCache } = require('../config/redis');
+const { createZip } = require('./zip');
+const { generateSecureToken } = require('./tokens');
+const { publicUrl } = require('./emailTemplates');
+const { sendPushNotification } = require('./pushNotifications');
+
+// Archives live outside /uploads so they are only reachable through a download link
+const EXPORTS_DIR = process.env.EXPORTS_DIR || path.join(__dirname, '../exports');
+const EXPORT_RETENTION_DAYS = 7;
+const DOWNLOAD_LINK_TTL = 24 * 60 * 60; // seconds
+const STALE_EXPORT_MINUTES = 60;
+
+/**
+ * Turn a stored media path into a link the user can open
+ * @param {string|null} url - Absolute URL or server path such as /uploads/...
+ * @returns {string|null}
+ */
+function mediaLink(url) {
+  if (!url) return null;
+  return url.startsWith('/') ? publicUrl(url) : url;
+}
+
+/**
+ * Gather everything stored about a user, one JSON file per category
+ * @param {string} userId - User to export
+ * @returns {Promise<Array<{ name: string, data: string }>>} - ZIP entries
+ */
+async function collectUserData(userId) {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new Error('User not found');
+  }
+
+  const interests = await User.getUserInterests(userId);
+  const prompts = await ProfilePrompt.findAnswersByUser(userId);
+
+  const photos = await query(
+    `SELECT id, photo_url, is_primary, order_index, created_at
+     FROM user_photos WHERE user_id = $1 ORDER BY order_index`,
+    [userId]
+  );
+
+  // Selfies are only ever shown to moderators, so the export lists the requests without the image
+  const photoVerifications = await query(
+    `SELECT id, pose, status, rejection_reason, reviewed_at, created_at
+     FROM photo_verifications WHERE user_id = $1 ORDER BY created_at`,
+    [userId]
+  );
+
+  const profileChanges = await query(
+    `SELECT field, old_value, new_value, moderation_status, created_at
+     FROM profile_change_history WHERE user_id = $1 ORDER BY created_at`,
+    [userId]
+  );
+
+  const matches = await query(
+    `SELECT m.id, m.user1_liked, m.user2_liked, m.is_mutual, m.user1_super_liked, m.user2_super_liked,
+            m.created_at, m.updated_at,
+            u.id as other_user_id, u.username as other_username
+     FROM matches m
+     JOIN users u ON u.id = CASE WHEN m.user1_id = $1 THEN m.user2_id ELSE m.user1_id END
+     WHERE m.user1_id = $1 OR m.user2_id = $1
+     ORDER BY m.created_at`,
+    [userId]
+  );
+
+  const swipes = await query(
+    `SELECT target_id, action, rewound_at, created_at
+     FROM swipe_history WHERE swiper_id = $1 ORDER BY created_at`,
+    [userId]
+  );
+
+  const conversations = await query(
+    `SELECT id, participants, is_blocked, blocked_by, created_at, updated_at
+     FROM conversations WHERE $1 = ANY(participants)
+     ORDER BY created_at`,
+    [userId]
+  );
+
+  const messages = await query(
+    `SELECT m.id, m.conversation_id, m.sender_id, m.content, m.type, m.media_url, m.media_type,
+            m.reply_to_message_id, m.is_edited, m.created_at
+     FROM messages m
+     JOIN conversations c ON c.id = m.conversation_id
+     WHERE $1 = ANY(c.participants)
+     ORDER BY m.created_at`,
+    [userId]
+  );
+
+  const coinTransactions = await query(
+    `SELECT id, type, amount, description, reference_id, created_at
+     FROM coin_transactions WHERE user_id = $1 ORDER BY created_at`,
+    [userId]
+  );
+
+  const calls = await query(
+    `SELECT id, caller_id, recipient_id, call_type, status, created_at, answered_at, ended_at,
+            duration, end_reason, quality_rating
+     FROM calls WHERE caller_id = $1 OR recipient_id = $1
+     ORDER BY created_at`,
+    [userId]
+  );
+
+  // Moderator notes are internal, so only the user's own report details are included
+  const reports = await query(
+    `SELECT id, reported_content_type, reported_content_id, reason, description, status, created_at
+     FROM reports WHERE reporter_id = $1 ORDER BY created_at`,
+    [userId]
+  );
+
+  const activity = await query(
+    `SELECT activity_type, activity_data, ip_address, user_agent, created_at
+     FROM user_activity_log WHERE user_id = $1 ORDER BY created_at`,
+    [userId]
+  );
+
+  const messagesByConversation = {};
+  for (const message of messages.rows) {
+    (messagesByConversation[message.conversation_id] ||= []).push({
+      ...message,
+      media_url: mediaLink(message.media_url)
+    });
+  }
+
+  const media = [
+    user.profile_picture && { type: 'profile_picture', url: mediaLink(user.profile_picture) },
+    ...photos.rows.map(photo => ({ type: 'photo', id: photo.id, url: mediaLink(photo.photo_url) })),
+    ...messages.rows
+      .filter(message => message.media_url && message.sender_id === userId)
+      .map(message => ({
+        type: 'message_media',
+        id: message.id,
+        conversationId: message.conversation_id,
+        url: mediaLink(message.media_url)
+      }))
+  ].filter(Boolean);
+
+  const files = {
+    'profile.json': { ...user, profile_picture: mediaLink(user.profile_picture) },
+    'interests.json': interests,
+    'prompts.json': prompts,
+    'photos.json': photos.rows.map(photo => ({ ...photo, photo_url: mediaLink(photo.photo_url) })),
+    'photo_verifications.json': photoVerifications.rows,
+    'profile_changes.json': profileChanges.rows,
+    'matches.json': matches.rows,
+    'swipes.json': swipes.rows,
+    'conversations.json': conversations.rows.map(conversation => ({
+      ...conversation,
+      messages: messagesByConversation[conversation.id] || []
+    })),
+    'coin_transactions.json': coinTransactions.rows,
+    'calls.json': calls.rows,
+    'reports.json': reports.rows,
+    'activity_log.json': activity.rows,
+    'media.json': media
+  };
+
+  const manifest = {
+    userId,
+    exportedAt: new Date().toISOString(),
+    files: Object.keys(files),
+    note: 'Media files are linked rather than copied; links in media.json point to the originals.'
+  };
+
+  return [
+    { name: 'export.json', data: JSON.stringify(manifest, null, 2) },
+    ...Object.entries(files).map(([name, data]) => ({ name, data: JSON.stringify(data, null, 2) }))
+  ];
+}
+
+/**
+ * Issue a time-limited download link for a finished export
+ * @param {Object} dataExport - Ready export row
+ * @returns {Promise<{ url: string, expiresAt: Date }>}
+ */
+async function createDownloadLink(dataExport) {
+  const { token, hash } = generateSecureToken();
+
+  // The link never outlives the archive itself
+  const archiveSeconds = Math.floor((new Date(dataExport.expires_at).getTime() - Date.now()) / 1000);
+  const ttl = Math.max(1, Math.min(DOWNLOAD_LINK_TTL, archiveSeconds));
+
+  await setCache(`data_export_download:${hash}`, { exportId: dataExport.id, userId: dataExport.user_id }, ttl);
+
+  return {
+    url: publicUrl(`/api/users/export/${dataExport.id}/download?token=${token}`),
+    expiresAt: new Date(Date.now() + ttl * 1000)
+  };
+}
+
+/**
+ * Build an export archive and tell the user it is ready (socket + push)
+ * @param {Object|null} io - Socket.IO server
+ * @param {string} exportId - Pending export to build
+ */
+async function processDataExport(io, exportId) {
+  const dataExport = await DataExport.markProcessing(exportId);
+  if (!dataExport) return;
+
+  const userId = dataExport.user_id;
+
+  try {
+    const entries = await collectUserData(userId);
+    const archive = createZip(entries);
+
+    await fs.mkdir(EXPORTS_DIR, { recursive: true });
+    const filePath = path.join(EXPORTS_DIR, `${dataExport.id}.zip`);
+    await fs.writeFile(filePath, archive);
+
+    const ready = await DataExport.markReady(dataExport.id, {
+      filePath,
+      fileSize: archive.length,
+      expiresAt: new Date(Date.now() + EXPORT_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+    });
+    const download = await createDownloadLink(ready);
+
+    if (io) {
+      io.to(`user_${userId}`).emit('data_export_ready', {
+        exportId: ready.id,
+        downloadUrl: download.url,
+        downloadExpiresAt: download.expiresAt,
+        fileSize: archive.length
+      });
+    }
+
+    await sendPushNotification(userId, {
+      title: 'Your data export is ready',
+      body: 'Tap to download a copy of your ChatzOne data.',
+      data: { type: 'data_export_ready', exportId: ready.id, downloadUrl: download.url }
+    });
+  } catch (error) {
+    console.error('Data export error:', error);
+    await DataExport.markFailed(dataExport.id, error.message);
+
+    if (io) {
+      io.to(`user_${userId}`).emit('data_export_failed', { exportId: dataExport.id });
+    }
+  }
+}
+
+/**
+ * Run an export in the background after the request has been answered
+ * @param {Object|null} io - Socket.IO server
+ * @param {string} exportId - Pending export to build
+ */
+function queueDataExport(io, exportId) {
+  setImmediate(() => {
+    processDataExport(io, exportId).catch(error => {
+      console.error('Data export job error:', error);
+    });
+  });
+}
+
+/**
+ * Delete archives past their retention period and fail jobs a restart left behind
+ * @returns {Promise<{ expired: number, failed: number }>}
+ */
+async function purgeExpiredExports() {
+  const expired = await DataExport.findExpired();
+
+  for (const dataExport of expired) {
+    if (dataExport.file_path) {
+      await fs.unlink(dataExport.file_path).catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+    }
+    await DataExport.markExpired(dataExport.id);
+  }
+
+  const failed = await DataExport.failStale(STALE_EXPORT_MINUTES);
+
+  return { expired: expired.length, failed: failed.length };
+}
+
+module.exports = {
+  collectUserData,
+  createDownloadLink,
+  processDataExport,
+  queueDataExport,
+  purgeExpiredExports
+};
@@ -0,0 +1,110 @@
+/**
+ * Build an absolute URL for links embedded in emails
+ * @param {string} urlPath - Path starting with '/'
+ * @returns {string} - Absolute URL
+ */
+function publicUrl(urlPath) {
+  const baseUrl = process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`;
+  return `${baseUrl.replace(/\/$/, '')}${urlPath}`;
+}
+
+/**
+ * Build an absolute URL into the web client
+ * @param {string} urlPath - Path starting with '/'
+ * @returns {string} - Absolute URL
+ */
+function clientUrl(urlPath) {
+  const baseUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+  return `${baseUrl.replace(/\/$/, '')}${urlPath}`;
+}
+
+/**
+ * Email verification message
+ * @param {Object} params - { firstName, link, expiresInHours }
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+function verificationEmail({ firstName, link, expiresInHours }) {
+  const greeting = firstName ? `Hi ${firstName},` : 'Hi,';
+
+  return {
+    subject: 'Verify your ChatzOne email address',
+    text: `${greeting}\n\nPlease confirm your email address by opening the link below:\n\n${link}\n\n` +
+      `This link expires in ${expiresInHours} hours. If you did not create a ChatzOne account, you can ignore this email.`,
+    html: `<p>${greeting}</p>` +
+      `<p>Please confirm your email address by clicking the link below:</p>` +
+      `<p><a href="${link}">Verify my email</a></p>` +
+      `<p>This link expires in ${expiresInHours} hours. If you did not create a ChatzOne account, you can ignore this email.</p>`
+  };
+}
+
+/**
+ * Password reset code message
+ * @param {Object} params - { firstName, code, expiresInMinutes }
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+function passwordResetEmail({ firstName, code, expiresInMinutes }) {
+  const greeting = firstName ? `Hi ${firstName},` : 'Hi,';
+
+  return {
+    subject: 'Your ChatzOne password reset code',
+    text: `${greeting}\n\nUse the code below in the app to choose a new password:\n\n${code}\n\n` +
+      `The code expires in ${expiresInMinutes} minutes. If you did not request a password reset, you can ignore this email.`,
+    html: `<p>${greeting}</p>` +
+      `<p>Use the code below in the app to choose a new password:</p>` +
+      `<p style="font-size:24px;font-weight:bold;letter-spacing:4px">${code}</p>` +
+      `<p>The code expires in ${expiresInMinutes} minutes. If you did not request a password reset, you can ignore this email.</p>`
+  };
+}
+
+/**
+ * Account lockout message with an unlock link
+ * @param {Object} params - { firstName, link, lockedMinutes }
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+function accountLockedEmail({ firstName, link, lockedMinutes }) {
+  const greeting = firstName ? `Hi ${firstName},` : 'Hi,';
+
+  return {
+    subject: 'Your ChatzOne account has been temporarily locked',
+    text: `${greeting}\n\nWe locked your account for ${lockedMinutes} minutes after several failed sign-in attempts.\n\n` +
+      `If this was you, open the link below to unlock it now:\n\n${link}\n\n` +
+      `If it wasn't you, we recommend resetting your password.`,
+    html: `<p>${greeting}</p>` +
+      `<p>We locked your account for ${lockedMinutes} minutes after several failed sign-in attempts.</p>` +
+      `<p>If this was you, click the link below to unlock it now:</p>` +
+      `<p><a href="${link}">Unlock my account</a></p>` +
+      `<p>If it wasn't you, we recommend resetting your password.</p>`
+  };
+}
+
+/**
+ * Passwordless sign-in message with both a code and a magic link
+ * @param {Object} params - { firstName, code, link, expiresInMinutes }
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+function passwordlessLoginEmail({ firstName, code, link, expiresInMinutes }) {
+  const greeting = firstName ? `Hi ${firstName},` : 'Hi,';
+
+  return {
+    subject: 'Your ChatzOne sign-in code',
+    text: `${greeting}\n\nUse this code to sign in to ChatzOne:\n\n${code}\n\n` +
+      `Or open this link to sign in directly:\n\n${link}\n\n` +
+      `The code and link expire in ${expiresInMinutes} minutes and can only be used once. ` +
+      `If you did not try to sign in, you can ignore this email.`,
+    html: `<p>${greeting}</p>` +
+      `<p>Use this code to sign in to ChatzOne:</p>` +
+      `<p style="font-size:24px;font-weight:bold;letter-spacing:4px">${code}</p>` +
+      `<p>Or <a href="${link}">sign in with one click</a>.</p>` +
+      `<p>The code and link expire in ${expiresInMinutes} minutes and can only be used once. ` +
+      `If you did not try to sign in, you can ignore this email.</p>`
+  };
+}
+
+module.exports = {
+  publicUrl,
+  clientUrl,
+  verificationEmail,
+  passwordResetEmail,
+  accountLockedEmail,
+  passwordlessLoginEmail
+};
@@ -0,0 +1,70 @@
+// Upper bounds (km) of the distance buckets shown to other users; exact distances never leave the server
+const DISTANCE_BUCKETS_KM = [1, 5, 10, 25, 50, 100];
+
+/**
+ * SQL for where a user is matched from: their travel mode location while it is set and they
+ * are premium, otherwise home. idx_users_match_location indexes this exact expression.
+ * @param {string} alias - Table alias for users
+ * @returns {string} - geography expression
+ */
+function matchLocationSql(alias) {
+  return `(ST_SetSRID(ST_MakePoint(
+    COALESCE(CASE WHEN ${alias}.is_premium THEN ${alias}.travel_longitude END, ${alias}.longitude),
+    COALESCE(CASE WHEN ${alias}.is_premium THEN ${alias}.travel_latitude END, ${alias}.latitude)
+  ), 4326)::geography)`;
+}
+
+/**
+ * The same location worked out from a users row in JS
+ * @param {Object} user - Row with latitude, longitude, travel_latitude, travel_longitude, is_premium
+ * @returns {{ latitude: number, longitude: number }|null} - null if the user has no location
+ */
+function getMatchLocation(user) {
+  if (user.is_premium && user.travel_latitude != null && user.travel_longitude != null) {
+    return { latitude: Number(user.travel_latitude), longitude: Number(user.travel_longitude) };
+  }
+  if (user.latitude != null && user.longitude != null) {
+    return { latitude: Number(user.latitude), longitude: Number(user.longitude) };
+  }
+  return null;
+}
+
+/**
+ * Travel mode as shown to its owner
+ * @param {Object} user - Row with travel_latitude, travel_longitude, travel_location_name,
+ *   travel_started_at and is_premium
+ * @returns {Object|null} - null when travel mode is off
+ */
+function getTravelMode(user) {
+  if (user.travel_latitude == null || user.travel_longitude == null) return null;
+
+  return {
+    latitude: Number(user.travel_latitude),
+    longitude: Number(user.travel_longitude),
+    locationName: user.travel_location_name,
+    startedAt: user.travel_started_at,
+    // Kept while premium lapses, but only used again once it is renewed
+    active: Boolean(user.is_premium)
+  };
+}
+
+/**
+ * Bucket a distance for display, e.g. "< 5 km"
+ * @param {number|string|null} distanceKm - Exact distance
+ * @returns {string|null}
+ */
+function getDistanceBucket(distanceKm) {
+  if (distanceKm === null || distanceKm === undefined) return null;
+
+  const km = Number(distanceKm);
+  const bucket = DISTANCE_BUCKETS_KM.find(limit => km < limit);
+  return bucket ? `< ${bucket} km` : `${DISTANCE_BUCKETS_KM[DISTANCE_BUCKETS_KM.length - 1]}+ km`;
+}
+
+module.exports = {
+  DISTANCE_BUCKETS_KM,
+  matchLocationSql,
+  getMatchLocation,
+  getTravelMode,
+  getDistanceBucket
+};
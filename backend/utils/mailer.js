@@ -0,0 +1,144 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// Active transport, created lazily from EMAIL_PROVIDER or injected with setTransport
+let transport = null;
+
+/**
+ * SMTP transport backed by nodemailer
+ * @returns {Object} - Transport with a send(message) method
+ */
+function createSmtpTransport() {
+  const nodemailer = require('nodemailer');
+
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? {
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS
+    } : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    }
+  };
+}
+
+/**
+ * File transport that writes each message as JSON (local dev and tests)
+ * @param {string} outboxDir - Directory to write messages into
+ * @returns {Object} - Transport with a send(message) method
+ */
+function createFileTransport(outboxDir = process.env.EMAIL_OUTBOX_DIR || 'tmp/outbox') {
+  return {
+    name: 'file',
+    send: async (message) => {
+      await fs.mkdir(outboxDir, { recursive: true });
+
+      const messageId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+      const filePath = path.join(outboxDir, `${messageId}.json`);
+      await fs.writeFile(filePath, JSON.stringify({ ...message, messageId }, null, 2));
+
+      return { messageId, filePath };
+    }
+  };
+}
+
+/**
+ * Console transport that only logs the message
+ * @returns {Object} - Transport with a send(message) method
+ */
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    send: async (message) => {
+      const messageId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+      console.log(`📧 [mail ${messageId}] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+      return { messageId };
+    }
+  };
+}
+
+/**
+ * Get the active mail transport. Console and file transports never deliver anything, so
+ * outside development and tests a real provider has to be configured.
+ * @returns {Object} - Transport with a send(message) method
+ * @throws {Error} - In production when EMAIL_PROVIDER isn't smtp or SMTP_HOST is missing
+ */
+function getTransport() {
+  if (!transport) {
+    if (process.env.NODE_ENV === 'production') {
+      if (process.env.EMAIL_PROVIDER !== 'smtp') {
+        throw new Error(
+          `EMAIL_PROVIDER must be "smtp" in production (got "${process.env.EMAIL_PROVIDER || 'unset'}")`
+        );
+      }
+      if (!process.env.SMTP_HOST) {
+        throw new Error('SMTP_HOST is required when EMAIL_PROVIDER is "smtp"');
+      }
+    }
+
+    switch (process.env.EMAIL_PROVIDER) {
+      case 'smtp':
+        transport = createSmtpTransport();
+        break;
+      case 'file':
+        transport = createFileTransport();
+        break;
+      default:
+        transport = createConsoleTransport();
+    }
+  }
+
+  return transport;
+}
+
+/**
+ * Replace the active transport (e.g. with a capturing fake in tests)
+ * @param {Object|null} customTransport - Transport with a send(message) method, or null to reset
+ */
+function setTransport(customTransport) {
+  transport = customTransport;
+}
+
+/**
+ * Send an email through the active transport
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} - Transport result containing messageId
+ */
+async function sendMail({ to, subject, text, html }) {
+  if (!to || !subject) {
+    throw new Error('Recipient and subject are required');
+  }
+
+  const fromName = process.env.FROM_NAME || 'ChatzOne';
+  const fromEmail = process.env.FROM_EMAIL || 'noreply@chatzone.com';
+
+  try {
+    return await getTransport().send({
+      from: `"${fromName}" <${fromEmail}>`,
+      to,
+      subject,
+      text,
+      html
+    });
+  } catch (error) {
+    console.error('Send mail error:', error);
+    throw new Error(`Email delivery failed: ${error.message}`);
+  }
+}
+
+module.exports = {
+  sendMail,
+  getTransport,
+  setTransport,
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport
+};
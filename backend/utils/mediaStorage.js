@@ -0,0 +1,105 @@
+const fs = require('fs').promises;
+const path = require('path');
+const axios = require('axios');
+const sharp = require('sharp');
+const { uploadImage, deleteFromCloudinary, getPublicIdFromUrl } = require('./cloudinary');
+
+const BLURRED_PREVIEW_SIZE = 200;
+const MEDIA_FETCH_TIMEOUT = 10000;
+
+function isCloudinaryConfigured() {
+  return Boolean(
+    process.env.CLOUDINARY_CLOUD_NAME &&
+    process.env.CLOUDINARY_API_KEY &&
+    process.env.CLOUDINARY_API_SECRET
+  );
+}
+
+/**
+ * Store an uploaded image on Cloudinary, keeping the local copy if Cloudinary is unavailable
+ * @param {Object} file - Multer file already saved under uploads/
+ * @param {Object} transformations - Image transformations for uploadImage
+ * @returns {Promise<string>} - Cloudinary URL, or a /uploads/... path served by the API
+ */
+async function storeUploadedImage(file, transformations = {}) {
+  if (isCloudinaryConfigured()) {
+    try {
+      const url = await uploadImage(file.path, transformations);
+      await fs.unlink(file.path).catch(() => {});
+      return url;
+    } catch (error) {
+      console.error('Cloudinary unavailable, storing image locally:', error.message);
+    }
+  }
+
+  return `/${file.destination.replace(/\/+$/, '')}/${file.filename}`;
+}
+
+/**
+ * Delete a stored media file, wherever it lives
+ * @param {string} url - Cloudinary URL or local /uploads/... path
+ * @returns {Promise<string|null>} - 'cloudinary', 'local', or null when the URL isn't ours
+ */
+async function deleteStoredMedia(url) {
+  const asset = getPublicIdFromUrl(url);
+  if (asset) {
+    await deleteFromCloudinary(asset.publicId, asset.resourceType);
+    return 'cloudinary';
+  }
+
+  if (url.startsWith('/uploads/')) {
+    await fs.unlink(path.join(__dirname, '..', url)).catch(error => {
+      if (error.code !== 'ENOENT') throw error;
+    });
+    return 'local';
+  }
+
+  return null;
+}
+
+/**
+ * Read a stored image, wherever it lives
+ * @param {string} url - Cloudinary URL or local /uploads/... path
+ * @returns {Promise<Buffer|null>} - null when the URL isn't one of our images or it's gone
+ */
+async function readStoredImage(url) {
+  const asset = getPublicIdFromUrl(url);
+  if (asset) {
+    if (asset.resourceType !== 'image') return null;
+    const response = await axios.get(url, { responseType: 'arraybuffer', timeout: MEDIA_FETCH_TIMEOUT });
+    return Buffer.from(response.data);
+  }
+
+  if (url.startsWith('/uploads/')) {
+    return fs.readFile(path.join(__dirname, '..', url)).catch(error => {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    });
+  }
+
+  return null;
+}
+
+/**
+ * Heavily blurred thumbnail of a stored image, for teasers such as non-premium "Likes" previews.
+ * Rendered here and served by the API, so the client never learns where the original is.
+ * @param {string} url - Cloudinary URL or local /uploads/... path
+ * @returns {Promise<Buffer|null>} - JPEG, or null when the image can't be read
+ */
+async function renderBlurredPreview(url) {
+  const image = url ? await readStoredImage(url) : null;
+  if (!image) return null;
+
+  return sharp(image)
+    .rotate()
+    .resize(BLURRED_PREVIEW_SIZE, BLURRED_PREVIEW_SIZE, { fit: 'cover' })
+    .blur(30)
+    .jpeg({ quality: 60 })
+    .toBuffer();
+}
+
+module.exports = {
+  storeUploadedImage,
+  deleteStoredMedia,
+  renderBlurredPreview
+};
@@ -2,6 +2,53 @@ const fs = require('fs');
 const path = require('path');
 const { pool } = require('../config/database');
 
+// Split a SQL script into statements on semicolons, except those inside quoted strings,
+// quoted identifiers and $$-quoted function bodies. Line comments outside those are dropped,
+// so a commented-out statement or an apostrophe in a comment can't throw the split off.
+function splitStatements(sql) {
+  const statements = [];
+  let current = '';
+  let quote = null;
+
+  for (let i = 0; i < sql.length; i++) {
+    const char = sql[i];
+
+    if (quote) {
+      if (sql.startsWith(quote, i)) {
+        current += quote;
+        i += quote.length - 1;
+        quote = null;
+      } else {
+        current += char;
+      }
+      continue;
+    }
+
+    const dollarTag = char === '$' && sql.slice(i).match(/^\$([A-Za-z_][A-Za-z0-9_]*)?\$/);
+    if (char === '-' && sql[i + 1] === '-') {
+      const lineEnd = sql.indexOf('\n', i);
+      i = (lineEnd === -1 ? sql.length : lineEnd) - 1;
+      continue;
+    } else if (char === '\'' || char === '"') {
+      quote = char;
+    } else if (dollarTag) {
+      quote = dollarTag[0];
+      current += quote;
+      i += quote.length - 1;
+      continue;
+    } else if (char === ';') {
+      statements.push(current);
+      current = '';
+      continue;
+    }
+
+    current += char;
+  }
+  statements.push(current);
+
+  return statements;
+}
+
 async function runMigration() {
   const client = await pool.connect();
   
@@ -12,11 +59,10 @@ async function runMigration() {
     const schemaPath = path.join(__dirname, '../../database/schema.sql');
     const schema = fs.readFileSync(schemaPath, 'utf8');
     
-    // Split by semicolon and execute each statement
-    const statements = schema
-      .split(';')
+    // Split into statements (dropping comments) and execute each one
+    const statements = splitStatements(schema)
       .map(stmt => stmt.trim())
-      .filter(stmt => stmt.length > 0 && !stmt.startsWith('--'));
+      .filter(stmt => stmt.length > 0);
     
     console.log(`📊 Executing ${statements.length} SQL statements...`);
     
@@ -80,4 +126,5 @@ if (require.main === module) {
     });
 }
 
-module.exports = runMigration;
\ No newline at end of file
+module.exports = runMigration;
+module.exports.splitStatements = splitStatements;
\ No newline at end of file
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs').promises;
+const sharp = require('sharp');
+
+// Gestures a reviewer can check in a selfie; a random one is asked for each attempt
+const VERIFICATION_POSES = [
+  { id: 'thumbs_up', instruction: 'Give a thumbs up next to your face' },
+  { id: 'peace_sign', instruction: 'Make a peace sign next to your face' },
+  { id: 'hand_on_head', instruction: 'Put one hand on top of your head' },
+  { id: 'touch_nose', instruction: 'Touch your nose with one finger' },
+  { id: 'three_fingers', instruction: 'Hold up three fingers next to your face' },
+  { id: 'wave', instruction: 'Wave at the camera with an open hand' },
+  { id: 'point_up', instruction: 'Point up with one finger above your head' },
+  { id: 'cover_eye', instruction: 'Cover one eye with your hand' }
+];
+
+// How long the user has to take the selfie after being given a pose
+const POSE_CHALLENGE_TTL = 600; // 10 minutes
+
+// Selfies are kept outside uploads/, which is served publicly
+const SELFIE_DIRECTORY = process.env.VERIFICATIONS_DIR || path.join(__dirname, '../verifications');
+
+// Image formats accepted for selfies, judged by the file's content rather than its name
+const SELFIE_FORMATS = ['jpeg', 'png', 'webp'];
+
+/**
+ * Pick a random pose for a new verification attempt
+ * @returns {{ id: string, instruction: string }}
+ */
+function getRandomPose() {
+  return VERIFICATION_POSES[crypto.randomInt(VERIFICATION_POSES.length)];
+}
+
+/**
+ * Look up a pose by ID
+ * @param {string} poseId - Pose ID
+ * @returns {{ id: string, instruction: string }|null}
+ */
+function findPose(poseId) {
+  return VERIFICATION_POSES.find(pose => pose.id === poseId) || null;
+}
+
+/**
+ * Re-encode an uploaded selfie as a JPEG, so only real image data is ever stored and served.
+ * The upload is removed either way.
+ * @param {string} uploadPath - File written by multer
+ * @returns {Promise<string|null>} - Path of the stored .jpg, or null if the upload isn't a
+ *   JPEG, PNG or WebP image
+ */
+async function storeSelfie(uploadPath) {
+  try {
+    const { format } = await sharp(uploadPath).metadata();
+    if (!SELFIE_FORMATS.includes(format)) {
+      return null;
+    }
+
+    const selfiePath = `${uploadPath}.jpg`;
+    await sharp(uploadPath).rotate().jpeg({ quality: 90 }).toFile(selfiePath);
+    return selfiePath;
+  } catch (error) {
+    // sharp can't read it, so it isn't an image
+    return null;
+  } finally {
+    await fs.unlink(uploadPath).catch(() => {});
+  }
+}
+
+module.exports = {
+  VERIFICATION_POSES,
+  POSE_CHALLENGE_TTL,
+  SELFIE_DIRECTORY,
+  SELFIE_FORMATS,
+  getRandomPose,
+  findPose,
+  storeSelfie
+};
@@ -0,0 +1,194 @@
+const { query } = require('../config/database');
+const { getDistanceBucket } = require('./geo');
+
+const PROFILE_VISIBILITY_OPTIONS = ['everyone', 'matches', 'hidden'];
+
+// Applied to any key a user has never set, so older rows get the same behaviour as new ones
+const DEFAULT_PRIVACY_SETTINGS = {
+  show_distance: true,
+  show_location: true,
+  show_last_seen: true,
+  show_online_status: true,
+  read_receipts: true,
+  profile_visibility: 'everyone'
+};
+
+const PRIVACY_TOGGLES = Object.keys(DEFAULT_PRIVACY_SETTINGS)
+  .filter(key => typeof DEFAULT_PRIVACY_SETTINGS[key] === 'boolean');
+
+// SQL condition (on users aliased as u) for profiles that may appear in Discover
+const DISCOVERABLE_CONDITION =
+  `COALESCE(u.privacy_settings->>'profile_visibility', 'everyone') = 'everyone'`;
+
+// SQL condition (on users aliased as u) for users browsing incognito; it lapses with premium
+const INCOGNITO_CONDITION = `(u.incognito_mode = true AND u.is_premium = true)`;
+
+// SQL condition (on users aliased as u) for users whose online status others may see
+const PRESENCE_VISIBLE_CONDITION =
+  `(COALESCE((u.privacy_settings->>'show_online_status')::boolean, true)
+    AND u.presence_status IS DISTINCT FROM 'invisible'
+    AND NOT ${INCOGNITO_CONDITION})`;
+
+// SQL condition (on users aliased as u) for users who let others see how far away they are
+const DISTANCE_VISIBLE_CONDITION = `COALESCE((u.privacy_settings->>'show_distance')::boolean, true)`;
+
+// SQL for the IDs of users matched with $1. Swipes store one matches row per direction, so two
+// people have matched when both rows are likes, either row is marked matched, or they share a
+// conversation.
+const MATCHED_USER_IDS_SQL =
+  `SELECT m1.user2_id
+   FROM matches m1
+   JOIN matches m2 ON m2.user1_id = m1.user2_id AND m2.user2_id = m1.user1_id
+   WHERE m1.user1_id = $1 AND m1.user1_liked = true AND m2.user1_liked = true
+   UNION
+   SELECT CASE WHEN user1_id = $1 THEN user2_id ELSE user1_id END
+   FROM matches
+   WHERE (user1_id = $1 OR user2_id = $1) AND matched = true
+   UNION
+   SELECT CASE WHEN participant1_id = $1 THEN participant2_id ELSE participant1_id END
+   FROM conversations
+   WHERE participant1_id = $1 OR participant2_id = $1`;
+
+// SQL condition (on users aliased as u) for profiles the viewer ($1) can find: public ones,
+// and matches-only ones when the two have matched
+const VISIBLE_TO_VIEWER_CONDITION =
+  `(${DISCOVERABLE_CONDITION} OR (
+    u.privacy_settings->>'profile_visibility' = 'matches' AND u.id IN (${MATCHED_USER_IDS_SQL})
+  ))`;
+
+/**
+ * A user's stored privacy settings with defaults filled in
+ * @param {Object|null} settings - users.privacy_settings
+ * @returns {Object} - Complete settings
+ */
+function getPrivacySettings(settings) {
+  return { ...DEFAULT_PRIVACY_SETTINGS, ...(settings || {}) };
+}
+
+/**
+ * Keep only known privacy keys with valid values, dropping anything else a client sent
+ * @param {Object} input - Partial settings from a request body
+ * @returns {Object} - Sanitised partial settings
+ */
+function pickPrivacySettings(input) {
+  const picked = {};
+  if (!input || typeof input !== 'object') return picked;
+
+  for (const key of PRIVACY_TOGGLES) {
+    if (typeof input[key] === 'boolean') {
+      picked[key] = input[key];
+    }
+  }
+  if (PROFILE_VISIBILITY_OPTIONS.includes(input.profile_visibility)) {
+    picked.profile_visibility = input.profile_visibility;
+  }
+
+  return picked;
+}
+
+/**
+ * The distance bucket another user may see, or null when the owner hides it
+ * @param {number|null} distanceKm - Exact distance
+ * @param {Object|null} settings - Owner's privacy settings
+ * @returns {string|null} - e.g. "< 5 km"
+ */
+function getVisibleDistance(distanceKm, settings) {
+  return getPrivacySettings(settings).show_distance ? getDistanceBucket(distanceKm) : null;
+}
+
+/**
+ * Whether a user is browsing incognito. Only premium users can.
+ * @param {Object} user - Row with incognito_mode and is_premium
+ * @returns {boolean}
+ */
+function isIncognito(user) {
+  return Boolean(user.incognito_mode && user.is_premium);
+}
+
+/**
+ * Whether others may see that a user is online. Invisible and incognito users appear offline.
+ * @param {Object|null} settings - Owner's privacy settings
+ * @param {string} presenceStatus - users.presence_status
+ * @param {boolean} incognito - Whether the owner is browsing incognito
+ * @returns {boolean}
+ */
+function isPresenceVisible(settings, presenceStatus, incognito = false) {
+  return getPrivacySettings(settings).show_online_status &&
+    presenceStatus !== 'invisible' &&
+    !incognito;
+}
+
+/**
+ * Online status and last seen as other users may see them
+ * @param {Object} user - Row with is_online, last_seen, presence_status, privacy_settings,
+ *   incognito_mode and is_premium
+ * @returns {{ isOnline: boolean, lastSeen: Date|null }} - Hidden presence reads as offline
+ */
+function getVisiblePresence(user) {
+  const settings = getPrivacySettings(user.privacy_settings);
+  const presenceVisible = isPresenceVisible(settings, user.presence_status, isIncognito(user));
+
+  return {
+    isOnline: presenceVisible && Boolean(user.is_online),
+    lastSeen: settings.show_last_seen ? user.last_seen : null
+  };
+}
+
+/**
+ * Whether other participants are told when this user reads their messages
+ * @param {Object|null} settings - Reader's privacy settings
+ * @returns {boolean}
+ */
+function shouldSendReadReceipts(settings) {
+  return getPrivacySettings(settings).read_receipts;
+}
+
+/**
+ * Users who have mutually matched with the given user
+ * @param {string} userId - User ID
+ * @returns {Promise<string[]>} - Match user IDs
+ */
+async function getMutualMatchIds(userId) {
+  const result = await query(
+    `SELECT other_user_id FROM (${MATCHED_USER_IDS_SQL}) AS matched_users(other_user_id)`,
+    [userId]
+  );
+
+  return result.rows.map(row => row.other_user_id);
+}
+
+/**
+ * Whether the viewer may open the owner's profile
+ * @param {string} viewerId - User asking for the profile
+ * @param {Object} owner - Row with id and privacy_settings
+ * @returns {Promise<boolean>}
+ */
+async function canViewProfile(viewerId, owner) {
+  if (viewerId === owner.id) return true;
+
+  const { profile_visibility: visibility } = getPrivacySettings(owner.privacy_settings);
+  if (visibility === 'everyone') return true;
+  if (visibility === 'hidden') return false;
+
+  const matchIds = await getMutualMatchIds(owner.id);
+  return matchIds.includes(viewerId);
+}
+
+module.exports = {
+  PROFILE_VISIBILITY_OPTIONS,
+  DEFAULT_PRIVACY_SETTINGS,
+  DISCOVERABLE_CONDITION,
+  INCOGNITO_CONDITION,
+  PRESENCE_VISIBLE_CONDITION,
+  DISTANCE_VISIBLE_CONDITION,
+  VISIBLE_TO_VIEWER_CONDITION,
+  getPrivacySettings,
+  pickPrivacySettings,
+  getVisibleDistance,
+  isIncognito,
+  isPresenceVisible,
+  getVisiblePresence,
+  shouldSendReadReceipts,
+  getMutualMatchIds,
+  canViewProfile
+};
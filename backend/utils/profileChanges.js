@@ -0,0 +1,79 @@
+// Profile fields whose edits are kept in profile_change_history, keyed by updateProfile field
+const TRACKED_PROFILE_FIELDS = {
+  username: 'username',
+  firstName: 'first_name',
+  lastName: 'last_name',
+  bio: 'bio'
+};
+
+// How often identity fields can change; first and last name share one cooldown
+const PROFILE_CHANGE_COOLDOWNS = [
+  { name: 'username', fields: ['username'], days: 30 },
+  { name: 'name', fields: ['first_name', 'last_name'], days: 14 }
+];
+
+// Used when app_settings has no profile_review_report_threshold
+const DEFAULT_REVIEW_REPORT_THRESHOLD = 3;
+
+/**
+ * Work out which tracked fields an update actually changes
+ * @param {Object} user - Current users row
+ * @param {Object} updateData - Fields passed to User.updateProfile
+ * @returns {Array<{ field: string, oldValue: string|null, newValue: string }>}
+ */
+function getProfileChanges(user, updateData) {
+  return Object.entries(TRACKED_PROFILE_FIELDS)
+    .filter(([key, column]) => updateData[key] != null && updateData[key] !== (user[column] ?? ''))
+    .map(([key, column]) => ({
+      field: column,
+      oldValue: user[column] ?? null,
+      newValue: updateData[key]
+    }));
+}
+
+/**
+ * When a cooldown ends, given the last time one of its fields changed
+ * @param {{ days: number }} cooldown - Entry from PROFILE_CHANGE_COOLDOWNS
+ * @param {Date|null} lastChangedAt - Last change to any field in the cooldown
+ * @returns {Date|null} - null if the fields can be changed now
+ */
+function getCooldownEnd(cooldown, lastChangedAt) {
+  if (!lastChangedAt) return null;
+
+  const availableAt = new Date(new Date(lastChangedAt).getTime() + cooldown.days * 24 * 60 * 60 * 1000);
+  return availableAt > new Date() ? availableAt : null;
+}
+
+/**
+ * Error thrown by User.updateProfile for accounts a moderator has yet to clear
+ * @returns {Error} - with code ACCOUNT_UNDER_REVIEW
+ */
+function accountUnderReviewError() {
+  const error = new Error('Your profile is under review and can\'t be changed right now');
+  error.code = 'ACCOUNT_UNDER_REVIEW';
+  return error;
+}
+
+/**
+ * Error thrown by User.updateProfile when a field is changed again too soon
+ * @param {string} field - Cooldown name (username or name)
+ * @param {Date} availableAt - When the field can next be changed
+ * @returns {Error} - with code PROFILE_CHANGE_COOLDOWN
+ */
+function changeCooldownError(field, availableAt) {
+  const error = new Error(`Your ${field} was changed recently and can't be changed again yet`);
+  error.code = 'PROFILE_CHANGE_COOLDOWN';
+  error.field = field;
+  error.availableAt = availableAt;
+  return error;
+}
+
+module.exports = {
+  TRACKED_PROFILE_FIELDS,
+  PROFILE_CHANGE_COOLDOWNS,
+  DEFAULT_REVIEW_REPORT_THRESHOLD,
+  getProfileChanges,
+  getCooldownEnd,
+  accountUnderReviewError,
+  changeCooldownError
+};
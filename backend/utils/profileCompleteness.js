@@ -0,0 +1,53 @@
+// Weight of each profile section in the completeness score (sums to 100)
+const PROFILE_SECTIONS = [
+  { key: 'photos', weight: 25 },
+  { key: 'bio', weight: 15 },
+  { key: 'interests', weight: 20 },
+  { key: 'location', weight: 15 },
+  { key: 'dateOfBirth', weight: 15 },
+  { key: 'language', weight: 10 }
+];
+
+// Coins granted once, the first time a profile reaches 100%
+const PROFILE_COMPLETION_REWARD = 50;
+
+const MIN_BIO_LENGTH = 20;
+const MIN_INTERESTS = 3;
+
+/**
+ * Score how complete a user's profile is
+ * @param {Object} user - Row from User.findById
+ * @param {Object} counts - Gallery and interest counts for the user
+ * @param {number} counts.photoCount - Number of gallery photos
+ * @param {number} counts.interestCount - Number of selected interests
+ * @returns {{ score: number, sections: Object[], missing: string[] }}
+ */
+function calculateProfileCompleteness(user, { photoCount = 0, interestCount = 0 } = {}) {
+  const completed = {
+    photos: photoCount > 0 || Boolean(user.profile_picture),
+    bio: Boolean(user.bio) && user.bio.trim().length >= MIN_BIO_LENGTH,
+    interests: interestCount >= MIN_INTERESTS,
+    location: Boolean(user.location_city) || (user.latitude != null && user.longitude != null),
+    dateOfBirth: Boolean(user.date_of_birth),
+    language: Boolean(user.language_preference)
+  };
+
+  const sections = PROFILE_SECTIONS.map(({ key, weight }) => ({
+    key,
+    weight,
+    complete: completed[key]
+  }));
+
+  return {
+    score: sections.reduce((score, section) => score + (section.complete ? section.weight : 0), 0),
+    sections,
+    missing: sections.filter(section => !section.complete).map(section => section.key)
+  };
+}
+
+module.exports = {
+  PROFILE_COMPLETION_REWARD,
+  MIN_BIO_LENGTH,
+  MIN_INTERESTS,
+  calculateProfileCompleteness
+};
@@ -0,0 +1,55 @@
+const axios = require('axios');
+const { query } = require('../config/database');
+
+const EXPO_PUSH_URL = 'https://exp.host/--/api/v2/push/send';
+
+/**
+ * Send a push notification to a user's registered device (Expo push service)
+ * and record it in push_notifications
+ * @param {string} userId - Recipient
+ * @param {Object} notification - { title, body, data }
+ * @returns {Promise<boolean>} - True when the push service accepted the message
+ */
+async function sendPushNotification(userId, { title, body, data = {} }) {
+  const userResult = await query('SELECT push_token FROM users WHERE id = $1', [userId]);
+  const pushToken = userResult.rows[0] && userResult.rows[0].push_token;
+
+  const record = await query(
+    `INSERT INTO push_notifications (user_id, title, body, data)
+     VALUES ($1, $2, $3, $4)
+     RETURNING id`,
+    [userId, title, body, JSON.stringify(data)]
+  );
+  const notificationId = record.rows[0].id;
+
+  if (!pushToken) {
+    await query(`UPDATE push_notifications SET status = 'failed' WHERE id = $1`, [notificationId]);
+    return false;
+  }
+
+  try {
+    const response = await axios.post(
+      EXPO_PUSH_URL,
+      { to: pushToken, title, body, data, sound: 'default' },
+      { timeout: 5000, headers: { 'Content-Type': 'application/json' } }
+    );
+
+    const ticket = response.data && response.data.data;
+    const accepted = Boolean(ticket && ticket.status === 'ok');
+
+    await query(
+      `UPDATE push_notifications SET status = $2, sent_at = CURRENT_TIMESTAMP WHERE id = $1`,
+      [notificationId, accepted ? 'sent' : 'failed']
+    );
+
+    return accepted;
+  } catch (error) {
+    console.error('Push notification error:', error.message);
+    await query(`UPDATE push_notifications SET status = 'failed' WHERE id = $1`, [notificationId]);
+    return false;
+  }
+}
+
+module.exports = {
+  sendPushNotification
+};
@@ -0,0 +1,253 @@
+const User = require('../models/User');
+const Conversation = require('../models/Conversation');
+const AppSetting = require('../models/AppSetting');
+const { getCache, setCache, deleteCache } = require('../config/redis');
+const { calculateAge } = require('./ageGate');
+
+const CANDIDATE_POOL_SIZE = 200;
+const DECK_SIZE = 100;
+const DECK_CACHE_TTL = 900; // 15 minutes
+
+// Every EXPLORATION_INTERVAL-th card goes to a new profile that hasn't been seen much yet,
+// so it can collect the likes and passes its score is learned from
+const EXPLORATION_INTERVAL = 5;
+const NEW_PROFILE_DAYS = 7;
+const NEW_PROFILE_MAX_SWIPES = 20;
+
+// Desirability is an Elo-style rating: everyone starts at 1000 and each like or pass
+// moves the target by up to DESIRABILITY_K_FACTOR points
+const DEFAULT_DESIRABILITY = 1000;
+const DESIRABILITY_K_FACTOR = 32;
+
+/**
+ * Signals a candidate is scored on. Each returns 0-1; the score is the weighted sum.
+ * Add a signal here to plug it in; weights can be tuned with the
+ * discover_signal_weights app setting ({ "<name>": <weight> }).
+ */
+const SCORING_SIGNALS = [
+  {
+    name: 'sharedInterests',
+    weight: 0.25,
+    score: (candidate) => Math.min(candidate.shared_interests / 3, 1)
+  },
+  {
+    name: 'languageOverlap',
+    weight: 0.1,
+    score: (candidate, viewer) =>
+      candidate.language_preference && candidate.language_preference === viewer.language_preference ? 1 : 0
+  },
+  {
+    name: 'activityRecency',
+    weight: 0.15,
+    // Halves roughly every two days of inactivity
+    score: (candidate) => {
+      if (!candidate.last_active) return 0;
+      const hours = (Date.now() - new Date(candidate.last_active).getTime()) / (60 * 60 * 1000);
+      return Math.exp(-Math.max(hours, 0) / 72);
+    }
+  },
+  {
+    name: 'replyRate',
+    weight: 0.15,
+    // Smoothed so people with no conversations yet start at 0.5
+    score: (candidate, viewer, context) => {
+      const stats = context.replyStats[candidate.id] || { received: 0, replied: 0 };
+      return (stats.replied + 1) / (stats.received + 2);
+    }
+  },
+  {
+    name: 'preferenceFit',
+    weight: 0.15,
+    // The viewer already fits what they're looking for; this checks the other direction
+    score: (candidate, viewer) => {
+      const prefs = candidate.matching_preferences || {};
+      const viewerAge = calculateAge(viewer.date_of_birth);
+      const genderFits = !prefs.preferred_gender || prefs.preferred_gender === 'any' ||
+        prefs.preferred_gender === viewer.gender;
+      const ageFits = viewerAge === null ||
+        (viewerAge >= (prefs.min_age || 18) && viewerAge <= (prefs.max_age || 65));
+      return (genderFits ? 0.5 : 0) + (ageFits ? 0.5 : 0);
+    }
+  },
+  {
+    name: 'desirability',
+    weight: 0.1,
+    // Closeness of the two ratings, so popular profiles aren't at the top of everyone's deck
+    score: (candidate, viewer) => {
+      const gap = Math.abs(getDesirability(candidate) - getDesirability(viewer));
+      return 1 - Math.min(gap / 800, 1);
+    }
+  },
+  {
+    name: 'distance',
+    weight: 0.1,
+    score: (candidate, viewer, context) => {
+      if (candidate.distance_km === null || candidate.distance_km === undefined) return 0.5;
+      return 1 - Math.min(Number(candidate.distance_km) / context.maxDistance, 1);
+    }
+  }
+];
+
+function getDesirability(user) {
+  return user.desirability_score === null || user.desirability_score === undefined
+    ? DEFAULT_DESIRABILITY
+    : Number(user.desirability_score);
+}
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Signal weights with any app_settings overrides applied
+ * @returns {Promise<Object>} - { [signalName]: weight }
+ */
+async function getSignalWeights() {
+  const overrides = await AppSetting.get('discover_signal_weights', {});
+  return Object.fromEntries(SCORING_SIGNALS.map(signal => [
+    signal.name,
+    typeof overrides?.[signal.name] === 'number' ? overrides[signal.name] : signal.weight
+  ]));
+}
+
+/**
+ * Score one candidate for a viewer
+ * @param {Object} candidate - Row from User.findPotentialMatches
+ * @param {Object} viewer - Row from User.findById
+ * @param {Object} context - { replyStats, maxDistance }
+ * @param {Object} weights - From getSignalWeights
+ * @returns {{ score: number, signals: Object }} - signals has value, weight and contribution per signal
+ */
+function scoreCandidate(candidate, viewer, context, weights) {
+  const signals = {};
+  let score = 0;
+
+  for (const signal of SCORING_SIGNALS) {
+    const value = signal.score(candidate, viewer, context);
+    const weight = weights[signal.name];
+    signals[signal.name] = { value: round(value), weight, contribution: round(value * weight) };
+    score += value * weight;
+  }
+
+  return { score: round(score), signals };
+}
+
+function isNewProfile(candidate) {
+  const ageInDays = (Date.now() - new Date(candidate.created_at).getTime()) / (24 * 60 * 60 * 1000);
+  return ageInDays <= NEW_PROFILE_DAYS && candidate.swipes_received < NEW_PROFILE_MAX_SWIPES;
+}
+
+/**
+ * Rank candidates into a deck: best score first, with new profiles given every
+ * EXPLORATION_INTERVAL-th card in random order
+ * @returns {Array<{ candidate: Object, score: number, signals: Object, exploration: boolean }>}
+ */
+function buildDeck(candidates, viewer, context, weights) {
+  const scored = candidates
+    .map(candidate => ({ candidate, ...scoreCandidate(candidate, viewer, context, weights), exploration: false }))
+    .sort((a, b) => b.score - a.score);
+
+  const explore = scored.filter(entry => isNewProfile(entry.candidate));
+  for (let i = explore.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [explore[i], explore[j]] = [explore[j], explore[i]];
+  }
+
+  const deck = [];
+  const used = new Set();
+  let ranked = 0;
+  while (deck.length < Math.min(scored.length, DECK_SIZE)) {
+    const exploreNext = (deck.length + 1) % EXPLORATION_INTERVAL === 0 && explore.length > 0;
+    const entry = exploreNext
+      ? { ...explore.shift(), exploration: true }
+      : scored[ranked++];
+
+    if (!entry) break;
+    if (used.has(entry.candidate.id)) continue;
+
+    used.add(entry.candidate.id);
+    deck.push(entry);
+  }
+
+  return deck;
+}
+
+const deckKey = (userId, photoVerifiedOnly) =>
+  `discover_deck:${userId}:${photoVerifiedOnly ? 'verified' : 'all'}`;
+
+/**
+ * The next cards of a user's Discover deck. Decks are cached in Redis; people swiped on,
+ * blocked, deleted or no longer discoverable since are skipped, and a new deck is built
+ * once the cached one runs low.
+ * @param {string} userId - Viewer
+ * @param {Object} options - { limit, photoVerifiedOnly, refresh }
+ * @returns {Promise<Array<{ candidate: Object, score: number, signals: Object, exploration: boolean }>>}
+ */
+async function getDiscoverDeck(userId, { limit = 20, photoVerifiedOnly = false, refresh = false } = {}) {
+  const key = deckKey(userId, photoVerifiedOnly);
+
+  if (!refresh) {
+    const cached = await getCache(key);
+    if (cached && cached.length > 0) {
+      const excluded = new Set(await User.findExcludedFromDeck(
+        userId,
+        cached.map(entry => entry.candidate.id),
+        { photoVerifiedOnly }
+      ));
+      const remaining = cached.filter(entry => !excluded.has(entry.candidate.id));
+
+      if (remaining.length >= limit) {
+        if (excluded.size > 0) {
+          await setCache(key, remaining, DECK_CACHE_TTL);
+        }
+        return remaining.slice(0, limit);
+      }
+    }
+  }
+
+  const viewer = await User.findById(userId);
+  if (!viewer) return [];
+
+  const candidates = await User.findPotentialMatches(userId, CANDIDATE_POOL_SIZE, { photoVerifiedOnly });
+  const context = {
+    replyStats: candidates.length > 0
+      ? await Conversation.getReplyStats(candidates.map(candidate => candidate.id))
+      : {},
+    maxDistance: viewer.matching_preferences?.max_distance || 50
+  };
+
+  const deck = buildDeck(candidates, viewer, context, await getSignalWeights());
+  await setCache(key, deck, DECK_CACHE_TTL);
+
+  return deck.slice(0, limit);
+}
+
+/**
+ * Drop a user's cached decks, e.g. after their preferences or location change
+ * @param {string} userId - User ID
+ */
+async function invalidateDiscoverDeck(userId) {
+  await deleteCache(deckKey(userId, false));
+  await deleteCache(deckKey(userId, true));
+}
+
+/**
+ * Learn from a swipe: update the target's desirability rating
+ * @param {string} swiperId - User who swiped
+ * @param {string} targetId - User swiped on
+ * @param {boolean} liked - Like (or super like) rather than pass
+ * @param {Object} client - Optional transaction client
+ * @returns {Promise<number>} - Change to the target's rating, kept so a rewind can undo it
+ */
+async function recordSwipeOutcome(swiperId, targetId, liked, client = null) {
+  return User.updateDesirability(swiperId, targetId, liked, DESIRABILITY_K_FACTOR, client);
+}
+
+module.exports = {
+  SCORING_SIGNALS,
+  DECK_CACHE_TTL,
+  scoreCandidate,
+  buildDeck,
+  getSignalWeights,
+  getDiscoverDeck,
+  invalidateDiscoverDeck,
+  recordSwipeOutcome
+};
@@ -5,22 +5,6 @@ async function seedDatabase() {
   try {
     console.log('🌱 Starting database seeding...');
 
-    // Create sample interests
-    const interests = [
-      'Technology', 'Music', 'Sports', 'Travel', 'Food', 'Art', 'Movies', 
-      'Books', 'Gaming', 'Photography', 'Fitness', 'Fashion', 'Nature',
-      'Cooking', 'Dancing', 'Writing', 'Science', 'History', 'Languages',
-      'Pets', 'Cars', 'Business', 'Health', 'Education', 'Volunteering'
-    ];
-
-    console.log('Adding interests...');
-    for (const interest of interests) {
-      await query(
-        'INSERT INTO interests (name) VALUES ($1) ON CONFLICT (name) DO NOTHING',
-        [interest]
-      );
-    }
-
     // Create sample users
     const sampleUsers = [
       {
@@ -91,7 +75,8 @@ async function seedDatabase() {
     // Add interests to users
     if (userIds.length > 0) {
       console.log('Adding user interests...');
-      const interestResult = await query('SELECT id FROM interests LIMIT 10');
+      // The interest catalogue itself is seeded by database/schema.sql
+      const interestResult = await query('SELECT id FROM interests WHERE is_active = true LIMIT 15');
       const interestIds = interestResult.rows.map(row => row.id);
 
       for (const userId of userIds) {
@@ -141,7 +126,6 @@ async function seedDatabase() {
     }
 
     console.log('✅ Database seeding completed successfully!');
-    console.log(`Created ${interests.length} interests`);
     console.log(`Created ${sampleUsers.length} sample users`);
     console.log('Created sample conversations and messages');
     
@@ -0,0 +1,193 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+
+const GOOGLE_JWKS_URL = 'https://www.googleapis.com/oauth2/v3/certs';
+const GOOGLE_ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+const FACEBOOK_GRAPH_URL = 'https://graph.facebook.com/v18.0';
+
+// Don't refetch the key set more often than this when an unknown kid shows up
+const JWKS_MIN_REFRESH_INTERVAL = 60 * 1000;
+
+// Google signing keys, cached for the max-age Google sends
+let jwksCache = { keys: [], fetchedAt: 0, expiresAt: 0 };
+
+/**
+ * Fetch Google's JSON Web Key Set
+ * @param {string} url - JWKS endpoint
+ * @returns {Promise<{ keys: Object[], maxAge: number }>} - Keys and cache lifetime in seconds
+ */
+async function defaultJwksFetcher(url) {
+  const response = await axios.get(url, { timeout: 5000 });
+  const maxAge = /max-age=(\d+)/.exec(response.headers['cache-control'] || '');
+
+  return {
+    keys: response.data.keys || [],
+    maxAge: maxAge ? parseInt(maxAge[1]) : 3600
+  };
+}
+
+/**
+ * Call the Facebook Graph API
+ * @param {string} graphPath - Path such as '/me' or '/debug_token'
+ * @param {Object} params - Query parameters
+ * @returns {Promise<Object>} - Parsed response body (Graph errors come back as { error })
+ */
+async function defaultGraphFetcher(graphPath, params) {
+  const response = await axios.get(`${FACEBOOK_GRAPH_URL}${graphPath}`, {
+    params,
+    timeout: 5000,
+    validateStatus: () => true
+  });
+
+  return response.data;
+}
+
+let jwksFetcher = defaultJwksFetcher;
+let graphFetcher = defaultGraphFetcher;
+
+/**
+ * Replace the Google JWKS fetcher (tests use a local fake issuer)
+ * @param {Function|null} fetcher - async (url) => ({ keys, maxAge }), or null for the default
+ */
+function setJwksFetcher(fetcher) {
+  jwksFetcher = fetcher || defaultJwksFetcher;
+  jwksCache = { keys: [], fetchedAt: 0, expiresAt: 0 };
+}
+
+/**
+ * Replace the Facebook Graph fetcher (tests use a local fake)
+ * @param {Function|null} fetcher - async (path, params) => body, or null for the default
+ */
+function setGraphFetcher(fetcher) {
+  graphFetcher = fetcher || defaultGraphFetcher;
+}
+
+function invalidTokenError(message) {
+  const error = new Error(message);
+  error.code = 'INVALID_SOCIAL_TOKEN';
+  return error;
+}
+
+async function getGoogleSigningKey(kid) {
+  const now = Date.now();
+  let key = jwksCache.keys.find(item => item.kid === kid);
+
+  const isExpired = now >= jwksCache.expiresAt;
+  const mayRefresh = now - jwksCache.fetchedAt >= JWKS_MIN_REFRESH_INTERVAL;
+
+  if (isExpired || (!key && mayRefresh)) {
+    const { keys, maxAge } = await jwksFetcher(GOOGLE_JWKS_URL);
+    jwksCache = { keys, fetchedAt: now, expiresAt: now + maxAge * 1000 };
+    key = keys.find(item => item.kid === kid);
+  }
+
+  return key || null;
+}
+
+function getGoogleClientIds() {
+  // iOS, Android and web builds each have their own OAuth client ID
+  return (process.env.GOOGLE_CLIENT_IDS || process.env.GOOGLE_CLIENT_ID || '')
+    .split(',')
+    .map(id => id.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Verify a Google ID token and return the signed-in Google profile
+ * @param {string} idToken - ID token from Google Sign-In on the client
+ * @returns {Promise<Object>} - { provider, providerId, email, emailVerified, firstName, lastName, profilePicture }
+ */
+async function verifyGoogleIdToken(idToken) {
+  const clientIds = getGoogleClientIds();
+  if (clientIds.length === 0) {
+    throw new Error('Google sign-in is not configured');
+  }
+
+  const decoded = jwt.decode(idToken, { complete: true });
+  if (!decoded || decoded.header.alg !== 'RS256' || !decoded.header.kid) {
+    throw invalidTokenError('Malformed Google ID token');
+  }
+
+  const jwk = await getGoogleSigningKey(decoded.header.kid);
+  if (!jwk) {
+    throw invalidTokenError('Google ID token signed with an unknown key');
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(idToken, crypto.createPublicKey({ key: jwk, format: 'jwk' }), {
+      algorithms: ['RS256'],
+      audience: clientIds,
+      issuer: GOOGLE_ISSUERS
+    });
+  } catch (error) {
+    throw invalidTokenError(`Google ID token rejected: ${error.message}`);
+  }
+
+  if (!payload.sub) {
+    throw invalidTokenError('Google ID token has no subject');
+  }
+
+  return {
+    provider: 'google',
+    providerId: String(payload.sub),
+    email: payload.email ? payload.email.toLowerCase() : null,
+    emailVerified: payload.email_verified === true || payload.email_verified === 'true',
+    firstName: payload.given_name || null,
+    lastName: payload.family_name || null,
+    profilePicture: payload.picture || null
+  };
+}
+
+/**
+ * Verify a Facebook user access token and return the signed-in Facebook profile
+ * @param {string} accessToken - User access token from Facebook Login on the client
+ * @returns {Promise<Object>} - { provider, providerId, email, emailVerified, firstName, lastName, profilePicture }
+ */
+async function verifyFacebookAccessToken(accessToken) {
+  const appId = process.env.FACEBOOK_APP_ID;
+  const appSecret = process.env.FACEBOOK_APP_SECRET;
+  if (!appId || !appSecret) {
+    throw new Error('Facebook sign-in is not configured');
+  }
+
+  // The token must be valid and issued to our app, not just any Facebook app
+  const debug = await graphFetcher('/debug_token', {
+    input_token: accessToken,
+    access_token: `${appId}|${appSecret}`
+  });
+  const tokenInfo = debug && debug.data;
+
+  if (!tokenInfo || !tokenInfo.is_valid || String(tokenInfo.app_id) !== String(appId) || !tokenInfo.user_id) {
+    throw invalidTokenError('Facebook access token rejected');
+  }
+
+  const profile = await graphFetcher('/me', {
+    fields: 'id,email,first_name,last_name,picture.type(large)',
+    access_token: accessToken,
+    appsecret_proof: crypto.createHmac('sha256', appSecret).update(accessToken).digest('hex')
+  });
+
+  if (!profile || profile.error || String(profile.id) !== String(tokenInfo.user_id)) {
+    throw invalidTokenError('Facebook profile lookup failed');
+  }
+
+  return {
+    provider: 'facebook',
+    providerId: String(profile.id),
+    email: profile.email ? profile.email.toLowerCase() : null,
+    // Graph only returns an email address once the user has confirmed it
+    emailVerified: Boolean(profile.email),
+    firstName: profile.first_name || null,
+    lastName: profile.last_name || null,
+    profilePicture: profile.picture && profile.picture.data ? profile.picture.data.url : null
+  };
+}
+
+module.exports = {
+  verifyGoogleIdToken,
+  verifyFacebookAccessToken,
+  setJwksFetcher,
+  setGraphFetcher
+};
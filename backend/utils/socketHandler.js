@@ -1,6 +1,14 @@
 const jwt = require('jsonwebtoken');
 const { query } = require('../config/database');
 const { setUserOnline, setUserOffline, getUserOnlineStatus } = require('../config/redis');
+const UserSession = require('../models/UserSession');
+const {
+  getPrivacySettings,
+  isIncognito,
+  isPresenceVisible,
+  shouldSendReadReceipts,
+  getMutualMatchIds
+} = require('./privacy');
 
 // Store active connections
 const activeConnections = new Map();
@@ -19,10 +27,15 @@ function socketHandler(io) {
 
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       
+      // Reject tokens whose device session was revoked
+      if (decoded.sid && !(await UserSession.isActive(decoded.sid, decoded.id))) {
+        return next(new Error('Session revoked'));
+      }
+
       // Get user details
       const userResult = await query(
         'SELECT id, name, email, avatar, is_verified, is_online FROM users WHERE id = $1',
-        [decoded.userId]
+        [decoded.id]
       );
 
       if (userResult.rows.length === 0) {
@@ -36,6 +49,7 @@ function socketHandler(io) {
 
       socket.userId = user.id;
       socket.user = user;
+      socket.sessionId = decoded.sid || null;
       
       next();
     } catch (error) {
@@ -66,26 +80,20 @@ function socketHandler(io) {
       // Join user to their personal room for notifications
       socket.join(`user_${userId}`);
 
-      // Emit online status to user's matches and conversations
-      const matchesResult = await query(`
-        SELECT DISTINCT 
-          CASE 
-            WHEN user1_id = $1 THEN user2_id 
-            ELSE user1_id 
-          END as other_user_id
-        FROM matches 
-        WHERE (user1_id = $1 OR user2_id = $1) 
-        AND user1_liked = true AND user2_liked = true
-      `, [userId]);
+      // Per-device room so a revoked session's sockets can be disconnected
+      if (socket.sessionId) {
+        socket.join(`session_${socket.sessionId}`);
+      }
 
-      // Notify matches that user is online
-      matchesResult.rows.forEach(match => {
-        socket.to(`user_${match.other_user_id}`).emit('user_online', {
+      // Notify matches that user is online, unless they hide their presence or are incognito
+      const presence = await getPresenceSettings(userId);
+      if (isPresenceVisible(presence.privacySettings, presence.status, presence.incognito)) {
+        await broadcastToMatches(io, userId, 'user_online', {
           userId: userId,
           name: user.name,
           avatar: user.avatar
         });
-      });
+      }
 
       // Send user their current online status and unread counts
       const unreadResult = await query(`
@@ -318,35 +326,43 @@ function socketHandler(io) {
       // Handle user presence updates
       socket.on('update_presence', async (data) => {
         try {
-          const { status } = data; // 'online', 'away', 'busy'
+          const { status } = data; // 'online', 'away', 'busy', 'invisible'
           
-          if (!['online', 'away', 'busy'].includes(status)) {
+          if (!['online', 'away', 'busy', 'invisible'].includes(status)) {
             socket.emit('error', { message: 'Invalid presence status' });
             return;
           }
 
+          const previous = await getPresenceSettings(userId);
+          const { privacySettings, incognito } = previous;
+
           // Update presence in database
           await query('UPDATE users SET presence_status = $1 WHERE id = $2', [status, userId]);
 
-          // Notify matches about presence change
-          const matchesResult = await query(`
-            SELECT DISTINCT 
-              CASE 
-                WHEN user1_id = $1 THEN user2_id 
-                ELSE user1_id 
-              END as other_user_id
-            FROM matches 
-            WHERE (user1_id = $1 OR user2_id = $1) 
-            AND user1_liked = true AND user2_liked = true
-          `, [userId]);
-
-          matchesResult.rows.forEach(match => {
-            socket.to(`user_${match.other_user_id}`).emit('presence_update', {
+          // Notify matches about presence change; going invisible looks like going offline
+          const wasVisible = isPresenceVisible(privacySettings, previous.status, incognito);
+          const isVisible = isPresenceVisible(privacySettings, status, incognito);
+          if (isVisible && !wasVisible) {
+            await broadcastToMatches(io, userId, 'user_online', {
+              userId: userId,
+              name: user.name,
+              avatar: user.avatar
+            });
+          } else if (isVisible) {
+            await broadcastToMatches(io, userId, 'presence_update', {
               userId: userId,
               status: status,
               timestamp: new Date().toISOString()
             });
-          });
+          } else if (wasVisible) {
+            await broadcastToMatches(io, userId, 'user_offline', {
+              userId: userId,
+              name: user.name,
+              lastSeen: getPrivacySettings(privacySettings).show_last_seen
+                ? new Date().toISOString()
+                : null
+            });
+          }
 
         } catch (error) {
           console.error('Presence update error:', error);
@@ -373,7 +389,10 @@ function socketHandler(io) {
             `, [messageId, userId]);
           }
 
-          // Notify other participants about read receipts
+          // Notify other participants about read receipts, unless the reader turned them off
+          const { privacySettings } = await getPresenceSettings(userId);
+          if (!shouldSendReadReceipts(privacySettings)) return;
+
           socket.to(conversationId).emit('messages_read', {
             conversationId,
             messageIds,
@@ -437,25 +456,17 @@ function socketHandler(io) {
           await setUserOffline(userId);
           await query('UPDATE users SET is_online = false, last_seen = NOW() WHERE id = $1', [userId]);
 
-          // Notify matches that user is offline
-          const matchesResult = await query(`
-            SELECT DISTINCT 
-              CASE 
-                WHEN user1_id = $1 THEN user2_id 
-                ELSE user1_id 
-              END as other_user_id
-            FROM matches 
-            WHERE (user1_id = $1 OR user2_id = $1) 
-            AND user1_liked = true AND user2_liked = true
-          `, [userId]);
-
-          matchesResult.rows.forEach(match => {
-            socket.to(`user_${match.other_user_id}`).emit('user_offline', {
+          // Notify matches that user is offline; hidden users never appeared online
+          const presence = await getPresenceSettings(userId);
+          if (isPresenceVisible(presence.privacySettings, presence.status, presence.incognito)) {
+            await broadcastToMatches(io, userId, 'user_offline', {
               userId: userId,
               name: user.name,
-              lastSeen: new Date().toISOString()
+              lastSeen: getPrivacySettings(presence.privacySettings).show_last_seen
+                ? new Date().toISOString()
+                : null
             });
-          });
+          }
 
         } catch (error) {
           console.error('Disconnect cleanup error:', error);
@@ -499,9 +510,69 @@ function getConversationParticipants(conversationId) {
   return Array.from(conversationRooms.get(conversationId) || []);
 }
 
-function broadcastToMatches(userId, event, data) {
-  // This would need to be called from outside with the io instance
-  // Implementation would query user's matches and emit to them
+// Force-disconnect every socket opened with the given device sessions
+function disconnectSessions(io, sessionIds, reason = 'session_revoked') {
+  if (!io || !sessionIds) return;
+
+  for (const sessionId of sessionIds) {
+    const room = `session_${sessionId}`;
+    io.to(room).emit('session_revoked', { sessionId, reason });
+    io.in(room).disconnectSockets(true);
+  }
+}
+
+// Read fresh on every event, since settings can change while the user is connected
+async function getPresenceSettings(userId) {
+  const result = await query(
+    'SELECT presence_status, privacy_settings, incognito_mode, is_premium FROM users WHERE id = $1',
+    [userId]
+  );
+  const row = result.rows[0] || {};
+
+  return {
+    status: row.presence_status,
+    privacySettings: row.privacy_settings,
+    incognito: isIncognito(row)
+  };
+}
+
+// Emit an event to every mutual match of a user
+async function broadcastToMatches(io, userId, event, data) {
+  if (!io) return;
+
+  const matchIds = await getMutualMatchIds(userId);
+  matchIds.forEach(matchId => {
+    io.to(`user_${matchId}`).emit(event, data);
+  });
+}
+
+// Re-announce a user's presence after their privacy settings or incognito mode change
+async function broadcastPresence(io, userId) {
+  if (!io) return;
+
+  const result = await query(
+    `SELECT name, avatar, is_online, last_seen, presence_status, privacy_settings,
+            incognito_mode, is_premium
+     FROM users WHERE id = $1`,
+    [userId]
+  );
+  const user = result.rows[0];
+  if (!user) return;
+
+  const settings = getPrivacySettings(user.privacy_settings);
+  if (user.is_online && isPresenceVisible(settings, user.presence_status, isIncognito(user))) {
+    await broadcastToMatches(io, userId, 'user_online', {
+      userId,
+      name: user.name,
+      avatar: user.avatar
+    });
+  } else {
+    await broadcastToMatches(io, userId, 'user_offline', {
+      userId,
+      name: user.name,
+      lastSeen: settings.show_last_seen ? user.last_seen : null
+    });
+  }
 }
 
 module.exports = {
@@ -510,5 +581,7 @@ module.exports = {
   getUserConnection,
   isUserConnected,
   getConversationParticipants,
-  broadcastToMatches
+  disconnectSessions,
+  broadcastToMatches,
+  broadcastPresence
 };
\ No newline at end of file
@@ -0,0 +1,218 @@
+const AppSetting = require('../models/AppSetting');
+const { getCache, setCache, incrementCounter, decrementCounter } = require('../config/redis');
+
+// Used until the daily_swipe_limits app setting is set; null means unlimited.
+// Only likes and super likes are limited, passes never are.
+const DEFAULT_SWIPE_LIMITS = {
+  free: { likes: 50, super_likes: 1 },
+  premium: { likes: null, super_likes: 5 }
+};
+
+const DEFAULT_TIMEZONE = 'UTC';
+
+// How long a finished quota day is remembered after it ends: longer than the widest gap
+// between two timezones, so switching timezone can't land on a day that was already used
+const QUOTA_DAY_RETENTION = 2 * 24 * 60 * 60;
+
+/**
+ * Whether a string is an IANA timezone this server knows, e.g. "Europe/Paris"
+ * @param {string} timezone - Timezone name
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Milliseconds the timezone is ahead of UTC at the given instant
+function getTimezoneOffset(timezone, date) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric'
+    }).formatToParts(date).map(part => [part.type, part.value])
+  );
+
+  const localAsUtc = Date.UTC(
+    Number(parts.year), Number(parts.month) - 1, Number(parts.day),
+    Number(parts.hour), Number(parts.minute), Number(parts.second)
+  );
+  return localAsUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * The user's current quota day and when it ends (midnight in their timezone)
+ * @param {string} timezone - IANA timezone, UTC if unset or unknown
+ * @param {Date} now - Defaults to the current time
+ * @returns {{ day: string, resetAt: Date }} - day is the local date as YYYY-MM-DD
+ */
+function getQuotaWindow(timezone, now = new Date()) {
+  const zone = timezone && isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE;
+  const local = new Date(now.getTime() + getTimezoneOffset(zone, now));
+  const day = local.toISOString().slice(0, 10);
+
+  // Local midnight tomorrow, corrected for a DST change in between
+  const nextMidnight = Date.UTC(local.getUTCFullYear(), local.getUTCMonth(), local.getUTCDate() + 1);
+  const guess = nextMidnight - getTimezoneOffset(zone, now);
+  const resetAt = new Date(nextMidnight - getTimezoneOffset(zone, new Date(guess)));
+
+  return { day, resetAt };
+}
+
+/**
+ * Daily limits for a user's plan, with any app_settings overrides applied
+ * @param {boolean} isPremium - Whether the user has premium
+ * @returns {Promise<{ likes: number|null, super_likes: number|null }>} - null means unlimited
+ */
+async function getSwipeLimits(isPremium) {
+  const plan = isPremium ? 'premium' : 'free';
+  const overrides = await AppSetting.get('daily_swipe_limits', {});
+  return { ...DEFAULT_SWIPE_LIMITS[plan], ...overrides?.[plan] };
+}
+
+const quotaKey = (userId, action, day) => `swipe_quota:${userId}:${action}:${day}`;
+const quotaDayKey = (userId) => `swipe_quota_day:${userId}`;
+
+/**
+ * The quota day a user is on. A day lasts until its midnight in the timezone it started in,
+ * so changing timezone mid-day doesn't switch to another day's counters; and a new day must
+ * come after the last one, so changing timezone never goes back to a day already used.
+ * @param {{ id: string, timezone: string }} user - req.user
+ * @param {Date} now - Defaults to the current time
+ * @returns {Promise<{ day: string, resetAt: Date, startedAt: Date }>}
+ */
+async function getCurrentQuotaDay(user, now = new Date()) {
+  const previous = await getCache(quotaDayKey(user.id));
+  if (previous && new Date(previous.resetAt) > now) {
+    return { day: previous.day, resetAt: new Date(previous.resetAt), startedAt: new Date(previous.startedAt) };
+  }
+
+  let window = getQuotaWindow(user.timezone, now);
+  while (previous && window.day <= previous.day) {
+    window = getQuotaWindow(user.timezone, window.resetAt);
+  }
+
+  const current = { day: window.day, resetAt: window.resetAt, startedAt: now };
+  const ttl = Math.ceil((current.resetAt.getTime() - now.getTime()) / 1000) + QUOTA_DAY_RETENTION;
+  await setCache(quotaDayKey(user.id), current, ttl);
+
+  return current;
+}
+
+/**
+ * Error thrown by consumeSwipeQuota when the quota counter can't be read
+ * @returns {Error} - with code SWIPE_QUOTA_UNAVAILABLE
+ */
+function swipeQuotaUnavailableError() {
+  const error = new Error('Swipes are unavailable right now, please try again shortly');
+  error.code = 'SWIPE_QUOTA_UNAVAILABLE';
+  return error;
+}
+
+/**
+ * Use up one like or super like from today's quota. Throws SWIPE_QUOTA_UNAVAILABLE if the
+ * counter can't be updated.
+ * @param {{ id: string, isPremium: boolean, timezone: string }} user - req.user
+ * @param {string} action - 'likes' or 'super_likes'
+ * @returns {Promise<{ allowed: boolean, limit: number|null, remaining: number|null, resetAt: Date }>}
+ */
+async function consumeSwipeQuota(user, action) {
+  const limit = (await getSwipeLimits(user.isPremium))[action];
+  const { day, resetAt } = await getCurrentQuotaDay(user);
+
+  if (limit === null || limit === undefined) {
+    return { allowed: true, limit: null, remaining: null, resetAt };
+  }
+
+  const key = quotaKey(user.id, action, day);
+  const ttl = Math.ceil((resetAt.getTime() - Date.now()) / 1000);
+  const used = await incrementCounter(key, ttl);
+  // incrementCounter returns 0 when Redis fails; without a count the swipe can't be allowed
+  if (used === 0) {
+    throw swipeQuotaUnavailableError();
+  }
+
+  if (used > limit) {
+    await decrementCounter(key);
+    return { allowed: false, limit, remaining: 0, resetAt };
+  }
+
+  return { allowed: true, limit, remaining: Math.max(limit - used, 0), resetAt };
+}
+
+/**
+ * Give back a like or super like, e.g. when the swipe failed or was rewound. Swipes from an
+ * earlier quota day are not given back, since that day's quota has already been reset.
+ * @param {{ id: string, timezone: string }} user - req.user
+ * @param {string} action - 'likes' or 'super_likes'
+ * @param {Date} swipedAt - When the swipe was made; defaults to now
+ */
+async function releaseSwipeQuota(user, action, swipedAt = new Date()) {
+  const { day, startedAt } = await getCurrentQuotaDay(user);
+  if (new Date(swipedAt) < startedAt) return;
+
+  await decrementCounter(quotaKey(user.id, action, day));
+}
+
+/**
+ * 429 body for a swipe over the daily limit
+ * @param {string} action - 'likes' or 'super_likes'
+ * @param {Object} quota - Result of consumeSwipeQuota
+ * @returns {Object}
+ */
+function swipeLimitResponse(action, quota) {
+  return {
+    message: action === 'super_likes'
+      ? 'You\'ve used all of today\'s super likes'
+      : 'You\'ve used all of today\'s likes',
+    code: 'SWIPE_LIMIT_REACHED',
+    action,
+    limit: quota.limit,
+    resetAt: quota.resetAt,
+    retryAfter: Math.ceil((quota.resetAt.getTime() - Date.now()) / 1000)
+  };
+}
+
+/**
+ * What is left of today's quotas, for /api/auth/me
+ * @param {{ id: string, isPremium: boolean, timezone: string }} user - req.user
+ * @returns {Promise<Object>} - { likes: { limit, remaining }, superLikes: { limit, remaining }, resetAt }
+ */
+async function getSwipeQuotas(user) {
+  const limits = await getSwipeLimits(user.isPremium);
+  const { day, resetAt } = await getCurrentQuotaDay(user);
+
+  const remaining = async (action) => {
+    if (limits[action] === null || limits[action] === undefined) return null;
+    const used = Number(await getCache(quotaKey(user.id, action, day))) || 0;
+    return Math.max(limits[action] - used, 0);
+  };
+
+  return {
+    likes: { limit: limits.likes ?? null, remaining: await remaining('likes') },
+    superLikes: { limit: limits.super_likes ?? null, remaining: await remaining('super_likes') },
+    resetAt
+  };
+}
+
+module.exports = {
+  DEFAULT_SWIPE_LIMITS,
+  isValidTimezone,
+  getQuotaWindow,
+  getCurrentQuotaDay,
+  getSwipeLimits,
+  consumeSwipeQuota,
+  releaseSwipeQuota,
+  swipeLimitResponse,
+  getSwipeQuotas
+};
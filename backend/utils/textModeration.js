@@ -0,0 +1,57 @@
+// Terms that are never allowed in user-written profile text
+const BLOCKED_TERMS = [
+  'fuck', 'shit', 'cunt', 'bitch', 'whore', 'slut', 'nigger', 'nigga', 'faggot', 'retard',
+  'rape', 'pedo', 'escort', 'onlyfans', 'sugar daddy', 'sugar baby'
+];
+
+// Profiles are for meeting here; moving people to other channels is how most scams start
+const CONTACT_PATTERNS = [
+  { reason: 'email', pattern: /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/i },
+  { reason: 'phone_number', pattern: /(?:\+?\d[\s().-]?){8,}/ },
+  { reason: 'link', pattern: /\b(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(?:com|net|org|io|me|ly)\b/i },
+  { reason: 'social_handle', pattern: /\b(?:snap(?:chat)?|insta(?:gram)?|ig|telegram|whatsapp|kik|tiktok)\b\s*(?:[:-]\s*@?|@)\w+/i }
+];
+
+// Undo the usual tricks for dodging a word list: leetspeak, repeated letters and separators
+function normalise(text) {
+  return text
+    .toLowerCase()
+    .replace(/[@4]/g, 'a')
+    .replace(/3/g, 'e')
+    .replace(/[1!|]/g, 'i')
+    .replace(/0/g, 'o')
+    .replace(/[$5]/g, 's')
+    .replace(/(.)\1{2,}/g, '$1$1')
+    .replace(/[^a-z\s]/g, '');
+}
+
+/**
+ * Check user-written profile text before it is stored
+ * @param {string} text - Text to check
+ * @returns {{ approved: boolean, reasons: string[] }} - reasons lists every rule the text broke
+ */
+function moderateText(text) {
+  const reasons = [];
+  if (!text) return { approved: true, reasons };
+
+  const normalised = normalise(text);
+  const words = normalised.split(/\s+/);
+  const hasBlockedTerm = BLOCKED_TERMS.some(term =>
+    term.includes(' ') ? normalised.includes(term) : words.some(word => word.startsWith(term))
+  );
+  if (hasBlockedTerm) {
+    reasons.push('offensive_language');
+  }
+
+  for (const { reason, pattern } of CONTACT_PATTERNS) {
+    if (pattern.test(text)) {
+      reasons.push(reason);
+    }
+  }
+
+  return { approved: reasons.length === 0, reasons };
+}
+
+module.exports = {
+  moderateText
+};
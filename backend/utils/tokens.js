@@ -0,0 +1,73 @@
+const crypto = require('crypto');
+
+/**
+ * Hash a token for storage. Raw tokens are only ever sent to the user,
+ * the database keeps the SHA-256 digest.
+ * @param {string} token - Raw token
+ * @returns {string} - Hex encoded SHA-256 hash
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+/**
+ * Generate a random URL-safe token together with its hash
+ * @param {number} bytes - Number of random bytes
+ * @returns {{ token: string, hash: string }}
+ */
+function generateSecureToken(bytes = 32) {
+  const token = crypto.randomBytes(bytes).toString('hex');
+  return { token, hash: hashToken(token) };
+}
+
+/**
+ * Generate a short numeric code for manual entry (e.g. emailed reset codes)
+ * @param {number} digits - Number of digits
+ * @returns {string} - Zero-padded numeric code
+ */
+function generateNumericCode(digits = 6) {
+  return crypto.randomInt(0, 10 ** digits).toString().padStart(digits, '0');
+}
+
+// AES-256-GCM key for secrets we must be able to read back (e.g. TOTP seeds)
+function getEncryptionKey() {
+  const secret = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('TWO_FACTOR_ENCRYPTION_KEY or JWT_SECRET must be set');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+}
+
+/**
+ * Encrypt a secret for storage
+ * @param {string} plaintext - Secret to encrypt
+ * @returns {string} - "iv:authTag:ciphertext", base64 encoded parts
+ */
+function encryptSecret(plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  const ciphertext = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+}
+
+/**
+ * Decrypt a secret produced by encryptSecret
+ * @param {string} payload - "iv:authTag:ciphertext"
+ * @returns {string} - Plaintext secret
+ */
+function decryptSecret(payload) {
+  const [iv, authTag, ciphertext] = String(payload).split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+  decipher.setAuthTag(authTag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+}
+
+module.exports = {
+  hashToken,
+  generateSecureToken,
+  generateNumericCode,
+  encryptSecret,
+  decryptSecret
+};
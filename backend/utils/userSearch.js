@@ -0,0 +1,51 @@
+const SEARCH_MIN_QUERY_LENGTH = 2;
+const SEARCH_MAX_LIMIT = 50;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Turn free text into a prefix tsquery, so "jo sm" matches "John Smith" as it is typed
+ * @param {string} text - Search text
+ * @returns {string|null} - to_tsquery input, or null if nothing searchable is left
+ */
+function buildPrefixQuery(text) {
+  const terms = text
+    .toLowerCase()
+    .match(/[\p{L}\p{N}_]+/gu);
+
+  if (!terms) return null;
+
+  return terms.slice(0, 8).map(term => `${term}:*`).join(' & ');
+}
+
+/**
+ * Opaque keyset cursor for the next page of results
+ * @param {{ rank: string, id: string }} row - Last row on the current page
+ * @returns {string}
+ */
+function encodeCursor(row) {
+  return Buffer.from(JSON.stringify({ rank: row.rank, id: row.id })).toString('base64url');
+}
+
+/**
+ * Read a cursor made by encodeCursor
+ * @param {string} cursor - Cursor from a previous page
+ * @returns {{ rank: string, id: string }|null} - null if the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const { rank, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!/^\d+(\.\d+)?$/.test(String(rank)) || !UUID_PATTERN.test(id)) return null;
+
+    return { rank: String(rank), id };
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  SEARCH_MIN_QUERY_LENGTH,
+  SEARCH_MAX_LIMIT,
+  buildPrefixQuery,
+  encodeCursor,
+  decodeCursor
+};
@@ -4,12 +4,13 @@
 -- Enable UUID extension
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 CREATE EXTENSION IF NOT EXISTS "postgis"; -- For location-based features
+CREATE EXTENSION IF NOT EXISTS "pg_trgm"; -- Typo-tolerant user search
 
 -- Users table
 CREATE TABLE users (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     email VARCHAR(255) UNIQUE NOT NULL,
-    password_hash VARCHAR(255) NOT NULL,
+    password_hash VARCHAR(255), -- NULL for accounts that only use Google/Facebook sign-in
     name VARCHAR(100) NOT NULL,
     username VARCHAR(50) UNIQUE,
     avatar TEXT,
@@ -21,6 +22,11 @@ CREATE TABLE users (
     latitude DECIMAL(10, 8),
     longitude DECIMAL(11, 8),
     location_updated_at TIMESTAMP,
+    travel_latitude DECIMAL(10, 8), -- travel mode (premium): match from here instead of latitude/longitude
+    travel_longitude DECIMAL(11, 8),
+    travel_location_name VARCHAR(255),
+    travel_started_at TIMESTAMP,
+    timezone VARCHAR(64) DEFAULT 'UTC', -- IANA name; daily swipe limits reset at midnight here
     max_distance INTEGER DEFAULT 50, -- km
     age_range_min INTEGER DEFAULT 18,
     age_range_max INTEGER DEFAULT 99,
@@ -32,37 +38,155 @@ CREATE TABLE users (
     last_seen TIMESTAMP DEFAULT NOW(),
     is_premium BOOLEAN DEFAULT false,
     premium_expires_at TIMESTAMP,
+    incognito_mode BOOLEAN DEFAULT false,
+    photo_verified BOOLEAN DEFAULT false,
+    photo_verified_at TIMESTAMP,
+    desirability_score DOUBLE PRECISION DEFAULT 1000, -- Elo-style rating learned from likes and passes, used to rank Discover
     push_token TEXT,
     notification_settings JSONB DEFAULT '{"messages": true, "matches": true, "calls": true, "marketing": false}',
-    privacy_settings JSONB DEFAULT '{"show_distance": true, "show_last_seen": true, "show_online_status": true}',
+    privacy_settings JSONB DEFAULT '{"show_distance": true, "show_location": true, "show_last_seen": true, "show_online_status": true, "read_receipts": true, "profile_visibility": "everyone"}',
     verification_token VARCHAR(255),
+    verification_token_expires TIMESTAMP,
     password_reset_token VARCHAR(255),
     password_reset_expires TIMESTAMP,
+    password_changed_at TIMESTAMP,
+    token_version INTEGER NOT NULL DEFAULT 0, -- bumped on password change; access tokens carrying an older one are rejected
     login_attempts INTEGER DEFAULT 0,
     locked_until TIMESTAMP,
+    google_id VARCHAR(255) UNIQUE,
+    facebook_id VARCHAR(255) UNIQUE,
+    two_factor_enabled BOOLEAN DEFAULT false,
+    two_factor_secret TEXT, -- AES-GCM encrypted TOTP seed; set (but not enabled) during enrolment
+    two_factor_enabled_at TIMESTAMP,
+    two_factor_last_step BIGINT, -- last accepted TOTP time step, blocks code replay
+    deleted_at TIMESTAMP, -- deletion requested; signing in before deletion_scheduled_for cancels it
+    deletion_scheduled_for TIMESTAMP,
+    anonymized_at TIMESTAMP, -- set by the purge job once PII and media are removed
+    profile_completion_rewarded_at TIMESTAMP, -- one-time coin bonus for a 100% complete profile
+    under_review_at TIMESTAMP, -- set once enough people report the user; profile edits are blocked until a moderator clears it
+    search_document TSVECTOR, -- user search: name and username, interests, bio; kept current by triggers below
     created_at TIMESTAMP DEFAULT NOW(),
     updated_at TIMESTAMP DEFAULT NOW()
 );
 
+-- Bring databases created before these columns existed up to date
+ALTER TABLE users ALTER COLUMN password_hash DROP NOT NULL;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS travel_latitude DECIMAL(10, 8);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS travel_longitude DECIMAL(11, 8);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS travel_location_name VARCHAR(255);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS travel_started_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) DEFAULT 'UTC';
+ALTER TABLE users ADD COLUMN IF NOT EXISTS incognito_mode BOOLEAN DEFAULT false;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS photo_verified BOOLEAN DEFAULT false;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS photo_verified_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS desirability_score DOUBLE PRECISION DEFAULT 1000;
+ALTER TABLE users ALTER COLUMN privacy_settings SET DEFAULT '{"show_distance": true, "show_location": true, "show_last_seen": true, "show_online_status": true, "read_receipts": true, "profile_visibility": "everyone"}';
+ALTER TABLE users ADD COLUMN IF NOT EXISTS verification_token_expires TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS token_version INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS google_id VARCHAR(255) UNIQUE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS facebook_id VARCHAR(255) UNIQUE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_enabled BOOLEAN DEFAULT false;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_secret TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_enabled_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS two_factor_last_step BIGINT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deletion_scheduled_for TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS anonymized_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS profile_completion_rewarded_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS under_review_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS search_document TSVECTOR;
+
 -- Create indexes for users table
 CREATE INDEX idx_users_email ON users(email);
 CREATE INDEX idx_users_username ON users(username);
-CREATE INDEX idx_users_location ON users USING GIST (ST_MakePoint(longitude, latitude));
+CREATE INDEX idx_users_username_trgm ON users USING GIN (username gin_trgm_ops);
+-- Full name as written in User.searchUsers, so the similarity match can use it
+CREATE INDEX idx_users_full_name_trgm ON users USING GIN ((COALESCE(first_name, '') || ' ' || COALESCE(last_name, '')) gin_trgm_ops);
+CREATE INDEX idx_users_search_document ON users USING GIN (search_document);
+-- Matching location (travel mode while premium, else home); must stay in sync with utils/geo.js matchLocationSql
+DROP INDEX IF EXISTS idx_users_location; -- home location only, replaced by idx_users_match_location
+CREATE INDEX IF NOT EXISTS idx_users_match_location ON users USING GIST ((ST_SetSRID(ST_MakePoint(
+    COALESCE(CASE WHEN is_premium THEN travel_longitude END, longitude),
+    COALESCE(CASE WHEN is_premium THEN travel_latitude END, latitude)
+), 4326)::geography));
 CREATE INDEX idx_users_is_verified ON users(is_verified);
+CREATE INDEX idx_users_photo_verified ON users(photo_verified) WHERE photo_verified = true;
 CREATE INDEX idx_users_is_online ON users(is_online);
+CREATE INDEX idx_users_under_review ON users(under_review_at) WHERE under_review_at IS NOT NULL;
+CREATE INDEX idx_users_deletion_scheduled_for ON users(deletion_scheduled_for) WHERE deleted_at IS NOT NULL;
 CREATE INDEX idx_users_gender ON users(gender);
 CREATE INDEX idx_users_age ON users(date_of_birth);
+CREATE INDEX idx_users_verification_token ON users(verification_token);
+
+-- Hashed one-time 2FA recovery codes
+CREATE TABLE two_factor_recovery_codes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(255) NOT NULL,
+    used_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_two_factor_recovery_codes_user_id ON two_factor_recovery_codes(user_id);
+
+-- Interest catalogue: categories and the interests users pick from
+CREATE TABLE interest_categories (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(50) UNIQUE NOT NULL,
+    icon VARCHAR(50), -- Ionicons name
+    sort_order INTEGER DEFAULT 0
+);
+
+CREATE TABLE interests (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) UNIQUE NOT NULL,
+    category_id INTEGER REFERENCES interest_categories(id) ON DELETE SET NULL,
+    is_active BOOLEAN DEFAULT true, -- retired interests stay on profiles but can't be picked
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_interests_category_id ON interests(category_id);
+CREATE INDEX idx_interests_name_lower ON interests(LOWER(name));
 
 -- User interests table
 CREATE TABLE user_interests (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     user_id UUID REFERENCES users(id) ON DELETE CASCADE,
-    interest VARCHAR(100) NOT NULL,
-    created_at TIMESTAMP DEFAULT NOW()
+    interest_id INTEGER NOT NULL REFERENCES interests(id) ON DELETE CASCADE,
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE(user_id, interest_id)
 );
 
+-- Free-text interests from before the catalogue are mapped onto it after the seeds below
+ALTER TABLE user_interests ADD COLUMN IF NOT EXISTS interest_id INTEGER REFERENCES interests(id) ON DELETE CASCADE;
+
 CREATE INDEX idx_user_interests_user_id ON user_interests(user_id);
-CREATE INDEX idx_user_interests_interest ON user_interests(interest);
+CREATE INDEX idx_user_interests_interest_id ON user_interests(interest_id);
+CREATE INDEX idx_user_interests_created_at ON user_interests(created_at);
+
+-- Profile prompts: questions users answer on their profile (up to three each)
+CREATE TABLE profile_prompts (
+    id SERIAL PRIMARY KEY,
+    question VARCHAR(150) UNIQUE NOT NULL,
+    is_active BOOLEAN DEFAULT true,
+    sort_order INTEGER DEFAULT 0,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE TABLE profile_prompt_answers (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    prompt_id INTEGER NOT NULL REFERENCES profile_prompts(id) ON DELETE CASCADE,
+    answer VARCHAR(300) NOT NULL,
+    position SMALLINT NOT NULL CHECK (position BETWEEN 0 AND 2),
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE(user_id, prompt_id),
+    UNIQUE(user_id, position) DEFERRABLE INITIALLY DEFERRED
+);
+
+CREATE INDEX idx_profile_prompt_answers_user_id ON profile_prompt_answers(user_id);
 
 -- User photos table
 CREATE TABLE user_photos (
@@ -122,16 +246,33 @@ CREATE TABLE messages (
     media_metadata JSONB,
     translation JSONB, -- Store translations in different languages
     reply_to_message_id UUID REFERENCES messages(id),
+    quote JSONB, -- prompt answer this message responds to: {answerId, question, answer}
     is_edited BOOLEAN DEFAULT false,
     created_at TIMESTAMP DEFAULT NOW(),
     updated_at TIMESTAMP DEFAULT NOW()
 );
 
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS quote JSONB;
+
 CREATE INDEX idx_messages_conversation_id ON messages(conversation_id);
 CREATE INDEX idx_messages_sender_id ON messages(sender_id);
 CREATE INDEX idx_messages_created_at ON messages(created_at);
 CREATE INDEX idx_messages_type ON messages(type);
 
+-- Likes and comments on a prompt answer; each opens a conversation quoting the answer
+CREATE TABLE prompt_answer_reactions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    answer_id UUID REFERENCES profile_prompt_answers(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(10) NOT NULL CHECK (type IN ('like', 'comment')),
+    comment VARCHAR(500),
+    conversation_id UUID REFERENCES conversations(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT NOW(),
+    UNIQUE(answer_id, user_id)
+);
+
+CREATE INDEX idx_prompt_answer_reactions_answer_id ON prompt_answer_reactions(answer_id);
+
 -- Message reads table
 CREATE TABLE message_reads (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -181,7 +322,7 @@ CREATE INDEX idx_calls_created_at ON calls(created_at);
 CREATE TABLE coin_transactions (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
     user_id UUID REFERENCES users(id) ON DELETE CASCADE,
-    type VARCHAR(50) NOT NULL CHECK (type IN ('purchase', 'daily_reward', 'referral', 'message', 'call', 'boost', 'premium_match', 'refund')),
+    type VARCHAR(50) NOT NULL CHECK (type IN ('purchase', 'daily_reward', 'referral', 'message', 'call', 'boost', 'premium_match', 'refund', 'rewind', 'welcome_bonus', 'login_bonus', 'profile_completion')),
     amount INTEGER NOT NULL, -- positive for earning, negative for spending
     description TEXT,
     reference_id UUID, -- Reference to related entity (call_id, message_id, etc.)
@@ -189,6 +330,9 @@ CREATE TABLE coin_transactions (
     created_at TIMESTAMP DEFAULT NOW()
 );
 
+ALTER TABLE coin_transactions DROP CONSTRAINT IF EXISTS coin_transactions_type_check;
+ALTER TABLE coin_transactions ADD CONSTRAINT coin_transactions_type_check CHECK (type IN ('purchase', 'daily_reward', 'referral', 'message', 'call', 'boost', 'premium_match', 'refund', 'rewind', 'welcome_bonus', 'login_bonus', 'profile_completion'));
+
 CREATE INDEX idx_coin_transactions_user_id ON coin_transactions(user_id);
 CREATE INDEX idx_coin_transactions_type ON coin_transactions(type);
 CREATE INDEX idx_coin_transactions_created_at ON coin_transactions(created_at);
@@ -252,15 +396,31 @@ CREATE TABLE user_sessions (
     ip_address INET,
     user_agent TEXT,
     is_active BOOLEAN DEFAULT true,
+    revoked_at TIMESTAMP,
+    revoked_reason VARCHAR(50), -- 'logout', 'replaced', 'token_reuse', 'password_reset', ...
     created_at TIMESTAMP DEFAULT NOW(),
     updated_at TIMESTAMP DEFAULT NOW(),
     expires_at TIMESTAMP NOT NULL
 );
 
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMP;
+ALTER TABLE user_sessions ADD COLUMN IF NOT EXISTS revoked_reason VARCHAR(50);
+
 CREATE INDEX idx_user_sessions_user_id ON user_sessions(user_id);
 CREATE INDEX idx_user_sessions_token ON user_sessions(session_token);
 CREATE INDEX idx_user_sessions_active ON user_sessions(is_active);
 CREATE INDEX idx_user_sessions_expires_at ON user_sessions(expires_at);
+CREATE INDEX idx_user_sessions_device ON user_sessions(user_id, device_id);
+
+-- Rotated-out refresh tokens (session_token holds the current one), kept for reuse detection
+CREATE TABLE refresh_token_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    session_id UUID REFERENCES user_sessions(id) ON DELETE CASCADE,
+    token_hash VARCHAR(255) UNIQUE NOT NULL,
+    rotated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_refresh_token_history_session_id ON refresh_token_history(session_id);
 
 -- Push notifications table
 CREATE TABLE push_notifications (
@@ -294,6 +454,35 @@ CREATE INDEX idx_user_activity_log_user_id ON user_activity_log(user_id);
 CREATE INDEX idx_user_activity_log_type ON user_activity_log(activity_type);
 CREATE INDEX idx_user_activity_log_created_at ON user_activity_log(created_at);
 
+-- Personal data exports (GDPR "download my data")
+CREATE TABLE data_exports (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'ready', 'failed', 'expired')),
+    file_path TEXT, -- server-side path of the ZIP, never served statically
+    file_size BIGINT,
+    error TEXT,
+    completed_at TIMESTAMP,
+    expires_at TIMESTAMP, -- archive is deleted after this
+    downloaded_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW(),
+    updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_data_exports_user_id ON data_exports(user_id);
+CREATE INDEX idx_data_exports_status ON data_exports(status);
+
+-- Audit trail for account deletion (request, cancellation and each purge step)
+CREATE TABLE account_deletion_audit (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    step VARCHAR(50) NOT NULL,
+    details JSONB,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_account_deletion_audit_user_id ON account_deletion_audit(user_id);
+
 -- Admin users table
 CREATE TABLE admin_users (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -312,6 +501,55 @@ CREATE INDEX idx_admin_users_email ON admin_users(email);
 CREATE INDEX idx_admin_users_role ON admin_users(role);
 CREATE INDEX idx_admin_users_active ON admin_users(is_active);
 
+-- Selfie verification requests, reviewed by moderators
+CREATE TABLE photo_verifications (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    pose VARCHAR(50) NOT NULL,
+    selfie_path TEXT NOT NULL,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+    rejection_reason VARCHAR(255),
+    reviewed_by UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_photo_verifications_user_id ON photo_verifications(user_id);
+CREATE INDEX idx_photo_verifications_status ON photo_verifications(status, created_at);
+-- At most one request per user waiting for review
+CREATE UNIQUE INDEX idx_photo_verifications_one_pending ON photo_verifications(user_id) WHERE status = 'pending';
+
+-- Per-field history of profile edits, so moderators can spot identities being rotated
+CREATE TABLE profile_change_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    field VARCHAR(50) NOT NULL CHECK (field IN ('username', 'first_name', 'last_name', 'bio', 'photo')),
+    old_value TEXT,
+    new_value TEXT,
+    moderation_status VARCHAR(20) DEFAULT 'approved' CHECK (moderation_status IN ('approved', 'pending', 'rejected')),
+    moderation_reasons JSONB,
+    reviewed_by UUID REFERENCES admin_users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_profile_change_history_user_field ON profile_change_history(user_id, field, created_at);
+CREATE INDEX idx_profile_change_history_pending ON profile_change_history(created_at) WHERE moderation_status = 'pending';
+
+-- Every like, super like and pass, so the latest one can be rewound
+CREATE TABLE swipe_history (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    swiper_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    target_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('like', 'super_like', 'pass')),
+    previous_action VARCHAR(20) CHECK (previous_action IN ('like', 'super_like', 'pass')), -- NULL if there was no earlier swipe
+    desirability_change DOUBLE PRECISION DEFAULT 0,
+    rewound_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX idx_swipe_history_swiper ON swipe_history(swiper_id, created_at DESC) WHERE rewound_at IS NULL;
+
 -- App settings table
 CREATE TABLE app_settings (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -343,6 +581,8 @@ CREATE TRIGGER update_conversations_updated_at BEFORE UPDATE ON conversations FO
 CREATE TRIGGER update_messages_updated_at BEFORE UPDATE ON messages FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_reports_updated_at BEFORE UPDATE ON reports FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_user_sessions_updated_at BEFORE UPDATE ON user_sessions FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_profile_prompt_answers_updated_at BEFORE UPDATE ON profile_prompt_answers FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_data_exports_updated_at BEFORE UPDATE ON data_exports FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_admin_users_updated_at BEFORE UPDATE ON admin_users FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 CREATE TRIGGER update_app_settings_updated_at BEFORE UPDATE ON app_settings FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
@@ -391,9 +631,173 @@ INSERT INTO app_settings (setting_key, setting_value, description) VALUES
 ('daily_reward', '{"base_amount": 10, "streak_bonuses": {"7": 5, "30": 10}}', 'Daily login reward settings'),
 ('message_costs', '{"text": 1, "media": 2}', 'Cost in coins for different message types'),
 ('call_costs', '{"voice": 3, "video": 5}', 'Cost in coins for different call types'),
-('max_matches_per_day', '50', 'Maximum number of matches a user can make per day'),
+('daily_swipe_limits', '{"free": {"likes": 50, "super_likes": 1}, "premium": {"likes": null, "super_likes": 5}}', 'Likes and super likes per day (null is unlimited), reset at midnight in each user''s timezone'),
 ('verification_required', 'true', 'Whether users need to be verified to use the app'),
-('maintenance_mode', 'false', 'Whether the app is in maintenance mode');
+('maintenance_mode', 'false', 'Whether the app is in maintenance mode'),
+('max_interests_per_user', '10', 'Maximum number of interests a user can add to their profile'),
+('profile_review_report_threshold', '3', 'Pending reports from different people that put an account under review'),
+('discover_signal_weights', '{"sharedInterests": 0.25, "languageOverlap": 0.1, "activityRecency": 0.15, "replyRate": 0.15, "preferenceFit": 0.15, "desirability": 0.1, "distance": 0.1}', 'Weight of each signal in the Discover ranking'),
+('rewind_settings', '{"window_minutes": 5, "coin_cost": 5}', 'How long after a swipe it can be rewound, and what a rewind costs without premium')
+ON CONFLICT (setting_key) DO NOTHING;
+
+-- max_matches_per_day used to hold the free daily like limit; carry it over to daily_swipe_limits
+UPDATE app_settings s
+SET setting_value = jsonb_set(s.setting_value, '{free,likes}', old.setting_value)
+FROM app_settings old
+WHERE s.setting_key = 'daily_swipe_limits'
+  AND old.setting_key = 'max_matches_per_day'
+  AND jsonb_typeof(old.setting_value) = 'number';
+DELETE FROM app_settings WHERE setting_key = 'max_matches_per_day';
+
+-- Seed the profile prompt catalogue
+INSERT INTO profile_prompts (question, sort_order) VALUES
+('My ideal weekend…', 1),
+('The way to win me over is…', 2),
+('I''m weirdly attracted to…', 3),
+('My most irrational fear…', 4),
+('A life goal of mine…', 5),
+('Two truths and a lie…', 6),
+('The best trip I''ve taken…', 7),
+('I geek out on…', 8),
+('My simple pleasures…', 9),
+('We''ll get along if…', 10),
+('The last song I had on repeat…', 11),
+('My go-to karaoke song…', 12)
+ON CONFLICT (question) DO NOTHING;
+
+-- Seed the interest catalogue
+INSERT INTO interest_categories (name, icon, sort_order) VALUES
+('Arts & Culture', 'color-palette-outline', 1),
+('Music & Entertainment', 'musical-notes-outline', 2),
+('Sports & Fitness', 'barbell-outline', 3),
+('Food & Drink', 'restaurant-outline', 4),
+('Travel & Outdoors', 'airplane-outline', 5),
+('Technology & Science', 'hardware-chip-outline', 6),
+('Lifestyle', 'leaf-outline', 7),
+('Learning & Career', 'school-outline', 8)
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO interests (name, category_id)
+SELECT i.name, c.id
+FROM (VALUES
+    ('Art', 'Arts & Culture'), ('Photography', 'Arts & Culture'), ('Writing', 'Arts & Culture'),
+    ('Books', 'Arts & Culture'), ('History', 'Arts & Culture'), ('Fashion', 'Arts & Culture'),
+    ('Music', 'Music & Entertainment'), ('Movies', 'Music & Entertainment'), ('Dancing', 'Music & Entertainment'),
+    ('Gaming', 'Music & Entertainment'), ('Concerts', 'Music & Entertainment'), ('Podcasts', 'Music & Entertainment'),
+    ('Sports', 'Sports & Fitness'), ('Fitness', 'Sports & Fitness'), ('Running', 'Sports & Fitness'),
+    ('Yoga', 'Sports & Fitness'), ('Football', 'Sports & Fitness'), ('Cycling', 'Sports & Fitness'),
+    ('Food', 'Food & Drink'), ('Cooking', 'Food & Drink'), ('Coffee', 'Food & Drink'),
+    ('Wine', 'Food & Drink'), ('Baking', 'Food & Drink'),
+    ('Travel', 'Travel & Outdoors'), ('Nature', 'Travel & Outdoors'), ('Hiking', 'Travel & Outdoors'),
+    ('Camping', 'Travel & Outdoors'), ('Beach', 'Travel & Outdoors'),
+    ('Technology', 'Technology & Science'), ('Science', 'Technology & Science'), ('Cars', 'Technology & Science'),
+    ('Space', 'Technology & Science'),
+    ('Pets', 'Lifestyle'), ('Health', 'Lifestyle'), ('Volunteering', 'Lifestyle'), ('Meditation', 'Lifestyle'),
+    ('Gardening', 'Lifestyle'),
+    ('Languages', 'Learning & Career'), ('Business', 'Learning & Career'), ('Education', 'Learning & Career'),
+    ('Entrepreneurship', 'Learning & Career')
+) AS i(name, category)
+JOIN interest_categories c ON c.name = i.category
+ON CONFLICT (name) DO NOTHING;
+
+-- Map free-text user_interests rows from before the catalogue onto it. Names the catalogue
+-- doesn't have are kept as retired interests so nobody loses them. to_jsonb reads the old
+-- column without naming it, so these are no-ops on databases that never had it.
+INSERT INTO interests (name, is_active)
+SELECT DISTINCT ON (LOWER(legacy.name)) legacy.name, false
+FROM (
+    SELECT TRIM(to_jsonb(ui) ->> 'interest') AS name
+    FROM user_interests ui
+    WHERE ui.interest_id IS NULL
+) AS legacy
+WHERE legacy.name <> ''
+AND NOT EXISTS (SELECT 1 FROM interests i WHERE LOWER(i.name) = LOWER(legacy.name))
+ON CONFLICT (name) DO NOTHING;
+
+UPDATE user_interests ui
+SET interest_id = i.id
+FROM interests i
+WHERE ui.interest_id IS NULL
+AND LOWER(i.name) = LOWER(TRIM(to_jsonb(ui) ->> 'interest'));
+
+DELETE FROM user_interests WHERE interest_id IS NULL;
+
+DELETE FROM user_interests a
+USING user_interests b
+WHERE a.user_id = b.user_id AND a.interest_id = b.interest_id AND a.id > b.id;
+
+ALTER TABLE user_interests DROP COLUMN IF EXISTS interest;
+ALTER TABLE user_interests ALTER COLUMN interest_id SET NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS user_interests_user_id_interest_id_key ON user_interests(user_id, interest_id);
+
+-- User search document: name and username (weight A), interest names (B), bio (C)
+CREATE OR REPLACE FUNCTION build_user_search_document(
+    target_user_id UUID, user_username TEXT, user_first_name TEXT, user_last_name TEXT, user_bio TEXT
+)
+RETURNS TSVECTOR AS $$
+BEGIN
+    RETURN setweight(to_tsvector('simple',
+               COALESCE(user_username, '') || ' ' || COALESCE(user_first_name, '') || ' ' || COALESCE(user_last_name, '')
+           ), 'A') ||
+           setweight(to_tsvector('simple', COALESCE((
+               SELECT string_agg(i.name, ' ')
+               FROM user_interests ui JOIN interests i ON i.id = ui.interest_id
+               WHERE ui.user_id = target_user_id
+           ), '')), 'B') ||
+           setweight(to_tsvector('simple', COALESCE(user_bio, '')), 'C');
+END;
+$$ language 'plpgsql';
+
+-- Rebuild a user's document when the searchable profile fields change
+CREATE OR REPLACE FUNCTION update_user_search_document()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.search_document = build_user_search_document(NEW.id, NEW.username, NEW.first_name, NEW.last_name, NEW.bio);
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER update_users_search_document
+    BEFORE INSERT OR UPDATE OF username, first_name, last_name, bio ON users
+    FOR EACH ROW EXECUTE FUNCTION update_user_search_document();
+
+-- Rebuild the documents of users whose interests were added, removed or renamed
+CREATE OR REPLACE FUNCTION refresh_interest_search_documents()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_TABLE_NAME = 'interests' THEN
+        UPDATE users u
+        SET search_document = build_user_search_document(u.id, u.username, u.first_name, u.last_name, u.bio)
+        WHERE u.id IN (SELECT ui.user_id FROM user_interests ui WHERE ui.interest_id = NEW.id);
+        RETURN NEW;
+    END IF;
+
+    IF TG_OP IN ('UPDATE', 'DELETE') THEN
+        UPDATE users u
+        SET search_document = build_user_search_document(u.id, u.username, u.first_name, u.last_name, u.bio)
+        WHERE u.id = OLD.user_id;
+    END IF;
+    IF TG_OP IN ('INSERT', 'UPDATE') THEN
+        UPDATE users u
+        SET search_document = build_user_search_document(u.id, u.username, u.first_name, u.last_name, u.bio)
+        WHERE u.id = NEW.user_id;
+    END IF;
+    RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER refresh_user_interests_search_documents
+    AFTER INSERT OR UPDATE OR DELETE ON user_interests
+    FOR EACH ROW EXECUTE FUNCTION refresh_interest_search_documents();
+
+CREATE TRIGGER refresh_interests_search_documents
+    AFTER UPDATE OF name ON interests
+    FOR EACH ROW EXECUTE FUNCTION refresh_interest_search_documents();
+
+-- Fill in documents for users from before the column existed
+UPDATE users
+SET search_document = build_user_search_document(id, username, first_name, last_name, bio)
+WHERE search_document IS NULL;
 
 -- Create initial admin user (password: admin123 - CHANGE THIS!)
 INSERT INTO admin_users (email, password_hash, name, role) VALUES
@@ -411,7 +815,9 @@ SELECT
         u.avatar
     ) as profile_photo,
     (SELECT COUNT(*) FROM user_photos WHERE user_id = u.id) as photo_count,
-    (SELECT array_agg(interest) FROM user_interests WHERE user_id = u.id) as interests
+    (SELECT array_agg(i.name ORDER BY i.name)
+     FROM user_interests ui JOIN interests i ON i.id = ui.interest_id
+     WHERE ui.user_id = u.id) as interests
 FROM users u;
 
 -- View for mutual matches with user details
@@ -62,6 +62,30 @@ const MessageBubble = ({
     );
   };
 
+  // Messages started from a profile prompt quote the answer they respond to
+  const renderQuote = () => {
+    if (!message.quote) return null;
+
+    return (
+      <View
+        style={[
+          styles.quote,
+          { borderLeftColor: isOwnMessage ? 'rgba(255,255,255,0.7)' : colors.primary },
+        ]}
+      >
+        <Text style={[getTextStyle(), styles.quoteQuestion]} numberOfLines={1}>
+          {message.quote.reaction === 'like' ? '♥ ' : ''}
+          {message.quote.question}
+        </Text>
+        {message.quote.answer && (
+          <Text style={[getTextStyle(), styles.quoteAnswer]} numberOfLines={3}>
+            {message.quote.answer}
+          </Text>
+        )}
+      </View>
+    );
+  };
+
   const renderMessageContent = () => {
     switch (message.type) {
       case 'image':
@@ -106,9 +130,14 @@ const MessageBubble = ({
       
       default:
         return (
-          <Text style={[styles.messageText, getTextStyle()]}>
-            {message.content}
-          </Text>
+          <View>
+            {renderQuote()}
+            {!!message.content && (
+              <Text style={[styles.messageText, getTextStyle()]}>
+                {message.content}
+              </Text>
+            )}
+          </View>
         );
     }
   };
@@ -271,6 +300,21 @@ const styles = StyleSheet.create({
     fontSize: 16,
     lineHeight: 22,
   },
+  quote: {
+    borderLeftWidth: 3,
+    paddingLeft: 8,
+    marginBottom: 6,
+    opacity: 0.85,
+  },
+  quoteQuestion: {
+    fontSize: 12,
+    fontWeight: '600',
+    lineHeight: 16,
+  },
+  quoteAnswer: {
+    fontSize: 14,
+    lineHeight: 19,
+  },
   messageImage: {
     width: 200,
     height: 150,
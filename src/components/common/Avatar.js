@@ -21,6 +21,7 @@ const Avatar = ({
   onPress,
   style,
   verified = false,
+  photoVerified = false,
   premium = false,
   onlineIndicator = false,
   ...props
@@ -144,6 +145,34 @@ const Avatar = ({
     );
   };
 
+  // Selfie-verified identity, distinct from the email verified tick
+  const renderPhotoVerifiedBadge = () => {
+    if (!photoVerified) return null;
+
+    const badgeSize = size * 0.3;
+    return (
+      <View
+        style={[
+          styles.badge,
+          {
+            width: badgeSize,
+            height: badgeSize,
+            borderRadius: badgeSize / 2,
+            backgroundColor: colors.success,
+            bottom: -2,
+            left: -2,
+          },
+        ]}
+      >
+        <Ionicons
+          name="shield-checkmark"
+          size={badgeSize * 0.6}
+          color="#FFFFFF"
+        />
+      </View>
+    );
+  };
+
   const renderPremiumBadge = () => {
     if (!premium) return null;
 
@@ -182,6 +211,7 @@ const Avatar = ({
       {renderAvatar()}
       {renderStatusIndicator()}
       {renderVerifiedBadge()}
+      {renderPhotoVerifiedBadge()}
       {renderPremiumBadge()}
     </AvatarComponent>
   );
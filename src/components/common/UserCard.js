@@ -1,4 +1,4 @@
-import React, { useRef, useState } from 'react';
+import React, { useRef, useState, useEffect } from 'react';
 import {
   View,
   Text,
@@ -6,22 +6,38 @@ import {
   Dimensions,
   TouchableOpacity,
   Animated,
+  Image,
 } from 'react-native';
-import { PanGestureHandler, State } from 'react-native-gesture-handler';
+import { PanGestureHandler, State, FlatList } from 'react-native-gesture-handler';
 import { LinearGradient } from 'expo-linear-gradient';
 import { Ionicons } from '@expo/vector-icons';
 import Avatar from './Avatar';
 import { useTheme } from '../../context/ThemeContext';
+import { API_CONFIG } from '../../services/ApiService';
 
 const { width: screenWidth, height: screenHeight } = Dimensions.get('window');
 const CARD_WIDTH = screenWidth * 0.9;
 const CARD_HEIGHT = screenHeight * 0.7;
 
+// Photos stored without Cloudinary come back as /uploads/... paths on the API server
+const resolvePhotoUrl = (url) => (url && url.startsWith('/') ? `${API_CONFIG.BASE_URL}${url}` : url);
+
+const getPhotoUrls = (user) => {
+  if (user.photos && user.photos.length > 0) {
+    return user.photos.map((photo) => resolvePhotoUrl(photo.url || photo.photo_url));
+  }
+
+  const profilePicture = user.profilePicture || user.profile_picture;
+  return profilePicture ? [resolvePhotoUrl(profilePicture)] : [];
+};
+
 const UserCard = ({
   user,
   onSwipeLeft,
   onSwipeRight,
   onPress,
+  onPromptLike,
+  onPromptComment,
   showActions = true,
   compact = false,
   style,
@@ -32,6 +48,19 @@ const UserCard = ({
   const rotate = useRef(new Animated.Value(0)).current;
   const scale = useRef(new Animated.Value(1)).current;
   const [isPressed, setIsPressed] = useState(false);
+  const [photoIndex, setPhotoIndex] = useState(0);
+  const [photoWidth, setPhotoWidth] = useState(0);
+  const carouselRef = useRef(null);
+
+  const photos = getPhotoUrls(user);
+  const prompts = user.prompts || [];
+  // Prompts rotate with the photo carousel so each photo shows a new one
+  const prompt = prompts.length > 0 ? prompts[photoIndex % prompts.length] : null;
+
+  useEffect(() => {
+    setPhotoIndex(0);
+    carouselRef.current?.scrollToOffset({ offset: 0, animated: false });
+  }, [user.id]);
 
   const cardWidth = compact ? CARD_WIDTH * 0.7 : CARD_WIDTH;
   const cardHeight = compact ? CARD_HEIGHT * 0.6 : CARD_HEIGHT;
@@ -134,6 +163,13 @@ const UserCard = ({
     animateSwipe(-screenWidth - 100, 0, () => onSwipeLeft?.(user));
   };
 
+  // Horizontal swipes on the photos page the carousel; swiping the rest of the card likes/passes
+  const handlePhotoScrollEnd = (event) => {
+    if (!photoWidth) return;
+    const index = Math.round(event.nativeEvent.contentOffset.x / photoWidth);
+    setPhotoIndex(Math.max(0, Math.min(photos.length - 1, index)));
+  };
+
   const handlePress = () => {
     setIsPressed(true);
     Animated.sequence([
@@ -182,12 +218,15 @@ const UserCard = ({
   };
 
   const age = calculateAge(user.dateOfBirth || user.date_of_birth);
-  const distance = user.distance ? `${Math.round(user.distance)}km away` : null;
+  const photoVerified = user.photoVerified || user.photo_verified;
+  // The API sends a bucket such as "< 5 km", never the exact distance
+  const distance = user.distance ? `${user.distance} away` : null;
 
   return (
     <PanGestureHandler
       onGestureEvent={onGestureEvent}
       onHandlerStateChange={onHandlerStateChange}
+      waitFor={carouselRef}
     >
       <Animated.View style={[styles.container, cardStyle, style]}>
         <TouchableOpacity
@@ -196,18 +235,39 @@ const UserCard = ({
           activeOpacity={0.95}
         >
           {/* Background Image or Avatar */}
-          <View style={[styles.imageContainer, { borderRadius: borderRadius.xlarge }]}>
-            {user.profilePicture || user.profile_picture ? (
-              <Avatar
-                source={{ uri: user.profilePicture || user.profile_picture }}
-                size={cardWidth * 0.8}
-                style={styles.mainAvatar}
+          <View
+            style={[styles.imageContainer, { borderRadius: borderRadius.xlarge }]}
+            onLayout={(event) => setPhotoWidth(event.nativeEvent.layout.width)}
+          >
+            {photos.length > 1 ? (
+              <FlatList
+                ref={carouselRef}
+                data={photos}
+                keyExtractor={(photo, index) => `${photo}-${index}`}
+                horizontal
+                pagingEnabled
+                bounces={false}
+                showsHorizontalScrollIndicator={false}
+                onMomentumScrollEnd={handlePhotoScrollEnd}
+                style={styles.photo}
+                renderItem={({ item }) => (
+                  <TouchableOpacity activeOpacity={0.95} onPress={handlePress}>
+                    <Image
+                      source={{ uri: item }}
+                      style={{ width: photoWidth, height: '100%' }}
+                      resizeMode="cover"
+                    />
+                  </TouchableOpacity>
+                )}
               />
+            ) : photos.length === 1 ? (
+              <Image source={{ uri: photos[0] }} style={styles.photo} resizeMode="cover" />
             ) : (
               <Avatar
                 name={`${user.firstName || user.first_name} ${user.lastName || user.last_name}`}
                 size={cardWidth * 0.4}
                 style={styles.mainAvatar}
+                photoVerified={photoVerified}
               />
             )}
 
@@ -215,14 +275,39 @@ const UserCard = ({
             <LinearGradient
               colors={['transparent', 'rgba(0,0,0,0.8)']}
               style={[styles.gradient, { borderRadius: borderRadius.xlarge }]}
+              pointerEvents="none"
             />
 
+            {/* Photo Carousel Position */}
+            {photos.length > 1 && (
+              <View style={styles.photoIndicators} pointerEvents="none">
+                {photos.map((photo, index) => (
+                  <View
+                    key={`${photo}-${index}`}
+                    style={[
+                      styles.photoIndicator,
+                      {
+                        backgroundColor:
+                          index === photoIndex ? '#FFFFFF' : 'rgba(255,255,255,0.4)',
+                      },
+                    ]}
+                  />
+                ))}
+              </View>
+            )}
+
             {/* Like/Pass Overlays */}
-            <Animated.View style={[styles.likeOverlay, { opacity: likeOpacity }]}>
+            <Animated.View
+              style={[styles.likeOverlay, { opacity: likeOpacity }]}
+              pointerEvents="none"
+            >
               <Text style={styles.likeText}>LIKE</Text>
             </Animated.View>
 
-            <Animated.View style={[styles.passOverlay, { opacity: passOpacity }]}>
+            <Animated.View
+              style={[styles.passOverlay, { opacity: passOpacity }]}
+              pointerEvents="none"
+            >
               <Text style={styles.passText}>PASS</Text>
             </Animated.View>
           </View>
@@ -238,6 +323,9 @@ const UserCard = ({
                 {user.isVerified && (
                   <Ionicons name="checkmark-circle" size={20} color={colors.primary} />
                 )}
+                {photoVerified && (
+                  <Ionicons name="shield-checkmark" size={19} color={colors.success} />
+                )}
                 {user.isPremium && (
                   <Ionicons name="diamond" size={18} color={colors.warning} />
                 )}
@@ -250,6 +338,35 @@ const UserCard = ({
               </Text>
             )}
 
+            {prompt && (
+              <View style={[styles.prompt, { backgroundColor: colors.surface }]}>
+                <View style={styles.promptText}>
+                  <Text style={[styles.promptQuestion, { color: colors.textSecondary }]}>
+                    {prompt.question}
+                  </Text>
+                  <Text style={[styles.promptAnswer, { color: colors.text }]} numberOfLines={2}>
+                    {prompt.answer}
+                  </Text>
+                </View>
+                {showActions && onPromptComment && (
+                  <TouchableOpacity
+                    style={styles.promptAction}
+                    onPress={() => onPromptComment(user, prompt)}
+                  >
+                    <Ionicons name="chatbubble-outline" size={20} color={colors.primary} />
+                  </TouchableOpacity>
+                )}
+                {showActions && onPromptLike && (
+                  <TouchableOpacity
+                    style={styles.promptAction}
+                    onPress={() => onPromptLike(user, prompt)}
+                  >
+                    <Ionicons name="heart-outline" size={20} color={colors.primary} />
+                  </TouchableOpacity>
+                )}
+              </View>
+            )}
+
             {distance && (
               <View style={styles.locationRow}>
                 <Ionicons name="location-outline" size={16} color={colors.textSecondary} />
@@ -343,9 +460,25 @@ const styles = StyleSheet.create({
     marginTop: -100,
     marginLeft: -100,
   },
+  photo: {
+    ...StyleSheet.absoluteFillObject,
+  },
   gradient: {
     ...StyleSheet.absoluteFillObject,
   },
+  photoIndicators: {
+    position: 'absolute',
+    top: 12,
+    left: 12,
+    right: 12,
+    flexDirection: 'row',
+    gap: 4,
+  },
+  photoIndicator: {
+    flex: 1,
+    height: 4,
+    borderRadius: 2,
+  },
   likeOverlay: {
     position: 'absolute',
     top: 50,
@@ -401,6 +534,29 @@ const styles = StyleSheet.create({
     lineHeight: 22,
     marginBottom: 12,
   },
+  prompt: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 12,
+  },
+  promptText: {
+    flex: 1,
+  },
+  promptQuestion: {
+    fontSize: 12,
+    fontWeight: '600',
+    marginBottom: 2,
+  },
+  promptAnswer: {
+    fontSize: 15,
+    lineHeight: 20,
+  },
+  promptAction: {
+    padding: 6,
+    marginLeft: 4,
+  },
   locationRow: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -88,6 +88,16 @@ function authReducer(state, action) {
 export function AuthProvider({ children }) {
   const [state, dispatch] = useReducer(authReducer, initialState);
 
+  // Keep the server's timezone in step with the device, so daily limits reset at local midnight
+  useEffect(() => {
+    const deviceTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    if (!state.user?.id || state.user.timezone === deviceTimezone) return;
+
+    AuthService.setTimezone(deviceTimezone)
+      .then(() => dispatch({ type: AUTH_ACTIONS.UPDATE_USER, payload: { timezone: deviceTimezone } }))
+      .catch(() => {});
+  }, [state.user?.id, state.user?.timezone]);
+
   // Check authentication state on app start
   const checkAuthState = async () => {
     try {
@@ -124,6 +134,16 @@ export function AuthProvider({ children }) {
       dispatch({ type: AUTH_ACTIONS.CLEAR_ERROR });
       
       const response = await AuthService.login(credentials);
+
+      // 2FA accounts get a challenge token; the code step finishes the login
+      if (response.requiresTwoFactor) {
+        dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: false });
+        return {
+          success: false,
+          requiresTwoFactor: true,
+          challengeToken: response.challengeToken,
+        };
+      }
       
       // Store token
       await AsyncStorage.setItem('authToken', response.token);
@@ -133,11 +153,93 @@ export function AuthProvider({ children }) {
         payload: { user: response.user, token: response.token },
       });
       
-      return { success: true, user: response.user };
+      return {
+        success: true,
+        user: response.user,
+        accountReactivated: !!response.accountReactivated,
+      };
     } catch (error) {
-      const errorMessage = error.response?.data?.message || 'Login failed';
+      // Lockouts (ACCOUNT_LOCKED, LOGIN_RATE_LIMITED) carry a user-facing message and retryAfter
+      const errorMessage = error.data?.message || error.response?.data?.message || 'Login failed';
       dispatch({ type: AUTH_ACTIONS.SET_ERROR, payload: errorMessage });
-      return { success: false, error: errorMessage };
+      return {
+        success: false,
+        error: errorMessage,
+        code: error.code,
+        retryAfter: error.data?.retryAfter,
+      };
+    }
+  };
+
+  // Second login step for accounts with 2FA
+  const verifyTwoFactor = async ({ challengeToken, code, recoveryCode }) => {
+    try {
+      dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: true });
+      dispatch({ type: AUTH_ACTIONS.CLEAR_ERROR });
+
+      const response = await AuthService.verifyTwoFactor({ challengeToken, code, recoveryCode });
+
+      dispatch({
+        type: AUTH_ACTIONS.LOGIN_SUCCESS,
+        payload: { user: response.user, token: response.token },
+      });
+
+      return {
+        success: true,
+        user: response.user,
+        accountReactivated: !!response.accountReactivated,
+      };
+    } catch (error) {
+      const errorMessage = error.data?.message || 'Verification failed';
+      dispatch({ type: AUTH_ACTIONS.SET_ERROR, payload: errorMessage });
+      return { success: false, error: errorMessage, code: error.code };
+    }
+  };
+
+  // Passwordless sign-in: emails a one-time code and a magic link
+  const requestPasswordlessLogin = async (email) => {
+    try {
+      dispatch({ type: AUTH_ACTIONS.CLEAR_ERROR });
+      const response = await AuthService.requestPasswordlessLogin(email);
+      return { success: true, expiresInMinutes: response.expiresInMinutes };
+    } catch (error) {
+      const errorMessage = error.data?.message || 'Could not send sign-in code';
+      dispatch({ type: AUTH_ACTIONS.SET_ERROR, payload: errorMessage });
+      return { success: false, error: errorMessage, code: error.code };
+    }
+  };
+
+  // Pass { email, code } for the emailed code or { token } from the magic link
+  const verifyPasswordlessLogin = async (payload) => {
+    try {
+      dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: true });
+      dispatch({ type: AUTH_ACTIONS.CLEAR_ERROR });
+
+      const response = await AuthService.verifyPasswordlessLogin(payload);
+
+      if (response.requiresTwoFactor) {
+        dispatch({ type: AUTH_ACTIONS.SET_LOADING, payload: false });
+        return {
+          success: false,
+          requiresTwoFactor: true,
+          challengeToken: response.challengeToken,
+        };
+      }
+
+      dispatch({
+        type: AUTH_ACTIONS.LOGIN_SUCCESS,
+        payload: { user: response.user, token: response.token },
+      });
+
+      return {
+        success: true,
+        user: response.user,
+        accountReactivated: !!response.accountReactivated,
+      };
+    } catch (error) {
+      const errorMessage = error.data?.message || 'Sign-in failed';
+      dispatch({ type: AUTH_ACTIONS.SET_ERROR, payload: errorMessage });
+      return { success: false, error: errorMessage, code: error.code };
     }
   };
 
@@ -152,9 +254,10 @@ export function AuthProvider({ children }) {
       // Store token
       await AsyncStorage.setItem('authToken', response.token);
       
+      // New accounts are walked through onboarding before reaching the main tabs
       dispatch({
         type: AUTH_ACTIONS.LOGIN_SUCCESS,
-        payload: { user: response.user, token: response.token },
+        payload: { user: { ...response.user, needsOnboarding: true }, token: response.token },
       });
       
       return { success: true, user: response.user };
@@ -222,7 +325,7 @@ export function AuthProvider({ children }) {
       console.error('Logout error:', error);
     } finally {
       // Clear local storage
-      await AsyncStorage.multiRemove(['authToken', 'userPreferences']);
+      await AsyncStorage.multiRemove(['authToken', 'refreshToken', 'userPreferences']);
       dispatch({ type: AUTH_ACTIONS.LOGOUT });
     }
   };
@@ -234,11 +337,27 @@ export function AuthProvider({ children }) {
       dispatch({ type: AUTH_ACTIONS.UPDATE_USER, payload: updatedUser });
       return { success: true, user: updatedUser };
     } catch (error) {
-      const errorMessage = error.response?.data?.message || 'Profile update failed';
+      const errorMessage = error.data?.message || error.response?.data?.message || 'Profile update failed';
       return { success: false, error: errorMessage };
     }
   };
 
+  // Reload the signed-in user (profile completeness, interests, coins) from the server
+  const refreshUser = async () => {
+    try {
+      const user = await AuthService.getProfile();
+      dispatch({ type: AUTH_ACTIONS.UPDATE_USER, payload: user });
+      return user;
+    } catch (error) {
+      console.error('Refresh user error:', error);
+      return null;
+    }
+  };
+
+  const completeOnboarding = () => {
+    dispatch({ type: AUTH_ACTIONS.UPDATE_USER, payload: { needsOnboarding: false } });
+  };
+
   // Update coins
   const updateCoins = (newCoinsAmount) => {
     dispatch({ type: AUTH_ACTIONS.UPDATE_COINS, payload: newCoinsAmount });
@@ -272,11 +391,16 @@ export function AuthProvider({ children }) {
     
     // Actions
     login,
+    verifyTwoFactor,
+    requestPasswordlessLogin,
+    verifyPasswordlessLogin,
     register,
     loginWithGoogle,
     loginWithFacebook,
     logout,
     updateProfile,
+    refreshUser,
+    completeOnboarding,
     updateCoins,
     clearError,
     checkAuthState,
@@ -6,7 +6,7 @@ import { NotificationService } from '../services/NotificationService';
 const SocketContext = createContext();
 
 export function SocketProvider({ children }) {
-  const { user, isAuthenticated } = useAuth();
+  const { user, isAuthenticated, logout } = useAuth();
   const [isConnected, setIsConnected] = useState(false);
   const [connectionError, setConnectionError] = useState(null);
   const [onlineUsers, setOnlineUsers] = useState(new Set());
@@ -59,6 +59,11 @@ export function SocketProvider({ children }) {
       setIsConnected(false);
     });
 
+    // Signed out from another device
+    socketService.on('session_revoked', () => {
+      logout();
+    });
+
     // User status events
     socketService.on('user_online', ({ userId, username }) => {
       setOnlineUsers(prev => new Set([...prev, userId]));
@@ -4,6 +4,7 @@ import LoginScreen from '../screens/auth/LoginScreen';
 import RegisterScreen from '../screens/auth/RegisterScreen';
 import WelcomeScreen from '../screens/auth/WelcomeScreen';
 import ForgotPasswordScreen from '../screens/auth/ForgotPasswordScreen';
+import MagicLinkScreen from '../screens/auth/MagicLinkScreen';
 
 const Stack = createStackNavigator();
 
@@ -34,6 +35,7 @@ const AuthNavigator = () => {
       <Stack.Screen name="Login" component={LoginScreen} />
       <Stack.Screen name="Register" component={RegisterScreen} />
       <Stack.Screen name="ForgotPassword" component={ForgotPasswordScreen} />
+      <Stack.Screen name="MagicLink" component={MagicLinkScreen} />
     </Stack.Navigator>
   );
 };
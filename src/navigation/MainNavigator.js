@@ -3,6 +3,7 @@ import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
 import { createStackNavigator } from '@react-navigation/stack';
 import { Ionicons } from '@expo/vector-icons';
 import { useTheme } from '../context/ThemeContext';
+import { useAuth } from '../context/AuthContext';
 
 // Import screens
 import DiscoverScreen from '../screens/main/DiscoverScreen';
@@ -13,6 +14,8 @@ import ChatRoomScreen from '../screens/chat/ChatRoomScreen';
 import VideoCallScreen from '../screens/calls/VideoCallScreen';
 import MatchesScreen from '../screens/main/MatchesScreen';
 import CoinsScreen from '../screens/main/CoinsScreen';
+import OnboardingScreen from '../screens/main/OnboardingScreen';
+import PhotoVerificationScreen from '../screens/main/PhotoVerificationScreen';
 
 const Tab = createBottomTabNavigator();
 const Stack = createStackNavigator();
@@ -34,15 +37,20 @@ const ProfileStackNavigator = () => {
       <Stack.Screen name="ProfileMain" component={ProfileScreen} />
       <Stack.Screen name="Settings" component={SettingsScreen} />
       <Stack.Screen name="Coins" component={CoinsScreen} />
+      <Stack.Screen name="PhotoVerification" component={PhotoVerificationScreen} />
     </Stack.Navigator>
   );
 };
 
 const MainNavigator = () => {
   const { colors, isDark } = useTheme();
+  const { user } = useAuth();
 
   return (
-    <Stack.Navigator screenOptions={{ headerShown: false }}>
+    <Stack.Navigator
+      initialRouteName={user?.needsOnboarding ? 'Onboarding' : 'MainTabs'}
+      screenOptions={{ headerShown: false }}
+    >
       {/* Main Tab Navigator */}
       <Stack.Screen name="MainTabs">
         {() => (
@@ -121,6 +129,15 @@ const MainNavigator = () => {
         )}
       </Stack.Screen>
 
+      {/* Guided profile setup after sign-up */}
+      <Stack.Screen 
+        name="Onboarding" 
+        component={OnboardingScreen}
+        options={{
+          gestureEnabled: false,
+        }}
+      />
+
       {/* Modal Screens */}
       <Stack.Screen 
         name="VideoCall" 
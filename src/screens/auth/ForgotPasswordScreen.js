@@ -1,36 +1,304 @@
-import React from 'react';
-import { View, Text, StyleSheet } from 'react-native';
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  TouchableOpacity,
+  KeyboardAvoidingView,
+  Platform,
+  StatusBar,
+  Alert,
+} from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import { Ionicons } from '@expo/vector-icons';
 import { useTheme } from '../../context/ThemeContext';
+import { AuthService } from '../../services/AuthService';
+import Button from '../../components/common/Button';
+import Input from '../../components/common/Input';
 
-const ForgotPasswordScreen = () => {
+const STEPS = {
+  REQUEST: 'request',
+  CONFIRM: 'confirm',
+};
+
+const ForgotPasswordScreen = ({ navigation }) => {
   const { colors } = useTheme();
-  
+
+  const [step, setStep] = useState(STEPS.REQUEST);
+  const [formData, setFormData] = useState({
+    email: '',
+    code: '',
+    newPassword: '',
+    confirmPassword: '',
+  });
+  const [formErrors, setFormErrors] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const updateFormData = (field, value) => {
+    setFormData(prev => ({ ...prev, [field]: value }));
+    if (formErrors[field]) {
+      setFormErrors(prev => ({ ...prev, [field]: '' }));
+    }
+  };
+
+  const validateEmail = () => {
+    const errors = {};
+
+    if (!formData.email.trim()) {
+      errors.email = 'Email is required';
+    } else if (!/\S+@\S+\.\S+/.test(formData.email)) {
+      errors.email = 'Please enter a valid email';
+    }
+
+    setFormErrors(errors);
+    return Object.keys(errors).length === 0;
+  };
+
+  const validateReset = () => {
+    const errors = {};
+
+    if (!/^\d{6}$/.test(formData.code.trim())) {
+      errors.code = 'Enter the 6-digit code from your email';
+    }
+
+    if (!formData.newPassword) {
+      errors.newPassword = 'New password is required';
+    } else if (formData.newPassword.length < 8) {
+      errors.newPassword = 'Password must be at least 8 characters';
+    }
+
+    if (formData.confirmPassword !== formData.newPassword) {
+      errors.confirmPassword = 'Passwords do not match';
+    }
+
+    setFormErrors(errors);
+    return Object.keys(errors).length === 0;
+  };
+
+  const handleRequestCode = async () => {
+    if (!validateEmail()) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+      await AuthService.requestPasswordReset(formData.email.trim());
+      setStep(STEPS.CONFIRM);
+    } catch (err) {
+      setError(err.data?.message || 'Could not send reset code. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleResetPassword = async () => {
+    if (!validateReset()) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+      await AuthService.resetPassword({
+        email: formData.email.trim(),
+        code: formData.code.trim(),
+        newPassword: formData.newPassword,
+      });
+
+      Alert.alert('Password Updated', 'You can now sign in with your new password.', [
+        { text: 'Sign In', onPress: () => navigation.navigate('Login') },
+      ]);
+    } catch (err) {
+      setError(err.data?.message || 'Password reset failed. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleBack = () => {
+    if (step === STEPS.CONFIRM) {
+      setStep(STEPS.REQUEST);
+      setError(null);
+    } else {
+      navigation.goBack();
+    }
+  };
+
   return (
-    <View style={[styles.container, { backgroundColor: colors.background }]}>
-      <Text style={[styles.title, { color: colors.text }]}>Forgot Password Screen</Text>
-      <Text style={[styles.subtitle, { color: colors.textSecondary }]}>
-        Coming Soon - Forgot Password functionality will be implemented here
-      </Text>
-    </View>
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <StatusBar barStyle="light-content" backgroundColor="transparent" translucent />
+
+      <LinearGradient colors={[colors.gradientStart, colors.gradientEnd]} style={styles.gradient}>
+        <ScrollView
+          contentContainerStyle={styles.scrollContainer}
+          showsVerticalScrollIndicator={false}
+          keyboardShouldPersistTaps="handled"
+        >
+          {/* Header */}
+          <View style={styles.header}>
+            <TouchableOpacity style={styles.backButton} onPress={handleBack}>
+              <Ionicons name="arrow-back" size={24} color="#FFFFFF" />
+            </TouchableOpacity>
+
+            <View style={styles.headerContent}>
+              <Text style={styles.title}>
+                {step === STEPS.REQUEST ? 'Forgot Password?' : 'Reset Password'}
+              </Text>
+              <Text style={styles.subtitle}>
+                {step === STEPS.REQUEST
+                  ? "Enter your email and we'll send you a reset code"
+                  : `Enter the code we sent to ${formData.email.trim()}`}
+              </Text>
+            </View>
+          </View>
+
+          {/* Form */}
+          <View style={[styles.formContainer, { backgroundColor: colors.background }]}>
+            {step === STEPS.REQUEST ? (
+              <Input
+                label="Email Address"
+                value={formData.email}
+                onChangeText={value => updateFormData('email', value)}
+                keyboardType="email-address"
+                autoCapitalize="none"
+                leftIcon="mail-outline"
+                error={formErrors.email}
+              />
+            ) : (
+              <>
+                <Input
+                  label="Reset Code"
+                  value={formData.code}
+                  onChangeText={value => updateFormData('code', value)}
+                  keyboardType="number-pad"
+                  maxLength={6}
+                  leftIcon="key-outline"
+                  error={formErrors.code}
+                />
+
+                <Input
+                  label="New Password"
+                  value={formData.newPassword}
+                  onChangeText={value => updateFormData('newPassword', value)}
+                  secureTextEntry
+                  leftIcon="lock-closed-outline"
+                  showPasswordToggle
+                  error={formErrors.newPassword}
+                />
+
+                <Input
+                  label="Confirm New Password"
+                  value={formData.confirmPassword}
+                  onChangeText={value => updateFormData('confirmPassword', value)}
+                  secureTextEntry
+                  leftIcon="lock-closed-outline"
+                  showPasswordToggle
+                  error={formErrors.confirmPassword}
+                />
+              </>
+            )}
+
+            {error && (
+              <View style={styles.errorContainer}>
+                <Ionicons name="alert-circle-outline" size={20} color={colors.error} />
+                <Text style={[styles.errorText, { color: colors.error }]}>{error}</Text>
+              </View>
+            )}
+
+            <Button
+              title={step === STEPS.REQUEST ? 'Send Reset Code' : 'Reset Password'}
+              onPress={step === STEPS.REQUEST ? handleRequestCode : handleResetPassword}
+              loading={loading}
+              fullWidth
+              size="large"
+              style={styles.submitButton}
+            />
+
+            {step === STEPS.CONFIRM && (
+              <TouchableOpacity
+                style={styles.resendContainer}
+                onPress={handleRequestCode}
+                disabled={loading}
+              >
+                <Text style={[styles.resendText, { color: colors.primary }]}>Resend code</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        </ScrollView>
+      </LinearGradient>
+    </KeyboardAvoidingView>
   );
 };
 
 const styles = StyleSheet.create({
   container: {
     flex: 1,
+  },
+  gradient: {
+    flex: 1,
+  },
+  scrollContainer: {
+    flexGrow: 1,
+    paddingTop: 60,
+  },
+  header: {
+    paddingHorizontal: 24,
+    paddingBottom: 40,
+  },
+  backButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+    alignItems: 'center',
     justifyContent: 'center',
+    marginBottom: 24,
+  },
+  headerContent: {
     alignItems: 'center',
-    padding: 20,
   },
   title: {
-    fontSize: 24,
+    fontSize: 32,
     fontWeight: 'bold',
-    marginBottom: 16,
+    color: '#FFFFFF',
+    marginBottom: 8,
   },
   subtitle: {
     fontSize: 16,
+    color: 'rgba(255, 255, 255, 0.8)',
     textAlign: 'center',
-    lineHeight: 24,
+  },
+  formContainer: {
+    flex: 1,
+    borderTopLeftRadius: 30,
+    borderTopRightRadius: 30,
+    paddingTop: 32,
+    paddingHorizontal: 24,
+    minHeight: 500,
+  },
+  errorContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 16,
+    paddingHorizontal: 4,
+  },
+  errorText: {
+    fontSize: 14,
+    marginLeft: 8,
+    flex: 1,
+  },
+  submitButton: {
+    marginTop: 8,
+    marginBottom: 24,
+  },
+  resendContainer: {
+    alignSelf: 'center',
+  },
+  resendText: {
+    fontSize: 14,
+    fontWeight: '500',
   },
 });
 
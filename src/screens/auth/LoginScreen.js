@@ -18,16 +18,37 @@ import { useAuth } from '../../context/AuthContext';
 import Button from '../../components/common/Button';
 import Input from '../../components/common/Input';
 
-const LoginScreen = ({ navigation }) => {
+const LoginScreen = ({ navigation, route }) => {
   const { colors, borderRadius, spacing } = useTheme();
-  const { login, googleLogin, facebookLogin, loading, error } = useAuth();
-  
+  const {
+    login,
+    verifyTwoFactor,
+    requestPasswordlessLogin,
+    verifyPasswordlessLogin,
+    googleLogin,
+    facebookLogin,
+    isLoading: loading,
+    error,
+    clearError,
+  } = useAuth();
+
   const [formData, setFormData] = useState({
     email: '',
     password: '',
   });
   const [formErrors, setFormErrors] = useState({});
-  
+
+  // Set when the password was accepted but the account has 2FA on
+  const [challengeToken, setChallengeToken] = useState(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+
+  // Passwordless sign-in: codeSentTo is set once the code has been emailed
+  const [passwordless, setPasswordless] = useState(false);
+  const [codeSentTo, setCodeSentTo] = useState(null);
+  const [signInCode, setSignInCode] = useState('');
+  const [sendingCode, setSendingCode] = useState(false);
+
   const fadeAnim = useRef(new Animated.Value(0)).current;
   const slideAnim = useRef(new Animated.Value(50)).current;
 
@@ -46,35 +67,152 @@ const LoginScreen = ({ navigation }) => {
     ]).start();
   }, []);
 
+  // A magic link for a 2FA account lands here with the challenge for the code step
+  useEffect(() => {
+    if (route?.params?.challengeToken) {
+      setChallengeToken(route.params.challengeToken);
+      setTwoFactorCode('');
+      setUseRecoveryCode(false);
+    }
+  }, [route?.params?.challengeToken]);
+
   const validateForm = () => {
     const errors = {};
-    
+
     if (!formData.email.trim()) {
       errors.email = 'Email is required';
     } else if (!/\S+@\S+\.\S+/.test(formData.email)) {
       errors.email = 'Please enter a valid email';
     }
-    
+
     if (!formData.password) {
       errors.password = 'Password is required';
     } else if (formData.password.length < 6) {
       errors.password = 'Password must be at least 6 characters';
     }
-    
+
     setFormErrors(errors);
     return Object.keys(errors).length === 0;
   };
 
+  const notifyReactivated = result => {
+    if (result.accountReactivated) {
+      Alert.alert('Welcome back', 'Your account is no longer scheduled for deletion.');
+    }
+  };
+
   const handleLogin = async () => {
     if (!validateForm()) return;
-    
+
     try {
-      await login(formData.email, formData.password);
+      const result = await login({ email: formData.email.trim(), password: formData.password });
+      if (result.requiresTwoFactor) {
+        startTwoFactor(result);
+      }
+      notifyReactivated(result);
     } catch (err) {
       Alert.alert('Login Failed', err.message || 'Please check your credentials and try again.');
     }
   };
 
+  const handleVerifyTwoFactor = async () => {
+    const code = twoFactorCode.trim();
+    if (!code) {
+      setFormErrors({ twoFactorCode: 'Enter your code' });
+      return;
+    }
+    if (!useRecoveryCode && !/^\d{6}$/.test(code)) {
+      setFormErrors({ twoFactorCode: 'Enter the 6-digit code from your authenticator app' });
+      return;
+    }
+
+    const result = await verifyTwoFactor({
+      challengeToken,
+      ...(useRecoveryCode ? { recoveryCode: code } : { code }),
+    });
+    notifyReactivated(result);
+
+    // The challenge is gone once it expires or runs out of attempts
+    if (
+      !result.success &&
+      ['INVALID_TWO_FACTOR_CHALLENGE', 'TWO_FACTOR_ATTEMPTS_EXCEEDED'].includes(result.code)
+    ) {
+      setChallengeToken(null);
+    }
+  };
+
+  const startTwoFactor = result => {
+    setChallengeToken(result.challengeToken);
+    setTwoFactorCode('');
+    setUseRecoveryCode(false);
+  };
+
+  const validateEmail = () => {
+    const errors = {};
+
+    if (!formData.email.trim()) {
+      errors.email = 'Email is required';
+    } else if (!/\S+@\S+\.\S+/.test(formData.email)) {
+      errors.email = 'Please enter a valid email';
+    }
+
+    setFormErrors(errors);
+    return Object.keys(errors).length === 0;
+  };
+
+  const handleSendCode = async () => {
+    if (!validateEmail()) return;
+
+    setSendingCode(true);
+    const email = formData.email.trim();
+    const result = await requestPasswordlessLogin(email);
+    setSendingCode(false);
+
+    if (result.success) {
+      setCodeSentTo(email);
+      setSignInCode('');
+    }
+  };
+
+  const handleVerifyCode = async () => {
+    const code = signInCode.trim();
+    if (!/^\d{6}$/.test(code)) {
+      setFormErrors({ signInCode: 'Enter the 6-digit code from your email' });
+      return;
+    }
+
+    const result = await verifyPasswordlessLogin({ email: codeSentTo, code });
+    if (result.requiresTwoFactor) {
+      startTwoFactor(result);
+    }
+    notifyReactivated(result);
+
+    // The code is discarded after too many wrong guesses
+    if (result.code === 'PASSWORDLESS_ATTEMPTS_EXCEEDED') {
+      setCodeSentTo(null);
+    }
+  };
+
+  const togglePasswordless = () => {
+    setPasswordless(prev => !prev);
+    setCodeSentTo(null);
+    setSignInCode('');
+    setFormErrors({});
+    clearError();
+  };
+
+  const toggleRecoveryCode = () => {
+    setUseRecoveryCode(prev => !prev);
+    setTwoFactorCode('');
+    setFormErrors({});
+  };
+
+  const handleBackToPassword = () => {
+    setChallengeToken(null);
+    setTwoFactorCode('');
+    clearError();
+  };
+
   const handleGoogleLogin = async () => {
     try {
       await googleLogin();
@@ -104,12 +242,9 @@ const LoginScreen = ({ navigation }) => {
       behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
     >
       <StatusBar barStyle="light-content" backgroundColor="transparent" translucent />
-      
-      <LinearGradient
-        colors={[colors.gradientStart, colors.gradientEnd]}
-        style={styles.gradient}
-      >
-        <ScrollView 
+
+      <LinearGradient colors={[colors.gradientStart, colors.gradientEnd]} style={styles.gradient}>
+        <ScrollView
           contentContainerStyle={styles.scrollContainer}
           showsVerticalScrollIndicator={false}
           keyboardShouldPersistTaps="handled"
@@ -124,16 +259,29 @@ const LoginScreen = ({ navigation }) => {
               },
             ]}
           >
-            <TouchableOpacity
-              style={styles.backButton}
-              onPress={() => navigation.goBack()}
-            >
+            <TouchableOpacity style={styles.backButton} onPress={() => navigation.goBack()}>
               <Ionicons name="arrow-back" size={24} color="#FFFFFF" />
             </TouchableOpacity>
-            
+
             <View style={styles.headerContent}>
-              <Text style={styles.title}>Welcome Back!</Text>
-              <Text style={styles.subtitle}>Sign in to continue your journey</Text>
+              <Text style={styles.title}>
+                {challengeToken
+                  ? 'Two-Step Verification'
+                  : passwordless
+                    ? 'Sign In With Email'
+                    : 'Welcome Back!'}
+              </Text>
+              <Text style={styles.subtitle}>
+                {challengeToken
+                  ? useRecoveryCode
+                    ? 'Enter one of your recovery codes'
+                    : 'Enter the code from your authenticator app'
+                  : passwordless
+                    ? codeSentTo
+                      ? `Enter the code we sent to ${codeSentTo}, or tap the link in the email`
+                      : "We'll email you a sign-in code and link"
+                    : 'Sign in to continue your journey'}
+              </Text>
             </View>
           </Animated.View>
 
@@ -148,94 +296,205 @@ const LoginScreen = ({ navigation }) => {
               },
             ]}
           >
-            <View style={styles.form}>
-              <Input
-                label="Email Address"
-                value={formData.email}
-                onChangeText={(value) => updateFormData('email', value)}
-                keyboardType="email-address"
-                autoCapitalize="none"
-                leftIcon="mail-outline"
-                error={formErrors.email}
-              />
-
-              <Input
-                label="Password"
-                value={formData.password}
-                onChangeText={(value) => updateFormData('password', value)}
-                secureTextEntry
-                leftIcon="lock-closed-outline"
-                showPasswordToggle
-                error={formErrors.password}
-              />
-
-              <TouchableOpacity
-                style={styles.forgotPassword}
-                onPress={() => navigation.navigate('ForgotPassword')}
-              >
-                <Text style={[styles.forgotPasswordText, { color: colors.primary }]}>
-                  Forgot Password?
-                </Text>
-              </TouchableOpacity>
-
-              {error && (
-                <View style={styles.errorContainer}>
-                  <Ionicons name="alert-circle-outline" size={20} color={colors.error} />
-                  <Text style={[styles.errorText, { color: colors.error }]}>
-                    {error}
+            {challengeToken ? (
+              <View style={styles.form}>
+                <Input
+                  label={useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}
+                  value={twoFactorCode}
+                  onChangeText={value => {
+                    setTwoFactorCode(value);
+                    setFormErrors({});
+                  }}
+                  keyboardType={useRecoveryCode ? 'default' : 'number-pad'}
+                  autoCapitalize="none"
+                  maxLength={useRecoveryCode ? 11 : 6}
+                  leftIcon="shield-checkmark-outline"
+                  error={formErrors.twoFactorCode}
+                />
+
+                {error && (
+                  <View style={styles.errorContainer}>
+                    <Ionicons name="alert-circle-outline" size={20} color={colors.error} />
+                    <Text style={[styles.errorText, { color: colors.error }]}>{error}</Text>
+                  </View>
+                )}
+
+                <Button
+                  title="Verify"
+                  onPress={handleVerifyTwoFactor}
+                  loading={loading}
+                  fullWidth
+                  size="large"
+                  style={styles.loginButton}
+                />
+
+                <TouchableOpacity style={styles.twoFactorLink} onPress={toggleRecoveryCode}>
+                  <Text style={[styles.forgotPasswordText, { color: colors.primary }]}>
+                    {useRecoveryCode
+                      ? 'Use authenticator app instead'
+                      : 'Use a recovery code instead'}
                   </Text>
-                </View>
-              )}
-
-              <Button
-                title="Sign In"
-                onPress={handleLogin}
-                loading={loading}
-                fullWidth
-                size="large"
-                style={styles.loginButton}
-              />
-
-              {/* Divider */}
-              <View style={styles.divider}>
-                <View style={[styles.dividerLine, { backgroundColor: colors.border }]} />
-                <Text style={[styles.dividerText, { color: colors.textSecondary }]}>
-                  or continue with
-                </Text>
-                <View style={[styles.dividerLine, { backgroundColor: colors.border }]} />
+                </TouchableOpacity>
+
+                <TouchableOpacity style={styles.twoFactorLink} onPress={handleBackToPassword}>
+                  <Text style={[styles.signupText, { color: colors.textSecondary }]}>
+                    Back to sign in
+                  </Text>
+                </TouchableOpacity>
               </View>
+            ) : passwordless ? (
+              <View style={styles.form}>
+                {codeSentTo ? (
+                  <Input
+                    label="Sign-in Code"
+                    value={signInCode}
+                    onChangeText={value => {
+                      setSignInCode(value);
+                      setFormErrors({});
+                    }}
+                    keyboardType="number-pad"
+                    maxLength={6}
+                    leftIcon="key-outline"
+                    error={formErrors.signInCode}
+                  />
+                ) : (
+                  <Input
+                    label="Email Address"
+                    value={formData.email}
+                    onChangeText={value => updateFormData('email', value)}
+                    keyboardType="email-address"
+                    autoCapitalize="none"
+                    leftIcon="mail-outline"
+                    error={formErrors.email}
+                  />
+                )}
 
-              {/* Social Login */}
-              <View style={styles.socialContainer}>
-                <TouchableOpacity
-                  style={[styles.socialButton, { backgroundColor: colors.surface }]}
-                  onPress={handleGoogleLogin}
-                  disabled={loading}
-                >
-                  <Ionicons name="logo-google" size={24} color="#DB4437" />
+                {error && (
+                  <View style={styles.errorContainer}>
+                    <Ionicons name="alert-circle-outline" size={20} color={colors.error} />
+                    <Text style={[styles.errorText, { color: colors.error }]}>{error}</Text>
+                  </View>
+                )}
+
+                <Button
+                  title={codeSentTo ? 'Sign In' : 'Email Me a Code'}
+                  onPress={codeSentTo ? handleVerifyCode : handleSendCode}
+                  loading={codeSentTo ? loading : sendingCode}
+                  fullWidth
+                  size="large"
+                  style={styles.loginButton}
+                />
+
+                {codeSentTo && (
+                  <TouchableOpacity
+                    style={styles.twoFactorLink}
+                    onPress={handleSendCode}
+                    disabled={sendingCode}
+                  >
+                    <Text style={[styles.forgotPasswordText, { color: colors.primary }]}>
+                      Send a new code
+                    </Text>
+                  </TouchableOpacity>
+                )}
+
+                <TouchableOpacity style={styles.twoFactorLink} onPress={togglePasswordless}>
+                  <Text style={[styles.signupText, { color: colors.textSecondary }]}>
+                    Use my password instead
+                  </Text>
                 </TouchableOpacity>
+              </View>
+            ) : (
+              <View style={styles.form}>
+                <Input
+                  label="Email Address"
+                  value={formData.email}
+                  onChangeText={value => updateFormData('email', value)}
+                  keyboardType="email-address"
+                  autoCapitalize="none"
+                  leftIcon="mail-outline"
+                  error={formErrors.email}
+                />
+
+                <Input
+                  label="Password"
+                  value={formData.password}
+                  onChangeText={value => updateFormData('password', value)}
+                  secureTextEntry
+                  leftIcon="lock-closed-outline"
+                  showPasswordToggle
+                  error={formErrors.password}
+                />
 
                 <TouchableOpacity
-                  style={[styles.socialButton, { backgroundColor: colors.surface }]}
-                  onPress={handleFacebookLogin}
-                  disabled={loading}
+                  style={styles.forgotPassword}
+                  onPress={() => navigation.navigate('ForgotPassword')}
                 >
-                  <Ionicons name="logo-facebook" size={24} color="#4267B2" />
+                  <Text style={[styles.forgotPasswordText, { color: colors.primary }]}>
+                    Forgot Password?
+                  </Text>
                 </TouchableOpacity>
-              </View>
 
-              {/* Sign Up Link */}
-              <View style={styles.signupContainer}>
-                <Text style={[styles.signupText, { color: colors.textSecondary }]}>
-                  Don't have an account?{' '}
-                </Text>
-                <TouchableOpacity onPress={() => navigation.navigate('Register')}>
-                  <Text style={[styles.signupLink, { color: colors.primary }]}>
-                    Sign Up
+                {error && (
+                  <View style={styles.errorContainer}>
+                    <Ionicons name="alert-circle-outline" size={20} color={colors.error} />
+                    <Text style={[styles.errorText, { color: colors.error }]}>{error}</Text>
+                  </View>
+                )}
+
+                <Button
+                  title="Sign In"
+                  onPress={handleLogin}
+                  loading={loading}
+                  fullWidth
+                  size="large"
+                  style={styles.loginButton}
+                />
+
+                <TouchableOpacity style={styles.passwordlessLink} onPress={togglePasswordless}>
+                  <Text style={[styles.forgotPasswordText, { color: colors.primary }]}>
+                    Email me a sign-in code instead
                   </Text>
                 </TouchableOpacity>
+
+                {/* Divider */}
+                <View style={styles.divider}>
+                  <View style={[styles.dividerLine, { backgroundColor: colors.border }]} />
+                  <Text style={[styles.dividerText, { color: colors.textSecondary }]}>
+                    or continue with
+                  </Text>
+                  <View style={[styles.dividerLine, { backgroundColor: colors.border }]} />
+                </View>
+
+                {/* Social Login */}
+                <View style={styles.socialContainer}>
+                  <TouchableOpacity
+                    style={[styles.socialButton, { backgroundColor: colors.surface }]}
+                    onPress={handleGoogleLogin}
+                    disabled={loading}
+                  >
+                    <Ionicons name="logo-google" size={24} color="#DB4437" />
+                  </TouchableOpacity>
+
+                  <TouchableOpacity
+                    style={[styles.socialButton, { backgroundColor: colors.surface }]}
+                    onPress={handleFacebookLogin}
+                    disabled={loading}
+                  >
+                    <Ionicons name="logo-facebook" size={24} color="#4267B2" />
+                  </TouchableOpacity>
+                </View>
+
+                {/* Sign Up Link */}
+                <View style={styles.signupContainer}>
+                  <Text style={[styles.signupText, { color: colors.textSecondary }]}>
+                    Don't have an account?{' '}
+                  </Text>
+                  <TouchableOpacity onPress={() => navigation.navigate('Register')}>
+                    <Text style={[styles.signupLink, { color: colors.primary }]}>Sign Up</Text>
+                  </TouchableOpacity>
+                </View>
               </View>
-            </View>
+            )}
           </Animated.View>
         </ScrollView>
       </LinearGradient>
@@ -292,6 +551,15 @@ const styles = StyleSheet.create({
   form: {
     flex: 1,
   },
+  twoFactorLink: {
+    alignSelf: 'center',
+    marginBottom: 16,
+  },
+  passwordlessLink: {
+    alignSelf: 'center',
+    marginTop: -8,
+    marginBottom: 24,
+  },
   forgotPassword: {
     alignSelf: 'flex-end',
     marginBottom: 24,
@@ -363,4 +631,4 @@ const styles = StyleSheet.create({
   },
 });
 
-export default LoginScreen;
\ No newline at end of file
+export default LoginScreen;
@@ -0,0 +1,103 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, StyleSheet, ActivityIndicator, StatusBar, Alert } from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../../context/ThemeContext';
+import { useAuth } from '../../context/AuthContext';
+import Button from '../../components/common/Button';
+
+// Opened from the passwordless sign-in email (/login/magic?token=...)
+const MagicLinkScreen = ({ navigation, route }) => {
+  const { colors } = useTheme();
+  const { verifyPasswordlessLogin } = useAuth();
+  const [error, setError] = useState(null);
+
+  const token = route?.params?.token;
+
+  useEffect(() => {
+    if (!token) {
+      setError('This sign-in link is incomplete. Request a new one from the sign in screen.');
+      return;
+    }
+
+    const signIn = async () => {
+      const result = await verifyPasswordlessLogin({ token });
+
+      // On success the app switches to the main screens on its own
+      if (result.requiresTwoFactor) {
+        navigation.replace('Login', { challengeToken: result.challengeToken });
+      } else if (!result.success) {
+        setError(result.error);
+      } else if (result.accountReactivated) {
+        Alert.alert('Welcome back', 'Your account is no longer scheduled for deletion.');
+      }
+    };
+
+    signIn();
+  }, [token]);
+
+  return (
+    <View style={styles.container}>
+      <StatusBar barStyle="light-content" backgroundColor="transparent" translucent />
+
+      <LinearGradient colors={[colors.gradientStart, colors.gradientEnd]} style={styles.gradient}>
+        {error ? (
+          <View style={styles.content}>
+            <Ionicons name="link-outline" size={64} color="#FFFFFF" />
+            <Text style={styles.title}>Link Not Valid</Text>
+            <Text style={styles.subtitle}>{error}</Text>
+            <Button
+              title="Back to Sign In"
+              onPress={() => navigation.replace('Login')}
+              variant="outline"
+              style={styles.button}
+              textStyle={styles.buttonText}
+            />
+          </View>
+        ) : (
+          <View style={styles.content}>
+            <ActivityIndicator size="large" color="#FFFFFF" />
+            <Text style={styles.title}>Signing You In</Text>
+            <Text style={styles.subtitle}>Just a moment…</Text>
+          </View>
+        )}
+      </LinearGradient>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  gradient: {
+    flex: 1,
+  },
+  content: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingHorizontal: 32,
+  },
+  title: {
+    fontSize: 28,
+    fontWeight: 'bold',
+    color: '#FFFFFF',
+    marginTop: 24,
+    marginBottom: 8,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: 'rgba(255, 255, 255, 0.8)',
+    textAlign: 'center',
+    marginBottom: 32,
+  },
+  button: {
+    borderColor: '#FFFFFF',
+  },
+  buttonText: {
+    color: '#FFFFFF',
+  },
+});
+
+export default MagicLinkScreen;
@@ -5,9 +5,13 @@ import {
   StyleSheet,
   SafeAreaView,
   TouchableOpacity,
+  ScrollView,
+  Modal,
+  TextInput,
   Animated,
   Alert,
   StatusBar,
+  Dimensions,
 } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import { Ionicons } from '@expo/vector-icons';
@@ -17,16 +21,34 @@ import UserCard from '../../components/common/UserCard';
 import Avatar from '../../components/common/Avatar';
 import { ApiService } from '../../services/ApiService';
 
+const { width: screenWidth } = Dimensions.get('window');
+
+const PROFILE_FIELD_LABELS = {
+  dateOfBirth: 'date of birth',
+  gender: 'gender',
+};
+
 const DiscoverScreen = ({ navigation }) => {
   const { colors, spacing } = useTheme();
-  const { user } = useAuth();
+  const { user, updateCoins } = useAuth();
   const [users, setUsers] = useState([]);
   const [currentIndex, setCurrentIndex] = useState(0);
   const [loading, setLoading] = useState(false);
   const [noMoreUsers, setNoMoreUsers] = useState(false);
+  const [missingProfileFields, setMissingProfileFields] = useState([]);
+  const [interestFilter, setInterestFilter] = useState(null);
+  const [photoVerifiedOnly, setPhotoVerifiedOnly] = useState(false);
+  const [promptComment, setPromptComment] = useState(null);
+  const [commentText, setCommentText] = useState('');
+  const [sendingComment, setSendingComment] = useState(false);
+  const [rewinding, setRewinding] = useState(false);
+  // Cards swiped this session, newest last, so a rewind can put the card back
+  const swipedUsers = useRef([]);
   
   const fadeAnim = useRef(new Animated.Value(0)).current;
   const scaleAnim = useRef(new Animated.Value(0.9)).current;
+  // -1 / 1 while a rewound card is off screen to the left / right, 0 once it is back
+  const rewindAnim = useRef(new Animated.Value(0)).current;
 
   useEffect(() => {
     loadUsers();
@@ -47,19 +69,31 @@ const DiscoverScreen = ({ navigation }) => {
     ]).start();
   }, []);
 
-  const loadUsers = async () => {
+  const loadUsers = async (interestId = interestFilter, verifiedOnly = photoVerifiedOnly) => {
     try {
       setLoading(true);
-      const response = await ApiService.get('/users/matches/potential', { limit: 20 });
+      const params = { limit: 20, ...(verifiedOnly && { photoVerified: true }) };
+      // Filtering by one of my interests only shows people who share it
+      const response = interestId
+        ? await ApiService.get(`/users/by-interest/${interestId}`, params)
+        : await ApiService.get('/users/matches/potential', params);
+      const nextUsers = interestId ? response.users : response.matches;
+      setMissingProfileFields([]);
       
-      if (response.matches && response.matches.length > 0) {
-        setUsers(response.matches);
+      if (nextUsers && nextUsers.length > 0) {
+        setUsers(nextUsers);
         setCurrentIndex(0);
         setNoMoreUsers(false);
       } else {
         setNoMoreUsers(true);
       }
     } catch (error) {
+      // Discover stays locked until date of birth and gender are set
+      if (error.data?.code === 'PROFILE_INCOMPLETE') {
+        setMissingProfileFields(error.data.missingFields || []);
+        return;
+      }
+
       console.error('Error loading users:', error);
       // Show mock data for demo
       setUsers(generateMockUsers());
@@ -78,7 +112,7 @@ const DiscoverScreen = ({ navigation }) => {
       profilePicture: null,
       isVerified: true,
       isPremium: false,
-      distance: 2.5,
+      distance: '< 5 km',
       interests: [
         { name: 'Photography' },
         { name: 'Travel' },
@@ -95,7 +129,7 @@ const DiscoverScreen = ({ navigation }) => {
       profilePicture: null,
       isVerified: true,
       isPremium: true,
-      distance: 1.2,
+      distance: '< 5 km',
       interests: [
         { name: 'Technology' },
         { name: 'Coffee' },
@@ -111,7 +145,7 @@ const DiscoverScreen = ({ navigation }) => {
       profilePicture: null,
       isVerified: false,
       isPremium: false,
-      distance: 5.8,
+      distance: '< 10 km',
       interests: [
         { name: 'Music' },
         { name: 'Art' },
@@ -122,6 +156,7 @@ const DiscoverScreen = ({ navigation }) => {
   ];
 
   const handleSwipeLeft = async (swipedUser) => {
+    swipedUsers.current.push(swipedUser);
     try {
       // API call to record the pass
       await ApiService.post('/matches/pass', { userId: swipedUser.id });
@@ -133,6 +168,7 @@ const DiscoverScreen = ({ navigation }) => {
   };
 
   const handleSwipeRight = async (swipedUser) => {
+    swipedUsers.current.push(swipedUser);
     try {
       // API call to record the like
       const response = await ApiService.post('/matches/like', { userId: swipedUser.id });
@@ -163,6 +199,17 @@ const DiscoverScreen = ({ navigation }) => {
         moveToNextUser();
       }
     } catch (error) {
+      // Out of likes for today: keep the card so it can be liked after the reset
+      if (error.data?.code === 'SWIPE_LIMIT_REACHED') {
+        swipedUsers.current.pop();
+        const resetTime = new Date(error.data.resetAt).toLocaleTimeString([], {
+          hour: 'numeric',
+          minute: '2-digit',
+        });
+        Alert.alert('Out of likes', `${error.data.message}. More likes at ${resetTime}.`);
+        return;
+      }
+
       console.error('Error recording like:', error);
       moveToNextUser(); // Continue anyway
     }
@@ -179,6 +226,81 @@ const DiscoverScreen = ({ navigation }) => {
     }
   };
 
+  // Undo the last swipe: free with premium, otherwise it costs coins
+  const handleRewind = async () => {
+    try {
+      setRewinding(true);
+      const response = await ApiService.post('/matches/rewind');
+      const rewoundUser = swipedUsers.current.find((swiped) => swiped.id === response.userId);
+      swipedUsers.current = swipedUsers.current.filter((swiped) => swiped.id !== response.userId);
+
+      if (users[currentIndex - 1]?.id === response.userId) {
+        setCurrentIndex(currentIndex - 1);
+      } else if (rewoundUser) {
+        // The deck was reloaded since the swipe, so slot the card back in on top
+        setUsers([...users.slice(0, currentIndex), rewoundUser, ...users.slice(currentIndex)]);
+      } else {
+        loadUsers();
+      }
+      setNoMoreUsers(false);
+
+      if (response.coinsSpent > 0) {
+        updateCoins(response.coinsRemaining);
+      }
+
+      // Bring the card back from the side it was swiped off
+      rewindAnim.setValue(response.action === 'pass' ? -1 : 1);
+      Animated.spring(rewindAnim, {
+        toValue: 0,
+        tension: 60,
+        friction: 8,
+        useNativeDriver: true,
+      }).start();
+    } catch (error) {
+      if (error.data?.code === 'INSUFFICIENT_COINS') {
+        Alert.alert('Not enough coins', error.data.message, [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Get Coins', onPress: () => navigation.navigate('Profile', { screen: 'Coins' }) },
+        ]);
+        return;
+      }
+
+      Alert.alert('Could not rewind', error.data?.message || 'Please try again.');
+    } finally {
+      setRewinding(false);
+    }
+  };
+
+  // Liking or commenting on a prompt answer opens a conversation that quotes it
+  const handlePromptLike = async (cardUser, prompt) => {
+    try {
+      await ApiService.post(`/prompts/answers/${prompt.id}/like`);
+      Alert.alert('Liked!', `We let ${cardUser.firstName || cardUser.first_name} know you liked their answer.`);
+    } catch (error) {
+      Alert.alert('Could not like answer', error.data?.message || 'Please try again.');
+    }
+  };
+
+  const handlePromptComment = (cardUser, prompt) => {
+    setCommentText('');
+    setPromptComment({ user: cardUser, prompt });
+  };
+
+  const sendPromptComment = async () => {
+    try {
+      setSendingComment(true);
+      await ApiService.post(`/prompts/answers/${promptComment.prompt.id}/comment`, {
+        comment: commentText.trim(),
+      });
+      setPromptComment(null);
+      Alert.alert('Sent!', 'Your comment is waiting in Chats.');
+    } catch (error) {
+      Alert.alert('Could not send comment', error.data?.message || 'Please try again.');
+    } finally {
+      setSendingComment(false);
+    }
+  };
+
   const handleUserPress = (selectedUser) => {
     navigation.navigate('UserProfile', { user: selectedUser });
   };
@@ -187,6 +309,81 @@ const DiscoverScreen = ({ navigation }) => {
     navigation.navigate('DiscoverFilters');
   };
 
+  const handleInterestFilter = (interestId) => {
+    setInterestFilter(interestId);
+    setUsers([]);
+    loadUsers(interestId);
+  };
+
+  const handlePhotoVerifiedFilter = () => {
+    setPhotoVerifiedOnly(!photoVerifiedOnly);
+    setUsers([]);
+    loadUsers(interestFilter, !photoVerifiedOnly);
+  };
+
+  const renderInterestFilters = () => {
+    if (missingProfileFields.length > 0) return null;
+
+    const options = user?.interests?.length ? [{ id: null, name: 'Everyone' }, ...user.interests] : [];
+
+    return (
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        style={styles.interestFilters}
+        contentContainerStyle={styles.interestFiltersContent}
+      >
+        <TouchableOpacity
+          style={[
+            styles.interestChip,
+            styles.verifiedChip,
+            {
+              backgroundColor: photoVerifiedOnly ? colors.success : colors.surface,
+              borderColor: photoVerifiedOnly ? colors.success : colors.border,
+            },
+          ]}
+          onPress={handlePhotoVerifiedFilter}
+        >
+          <Ionicons
+            name="shield-checkmark"
+            size={14}
+            color={photoVerifiedOnly ? '#FFFFFF' : colors.success}
+          />
+          <Text
+            style={[
+              styles.interestChipText,
+              styles.verifiedChipText,
+              { color: photoVerifiedOnly ? '#FFFFFF' : colors.text },
+            ]}
+          >
+            Verified
+          </Text>
+        </TouchableOpacity>
+
+        {options.map((interest) => {
+          const selected = interestFilter === interest.id;
+          return (
+            <TouchableOpacity
+              key={interest.id ?? 'all'}
+              style={[
+                styles.interestChip,
+                {
+                  backgroundColor: selected ? colors.primary : colors.surface,
+                  borderColor: selected ? colors.primary : colors.border,
+                },
+              ]}
+              onPress={() => handleInterestFilter(interest.id)}
+            >
+              <Text style={[styles.interestChipText, { color: selected ? '#FFFFFF' : colors.text }]}>
+                {interest.name}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </ScrollView>
+    );
+  };
+
   const renderHeader = () => (
     <View style={styles.header}>
       <TouchableOpacity onPress={() => navigation.navigate('Profile')}>
@@ -195,6 +392,7 @@ const DiscoverScreen = ({ navigation }) => {
           name={`${user?.firstName} ${user?.lastName}`}
           size={40}
           verified={user?.isVerified}
+          photoVerified={user?.photoVerified}
           premium={user?.isPremium}
         />
       </TouchableOpacity>
@@ -210,6 +408,26 @@ const DiscoverScreen = ({ navigation }) => {
     </View>
   );
 
+  const renderProfileIncomplete = () => (
+    <View style={styles.emptyContainer}>
+      <View style={[styles.emptyIcon, { backgroundColor: colors.surface }]}>
+        <Ionicons name="person-circle-outline" size={48} color={colors.primary} />
+      </View>
+      <Text style={[styles.emptyTitle, { color: colors.text }]}>Complete Your Profile</Text>
+      <Text style={[styles.emptySubtitle, { color: colors.textSecondary }]}>
+        Add your{' '}
+        {missingProfileFields.map(field => PROFILE_FIELD_LABELS[field] || field).join(' and ')}{' '}
+        to start discovering people.
+      </Text>
+      <TouchableOpacity
+        style={[styles.refreshButton, { backgroundColor: colors.primary }]}
+        onPress={() => navigation.navigate('Onboarding')}
+      >
+        <Text style={styles.refreshButtonText}>Complete Profile</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
   const renderEmptyState = () => (
     <Animated.View
       style={[
@@ -234,7 +452,7 @@ const DiscoverScreen = ({ navigation }) => {
       {noMoreUsers && (
         <TouchableOpacity
           style={[styles.refreshButton, { backgroundColor: colors.primary }]}
-          onPress={loadUsers}
+          onPress={() => loadUsers()}
         >
           <Text style={styles.refreshButtonText}>Refresh</Text>
         </TouchableOpacity>
@@ -257,6 +475,22 @@ const DiscoverScreen = ({ navigation }) => {
                 transform: [
                   { scale: 1 - index * 0.05 },
                   { translateY: index * 10 },
+                  ...(index === 0
+                    ? [
+                        {
+                          translateX: rewindAnim.interpolate({
+                            inputRange: [-1, 0, 1],
+                            outputRange: [-screenWidth - 100, 0, screenWidth + 100],
+                          }),
+                        },
+                        {
+                          rotate: rewindAnim.interpolate({
+                            inputRange: [-1, 0, 1],
+                            outputRange: ['-30deg', '0deg', '30deg'],
+                          }),
+                        },
+                      ]
+                    : []),
                 ],
                 opacity: 1 - index * 0.3,
               },
@@ -268,6 +502,8 @@ const DiscoverScreen = ({ navigation }) => {
                 onSwipeLeft={handleSwipeLeft}
                 onSwipeRight={handleSwipeRight}
                 onPress={handleUserPress}
+                onPromptLike={handlePromptLike}
+                onPromptComment={handlePromptComment}
               />
             )}
             {index > 0 && (
@@ -293,6 +529,14 @@ const DiscoverScreen = ({ navigation }) => {
         },
       ]}
     >
+      <TouchableOpacity
+        style={[styles.actionButton, styles.rewindButton, { backgroundColor: colors.surface }]}
+        onPress={handleRewind}
+        disabled={rewinding}
+      >
+        <Ionicons name="arrow-undo" size={22} color={colors.warning} />
+      </TouchableOpacity>
+
       <TouchableOpacity
         style={[styles.actionButton, styles.passButton, { backgroundColor: colors.surface }]}
         onPress={() => users[currentIndex] && handleSwipeLeft(users[currentIndex])}
@@ -342,12 +586,57 @@ const DiscoverScreen = ({ navigation }) => {
       <StatusBar barStyle="dark-content" backgroundColor={colors.background} />
       
       {renderHeader()}
+      {renderInterestFilters()}
 
       <View style={styles.content}>
-        {users.length === 0 ? renderEmptyState() : renderCards()}
+        {missingProfileFields.length > 0
+          ? renderProfileIncomplete()
+          : users.length === 0 ? renderEmptyState() : renderCards()}
       </View>
 
       {users.length > 0 && renderActionButtons()}
+
+      <Modal
+        visible={!!promptComment}
+        transparent
+        animationType="slide"
+        onRequestClose={() => setPromptComment(null)}
+      >
+        <View style={styles.commentOverlay}>
+          <View style={[styles.commentSheet, { backgroundColor: colors.background }]}>
+            <Text style={[styles.commentQuestion, { color: colors.textSecondary }]}>
+              {promptComment?.prompt.question}
+            </Text>
+            <Text style={[styles.commentAnswer, { color: colors.text }]}>
+              {promptComment?.prompt.answer}
+            </Text>
+            <TextInput
+              style={[styles.commentInput, { color: colors.text, borderColor: colors.border }]}
+              value={commentText}
+              onChangeText={setCommentText}
+              placeholder="Add a comment..."
+              placeholderTextColor={colors.placeholder}
+              maxLength={500}
+              multiline
+              autoFocus
+            />
+            <View style={styles.commentActions}>
+              <TouchableOpacity onPress={() => setPromptComment(null)}>
+                <Text style={[styles.commentCancel, { color: colors.textSecondary }]}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.refreshButton, { backgroundColor: colors.primary }]}
+                onPress={sendPromptComment}
+                disabled={!commentText.trim() || sendingComment}
+              >
+                <Text style={styles.refreshButtonText}>
+                  {sendingComment ? 'Sending...' : 'Send'}
+                </Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
     </SafeAreaView>
   );
 };
@@ -382,6 +671,31 @@ const styles = StyleSheet.create({
     shadowRadius: 4,
     elevation: 4,
   },
+  interestFilters: {
+    flexGrow: 0,
+  },
+  interestFiltersContent: {
+    paddingHorizontal: 20,
+    paddingBottom: 8,
+  },
+  interestChip: {
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    marginRight: 8,
+  },
+  interestChipText: {
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  verifiedChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  verifiedChipText: {
+    marginLeft: 4,
+  },
   content: {
     flex: 1,
     alignItems: 'center',
@@ -453,6 +767,11 @@ const styles = StyleSheet.create({
     shadowRadius: 8,
     elevation: 8,
   },
+  rewindButton: {
+    width: 48,
+    height: 48,
+    borderRadius: 24,
+  },
   passButton: {
     width: 60,
     height: 60,
@@ -465,6 +784,44 @@ const styles = StyleSheet.create({
     height: 60,
     borderRadius: 30,
   },
+  commentOverlay: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+  },
+  commentSheet: {
+    padding: 20,
+    borderTopLeftRadius: 20,
+    borderTopRightRadius: 20,
+  },
+  commentQuestion: {
+    fontSize: 13,
+    fontWeight: '600',
+    marginBottom: 4,
+  },
+  commentAnswer: {
+    fontSize: 16,
+    lineHeight: 22,
+    marginBottom: 16,
+  },
+  commentInput: {
+    borderWidth: 1,
+    borderRadius: 12,
+    padding: 12,
+    minHeight: 80,
+    fontSize: 16,
+    textAlignVertical: 'top',
+  },
+  commentActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: 16,
+  },
+  commentCancel: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
   likeButton: {
     width: 70,
     height: 70,
@@ -1,33 +1,408 @@
-import React from 'react';
-import { View, Text, StyleSheet } from 'react-native';
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  SafeAreaView,
+  FlatList,
+  Image,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
 import { useTheme } from '../../context/ThemeContext';
+import { ApiService, API_CONFIG } from '../../services/ApiService';
+import Avatar from '../../components/common/Avatar';
 
-const MatchesScreen = () => {
+const PAGE_SIZE = 20;
+
+const TABS = [
+  { key: 'matches', label: 'Matches' },
+  { key: 'likes', label: 'Likes' },
+];
+
+const MatchesScreen = ({ navigation }) => {
   const { colors } = useTheme();
-  
-  return (
-    <View style={[styles.container, { backgroundColor: colors.background }]}>
-      <Text style={[styles.title, { color: colors.text }]}>Matches Screen</Text>
-      <Text style={[styles.subtitle, { color: colors.textSecondary }]}>
-        Coming Soon - Matches functionality will be implemented here
-      </Text>
+  const [activeTab, setActiveTab] = useState('matches');
+  const [matches, setMatches] = useState([]);
+  const [likes, setLikes] = useState([]);
+  const [likesTotal, setLikesTotal] = useState(0);
+  const [likesBlurred, setLikesBlurred] = useState(true);
+  const [previewHeaders, setPreviewHeaders] = useState({});
+  const [hasMore, setHasMore] = useState(true);
+  const [loading, setLoading] = useState(false);
+  const [refreshing, setRefreshing] = useState(false);
+  const [respondingTo, setRespondingTo] = useState(null);
+
+  const loadPage = useCallback(async (tab, offset = 0) => {
+    try {
+      setLoading(true);
+      const params = { limit: PAGE_SIZE, offset };
+
+      if (tab === 'likes') {
+        const response = await ApiService.get('/matches/likes-received', params);
+        setLikes(current => (offset === 0 ? response.likes : [...current, ...response.likes]));
+        setLikesTotal(response.total);
+        setLikesBlurred(response.blurred);
+        // Blurred previews are served by the API and need the access token
+        setPreviewHeaders(await ApiService.getAuthHeaders());
+        setHasMore(response.likes.length === PAGE_SIZE);
+      } else {
+        const response = await ApiService.get('/matches', params);
+        setMatches(current =>
+          offset === 0 ? response.matches : [...current, ...response.matches]
+        );
+        setHasMore(response.matches.length === PAGE_SIZE);
+      }
+    } catch (error) {
+      console.error('Error loading matches:', error);
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    setHasMore(true);
+    loadPage(activeTab);
+  }, [activeTab, loadPage]);
+
+  const items = activeTab === 'likes' ? likes : matches;
+
+  const handleRefresh = () => {
+    setRefreshing(true);
+    loadPage(activeTab);
+  };
+
+  const handleEndReached = () => {
+    if (!loading && hasMore && items.length > 0) {
+      loadPage(activeTab, items.length);
+    }
+  };
+
+  const openChat = (conversationId, chatUser) => {
+    navigation.navigate('Chats', {
+      screen: 'ChatRoom',
+      params: { conversationId, user: chatUser },
+    });
+  };
+
+  const removeLike = likeId => {
+    setLikes(current => current.filter(like => like.likeId !== likeId));
+    setLikesTotal(total => Math.max(total - 1, 0));
+  };
+
+  // Liking back matches instantly, since they already liked you
+  const handleLikeBack = async like => {
+    try {
+      setRespondingTo(like.likeId);
+      const response = await ApiService.post('/matches/like', { userId: like.user.id });
+      removeLike(like.likeId);
+
+      if (response.matched) {
+        Alert.alert("It's a Match! 🎉", `You and ${like.user.first_name} liked each other!`, [
+          { text: 'Later', style: 'cancel' },
+          { text: 'Send Message', onPress: () => openChat(response.conversationId, like.user) },
+        ]);
+        loadPage('matches');
+      }
+    } catch (error) {
+      Alert.alert('Could not like back', error.data?.message || 'Please try again.');
+    } finally {
+      setRespondingTo(null);
+    }
+  };
+
+  const handlePass = async like => {
+    try {
+      setRespondingTo(like.likeId);
+      await ApiService.post('/matches/pass', { userId: like.user.id });
+      removeLike(like.likeId);
+    } catch (error) {
+      Alert.alert('Could not pass', error.data?.message || 'Please try again.');
+    } finally {
+      setRespondingTo(null);
+    }
+  };
+
+  const renderTabs = () => (
+    <View style={[styles.tabs, { backgroundColor: colors.surface }]}>
+      {TABS.map(tab => {
+        const isActive = activeTab === tab.key;
+        return (
+          <TouchableOpacity
+            key={tab.key}
+            style={[styles.tab, isActive && { backgroundColor: colors.primary }]}
+            onPress={() => setActiveTab(tab.key)}
+            disabled={isActive}
+          >
+            <Text style={[styles.tabText, { color: isActive ? '#FFFFFF' : colors.textSecondary }]}>
+              {tab.label}
+              {tab.key === 'likes' && likesTotal > 0 ? ` (${likesTotal})` : ''}
+            </Text>
+          </TouchableOpacity>
+        );
+      })}
     </View>
   );
+
+  const renderMatch = ({ item }) => (
+    <TouchableOpacity
+      style={[styles.row, { borderBottomColor: colors.border }]}
+      onPress={() => openChat(item.conversation_id, item)}
+    >
+      <Avatar
+        source={item.profile_picture ? { uri: item.profile_picture } : null}
+        name={`${item.first_name} ${item.last_name}`}
+        size={56}
+        verified={item.is_verified}
+        premium={item.is_premium}
+      />
+      <View style={styles.rowContent}>
+        <Text style={[styles.rowTitle, { color: colors.text }]}>{item.first_name}</Text>
+        <Text style={[styles.rowSubtitle, { color: colors.textSecondary }]} numberOfLines={1}>
+          {item.last_message_content || 'Say hello!'}
+        </Text>
+      </View>
+    </TouchableOpacity>
+  );
+
+  // Without premium the server only sends a blurred photo, never who it is
+  const renderBlurredLike = ({ item }) => (
+    <View style={[styles.blurredCard, { backgroundColor: colors.surface }]}>
+      {item.blurredPicture ? (
+        <Image
+          source={{ uri: `${API_CONFIG.BASE_URL}${item.blurredPicture}`, headers: previewHeaders }}
+          style={styles.blurredImage}
+        />
+      ) : (
+        <Ionicons name="person" size={48} color={colors.textSecondary} />
+      )}
+      {item.isSuperLike && (
+        <View style={styles.superLikeBadge}>
+          <Ionicons name="star" size={14} color="#FFFFFF" />
+        </View>
+      )}
+    </View>
+  );
+
+  const renderLike = ({ item }) => (
+    <View style={[styles.row, { borderBottomColor: colors.border }]}>
+      <Avatar
+        source={item.user.profile_picture ? { uri: item.user.profile_picture } : null}
+        name={`${item.user.first_name} ${item.user.last_name}`}
+        size={56}
+        verified={item.user.is_verified}
+        photoVerified={item.user.photo_verified}
+      />
+      <View style={styles.rowContent}>
+        <Text style={[styles.rowTitle, { color: colors.text }]}>
+          {item.user.first_name}
+          {item.user.age ? `, ${item.user.age}` : ''}
+          {item.isSuperLike ? ' ⭐' : ''}
+        </Text>
+        {!!item.user.bio && (
+          <Text style={[styles.rowSubtitle, { color: colors.textSecondary }]} numberOfLines={1}>
+            {item.user.bio}
+          </Text>
+        )}
+      </View>
+      <TouchableOpacity
+        style={[styles.likeAction, { borderColor: colors.error }]}
+        onPress={() => handlePass(item)}
+        disabled={respondingTo === item.likeId}
+      >
+        <Ionicons name="close" size={20} color={colors.error} />
+      </TouchableOpacity>
+      <TouchableOpacity
+        style={[
+          styles.likeAction,
+          { backgroundColor: colors.primary, borderColor: colors.primary },
+        ]}
+        onPress={() => handleLikeBack(item)}
+        disabled={respondingTo === item.likeId}
+      >
+        <Ionicons name="heart" size={20} color="#FFFFFF" />
+      </TouchableOpacity>
+    </View>
+  );
+
+  const renderLikesBanner = () =>
+    likesBlurred && likesTotal > 0 ? (
+      <View style={[styles.banner, { backgroundColor: colors.surface }]}>
+        <Ionicons name="lock-closed" size={20} color={colors.primary} />
+        <Text style={[styles.bannerText, { color: colors.text }]}>
+          {likesTotal === 1 ? '1 person likes you.' : `${likesTotal} people like you.`} Upgrade to
+          Premium to see who and match instantly.
+        </Text>
+      </View>
+    ) : null;
+
+  const renderEmpty = () =>
+    loading ? (
+      <ActivityIndicator style={styles.loader} color={colors.primary} />
+    ) : (
+      <View style={styles.emptyContainer}>
+        <Ionicons
+          name={activeTab === 'likes' ? 'heart-outline' : 'people-outline'}
+          size={48}
+          color={colors.primary}
+        />
+        <Text style={[styles.emptyTitle, { color: colors.text }]}>
+          {activeTab === 'likes' ? 'No likes yet' : 'No matches yet'}
+        </Text>
+        <Text style={[styles.emptySubtitle, { color: colors.textSecondary }]}>
+          {activeTab === 'likes'
+            ? 'When someone likes you, they will show up here.'
+            : 'Keep swiping in Discover to find your matches.'}
+        </Text>
+      </View>
+    );
+
+  const showBlurredGrid = activeTab === 'likes' && likesBlurred;
+  const renderItem =
+    activeTab === 'matches' ? renderMatch : showBlurredGrid ? renderBlurredLike : renderLike;
+
+  return (
+    <SafeAreaView style={[styles.container, { backgroundColor: colors.background }]}>
+      <Text style={[styles.headerTitle, { color: colors.text }]}>Matches</Text>
+      {renderTabs()}
+
+      <FlatList
+        // Switching between the list and the grid needs a fresh FlatList
+        key={showBlurredGrid ? 'grid' : 'list'}
+        data={items}
+        keyExtractor={item => (activeTab === 'likes' ? item.likeId : item.match_id)}
+        renderItem={renderItem}
+        numColumns={showBlurredGrid ? 3 : 1}
+        columnWrapperStyle={showBlurredGrid ? styles.gridRow : undefined}
+        ListHeaderComponent={activeTab === 'likes' ? renderLikesBanner : null}
+        ListEmptyComponent={renderEmpty}
+        contentContainerStyle={styles.listContent}
+        onEndReached={handleEndReached}
+        onEndReachedThreshold={0.5}
+        refreshing={refreshing}
+        onRefresh={handleRefresh}
+      />
+    </SafeAreaView>
+  );
 };
 
 const styles = StyleSheet.create({
   container: {
     flex: 1,
+  },
+  headerTitle: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+  },
+  tabs: {
+    flexDirection: 'row',
+    marginHorizontal: 20,
+    marginBottom: 12,
+    borderRadius: 20,
+    padding: 4,
+  },
+  tab: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderRadius: 16,
+  },
+  tabText: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  listContent: {
+    flexGrow: 1,
+    paddingHorizontal: 20,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+  },
+  rowContent: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  rowTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  rowSubtitle: {
+    fontSize: 14,
+    marginTop: 2,
+  },
+  likeAction: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    borderWidth: 2,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginLeft: 8,
+  },
+  banner: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    borderRadius: 12,
+    marginBottom: 12,
+  },
+  bannerText: {
+    flex: 1,
+    fontSize: 14,
+    marginLeft: 8,
+    lineHeight: 20,
+  },
+  gridRow: {
+    justifyContent: 'space-between',
+  },
+  blurredCard: {
+    width: '31%',
+    aspectRatio: 0.75,
+    borderRadius: 12,
+    marginBottom: 12,
+    overflow: 'hidden',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  blurredImage: {
+    width: '100%',
+    height: '100%',
+  },
+  superLikeBadge: {
+    position: 'absolute',
+    top: 6,
+    right: 6,
+    width: 24,
+    height: 24,
+    borderRadius: 12,
+    backgroundColor: '#FFA500',
+    alignItems: 'center',
     justifyContent: 'center',
+  },
+  loader: {
+    marginTop: 40,
+  },
+  emptyContainer: {
+    flex: 1,
     alignItems: 'center',
-    padding: 20,
+    justifyContent: 'center',
+    paddingHorizontal: 40,
   },
-  title: {
-    fontSize: 24,
+  emptyTitle: {
+    fontSize: 20,
     fontWeight: 'bold',
-    marginBottom: 16,
+    marginTop: 16,
+    marginBottom: 8,
   },
-  subtitle: {
+  emptySubtitle: {
     fontSize: 16,
     textAlign: 'center',
     lineHeight: 24,
@@ -0,0 +1,630 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  SafeAreaView,
+  ScrollView,
+  TouchableOpacity,
+  Image,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import * as ImagePicker from 'expo-image-picker';
+import * as Location from 'expo-location';
+import { useTheme } from '../../context/ThemeContext';
+import { useAuth } from '../../context/AuthContext';
+import { AuthService } from '../../services/AuthService';
+import Button from '../../components/common/Button';
+import Input from '../../components/common/Input';
+
+// Mirrors backend/utils/profileCompleteness.js
+const MIN_BIO_LENGTH = 20;
+const MIN_INTERESTS = 3;
+// Default max_interests_per_user in app_settings, until the server's value has loaded
+const DEFAULT_MAX_INTERESTS = 10;
+
+const STEP_CONTENT = {
+  dateOfBirth: {
+    icon: 'calendar-outline',
+    title: 'About you',
+    subtitle: 'Your date of birth and gender help us show you the right people.',
+  },
+  photos: {
+    icon: 'images-outline',
+    title: 'Add your photos',
+    subtitle: 'Profiles with photos get far more matches. Add up to six.',
+  },
+  bio: {
+    icon: 'create-outline',
+    title: 'Write a short bio',
+    subtitle: `Tell people what you're about in at least ${MIN_BIO_LENGTH} characters.`,
+  },
+  interests: {
+    icon: 'sparkles-outline',
+    title: 'Pick your interests',
+    subtitle: `Choose at least ${MIN_INTERESTS} so we can find people you have things in common with.`,
+  },
+  location: {
+    icon: 'location-outline',
+    title: 'Where are you?',
+    subtitle: 'We use your city to suggest people nearby.',
+  },
+  language: {
+    icon: 'language-outline',
+    title: 'Your language',
+    subtitle: 'Choose the language you chat in most.',
+  },
+};
+
+const GENDERS = [
+  { value: 'male', label: 'Man' },
+  { value: 'female', label: 'Woman' },
+  { value: 'other', label: 'Other' },
+];
+
+const LANGUAGES = [
+  { code: 'en', label: 'English' },
+  { code: 'es', label: 'Español' },
+  { code: 'fr', label: 'Français' },
+  { code: 'de', label: 'Deutsch' },
+  { code: 'pt', label: 'Português' },
+  { code: 'it', label: 'Italiano' },
+  { code: 'ar', label: 'العربية' },
+  { code: 'hi', label: 'हिन्दी' },
+];
+
+// Date of birth and gender share a step; the server reports them separately
+const getSteps = user => {
+  const missing = user?.profileCompleteness?.missing || [];
+  const needsBasics =
+    missing.includes('dateOfBirth') || (user?.missingProfileFields || []).length > 0;
+
+  return Object.keys(STEP_CONTENT).filter(step =>
+    step === 'dateOfBirth' ? needsBasics : missing.includes(step)
+  );
+};
+
+const OnboardingScreen = ({ navigation }) => {
+  const { colors, spacing, borderRadius } = useTheme();
+  const { user, updateProfile, refreshUser, completeOnboarding, updateCoins } = useAuth();
+  const [steps, setSteps] = useState([]);
+  const [stepIndex, setStepIndex] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [completeness, setCompleteness] = useState(null);
+
+  const [dateOfBirth, setDateOfBirth] = useState(user?.dateOfBirth?.slice(0, 10) || '');
+  const [gender, setGender] = useState(user?.gender || null);
+  const [photos, setPhotos] = useState([]);
+  const [bio, setBio] = useState(user?.bio || '');
+  const [interestCatalog, setInterestCatalog] = useState([]);
+  const [selectedInterests, setSelectedInterests] = useState([]);
+  const [maxInterests, setMaxInterests] = useState(DEFAULT_MAX_INTERESTS);
+  const [locationCity, setLocationCity] = useState(user?.locationCity || '');
+  const [coordinates, setCoordinates] = useState(null);
+  const [locationCountry, setLocationCountry] = useState(user?.locationCountry || null);
+  const [language, setLanguage] = useState(user?.languagePreference || 'en');
+
+  useEffect(() => {
+    loadProgress();
+  }, []);
+
+  const loadProgress = async () => {
+    setLoading(true);
+    const freshUser = await refreshUser();
+    const pendingSteps = getSteps(freshUser || user);
+
+    setSteps(pendingSteps);
+    setCompleteness((freshUser || user)?.profileCompleteness || null);
+
+    if (pendingSteps.includes('interests')) {
+      try {
+        const [catalog, saved] = await Promise.all([
+          AuthService.getInterestCatalog(),
+          AuthService.getInterests(),
+        ]);
+        // Retired interests are no longer in the catalogue and can't be saved again
+        const catalogIds = catalog.map(interest => interest.id);
+        setInterestCatalog(catalog);
+        setSelectedInterests(
+          saved.interests
+            .map(interest => interest.id)
+            .filter(interestId => catalogIds.includes(interestId))
+        );
+        setMaxInterests(saved.maxInterests || DEFAULT_MAX_INTERESTS);
+      } catch (error) {
+        setInterestCatalog([]);
+      }
+    }
+    setLoading(false);
+  };
+
+  const currentStep = steps[stepIndex];
+  const isFinished = !loading && stepIndex >= steps.length;
+
+  const canContinue = () => {
+    switch (currentStep) {
+      case 'dateOfBirth':
+        return /^\d{4}-\d{2}-\d{2}$/.test(dateOfBirth) && !!gender;
+      case 'photos':
+        return photos.length > 0;
+      case 'bio':
+        return bio.trim().length >= MIN_BIO_LENGTH;
+      case 'interests':
+        return selectedInterests.length >= MIN_INTERESTS;
+      case 'location':
+        return locationCity.trim().length > 0 || !!coordinates;
+      case 'language':
+        return !!language;
+      default:
+        return true;
+    }
+  };
+
+  const saveStep = async () => {
+    switch (currentStep) {
+      case 'dateOfBirth':
+        return updateProfile({ dateOfBirth, gender });
+      case 'photos':
+        await AuthService.uploadProfilePhotos(photos);
+        return { success: true };
+      case 'bio':
+        return updateProfile({ bio: bio.trim() });
+      case 'interests':
+        await AuthService.updateInterests(selectedInterests);
+        return { success: true };
+      case 'location':
+        return updateProfile({
+          locationCity: locationCity.trim() || undefined,
+          locationCountry: locationCountry || undefined,
+          latitude: coordinates?.latitude,
+          longitude: coordinates?.longitude,
+        });
+      case 'language':
+        return updateProfile({ languagePreference: language });
+      default:
+        return { success: true };
+    }
+  };
+
+  const handleNext = async () => {
+    try {
+      setSaving(true);
+      const result = await saveStep();
+      if (result && !result.success) {
+        Alert.alert('Could not save', result.error || 'Please try again.');
+        return;
+      }
+
+      if (stepIndex + 1 >= steps.length) {
+        const freshUser = await refreshUser();
+        setCompleteness(freshUser?.profileCompleteness || null);
+      }
+      setStepIndex(stepIndex + 1);
+    } catch (error) {
+      Alert.alert('Could not save', error.data?.message || 'Please try again.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSkip = async () => {
+    if (stepIndex + 1 >= steps.length) {
+      const freshUser = await refreshUser();
+      setCompleteness(freshUser?.profileCompleteness || null);
+    }
+    setStepIndex(stepIndex + 1);
+  };
+
+  const handleFinish = async () => {
+    if (completeness?.score === 100 && !completeness.rewardClaimed) {
+      try {
+        setSaving(true);
+        const response = await AuthService.claimProfileCompletionReward();
+        updateCoins(response.coins);
+        Alert.alert('Profile complete!', `You earned ${response.reward} coins.`);
+      } catch (error) {
+        // Already claimed or no longer complete; onboarding still finishes
+        console.error('Profile completion reward error:', error);
+      } finally {
+        setSaving(false);
+      }
+    }
+
+    completeOnboarding();
+    if (navigation.canGoBack()) {
+      navigation.goBack();
+    } else {
+      navigation.reset({ index: 0, routes: [{ name: 'MainTabs' }] });
+    }
+  };
+
+  const pickPhotos = async () => {
+    const permission = await ImagePicker.requestMediaLibraryPermissionsAsync();
+    if (!permission.granted) {
+      Alert.alert('Permission needed', 'Allow photo access to add pictures to your profile.');
+      return;
+    }
+
+    const result = await ImagePicker.launchImageLibraryAsync({
+      mediaTypes: ImagePicker.MediaTypeOptions.Images,
+      allowsMultipleSelection: true,
+      selectionLimit: 6 - photos.length,
+      quality: 0.8,
+    });
+
+    if (!result.canceled) {
+      setPhotos([...photos, ...result.assets].slice(0, 6));
+    }
+  };
+
+  const detectLocation = async () => {
+    try {
+      const permission = await Location.requestForegroundPermissionsAsync();
+      if (permission.status !== 'granted') {
+        Alert.alert('Permission needed', 'You can type your city instead.');
+        return;
+      }
+
+      const position = await Location.getCurrentPositionAsync({});
+      const { latitude, longitude } = position.coords;
+      setCoordinates({ latitude, longitude });
+
+      const [place] = await Location.reverseGeocodeAsync({ latitude, longitude });
+      if (place) {
+        setLocationCity(place.city || place.subregion || '');
+        setLocationCountry(place.country || null);
+      }
+    } catch (error) {
+      console.error('Detect location error:', error);
+      Alert.alert('Location unavailable', 'You can type your city instead.');
+    }
+  };
+
+  const toggleInterest = interestId => {
+    setSelectedInterests(current => {
+      if (current.includes(interestId)) {
+        return current.filter(id => id !== interestId);
+      }
+      return current.length < maxInterests ? [...current, interestId] : current;
+    });
+  };
+
+  const renderChip = (key, label, selected, onPress) => (
+    <TouchableOpacity
+      key={key}
+      style={[
+        styles.chip,
+        {
+          borderColor: selected ? colors.primary : colors.border,
+          backgroundColor: selected ? colors.primary : colors.surface,
+          borderRadius: borderRadius.xlarge,
+        },
+      ]}
+      onPress={onPress}
+    >
+      <Text style={[styles.chipText, { color: selected ? '#FFFFFF' : colors.text }]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  const renderStepBody = () => {
+    switch (currentStep) {
+      case 'dateOfBirth':
+        return (
+          <>
+            <Input
+              label="Date of birth (YYYY-MM-DD)"
+              value={dateOfBirth}
+              onChangeText={setDateOfBirth}
+              keyboardType="numbers-and-punctuation"
+              maxLength={10}
+              leftIcon="calendar-outline"
+            />
+            <View style={styles.chipRow}>
+              {GENDERS.map(option =>
+                renderChip(option.value, option.label, gender === option.value, () =>
+                  setGender(option.value)
+                )
+              )}
+            </View>
+          </>
+        );
+      case 'photos':
+        return (
+          <View style={styles.photoGrid}>
+            {photos.map(photo => (
+              <Image
+                key={photo.uri}
+                source={{ uri: photo.uri }}
+                style={[styles.photo, { borderRadius: borderRadius.medium }]}
+              />
+            ))}
+            {photos.length < 6 && (
+              <TouchableOpacity
+                style={[
+                  styles.photo,
+                  styles.addPhoto,
+                  { borderColor: colors.border, borderRadius: borderRadius.medium },
+                ]}
+                onPress={pickPhotos}
+              >
+                <Ionicons name="add" size={32} color={colors.primary} />
+              </TouchableOpacity>
+            )}
+          </View>
+        );
+      case 'bio':
+        return (
+          <>
+            <Input
+              label="Bio"
+              value={bio}
+              onChangeText={setBio}
+              multiline
+              numberOfLines={4}
+              maxLength={500}
+              autoCapitalize="sentences"
+            />
+            <Text style={[styles.hint, { color: colors.textSecondary }]}>
+              {bio.trim().length}/{MIN_BIO_LENGTH} characters minimum
+            </Text>
+          </>
+        );
+      case 'interests':
+        return (
+          <>
+            <View style={styles.chipRow}>
+              {interestCatalog.map(interest =>
+                renderChip(
+                  interest.id,
+                  interest.name,
+                  selectedInterests.includes(interest.id),
+                  () => toggleInterest(interest.id)
+                )
+              )}
+            </View>
+            <Text style={[styles.hint, { color: colors.textSecondary }]}>
+              {selectedInterests.length}/{maxInterests} selected
+            </Text>
+          </>
+        );
+      case 'location':
+        return (
+          <>
+            <Button
+              title="Use my current location"
+              variant="outline"
+              icon="navigate-outline"
+              onPress={detectLocation}
+              fullWidth
+            />
+            <Input
+              label="City"
+              value={locationCity}
+              onChangeText={setLocationCity}
+              autoCapitalize="words"
+              leftIcon="business-outline"
+              containerStyle={{ marginTop: spacing.md }}
+            />
+          </>
+        );
+      case 'language':
+        return (
+          <View style={styles.chipRow}>
+            {LANGUAGES.map(option =>
+              renderChip(option.code, option.label, language === option.code, () =>
+                setLanguage(option.code)
+              )
+            )}
+          </View>
+        );
+      default:
+        return null;
+    }
+  };
+
+  const renderFinished = () => {
+    const score = completeness?.score ?? 0;
+    const rewardAvailable = score === 100 && !completeness?.rewardClaimed;
+
+    return (
+      <View style={styles.finished}>
+        <View style={[styles.stepIcon, { backgroundColor: colors.surface }]}>
+          <Ionicons
+            name={score === 100 ? 'checkmark-circle' : 'person-circle-outline'}
+            size={48}
+            color={score === 100 ? colors.success : colors.primary}
+          />
+        </View>
+        <Text style={[styles.title, { color: colors.text }]}>
+          {score === 100 ? 'Your profile is complete' : `Your profile is ${score}% complete`}
+        </Text>
+        <Text style={[styles.subtitle, { color: colors.textSecondary }]}>
+          {rewardAvailable
+            ? 'Claim your coin bonus and start discovering people.'
+            : 'You can finish the rest any time from your profile.'}
+        </Text>
+        <Button
+          title={rewardAvailable ? 'Claim reward' : 'Start exploring'}
+          onPress={handleFinish}
+          loading={saving}
+          fullWidth
+        />
+      </View>
+    );
+  };
+
+  if (loading) {
+    return (
+      <SafeAreaView
+        style={[styles.container, styles.centered, { backgroundColor: colors.background }]}
+      >
+        <ActivityIndicator size="large" color={colors.primary} />
+      </SafeAreaView>
+    );
+  }
+
+  const content = STEP_CONTENT[currentStep];
+
+  return (
+    <SafeAreaView style={[styles.container, { backgroundColor: colors.background }]}>
+      <View style={[styles.progressTrack, { backgroundColor: colors.surface }]}>
+        <View
+          style={[
+            styles.progressFill,
+            {
+              backgroundColor: colors.primary,
+              width: `${steps.length ? (Math.min(stepIndex, steps.length) / steps.length) * 100 : 100}%`,
+            },
+          ]}
+        />
+      </View>
+
+      {isFinished ? (
+        renderFinished()
+      ) : (
+        <>
+          <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+            <Text style={[styles.stepCount, { color: colors.textSecondary }]}>
+              Step {stepIndex + 1} of {steps.length}
+            </Text>
+            <View style={[styles.stepIcon, { backgroundColor: colors.surface }]}>
+              <Ionicons name={content.icon} size={40} color={colors.primary} />
+            </View>
+            <Text style={[styles.title, { color: colors.text }]}>{content.title}</Text>
+            <Text style={[styles.subtitle, { color: colors.textSecondary }]}>
+              {content.subtitle}
+            </Text>
+            {renderStepBody()}
+          </ScrollView>
+
+          <View style={styles.footer}>
+            {currentStep !== 'dateOfBirth' && (
+              <TouchableOpacity style={styles.skipButton} onPress={handleSkip} disabled={saving}>
+                <Text style={[styles.skipText, { color: colors.textSecondary }]}>Skip</Text>
+              </TouchableOpacity>
+            )}
+            <Button
+              title="Continue"
+              onPress={handleNext}
+              loading={saving}
+              disabled={!canContinue() || saving}
+              style={styles.continueButton}
+            />
+          </View>
+        </>
+      )}
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  centered: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  progressTrack: {
+    height: 4,
+    marginHorizontal: 20,
+    marginTop: 12,
+    borderRadius: 2,
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: '100%',
+  },
+  content: {
+    padding: 20,
+    paddingBottom: 40,
+  },
+  stepCount: {
+    fontSize: 13,
+    fontWeight: '600',
+    marginBottom: 16,
+  },
+  stepIcon: {
+    width: 80,
+    height: 80,
+    borderRadius: 40,
+    justifyContent: 'center',
+    alignItems: 'center',
+    alignSelf: 'center',
+    marginBottom: 20,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 8,
+  },
+  subtitle: {
+    fontSize: 15,
+    textAlign: 'center',
+    lineHeight: 22,
+    marginBottom: 24,
+  },
+  hint: {
+    fontSize: 13,
+    marginTop: 8,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 8,
+  },
+  chip: {
+    borderWidth: 1,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipText: {
+    fontSize: 14,
+    fontWeight: '500',
+  },
+  photoGrid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'space-between',
+  },
+  photo: {
+    width: '31%',
+    aspectRatio: 0.8,
+    marginBottom: 12,
+  },
+  addPhoto: {
+    borderWidth: 2,
+    borderStyle: 'dashed',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  footer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 20,
+  },
+  skipButton: {
+    paddingVertical: 12,
+    paddingRight: 20,
+  },
+  skipText: {
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  continueButton: {
+    flex: 1,
+  },
+  finished: {
+    flex: 1,
+    justifyContent: 'center',
+    padding: 20,
+  },
+});
+
+export default OnboardingScreen;
@@ -0,0 +1,299 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  SafeAreaView,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Image,
+  Alert,
+  StatusBar,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import * as ImagePicker from 'expo-image-picker';
+import { useTheme } from '../../context/ThemeContext';
+import { useAuth } from '../../context/AuthContext';
+import { AuthService } from '../../services/AuthService';
+import { socketService } from '../../services/SocketService';
+import Button from '../../components/common/Button';
+
+const PhotoVerificationScreen = ({ navigation }) => {
+  const { colors } = useTheme();
+  const { refreshUser } = useAuth();
+
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [pose, setPose] = useState(null);
+  const [selfie, setSelfie] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const loadStatus = useCallback(async () => {
+    try {
+      setStatus(await AuthService.getPhotoVerification());
+    } catch (err) {
+      Alert.alert('Error', err.data?.message || 'Could not load your verification status');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  useEffect(() => {
+    const handleResult = () => {
+      loadStatus();
+      refreshUser();
+    };
+
+    socketService.on('photo_verification_result', handleResult);
+    return () => socketService.off('photo_verification_result', handleResult);
+  }, [loadStatus]);
+
+  const handleStart = async () => {
+    try {
+      setBusy(true);
+      setSelfie(null);
+      const result = await AuthService.startPhotoVerification();
+      setPose(result.pose);
+    } catch (err) {
+      Alert.alert('Error', err.data?.message || 'Could not start verification');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleTakeSelfie = async () => {
+    const permission = await ImagePicker.requestCameraPermissionsAsync();
+    if (!permission.granted) {
+      Alert.alert('Permission needed', 'Allow camera access to take your verification selfie.');
+      return;
+    }
+
+    const result = await ImagePicker.launchCameraAsync({
+      cameraType: ImagePicker.CameraType.front,
+      quality: 0.8,
+    });
+
+    if (!result.canceled) {
+      setSelfie(result.assets[0]);
+    }
+  };
+
+  const handleSubmit = async () => {
+    try {
+      setBusy(true);
+      const verification = await AuthService.submitVerificationSelfie(selfie);
+      setStatus(prev => ({ ...prev, verification }));
+      setPose(null);
+      setSelfie(null);
+    } catch (err) {
+      // The pose is single-use; an expired one means starting over
+      if (err.data?.code === 'POSE_CHALLENGE_EXPIRED') {
+        setPose(null);
+        setSelfie(null);
+      }
+      Alert.alert('Error', err.data?.message || 'Could not submit your selfie');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const renderHeader = () => (
+    <View style={styles.header}>
+      <TouchableOpacity
+        style={[styles.backButton, { backgroundColor: colors.surface }]}
+        onPress={() => navigation.goBack()}
+      >
+        <Ionicons name="arrow-back" size={24} color={colors.text} />
+      </TouchableOpacity>
+
+      <Text style={[styles.headerTitle, { color: colors.text }]}>Get Verified</Text>
+
+      <View style={styles.headerSpacer} />
+    </View>
+  );
+
+  const renderStatus = (icon, iconColor, title, subtitle) => (
+    <View style={styles.statusContainer}>
+      <Ionicons name={icon} size={72} color={iconColor} />
+      <Text style={[styles.title, { color: colors.text }]}>{title}</Text>
+      <Text style={[styles.subtitle, { color: colors.textSecondary }]}>{subtitle}</Text>
+    </View>
+  );
+
+  const renderPoseStep = () => (
+    <View>
+      <View style={[styles.poseCard, { backgroundColor: colors.surface }]}>
+        <Text style={[styles.poseLabel, { color: colors.textSecondary }]}>COPY THIS POSE</Text>
+        <Text style={[styles.poseInstruction, { color: colors.text }]}>{pose.instruction}</Text>
+        <Text style={[styles.subtitle, { color: colors.textSecondary }]}>
+          Make sure your face is clearly visible. Only our moderators will see this photo.
+        </Text>
+      </View>
+
+      {selfie && <Image source={{ uri: selfie.uri }} style={styles.selfie} />}
+
+      <Button
+        title={selfie ? 'Retake selfie' : 'Take selfie'}
+        variant={selfie ? 'outline' : 'primary'}
+        onPress={handleTakeSelfie}
+        disabled={busy}
+        style={styles.button}
+      />
+      {selfie && (
+        <Button
+          title="Submit for review"
+          onPress={handleSubmit}
+          loading={busy}
+          style={styles.button}
+        />
+      )}
+    </View>
+  );
+
+  const renderContent = () => {
+    if (loading) {
+      return <ActivityIndicator style={styles.loader} color={colors.primary} />;
+    }
+
+    if (status?.photoVerified) {
+      return renderStatus(
+        'shield-checkmark',
+        colors.success,
+        'You’re verified',
+        'Your profile shows the verified badge, so people know your photos are really you.'
+      );
+    }
+
+    if (pose) {
+      return renderPoseStep();
+    }
+
+    const verification = status?.verification;
+    if (verification?.status === 'pending') {
+      return renderStatus(
+        'hourglass-outline',
+        colors.primary,
+        'Selfie under review',
+        'We’ll let you know as soon as a moderator has checked your selfie.'
+      );
+    }
+
+    return (
+      <View>
+        {verification?.status === 'rejected'
+          ? renderStatus(
+              'close-circle-outline',
+              colors.error,
+              'We couldn’t verify you',
+              verification.rejectionReason || 'Please try again with a clearer selfie.'
+            )
+          : renderStatus(
+              'shield-checkmark-outline',
+              colors.success,
+              'Show you’re really you',
+              'Take a selfie copying a pose we give you. A moderator compares it with your profile photos.'
+            )}
+
+        <Button
+          title={verification?.status === 'rejected' ? 'Try again' : 'Start verification'}
+          onPress={handleStart}
+          loading={busy}
+          style={styles.button}
+        />
+      </View>
+    );
+  };
+
+  return (
+    <SafeAreaView style={[styles.container, { backgroundColor: colors.background }]}>
+      <StatusBar barStyle="dark-content" backgroundColor={colors.background} />
+
+      {renderHeader()}
+
+      <ScrollView contentContainerStyle={styles.content}>{renderContent()}</ScrollView>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 16,
+  },
+  backButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  headerTitle: {
+    fontSize: 24,
+    fontWeight: 'bold',
+  },
+  headerSpacer: {
+    width: 44,
+  },
+  content: {
+    paddingHorizontal: 20,
+    paddingBottom: 40,
+  },
+  loader: {
+    paddingVertical: 48,
+  },
+  statusContainer: {
+    alignItems: 'center',
+    paddingVertical: 32,
+  },
+  title: {
+    fontSize: 22,
+    fontWeight: 'bold',
+    marginTop: 16,
+    textAlign: 'center',
+  },
+  subtitle: {
+    fontSize: 15,
+    lineHeight: 21,
+    marginTop: 8,
+    textAlign: 'center',
+  },
+  poseCard: {
+    borderRadius: 16,
+    padding: 20,
+    marginTop: 8,
+  },
+  poseLabel: {
+    fontSize: 13,
+    fontWeight: '600',
+    letterSpacing: 0.5,
+    textAlign: 'center',
+  },
+  poseInstruction: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    marginTop: 8,
+    textAlign: 'center',
+  },
+  selfie: {
+    width: '100%',
+    aspectRatio: 3 / 4,
+    borderRadius: 16,
+    marginTop: 16,
+  },
+  button: {
+    marginTop: 16,
+  },
+});
+
+export default PhotoVerificationScreen;
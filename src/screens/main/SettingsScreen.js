@@ -1,36 +1,728 @@
-import React from 'react';
-import { View, Text, StyleSheet } from 'react-native';
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  SafeAreaView,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  RefreshControl,
+  Alert,
+  Linking,
+  StatusBar,
+  Switch,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
 import { useTheme } from '../../context/ThemeContext';
+import { useAuth } from '../../context/AuthContext';
+import { AuthService } from '../../services/AuthService';
+import { socketService } from '../../services/SocketService';
 
-const SettingsScreen = () => {
+const DEVICE_ICONS = {
+  ios: 'phone-portrait-outline',
+  android: 'phone-portrait-outline',
+  web: 'desktop-outline',
+};
+
+const formatLastActive = date => {
+  if (!date) return 'Unknown';
+
+  const minutes = Math.floor((Date.now() - new Date(date).getTime()) / 60000);
+  if (minutes < 1) return 'Active now';
+  if (minutes < 60) return `${minutes}m ago`;
+  if (minutes < 60 * 24) return `${Math.floor(minutes / 60)}h ago`;
+  return new Date(date).toLocaleDateString();
+};
+
+const EXPORT_STATUS_TEXT = {
+  pending: 'Preparing your data…',
+  processing: 'Preparing your data…',
+  ready: 'Your data is ready to download',
+  failed: 'The last export failed. Please try again',
+  expired: 'Your last export has expired',
+};
+
+// Mirrors the server defaults, for accounts whose stored settings predate a key
+const DEFAULT_PRIVACY_SETTINGS = {
+  show_distance: true,
+  show_location: true,
+  show_last_seen: true,
+  show_online_status: true,
+  read_receipts: true,
+  profile_visibility: 'everyone',
+};
+
+const PRIVACY_TOGGLES = [
+  {
+    key: 'show_online_status',
+    icon: 'radio-button-on-outline',
+    title: 'Show when I’m online',
+    subtitle: 'Matches see you as offline when this is off',
+  },
+  {
+    key: 'show_last_seen',
+    icon: 'time-outline',
+    title: 'Show last seen',
+    subtitle: 'Let matches see when you were last active',
+  },
+  {
+    key: 'read_receipts',
+    icon: 'checkmark-done-outline',
+    title: 'Read receipts',
+    subtitle: 'Let people know when you’ve read their messages',
+  },
+  {
+    key: 'show_distance',
+    icon: 'navigate-outline',
+    title: 'Show distance',
+    subtitle: 'Distance is always rounded when shown',
+  },
+  {
+    key: 'show_location',
+    icon: 'location-outline',
+    title: 'Show my city',
+    subtitle: 'Display your city and country on your profile',
+  },
+];
+
+const PROFILE_VISIBILITY_OPTIONS = [
+  { value: 'everyone', label: 'Everyone' },
+  { value: 'matches', label: 'Matches only' },
+  { value: 'hidden', label: 'Hidden' },
+];
+
+const PROFILE_VISIBILITY_TEXT = {
+  everyone: 'Anyone can find you in Discover and search',
+  matches: 'Only your matches can see your profile',
+  hidden: 'Nobody can find or open your profile',
+};
+
+const SettingsScreen = ({ navigation }) => {
   const { colors } = useTheme();
-  
-  return (
-    <View style={[styles.container, { backgroundColor: colors.background }]}>
-      <Text style={[styles.title, { color: colors.text }]}>Settings Screen</Text>
-      <Text style={[styles.subtitle, { color: colors.textSecondary }]}>
-        Coming Soon - Settings functionality will be implemented here
-      </Text>
+  const { user, logout, refreshUser } = useAuth();
+
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [revokingId, setRevokingId] = useState(null);
+  const [error, setError] = useState(null);
+  const [dataExport, setDataExport] = useState(null);
+  const [exportBusy, setExportBusy] = useState(false);
+  const [privacySettings, setPrivacySettings] = useState({
+    ...DEFAULT_PRIVACY_SETTINGS,
+    ...user?.privacySettings,
+  });
+  const [savingPrivacyKey, setSavingPrivacyKey] = useState(null);
+  const [incognitoMode, setIncognitoMode] = useState(!!user?.incognitoMode);
+  const [savingIncognito, setSavingIncognito] = useState(false);
+
+  const loadSessions = useCallback(async () => {
+    try {
+      setError(null);
+      const result = await AuthService.getSessions();
+      setSessions(result || []);
+    } catch (err) {
+      setError(err.data?.message || 'Could not load your devices');
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  }, []);
+
+  const loadDataExport = useCallback(async () => {
+    try {
+      const exports = await AuthService.getDataExports();
+      setDataExport(exports?.[0] || null);
+    } catch (err) {
+      // The rest of the screen still works without export status
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSessions();
+    loadDataExport();
+  }, [loadSessions, loadDataExport]);
+
+  useEffect(() => {
+    const handleExportReady = ({ exportId }) => {
+      setDataExport(prev => ({ ...prev, id: exportId, status: 'ready' }));
+    };
+    const handleExportFailed = ({ exportId }) => {
+      setDataExport(prev => ({ ...prev, id: exportId, status: 'failed' }));
+    };
+
+    socketService.on('data_export_ready', handleExportReady);
+    socketService.on('data_export_failed', handleExportFailed);
+
+    return () => {
+      socketService.off('data_export_ready', handleExportReady);
+      socketService.off('data_export_failed', handleExportFailed);
+    };
+  }, []);
+
+  const handleRefresh = () => {
+    setRefreshing(true);
+    loadSessions();
+    loadDataExport();
+  };
+
+  const handleRequestExport = async () => {
+    try {
+      setExportBusy(true);
+      setDataExport(await AuthService.requestDataExport());
+    } catch (err) {
+      if (err.data?.code === 'EXPORT_IN_PROGRESS') {
+        setDataExport(err.data.export);
+        return;
+      }
+      Alert.alert('Error', err.data?.message || 'Could not start your data export');
+    } finally {
+      setExportBusy(false);
+    }
+  };
+
+  const handleDownloadExport = async () => {
+    try {
+      setExportBusy(true);
+      // Download links are short-lived, so ask for a fresh one each time
+      const result = await AuthService.getDataExport(dataExport.id);
+      if (result.downloadUrl) {
+        await Linking.openURL(result.downloadUrl);
+      } else {
+        setDataExport(result);
+      }
+    } catch (err) {
+      Alert.alert('Error', err.data?.message || 'Could not download your data');
+    } finally {
+      setExportBusy(false);
+    }
+  };
+
+  const updatePrivacySetting = async (key, value) => {
+    const previous = privacySettings;
+    setPrivacySettings(prev => ({ ...prev, [key]: value }));
+
+    try {
+      setSavingPrivacyKey(key);
+      const saved = await AuthService.updatePrivacySettings({ [key]: value });
+      setPrivacySettings({ ...DEFAULT_PRIVACY_SETTINGS, ...saved });
+      refreshUser();
+    } catch (err) {
+      setPrivacySettings(previous);
+      Alert.alert('Error', err.data?.message || 'Could not update your privacy settings');
+    } finally {
+      setSavingPrivacyKey(null);
+    }
+  };
+
+  const handleIncognitoChange = async value => {
+    setIncognitoMode(value);
+
+    try {
+      setSavingIncognito(true);
+      setIncognitoMode(await AuthService.setIncognitoMode(value));
+      refreshUser();
+    } catch (err) {
+      setIncognitoMode(!value);
+      Alert.alert('Error', err.data?.message || 'Could not update incognito mode');
+    } finally {
+      setSavingIncognito(false);
+    }
+  };
+
+  const revokeSession = async session => {
+    try {
+      setRevokingId(session.id);
+      await AuthService.revokeSession(session.id);
+
+      if (session.isCurrent) {
+        await logout();
+        return;
+      }
+
+      setSessions(prev => prev.filter(item => item.id !== session.id));
+    } catch (err) {
+      Alert.alert('Error', err.data?.message || 'Could not sign out this device');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  const handleRevokeSession = session => {
+    Alert.alert(
+      'Sign Out Device',
+      session.isCurrent
+        ? 'You will be signed out of this device.'
+        : `Sign out of ${session.deviceName || 'this device'}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Sign Out', style: 'destructive', onPress: () => revokeSession(session) },
+      ]
+    );
+  };
+
+  const handleRevokeOthers = () => {
+    Alert.alert('Sign Out Everywhere Else', 'All other devices will be signed out.', [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Sign Out',
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            setRevokingId('others');
+            await AuthService.revokeOtherSessions();
+            setSessions(prev => prev.filter(item => item.isCurrent));
+          } catch (err) {
+            Alert.alert('Error', err.data?.message || 'Could not sign out other devices');
+          } finally {
+            setRevokingId(null);
+          }
+        },
+      },
+    ]);
+  };
+
+  const renderHeader = () => (
+    <View style={styles.header}>
+      <TouchableOpacity
+        style={[styles.backButton, { backgroundColor: colors.surface }]}
+        onPress={() => navigation.goBack()}
+      >
+        <Ionicons name="arrow-back" size={24} color={colors.text} />
+      </TouchableOpacity>
+
+      <Text style={[styles.headerTitle, { color: colors.text }]}>Settings</Text>
+
+      <View style={styles.headerSpacer} />
+    </View>
+  );
+
+  const renderSession = session => (
+    <View key={session.id} style={[styles.row, { borderBottomColor: colors.border }]}>
+      <View style={[styles.deviceIcon, { backgroundColor: colors.background }]}>
+        <Ionicons
+          name={DEVICE_ICONS[session.deviceType] || 'hardware-chip-outline'}
+          size={22}
+          color={colors.primary}
+        />
+      </View>
+
+      <View style={styles.rowContent}>
+        <View style={styles.deviceTitleRow}>
+          <Text style={[styles.rowTitle, { color: colors.text }]} numberOfLines={1}>
+            {session.deviceName || 'Unknown device'}
+          </Text>
+          {session.isCurrent && (
+            <View style={[styles.badge, { backgroundColor: colors.success }]}>
+              <Text style={styles.badgeText}>This device</Text>
+            </View>
+          )}
+        </View>
+        <Text style={[styles.rowSubtitle, { color: colors.textSecondary }]} numberOfLines={1}>
+          {[session.ipAddress, formatLastActive(session.lastActiveAt)].filter(Boolean).join(' · ')}
+        </Text>
+      </View>
+
+      {revokingId === session.id ? (
+        <ActivityIndicator size="small" color={colors.primary} />
+      ) : (
+        <TouchableOpacity onPress={() => handleRevokeSession(session)} disabled={!!revokingId}>
+          <Text style={[styles.rowAction, { color: colors.error }]}>Sign out</Text>
+        </TouchableOpacity>
+      )}
+    </View>
+  );
+
+  const renderDevicesSection = () => {
+    const hasOtherSessions = sessions.some(session => !session.isCurrent);
+
+    return (
+      <View style={styles.section}>
+        <Text style={[styles.sectionTitle, { color: colors.textSecondary }]}>DEVICES</Text>
+
+        <View style={[styles.card, { backgroundColor: colors.surface }]}>
+          {loading ? (
+            <ActivityIndicator style={styles.loader} color={colors.primary} />
+          ) : error ? (
+            <TouchableOpacity style={styles.messageRow} onPress={loadSessions}>
+              <Text style={[styles.messageText, { color: colors.error }]}>{error}</Text>
+              <Text style={[styles.rowAction, { color: colors.primary }]}>Retry</Text>
+            </TouchableOpacity>
+          ) : (
+            sessions.map(renderSession)
+          )}
+        </View>
+
+        {!loading && hasOtherSessions && (
+          <TouchableOpacity
+            style={[styles.dangerButton, { borderColor: colors.error }]}
+            onPress={handleRevokeOthers}
+            disabled={!!revokingId}
+          >
+            {revokingId === 'others' ? (
+              <ActivityIndicator size="small" color={colors.error} />
+            ) : (
+              <Text style={[styles.dangerButtonText, { color: colors.error }]}>
+                Sign out everywhere else
+              </Text>
+            )}
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  };
+
+  const renderPrivacyToggle = toggle => (
+    <View key={toggle.key} style={[styles.row, { borderBottomColor: colors.border }]}>
+      <View style={[styles.deviceIcon, { backgroundColor: colors.background }]}>
+        <Ionicons name={toggle.icon} size={22} color={colors.primary} />
+      </View>
+
+      <View style={styles.rowContent}>
+        <Text style={[styles.rowTitle, { color: colors.text }]}>{toggle.title}</Text>
+        <Text style={[styles.rowSubtitle, { color: colors.textSecondary }]}>{toggle.subtitle}</Text>
+      </View>
+
+      <Switch
+        value={privacySettings[toggle.key]}
+        onValueChange={value => updatePrivacySetting(toggle.key, value)}
+        disabled={savingPrivacyKey === toggle.key}
+        trackColor={{ true: colors.primary }}
+      />
+    </View>
+  );
+
+  const renderVerificationSection = () => (
+    <View style={styles.section}>
+      <Text style={[styles.sectionTitle, { color: colors.textSecondary }]}>VERIFICATION</Text>
+
+      <TouchableOpacity
+        style={[styles.card, { backgroundColor: colors.surface }]}
+        onPress={() => navigation.navigate('PhotoVerification')}
+      >
+        <View style={[styles.row, { borderBottomColor: colors.border }]}>
+          <View style={[styles.deviceIcon, { backgroundColor: colors.background }]}>
+            <Ionicons name="shield-checkmark-outline" size={22} color={colors.success} />
+          </View>
+
+          <View style={styles.rowContent}>
+            <Text style={[styles.rowTitle, { color: colors.text }]}>Photo verification</Text>
+            <Text style={[styles.rowSubtitle, { color: colors.textSecondary }]}>
+              {user?.photoVerified
+                ? 'Your profile shows the verified badge'
+                : 'Take a selfie to prove your photos are you'}
+            </Text>
+          </View>
+
+          <Ionicons name="chevron-forward" size={20} color={colors.textSecondary} />
+        </View>
+      </TouchableOpacity>
     </View>
   );
+
+  const renderPrivacySection = () => (
+    <View style={styles.section}>
+      <Text style={[styles.sectionTitle, { color: colors.textSecondary }]}>PRIVACY</Text>
+
+      <View style={[styles.card, { backgroundColor: colors.surface }]}>
+        <View style={[styles.visibilityRow, { borderBottomColor: colors.border }]}>
+          <Text style={[styles.rowTitle, { color: colors.text }]}>Who can see my profile</Text>
+          <Text style={[styles.rowSubtitle, { color: colors.textSecondary }]}>
+            {PROFILE_VISIBILITY_TEXT[privacySettings.profile_visibility]}
+          </Text>
+
+          <View style={[styles.segmentedControl, { backgroundColor: colors.background }]}>
+            {PROFILE_VISIBILITY_OPTIONS.map(option => {
+              const isSelected = privacySettings.profile_visibility === option.value;
+              return (
+                <TouchableOpacity
+                  key={option.value}
+                  style={[styles.segment, isSelected && { backgroundColor: colors.primary }]}
+                  onPress={() => updatePrivacySetting('profile_visibility', option.value)}
+                  disabled={isSelected || savingPrivacyKey === 'profile_visibility'}
+                >
+                  <Text
+                    style={[
+                      styles.segmentText,
+                      { color: isSelected ? '#FFFFFF' : colors.textSecondary },
+                    ]}
+                  >
+                    {option.label}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        </View>
+
+        {PRIVACY_TOGGLES.map(renderPrivacyToggle)}
+
+        <View style={[styles.row, { borderBottomColor: colors.border }]}>
+          <View style={[styles.deviceIcon, { backgroundColor: colors.background }]}>
+            <Ionicons name="eye-off-outline" size={22} color={colors.primary} />
+          </View>
+
+          <View style={styles.rowContent}>
+            <View style={styles.deviceTitleRow}>
+              <Text style={[styles.rowTitle, { color: colors.text }]}>Incognito mode</Text>
+              {!user?.isPremium && (
+                <View style={[styles.badge, { backgroundColor: colors.primary }]}>
+                  <Text style={styles.badgeText}>Premium</Text>
+                </View>
+              )}
+            </View>
+            <Text style={[styles.rowSubtitle, { color: colors.textSecondary }]}>
+              {user?.isPremium
+                ? 'Only people you like can see you in Discover, and you never appear online'
+                : 'Upgrade to Premium to browse without being seen'}
+            </Text>
+          </View>
+
+          <Switch
+            value={incognitoMode}
+            onValueChange={handleIncognitoChange}
+            disabled={!user?.isPremium || savingIncognito}
+            trackColor={{ true: colors.primary }}
+          />
+        </View>
+      </View>
+    </View>
+  );
+
+  const handleDeleteAccount = () => {
+    Alert.alert(
+      'Delete Account',
+      'Your account will be deactivated now and permanently deleted after 30 days. Sign in again before then to keep it.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              setRevokingId('account');
+              await AuthService.deleteAccount();
+              await logout();
+            } catch (err) {
+              setRevokingId(null);
+              Alert.alert('Error', err.data?.message || 'Could not delete your account');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderDataSection = () => {
+    const isPreparing = ['pending', 'processing'].includes(dataExport?.status);
+    const isReady = dataExport?.status === 'ready';
+
+    return (
+      <View style={styles.section}>
+        <Text style={[styles.sectionTitle, { color: colors.textSecondary }]}>YOUR DATA</Text>
+
+        <View style={[styles.card, { backgroundColor: colors.surface }]}>
+          <View style={[styles.row, { borderBottomColor: colors.border }]}>
+            <View style={[styles.deviceIcon, { backgroundColor: colors.background }]}>
+              <Ionicons name="download-outline" size={22} color={colors.primary} />
+            </View>
+
+            <View style={styles.rowContent}>
+              <Text style={[styles.rowTitle, { color: colors.text }]}>Download my data</Text>
+              <Text style={[styles.rowSubtitle, { color: colors.textSecondary }]}>
+                {EXPORT_STATUS_TEXT[dataExport?.status] ||
+                  'Get a copy of your profile, matches and messages'}
+              </Text>
+            </View>
+
+            {exportBusy || isPreparing ? (
+              <ActivityIndicator size="small" color={colors.primary} />
+            ) : (
+              <TouchableOpacity onPress={isReady ? handleDownloadExport : handleRequestExport}>
+                <Text style={[styles.rowAction, { color: colors.primary }]}>
+                  {isReady ? 'Download' : 'Request'}
+                </Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        </View>
+      </View>
+    );
+  };
+
+  const renderAccountSection = () => (
+    <View style={styles.section}>
+      <Text style={[styles.sectionTitle, { color: colors.textSecondary }]}>ACCOUNT</Text>
+
+      <TouchableOpacity
+        style={[styles.dangerButton, { borderColor: colors.error }]}
+        onPress={handleDeleteAccount}
+        disabled={!!revokingId}
+      >
+        {revokingId === 'account' ? (
+          <ActivityIndicator size="small" color={colors.error} />
+        ) : (
+          <Text style={[styles.dangerButtonText, { color: colors.error }]}>Delete account</Text>
+        )}
+      </TouchableOpacity>
+    </View>
+  );
+
+  return (
+    <SafeAreaView style={[styles.container, { backgroundColor: colors.background }]}>
+      <StatusBar barStyle="dark-content" backgroundColor={colors.background} />
+
+      {renderHeader()}
+
+      <ScrollView
+        contentContainerStyle={styles.content}
+        refreshControl={<RefreshControl refreshing={refreshing} onRefresh={handleRefresh} />}
+      >
+        {renderVerificationSection()}
+        {renderPrivacySection()}
+        {renderDevicesSection()}
+        {renderDataSection()}
+        {renderAccountSection()}
+      </ScrollView>
+    </SafeAreaView>
+  );
 };
 
 const styles = StyleSheet.create({
   container: {
     flex: 1,
-    justifyContent: 'center',
+  },
+  header: {
+    flexDirection: 'row',
     alignItems: 'center',
-    padding: 20,
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 16,
   },
-  title: {
+  backButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  headerTitle: {
     fontSize: 24,
     fontWeight: 'bold',
-    marginBottom: 16,
   },
-  subtitle: {
+  headerSpacer: {
+    width: 44,
+  },
+  content: {
+    paddingHorizontal: 20,
+    paddingBottom: 40,
+  },
+  section: {
+    marginBottom: 24,
+  },
+  sectionTitle: {
+    fontSize: 13,
+    fontWeight: '600',
+    letterSpacing: 0.5,
+    marginBottom: 8,
+    marginLeft: 4,
+  },
+  card: {
+    borderRadius: 16,
+    overflow: 'hidden',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 14,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+  },
+  deviceIcon: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginRight: 12,
+  },
+  rowContent: {
+    flex: 1,
+    marginRight: 12,
+  },
+  deviceTitleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  rowTitle: {
     fontSize: 16,
-    textAlign: 'center',
-    lineHeight: 24,
+    fontWeight: '500',
+    flexShrink: 1,
+  },
+  rowSubtitle: {
+    fontSize: 13,
+    marginTop: 2,
+  },
+  rowAction: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  badge: {
+    borderRadius: 8,
+    paddingHorizontal: 6,
+    paddingVertical: 2,
+    marginLeft: 8,
+  },
+  badgeText: {
+    color: '#FFFFFF',
+    fontSize: 11,
+    fontWeight: '600',
+  },
+  visibilityRow: {
+    paddingHorizontal: 16,
+    paddingVertical: 14,
+    borderBottomWidth: StyleSheet.hairlineWidth,
+  },
+  segmentedControl: {
+    flexDirection: 'row',
+    borderRadius: 10,
+    padding: 3,
+    marginTop: 12,
+  },
+  segment: {
+    flex: 1,
+    borderRadius: 8,
+    paddingVertical: 8,
+    alignItems: 'center',
+  },
+  segmentText: {
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  loader: {
+    paddingVertical: 24,
+  },
+  messageRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 16,
+  },
+  messageText: {
+    flex: 1,
+    fontSize: 14,
+    marginRight: 12,
+  },
+  dangerButton: {
+    marginTop: 12,
+    borderWidth: 1,
+    borderRadius: 12,
+    paddingVertical: 14,
+    alignItems: 'center',
+  },
+  dangerButtonText: {
+    fontSize: 15,
+    fontWeight: '600',
   },
 });
 
@@ -1,5 +1,6 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Platform } from 'react-native';
+import * as Device from 'expo-device';
 
 // API Configuration
 const API_CONFIG = {
@@ -11,6 +12,21 @@ const API_CONFIG = {
   RETRY_DELAY: 1000,
 };
 
+// Auth endpoints where a 401 means bad credentials, not an expired access token
+const PUBLIC_AUTH_ENDPOINTS = [
+  '/auth/login',
+  '/auth/register',
+  '/auth/refresh',
+  '/auth/password',
+  '/auth/google',
+  '/auth/facebook',
+  '/auth/2fa/verify',
+  '/auth/passwordless',
+];
+
+// Single in-flight refresh: replaying an already rotated refresh token revokes the session
+let refreshPromise = null;
+
 class ApiService {
   static async getAuthHeaders() {
     try {
@@ -22,20 +38,41 @@ class ApiService {
     }
   }
 
+  static async getDeviceHeaders() {
+    try {
+      let deviceId = await AsyncStorage.getItem('deviceId');
+      if (!deviceId) {
+        deviceId = `${Platform.OS}-${Date.now()}-${Math.random().toString(36).substr(2, 12)}`;
+        await AsyncStorage.setItem('deviceId', deviceId);
+      }
+
+      return {
+        'X-Device-Id': deviceId,
+        'X-Device-Type': Platform.OS,
+        'X-Device-Name': Device.deviceName || Device.modelName || Platform.OS,
+      };
+    } catch (error) {
+      console.error('Error getting device headers:', error);
+      return {};
+    }
+  }
+
   static async request(endpoint, options = {}) {
     const url = `${API_CONFIG.BASE_URL}/api${endpoint}`;
     const authHeaders = await this.getAuthHeaders();
+    const deviceHeaders = await this.getDeviceHeaders();
     
     const config = {
       method: 'GET',
+      timeout: API_CONFIG.TIMEOUT,
+      ...options,
       headers: {
         'Content-Type': 'application/json',
         'Accept': 'application/json',
+        ...deviceHeaders,
         ...authHeaders,
         ...options.headers,
       },
-      timeout: API_CONFIG.TIMEOUT,
-      ...options,
     };
 
     let lastError;
@@ -53,24 +90,29 @@ class ApiService {
         clearTimeout(timeoutId);
 
         if (!response.ok) {
-          if (response.status === 401) {
+          const isPublicAuthEndpoint = PUBLIC_AUTH_ENDPOINTS.some(path => endpoint.startsWith(path));
+          if (response.status === 401 && !isPublicAuthEndpoint) {
             // Token expired, try to refresh
             try {
               await this.refreshToken();
-              const newAuthHeaders = await this.getAuthHeaders();
-              config.headers = { ...config.headers, ...newAuthHeaders };
-              
-              // Retry the original request
-              const retryResponse = await fetch(url, config);
-              if (!retryResponse.ok) {
-                throw new ApiError(retryResponse.status, await retryResponse.text());
-              }
-              return await retryResponse.json();
             } catch (refreshError) {
-              // Refresh failed, logout user
-              await AsyncStorage.multiRemove(['authToken', 'user']);
-              throw new ApiError(401, 'Authentication failed');
+              // Only a rejected refresh token signs the user out; network and server errors don't
+              if (refreshError instanceof ApiError && refreshError.status === 401) {
+                await AsyncStorage.multiRemove(['authToken', 'refreshToken', 'user']);
+                throw new ApiError(401, 'Authentication failed');
+              }
+              throw refreshError;
             }
+
+            const newAuthHeaders = await this.getAuthHeaders();
+            config.headers = { ...config.headers, ...newAuthHeaders };
+
+            // Retry the original request; its errors are its own, not an auth failure
+            const retryResponse = await fetch(url, config);
+            if (!retryResponse.ok) {
+              throw new ApiError(retryResponse.status, await retryResponse.text());
+            }
+            return await retryResponse.json();
           }
           
           const errorText = await response.text();
@@ -88,6 +130,11 @@ class ApiService {
         if (attempt === API_CONFIG.RETRY_ATTEMPTS - 1) {
           break;
         }
+
+        // Client errors won't succeed on retry (and would burn rate-limited attempts)
+        if (lastError instanceof ApiError && lastError.status >= 400 && lastError.status < 500 && lastError.status !== 408) {
+          break;
+        }
         
         // Wait before retrying
         await new Promise(resolve => setTimeout(resolve, API_CONFIG.RETRY_DELAY * (attempt + 1)));
@@ -97,25 +144,43 @@ class ApiService {
     throw lastError;
   }
 
-  static async refreshToken() {
+  static refreshToken() {
+    if (!refreshPromise) {
+      refreshPromise = this.rotateTokens().finally(() => {
+        refreshPromise = null;
+      });
+    }
+    return refreshPromise;
+  }
+
+  static async rotateTokens() {
     try {
+      const refreshToken = await AsyncStorage.getItem('refreshToken');
+      if (!refreshToken) {
+        throw new ApiError(401, 'No refresh token');
+      }
+
       const response = await fetch(`${API_CONFIG.BASE_URL}/api/auth/refresh`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
-          ...(await this.getAuthHeaders()),
+          ...(await this.getDeviceHeaders()),
         },
+        body: JSON.stringify({ refreshToken }),
       });
 
       if (response.ok) {
         const data = await response.json();
-        if (data.token) {
-          await AsyncStorage.setItem('authToken', data.token);
+        if (data.token && data.refreshToken) {
+          await AsyncStorage.multiSet([
+            ['authToken', data.token],
+            ['refreshToken', data.refreshToken],
+          ]);
         }
         return data;
       }
       
-      throw new Error('Token refresh failed');
+      throw new ApiError(response.status, await response.text());
     } catch (error) {
       console.error('Token refresh error:', error);
       throw error;
@@ -190,6 +255,14 @@ class ApiError extends Error {
     super(message);
     this.name = 'ApiError';
     this.status = status;
+
+    // Server errors are JSON bodies like { message, code }
+    try {
+      this.data = JSON.parse(message);
+    } catch (parseError) {
+      this.data = null;
+    }
+    this.code = this.data?.code;
   }
 }
 
@@ -1,7 +1,15 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { apiRequest } from './ApiService';
+import { ApiService, apiRequest } from './ApiService';
 
 class AuthService {
+  static async storeSession(response) {
+    await AsyncStorage.multiSet([
+      ['authToken', response.token],
+      ['refreshToken', response.refreshToken || ''],
+      ['user', JSON.stringify(response.user)],
+    ]);
+  }
+
   static async login(credentials) {
     try {
       const response = await apiRequest('/auth/login', {
@@ -10,8 +18,7 @@ class AuthService {
       });
       
       if (response.token) {
-        await AsyncStorage.setItem('authToken', response.token);
-        await AsyncStorage.setItem('user', JSON.stringify(response.user));
+        await this.storeSession(response);
       }
       
       return response;
@@ -29,8 +36,7 @@ class AuthService {
       });
       
       if (response.token) {
-        await AsyncStorage.setItem('authToken', response.token);
-        await AsyncStorage.setItem('user', JSON.stringify(response.user));
+        await this.storeSession(response);
       }
       
       return response;
@@ -40,6 +46,90 @@ class AuthService {
     }
   }
 
+  static async requestPasswordlessLogin(email) {
+    try {
+      return await apiRequest('/auth/passwordless/request', {
+        method: 'POST',
+        body: JSON.stringify({ email }),
+      });
+    } catch (error) {
+      console.error('Passwordless request error:', error);
+      throw error;
+    }
+  }
+
+  // Pass { email, code } for the emailed code or { token } from the magic link
+  static async verifyPasswordlessLogin(payload) {
+    try {
+      const response = await apiRequest('/auth/passwordless/verify', {
+        method: 'POST',
+        body: JSON.stringify(payload),
+      });
+
+      if (response.token) {
+        await this.storeSession(response);
+      }
+
+      return response;
+    } catch (error) {
+      console.error('Passwordless verify error:', error);
+      throw error;
+    }
+  }
+
+  static async verifyTwoFactor({ challengeToken, code, recoveryCode }) {
+    try {
+      const response = await apiRequest('/auth/2fa/verify', {
+        method: 'POST',
+        body: JSON.stringify({ challengeToken, code, recoveryCode }),
+      });
+
+      if (response.token) {
+        await this.storeSession(response);
+      }
+
+      return response;
+    } catch (error) {
+      console.error('Two-factor verify error:', error);
+      throw error;
+    }
+  }
+
+  static async enrollTwoFactor() {
+    try {
+      return await apiRequest('/auth/2fa/enroll', {
+        method: 'POST',
+      });
+    } catch (error) {
+      console.error('Two-factor enroll error:', error);
+      throw error;
+    }
+  }
+
+  static async confirmTwoFactor(code) {
+    try {
+      return await apiRequest('/auth/2fa/confirm', {
+        method: 'POST',
+        body: JSON.stringify({ code }),
+      });
+    } catch (error) {
+      console.error('Two-factor confirm error:', error);
+      throw error;
+    }
+  }
+
+  static async disableTwoFactor({ password, code, recoveryCode }) {
+    try {
+      return await apiRequest('/auth/2fa/disable', {
+        method: 'POST',
+        body: JSON.stringify({ password, code, recoveryCode }),
+      });
+    } catch (error) {
+      console.error('Two-factor disable error:', error);
+      throw error;
+    }
+  }
+
   static async googleLogin(googleData) {
     try {
       const response = await apiRequest('/auth/google', {
@@ -48,8 +138,7 @@ class AuthService {
       });
       
       if (response.token) {
-        await AsyncStorage.setItem('authToken', response.token);
-        await AsyncStorage.setItem('user', JSON.stringify(response.user));
+        await this.storeSession(response);
       }
       
       return response;
@@ -67,8 +156,7 @@ class AuthService {
       });
       
       if (response.token) {
-        await AsyncStorage.setItem('authToken', response.token);
-        await AsyncStorage.setItem('user', JSON.stringify(response.user));
+        await this.storeSession(response);
       }
       
       return response;
@@ -89,7 +177,7 @@ class AuthService {
     } catch (error) {
       console.error('Logout error:', error);
     } finally {
-      await AsyncStorage.multiRemove(['authToken', 'user']);
+      await AsyncStorage.multiRemove(['authToken', 'refreshToken', 'user']);
     }
   }
 
@@ -110,17 +198,294 @@ class AuthService {
 
   static async refreshToken() {
     try {
-      const response = await apiRequest('/auth/refresh', {
+      return await ApiService.refreshToken();
+    } catch (error) {
+      console.error('Token refresh error:', error);
+      throw error;
+    }
+  }
+
+  static async sendVerificationEmail() {
+    try {
+      return await apiRequest('/auth/verify/send', {
         method: 'POST',
       });
-      
-      if (response.token) {
-        await AsyncStorage.setItem('authToken', response.token);
-      }
-      
-      return response;
     } catch (error) {
-      console.error('Token refresh error:', error);
+      console.error('Send verification email error:', error);
+      throw error;
+    }
+  }
+
+  static async requestPasswordReset(email) {
+    try {
+      return await apiRequest('/auth/password/forgot', {
+        method: 'POST',
+        body: JSON.stringify({ email }),
+      });
+    } catch (error) {
+      console.error('Password reset request error:', error);
+      throw error;
+    }
+  }
+
+  static async resetPassword({ email, code, newPassword }) {
+    try {
+      return await apiRequest('/auth/password/reset', {
+        method: 'POST',
+        body: JSON.stringify({ email, code, newPassword }),
+      });
+    } catch (error) {
+      console.error('Password reset error:', error);
+      throw error;
+    }
+  }
+
+  static async getSessions() {
+    try {
+      const response = await apiRequest('/auth/sessions', {
+        method: 'GET',
+      });
+      return response.sessions;
+    } catch (error) {
+      console.error('Get sessions error:', error);
+      throw error;
+    }
+  }
+
+  static async revokeSession(sessionId) {
+    try {
+      return await apiRequest(`/auth/sessions/${sessionId}`, {
+        method: 'DELETE',
+      });
+    } catch (error) {
+      console.error('Revoke session error:', error);
+      throw error;
+    }
+  }
+
+  static async revokeOtherSessions() {
+    try {
+      return await apiRequest('/auth/sessions', {
+        method: 'DELETE',
+      });
+    } catch (error) {
+      console.error('Revoke other sessions error:', error);
+      throw error;
+    }
+  }
+
+  static async requestDataExport() {
+    try {
+      const response = await apiRequest('/users/export', {
+        method: 'POST',
+      });
+      return response.export;
+    } catch (error) {
+      console.error('Request data export error:', error);
+      throw error;
+    }
+  }
+
+  static async getDataExports() {
+    try {
+      const response = await apiRequest('/users/export', {
+        method: 'GET',
+      });
+      return response.exports;
+    } catch (error) {
+      console.error('Get data exports error:', error);
+      throw error;
+    }
+  }
+
+  static async getDataExport(exportId) {
+    try {
+      const response = await apiRequest(`/users/export/${exportId}`, {
+        method: 'GET',
+      });
+      return response.export;
+    } catch (error) {
+      console.error('Get data export error:', error);
+      throw error;
+    }
+  }
+
+  static async deleteAccount() {
+    try {
+      return await apiRequest('/users/account', {
+        method: 'DELETE',
+      });
+    } catch (error) {
+      console.error('Delete account error:', error);
+      throw error;
+    }
+  }
+
+  static async getProfile() {
+    try {
+      const response = await apiRequest('/auth/me', {
+        method: 'GET',
+      });
+      return response.user;
+    } catch (error) {
+      console.error('Get profile error:', error);
+      throw error;
+    }
+  }
+
+  static async getInterestCatalog() {
+    try {
+      const response = await apiRequest('/interests', {
+        method: 'GET',
+      });
+      return response.interests;
+    } catch (error) {
+      console.error('Get interest catalogue error:', error);
+      throw error;
+    }
+  }
+
+  // The user's saved interests and how many they may pick
+  static async getInterests() {
+    try {
+      return await apiRequest('/users/interests', {
+        method: 'GET',
+      });
+    } catch (error) {
+      console.error('Get interests error:', error);
+      throw error;
+    }
+  }
+
+  static async updateInterests(interestIds) {
+    try {
+      const response = await apiRequest('/users/interests', {
+        method: 'PUT',
+        body: JSON.stringify({ interestIds }),
+      });
+      return response.interests;
+    } catch (error) {
+      console.error('Update interests error:', error);
+      throw error;
+    }
+  }
+
+  // photos: image picker assets ({ uri, mimeType, fileName })
+  static async uploadProfilePhotos(photos) {
+    try {
+      const formData = new FormData();
+      photos.forEach((photo, index) => {
+        formData.append('photos', {
+          uri: photo.uri,
+          type: photo.mimeType || 'image/jpeg',
+          name: photo.fileName || `photo-${index}.jpg`,
+        });
+      });
+
+      const response = await apiRequest('/users/photos', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+        body: formData,
+      });
+      return response.photos;
+    } catch (error) {
+      console.error('Upload profile photos error:', error);
+      throw error;
+    }
+  }
+
+  static async getPhotoVerification() {
+    try {
+      return await apiRequest('/verification/photo', {
+        method: 'GET',
+      });
+    } catch (error) {
+      console.error('Get photo verification error:', error);
+      throw error;
+    }
+  }
+
+  // Returns the pose the selfie has to show: { pose: { id, instruction }, expiresIn }
+  static async startPhotoVerification() {
+    try {
+      return await apiRequest('/verification/photo/challenge', {
+        method: 'POST',
+      });
+    } catch (error) {
+      console.error('Start photo verification error:', error);
+      throw error;
+    }
+  }
+
+  static async submitVerificationSelfie(selfie) {
+    try {
+      const formData = new FormData();
+      formData.append('selfie', {
+        uri: selfie.uri,
+        type: selfie.mimeType || 'image/jpeg',
+        name: selfie.fileName || 'selfie.jpg',
+      });
+
+      const response = await apiRequest('/verification/photo', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'multipart/form-data',
+        },
+        body: formData,
+      });
+      return response.verification;
+    } catch (error) {
+      console.error('Submit verification selfie error:', error);
+      throw error;
+    }
+  }
+
+  static async getPromptCatalog() {
+    try {
+      const response = await apiRequest('/prompts', {
+        method: 'GET',
+      });
+      return response.prompts;
+    } catch (error) {
+      console.error('Get prompts error:', error);
+      throw error;
+    }
+  }
+
+  static async getPromptAnswers() {
+    try {
+      return await apiRequest('/users/prompts', {
+        method: 'GET',
+      });
+    } catch (error) {
+      console.error('Get prompt answers error:', error);
+      throw error;
+    }
+  }
+
+  // answers: [{ promptId, answer }] in display order, at most three
+  static async updatePromptAnswers(answers) {
+    try {
+      const response = await apiRequest('/users/prompts', {
+        method: 'PUT',
+        body: JSON.stringify({ answers }),
+      });
+      return response.prompts;
+    } catch (error) {
+      console.error('Update prompt answers error:', error);
+      throw error;
+    }
+  }
+
+  static async claimProfileCompletionReward() {
+    try {
+      return await apiRequest('/users/profile/completion-reward', {
+        method: 'POST',
+      });
+    } catch (error) {
+      console.error('Profile completion reward error:', error);
       throw error;
     }
   }
@@ -143,6 +508,85 @@ class AuthService {
     }
   }
 
+  // Only the keys sent are changed; returns the full settings after the update
+  static async updatePrivacySettings(privacySettings) {
+    try {
+      const response = await apiRequest('/users/profile', {
+        method: 'PUT',
+        body: JSON.stringify({ privacySettings }),
+      });
+      return response.user.privacy_settings;
+    } catch (error) {
+      console.error('Update privacy settings error:', error);
+      throw error;
+    }
+  }
+
+  // Daily like limits reset at midnight in this timezone
+  static async setTimezone(timezone) {
+    try {
+      await apiRequest('/users/profile', {
+        method: 'PUT',
+        body: JSON.stringify({ timezone }),
+      });
+      return timezone;
+    } catch (error) {
+      console.error('Set timezone error:', error);
+      throw error;
+    }
+  }
+
+  static async setIncognitoMode(enabled) {
+    try {
+      const response = await apiRequest('/users/incognito', {
+        method: 'PUT',
+        body: JSON.stringify({ enabled }),
+      });
+      return response.incognitoMode;
+    } catch (error) {
+      console.error('Update incognito mode error:', error);
+      throw error;
+    }
+  }
+
+  // Premium only: Discover and search use this location until travel mode is turned off
+  static async setTravelMode({ latitude, longitude, locationName }) {
+    try {
+      const response = await apiRequest('/users/travel-mode', {
+        method: 'PUT',
+        body: JSON.stringify({ latitude, longitude, locationName }),
+      });
+      return response.travelMode;
+    } catch (error) {
+      console.error('Set travel mode error:', error);
+      throw error;
+    }
+  }
+
+  static async clearTravelMode() {
+    try {
+      await apiRequest('/users/travel-mode', {
+        method: 'DELETE',
+      });
+      return null;
+    } catch (error) {
+      console.error('Clear travel mode error:', error);
+      throw error;
+    }
+  }
+
+  // filters: minAge, maxAge, gender, maxDistance, language, onlineNow, photoVerified, limit.
+  // Pass the nextCursor of one page to get the next; it is null after the last page
+  static async searchUsers(q, filters = {}, cursor = null) {
+    try {
+      const params = { q, ...filters, ...(cursor && { cursor }) };
+      return await ApiService.get('/users/search', params);
+    } catch (error) {
+      console.error('Search users error:', error);
+      throw error;
+    }
+  }
+
   static async getCurrentUser() {
     try {
       const userString = await AsyncStorage.getItem('user');
@@ -9,6 +9,7 @@ class SocketService {
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = 5;
     this.reconnectDelay = 1000;
+    this.sessionRevoked = false;
     this.listeners = new Map();
   }
 
@@ -19,6 +20,7 @@ class SocketService {
         throw new Error('No authentication token found');
       }
 
+      this.sessionRevoked = false;
       this.socket = io(API_CONFIG.BASE_URL, {
         auth: { token },
         transports: ['websocket', 'polling'],
@@ -68,12 +70,18 @@ class SocketService {
       console.log('Socket disconnected:', reason);
       this.emit('connection_status', { connected: false, reason });
       
-      if (reason === 'io server disconnect') {
+      if (reason === 'io server disconnect' && !this.sessionRevoked) {
         // Server disconnected, reconnect manually
         this.reconnect();
       }
     });
 
+    // This device was signed out remotely; don't try to reconnect with its token
+    this.socket.on('session_revoked', (data) => {
+      this.sessionRevoked = true;
+      this.emit('session_revoked', data);
+    });
+
     this.socket.on('connect_error', (error) => {
       console.error('Socket connection error:', error);
       this.emit('connection_error', error);
@@ -140,6 +148,18 @@ class SocketService {
     this.socket.on('match_found', (data) => {
       this.emit('match_found', data);
     });
+
+    this.socket.on('data_export_ready', (data) => {
+      this.emit('data_export_ready', data);
+    });
+
+    this.socket.on('data_export_failed', (data) => {
+      this.emit('data_export_failed', data);
+    });
+
+    this.socket.on('photo_verification_result', (data) => {
+      this.emit('photo_verification_result', data);
+    });
   }
 
   async reconnect() {